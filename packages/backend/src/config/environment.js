@@ -25,6 +25,8 @@ const config = {
   // GitHub OAuth
   githubClientId: process.env.GITHUB_CLIENT_ID,
   githubClientSecret: process.env.GITHUB_CLIENT_SECRET,
+  githubWebhookSecret: process.env.GITHUB_WEBHOOK_SECRET,
+  githubWebhookUrl: process.env.GITHUB_WEBHOOK_URL,
 
   // Railway
   railwayApiToken: process.env.RAILWAY_API_TOKEN,
@@ -62,6 +64,10 @@ const config = {
 
   // Secrets encryption
   secretsEncryptionKey: process.env.SECRETS_ENCRYPTION_KEY,
+  // Version of SECRETS_ENCRYPTION_KEY; bump it when rotating the key
+  secretsEncryptionKeyVersion: parseInt(process.env.SECRETS_ENCRYPTION_KEY_VERSION, 10) || 1,
+  // Retired keys still needed to decrypt, as "version:hexkey" pairs separated by commas
+  secretsPreviousKeys: process.env.SECRETS_PREVIOUS_KEYS || '',
 
   // Social Media OAuth (Phase 5)
   twitterClientId: process.env.TWITTER_CLIENT_ID,
@@ -79,6 +85,49 @@ const config = {
   smtpPass: process.env.SMTP_PASS,
   smtpFrom: process.env.SMTP_FROM,
 
+  // Build verification (sandboxed install/build/test run after generation)
+  buildVerificationEnabled: process.env.BUILD_VERIFICATION_ENABLED === 'true',
+  buildRegistryUrl: process.env.BUILD_REGISTRY_URL || 'http://localhost:4873',
+  // Required: verification is skipped (unverified) until a sandbox is set
+  buildSandboxCommand: process.env.BUILD_SANDBOX_COMMAND || '',               // e.g. "firejail --quiet --private-tmp"
+  buildStageTimeoutMs: parseInt(process.env.BUILD_STAGE_TIMEOUT_MS, 10) || 300000, // 5 min per stage
+  buildMemoryLimitMb: parseInt(process.env.BUILD_MEMORY_LIMIT_MB, 10) || 1024,
+  buildAddressSpaceLimitMb: parseInt(process.env.BUILD_ADDRESS_SPACE_LIMIT_MB, 10) || 4096, // RLIMIT_AS per process
+  buildCpuLimitSeconds: parseInt(process.env.BUILD_CPU_LIMIT_SECONDS, 10) || 600,           // RLIMIT_CPU per process
+  buildMaxFixAttempts: parseInt(process.env.BUILD_MAX_FIX_ATTEMPTS, 10) || 2,
+
+  // Voice note transcription: 'openai' (Whisper) or 'stub' (local, no network)
+  transcriptionProvider: process.env.TRANSCRIPTION_PROVIDER || 'openai',
+  transcriptionModel: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+
+  // Self-healing deploys: fix Railway build/boot failures and redeploy
+  deployAutoFixEnabled: process.env.DEPLOY_AUTO_FIX_ENABLED === 'true',
+  deployMaxFixAttempts: parseInt(process.env.DEPLOY_MAX_FIX_ATTEMPTS, 10) || 2,
+
+  // Uptime monitoring of deployed apps (monitorWorker repeat job)
+  uptimeMonitoringEnabled: process.env.UPTIME_MONITORING_ENABLED !== 'false',
+  uptimeCheckIntervalMs: parseInt(process.env.UPTIME_CHECK_INTERVAL_MS, 10) || 300000, // 5 min
+  uptimeTimeoutMs: parseInt(process.env.UPTIME_TIMEOUT_MS, 10) || 10000,
+  uptimeAlertAfterFailures: parseInt(process.env.UPTIME_ALERT_AFTER_FAILURES, 10) || 3,
+  uptimeRetentionDays: parseInt(process.env.UPTIME_RETENTION_DAYS, 10) || 30,
+
+  // Preview environments (a Railway service per conversation)
+  previewTtlHours: parseInt(process.env.PREVIEW_TTL_HOURS, 10) || 48,     // torn down after this long without a deploy
+  previewMaxPerProject: parseInt(process.env.PREVIEW_MAX_PER_PROJECT, 10) || 3,
+  previewDeployStaleMinutes: parseInt(process.env.PREVIEW_DEPLOY_STALE_MINUTES, 10) || 60, // a deploy still running after this is treated as failed
+
+  // Post-deploy smoke test: crawl the live app and report/fix what breaks
+  smokeTestEnabled: process.env.SMOKE_TEST_ENABLED === 'true',
+  smokeTestMaxPages: parseInt(process.env.SMOKE_TEST_MAX_PAGES, 10) || 8,
+  smokeTestSubmitForms: process.env.SMOKE_TEST_SUBMIT_FORMS === 'true', // writes real data into the live app
+  smokeTestAutoFix: process.env.SMOKE_TEST_AUTO_FIX !== 'false',
+
+  // Visual regression: screenshot each deployed version and diff it with the last
+  visualDiffEnabled: process.env.VISUAL_DIFF_ENABLED === 'true',
+  visualDiffThreshold: parseFloat(process.env.VISUAL_DIFF_THRESHOLD) || 0.1,                  // per-pixel colour distance, 0-1
+  visualDiffSignificantRatio: parseFloat(process.env.VISUAL_DIFF_SIGNIFICANT_RATIO) || 0.02, // share of pixels changed
+  visualDiffMaxRoutes: parseInt(process.env.VISUAL_DIFF_MAX_ROUTES, 10) || 5,
+
   // Admin
   adminEmail: process.env.ADMIN_EMAIL || 'ben@hapi.vc',
 
@@ -0,0 +1,40 @@
+exports.up = async function (knex) {
+  await knex.schema.createTable('budgets', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('project_id').references('id').inTable('projects').onDelete('CASCADE');
+    // NULL project_id = the user's budget across all of their projects
+
+    table.string('period', 10).notNullable();
+    // 'daily' | 'monthly' (UTC calendar day / month)
+    table.decimal('limit_usd', 12, 4).notNullable();
+    table.decimal('warn_threshold', 4, 3).notNullable().defaultTo(0.8);
+    // Fraction of the limit at which a soft warning is sent
+    table.boolean('hard_stop').notNullable().defaultTo(true);
+
+    // Admin override: spending is allowed past the limit until this time
+    table.timestamp('override_until');
+    table.text('override_reason');
+    table.uuid('overridden_by').references('id').inTable('users').onDelete('SET NULL');
+
+    // Period keys (e.g. "2026-10-19", "2026-10") of the last notifications,
+    // so each warning is sent once per period
+    table.string('warned_period', 10);
+    table.string('blocked_period', 10);
+
+    table.timestamps(true, true);
+
+    table.unique(['user_id', 'project_id', 'period']);
+    table.index('user_id');
+    table.index('project_id');
+  });
+
+  // The unique constraint above treats NULL project_ids as distinct
+  await knex.raw(
+    'CREATE UNIQUE INDEX budgets_user_period_unique ON budgets (user_id, period) WHERE project_id IS NULL'
+  );
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists('budgets');
+};
@@ -0,0 +1,43 @@
+const KIMI = 'accounts/fireworks/models/kimi-k2p5';
+const LLAMA = 'accounts/fireworks/models/llama-v3p3-70b-instruct';
+const GPT4O = 'gpt-4o';
+
+// The routing table previously hardcoded in llmRouter
+const SEED_ROUTES = [
+  ['code-generation', KIMI, [GPT4O]],
+  ['code-iteration', KIMI, [GPT4O]],
+  ['scaffold', KIMI, [GPT4O]],
+  ['config-files', KIMI, [GPT4O]],
+  ['code-fix', KIMI, [GPT4O]],
+  ['landing-page', GPT4O, [KIMI]],
+  ['social-copy', GPT4O, [KIMI]],
+  ['ad-copy', GPT4O, [KIMI]],
+  ['email-template', GPT4O, [KIMI]],
+  ['demo-script', LLAMA, [GPT4O]],
+  ['change-analysis', LLAMA, [GPT4O]],
+  ['change-planning', LLAMA, [GPT4O]],
+];
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('llm_task_routes', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('task_type', 50).notNullable().unique(); // e.g. 'code-generation'
+    table.string('primary_model_id', 255).notNullable(); // llm_models.model_id
+    table.jsonb('fallback_model_ids').notNullable().defaultTo('[]'); // ordered llm_models.model_id list
+    table.text('notes');
+    table.uuid('updated_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamps(true, true);
+  });
+
+  await knex('llm_task_routes').insert(
+    SEED_ROUTES.map(([taskType, primary, fallbacks]) => ({
+      task_type: taskType,
+      primary_model_id: primary,
+      fallback_model_ids: JSON.stringify(fallbacks),
+    }))
+  );
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists('llm_task_routes');
+};
@@ -0,0 +1,12 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable('prompt_logs', (table) => {
+    // Which project files were sent in full or summarized (see contextBuilder.describe)
+    table.jsonb('context_files');
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable('prompt_logs', (table) => {
+    table.dropColumn('context_files');
+  });
+};
@@ -0,0 +1,26 @@
+// Models that accept image input; llmRouter routes requests with image
+// attachments to models with the 'vision' capability
+const VISION_MODELS = [
+  'accounts/fireworks/models/kimi-k2p5',
+  'gpt-4o',
+  'claude-sonnet-4-6',
+];
+
+exports.up = async function (knex) {
+  await knex('llm_models')
+    .whereIn('model_id', VISION_MODELS)
+    .whereRaw("NOT capabilities @> '[\"vision\"]'::jsonb")
+    .update({
+      capabilities: knex.raw("capabilities || '[\"vision\"]'::jsonb"),
+      updated_at: knex.fn.now(),
+    });
+};
+
+exports.down = async function (knex) {
+  await knex('llm_models')
+    .whereIn('model_id', VISION_MODELS)
+    .update({
+      capabilities: knex.raw("capabilities - 'vision'"),
+      updated_at: knex.fn.now(),
+    });
+};
@@ -0,0 +1,18 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable('message_attachments', (table) => {
+    // Voice notes: text from transcriptionService, merged into the message
+    table.text('transcript');
+    table.string('transcription_provider', 50);
+    table.text('transcription_error');
+    table.timestamp('transcribed_at');
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable('message_attachments', (table) => {
+    table.dropColumn('transcript');
+    table.dropColumn('transcription_provider');
+    table.dropColumn('transcription_error');
+    table.dropColumn('transcribed_at');
+  });
+};
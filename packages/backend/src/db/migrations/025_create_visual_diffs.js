@@ -0,0 +1,54 @@
+exports.up = async function (knex) {
+  // Screenshots of a deployed version, one per route and viewport
+  await knex.schema.createTable('visual_snapshots', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+    table.uuid('version_id').notNullable().references('id').inTable('project_versions').onDelete('CASCADE');
+    table.uuid('deployment_id').references('id').inTable('deployments').onDelete('SET NULL');
+
+    table.string('route', 500).notNullable();
+    table.string('viewport', 20).notNullable();
+    // 'desktop' | 'mobile'
+    table.text('storage_url');
+    table.integer('width');
+    table.integer('height');
+    table.text('error_message');
+    // Set instead of storage_url when the route could not be captured
+
+    table.timestamps(true, true);
+
+    table.index('project_id');
+    table.index(['version_id', 'route', 'viewport']);
+  });
+
+  // Pixel diff of a route/viewport between a version and the one before it
+  await knex.schema.createTable('visual_diffs', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+    table.uuid('version_id').notNullable().references('id').inTable('project_versions').onDelete('CASCADE');
+    table.uuid('base_version_id').references('id').inTable('project_versions').onDelete('SET NULL');
+
+    table.string('route', 500).notNullable();
+    table.string('viewport', 20).notNullable();
+    table.text('before_url');
+    table.text('after_url');
+    table.text('diff_url');
+
+    table.integer('changed_pixels').notNullable().defaultTo(0);
+    table.integer('total_pixels').notNullable().defaultTo(0);
+    table.decimal('diff_ratio', 8, 6).notNullable().defaultTo(0);
+    table.boolean('significant').notNullable().defaultTo(false);
+    // Whether the version's file changes touched this route's page
+    table.boolean('expected').notNullable().defaultTo(false);
+
+    table.timestamps(true, true);
+
+    table.index('project_id');
+    table.index('version_id');
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('visual_diffs');
+  await knex.schema.dropTableIfExists('visual_snapshots');
+};
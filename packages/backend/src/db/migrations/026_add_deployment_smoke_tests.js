@@ -0,0 +1,17 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable('deployments', (table) => {
+    // Post-deploy crawl of the live app by smokeTestService
+    table.string('smoke_test_status', 20);
+    // 'passed' | 'failed' | 'error' (the test itself could not run)
+    table.jsonb('smoke_test_report');
+    table.timestamp('smoke_tested_at');
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable('deployments', (table) => {
+    table.dropColumn('smoke_test_status');
+    table.dropColumn('smoke_test_report');
+    table.dropColumn('smoke_tested_at');
+  });
+};
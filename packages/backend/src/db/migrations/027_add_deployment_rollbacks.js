@@ -0,0 +1,12 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable('deployments', (table) => {
+    // Set on a deployment that redeployed an earlier deployment's files
+    table.uuid('rollback_of_deployment_id').references('id').inTable('deployments').onDelete('SET NULL');
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable('deployments', (table) => {
+    table.dropColumn('rollback_of_deployment_id');
+  });
+};
@@ -0,0 +1,53 @@
+exports.up = async function (knex) {
+  // A separate Railway service per conversation for trying changes live
+  await knex.schema.createTable('preview_environments', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+    table.uuid('conversation_id').references('id').inTable('conversations').onDelete('SET NULL');
+    table.integer('number').notNullable();
+    // <slug>-preview-<number>.imagia.net
+
+    table.string('status', 20).notNullable().defaultTo('pending');
+    // 'pending' | 'deploying' | 'active' | 'failed' | 'deleted'
+    table.string('service_name', 255);
+    table.string('railway_service_id', 255);
+    table.string('railway_environment_id', 255);
+    table.string('subdomain_slug', 255);
+    table.text('target_url');
+    // Railway URL the KV entry points at
+    table.text('url');
+
+    table.uuid('version_id').references('id').inTable('project_versions').onDelete('SET NULL');
+    table.uuid('last_deployment_id').references('id').inTable('deployments').onDelete('SET NULL');
+    table.timestamp('last_deployed_at');
+    table.timestamp('compute_tracked_at');
+    // Compute cost is accrued hourly up to this time
+    table.timestamp('promoted_at');
+    table.timestamp('deleted_at');
+    table.text('error_message');
+
+    table.timestamps(true, true);
+
+    table.unique(['project_id', 'number']);
+    table.index(['project_id', 'status']);
+  });
+
+  await knex.schema.alterTable('deployments', (table) => {
+    table.string('environment', 20).notNullable().defaultTo('production');
+    // 'production' | 'preview'
+    table.uuid('preview_id').references('id').inTable('preview_environments').onDelete('SET NULL');
+    table.uuid('promoted_from_preview_id').references('id').inTable('preview_environments').onDelete('SET NULL');
+
+    table.index(['project_id', 'environment']);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.alterTable('deployments', (table) => {
+    table.dropIndex(['project_id', 'environment']);
+    table.dropColumn('environment');
+    table.dropColumn('preview_id');
+    table.dropColumn('promoted_from_preview_id');
+  });
+  await knex.schema.dropTableIfExists('preview_environments');
+};
@@ -0,0 +1,13 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable('deployments', (table) => {
+    // Self-healing deploys: one entry per Railway attempt, with the errors
+    // parsed from its logs and the fix applied before the next attempt
+    table.jsonb('attempts').defaultTo('[]');
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable('deployments', (table) => {
+    table.dropColumn('attempts');
+  });
+};
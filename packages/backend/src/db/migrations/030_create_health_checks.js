@@ -0,0 +1,35 @@
+exports.up = async function (knex) {
+  // One row per uptime ping of a deployed app
+  await knex.schema.createTable('health_checks', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+    table.text('url').notNullable();
+    table.boolean('is_up').notNullable();
+    table.integer('status_code');
+    table.integer('latency_ms');
+    table.text('error_message');
+    table.timestamp('checked_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['project_id', 'checked_at']);
+  });
+
+  await knex.schema.alterTable('projects', (table) => {
+    table.string('health_check_path', 255).notNullable().defaultTo('/');
+    table.string('uptime_status', 20);
+    // 'up' | 'down' | null (never checked)
+    table.integer('uptime_failures').notNullable().defaultTo(0);
+    // Consecutive failed checks
+    table.timestamp('uptime_alerted_at');
+    // Set when the owner was emailed about the current outage
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.alterTable('projects', (table) => {
+    table.dropColumn('health_check_path');
+    table.dropColumn('uptime_status');
+    table.dropColumn('uptime_failures');
+    table.dropColumn('uptime_alerted_at');
+  });
+  await knex.schema.dropTableIfExists('health_checks');
+};
@@ -0,0 +1,13 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable('github_connections', (table) => {
+    // A pull that hit conflicts: { base_sha, head_sha, conflicts: [...] }.
+    // last_commit_sha stays at the merge base until it is resolved.
+    table.jsonb('merge_state');
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable('github_connections', (table) => {
+    table.dropColumn('merge_state');
+  });
+};
@@ -0,0 +1,36 @@
+exports.up = async function (knex) {
+  await knex.schema.alterTable('github_connections', (table) => {
+    // direct: commit to default_branch | pull_request: push to a branch and open a PR
+    table.string('push_mode', 20).defaultTo('direct');
+  });
+
+  await knex.schema.createTable('github_pull_requests', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+    table.integer('number').notNullable();
+    table.text('html_url').notNullable();
+    table.string('branch', 255).notNullable();
+    table.string('base_branch', 255).notNullable();
+    table.text('title');
+    table.string('state', 20).notNullable().defaultTo('open');
+    // open | merged | closed
+    table.string('review_status', 30).notNullable().defaultTo('pending');
+    // pending | commented | approved | changes_requested
+    table.string('head_sha', 100);
+    // project_versions range the PR covers
+    table.integer('from_version');
+    table.integer('to_version');
+    table.timestamp('merged_at');
+    table.timestamp('closed_at');
+    table.timestamps(true, true);
+
+    table.index(['project_id', 'state']);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('github_pull_requests');
+  await knex.schema.alterTable('github_connections', (table) => {
+    table.dropColumn('push_mode');
+  });
+};
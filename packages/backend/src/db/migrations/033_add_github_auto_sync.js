@@ -0,0 +1,15 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable('github_connections', (table) => {
+    // Merge pushes to the default branch automatically when they don't conflict
+    table.boolean('auto_pull').defaultTo(false);
+    // Push webhook registered on the repo, removed on disconnect
+    table.bigInteger('webhook_id');
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable('github_connections', (table) => {
+    table.dropColumn('auto_pull');
+    table.dropColumn('webhook_id');
+  });
+};
@@ -0,0 +1,19 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable('project_files', (table) => {
+    // NULL until fetched: files imported from GitHub without their content
+    table.text('content').nullable().alter();
+    // GitHub blob the content is fetched from while content is NULL
+    table.string('blob_sha', 40);
+    // Tracked so pushes keep it, never fetched or sent to the LLM
+    table.boolean('is_binary').notNullable().defaultTo(false);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex('project_files').whereNull('content').del();
+  await knex.schema.alterTable('project_files', (table) => {
+    table.text('content').notNullable().alter();
+    table.dropColumn('blob_sha');
+    table.dropColumn('is_binary');
+  });
+};
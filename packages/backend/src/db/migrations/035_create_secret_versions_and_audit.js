@@ -0,0 +1,51 @@
+exports.up = async function (knex) {
+  await knex.schema.alterTable('project_secrets', (table) => {
+    // Current entry in project_secret_versions
+    table.integer('version').notNullable().defaultTo(1);
+  });
+
+  await knex.schema.createTable('project_secret_versions', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('secret_id').notNullable().references('id').inTable('project_secrets').onDelete('CASCADE');
+    table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+    table.integer('version').notNullable();
+    table.text('encrypted_value').notNullable();
+    table.uuid('created_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.unique(['secret_id', 'version']);
+  });
+
+  // Existing values become version 1
+  await knex.raw(`
+    INSERT INTO project_secret_versions (secret_id, project_id, version, encrypted_value, created_at)
+    SELECT id, project_id, 1, encrypted_value, updated_at FROM project_secrets
+  `);
+
+  await knex.schema.createTable('secret_audit_log', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('project_id').notNullable().references('id').inTable('projects').onDelete('CASCADE');
+    // No foreign key: entries outlive the secret they describe
+    table.uuid('secret_id');
+    table.string('secret_key', 255).notNullable();
+    table.string('action', 20).notNullable();
+    // create | read | update | delete
+    table.integer('version');
+    table.uuid('actor_id').references('id').inTable('users').onDelete('SET NULL');
+    table.string('source', 20).notNullable().defaultTo('api');
+    // api | chat | deploy
+    table.jsonb('metadata');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['project_id', 'created_at']);
+    table.index('secret_id');
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('secret_audit_log');
+  await knex.schema.dropTableIfExists('project_secret_versions');
+  await knex.schema.alterTable('project_secrets', (table) => {
+    table.dropColumn('version');
+  });
+};
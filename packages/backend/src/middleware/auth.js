@@ -44,4 +44,42 @@ function requireUser(req, res, next) {
     });
 }
 
-module.exports = { clerkAuth, requireAuth, requireUser };
+// Authenticate an SSE request. EventSource can't set headers, so the Clerk
+// token comes in the `token` query param, falling back to cookie auth.
+async function requireSseUser(req, res, next) {
+  try {
+    const token = req.query.token;
+    let clerkId;
+
+    if (token) {
+      try {
+        const { verifyToken } = require('@clerk/express');
+        const payload = await verifyToken(token, {
+          secretKey: process.env.CLERK_SECRET_KEY,
+        });
+        clerkId = payload.sub;
+      } catch (tokenErr) {
+        logger.warn('SSE token verification failed', { error: tokenErr.message });
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+    } else {
+      const auth = getAuth(req);
+      if (!auth || !auth.userId) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      clerkId = auth.userId;
+    }
+
+    const user = await db('users').where({ clerk_id: clerkId }).first();
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { clerkAuth, requireAuth, requireUser, requireSseUser };
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+
+/**
+ * The X-Hub-Signature-256 value GitHub sends for a body.
+ * @param {Buffer} rawBody
+ * @param {string} secret
+ * @returns {string}
+ */
+function signPayload(rawBody, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+}
+
+// Verify a GitHub webhook against GITHUB_WEBHOOK_SECRET and parse its JSON
+// payload into req.body. Runs after express.raw() so the signature is
+// checked over the exact bytes GitHub signed.
+function verifyGitHubWebhook(req, res, next) {
+  const secret = config.githubWebhookSecret;
+
+  if (!secret) {
+    logger.error('GITHUB_WEBHOOK_SECRET is not configured');
+    return res.status(500).json({ error: 'Webhook secret not configured' });
+  }
+
+  const signature = req.headers['x-hub-signature-256'];
+  if (!signature || !req.headers['x-github-event']) {
+    return res.status(400).json({ error: 'Missing GitHub webhook headers' });
+  }
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const expected = Buffer.from(signPayload(rawBody, secret));
+  const received = Buffer.from(String(signature));
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    logger.error('GitHub webhook verification failed', { delivery: req.headers['x-github-delivery'] });
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  try {
+    req.body = JSON.parse(rawBody.toString('utf8'));
+  } catch {
+    return res.status(400).json({ error: 'Invalid webhook payload' });
+  }
+
+  next();
+}
+
+module.exports = { verifyGitHubWebhook, signPayload };
@@ -0,0 +1,19 @@
+const Queue = require('bull');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+
+const monitorQueue = new Queue('imagia:monitor', config.redisUrl, {
+  defaultJobOptions: {
+    attempts: 1,
+    removeOnComplete: 20,
+    removeOnFail: 50,
+    timeout: 5 * 60 * 1000,
+  },
+});
+
+monitorQueue.on('error', (err) => logger.error('Monitor queue error', { error: err.message }));
+monitorQueue.on('failed', (job, err) => {
+  logger.error('Monitor job failed', { jobId: job.id, error: err.message });
+});
+
+module.exports = monitorQueue;
@@ -3,6 +3,7 @@ const config = require('../config/environment');
 const logger = require('../config/logger');
 
 const CHANNEL = 'imagia:progress';
+const STREAM_FLUSH_INTERVAL_MS = 100;
 const subscribers = new Map();
 
 let pubClient = null;
@@ -58,6 +59,48 @@ async function emit(projectId, progressData) {
   }
 }
 
+/**
+ * Build an `onDelta` callback (see utils/llmStream) that forwards LLM stream
+ * deltas to a project's progress channel as `{ stream: delta }` events.
+ * Text deltas are coalesced for up to 100ms so a fast model does not
+ * publish one Redis message per token; any other event flushes pending
+ * text first so ordering is preserved.
+ *
+ * @param {string} projectId
+ * @returns {function(Object): void}
+ */
+function createStreamForwarder(projectId) {
+  let pendingText = '';
+  let timer = null;
+
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (pendingText) {
+      const text = pendingText;
+      pendingText = '';
+      emit(projectId, { stream: { type: 'text', text } });
+    }
+  };
+
+  return (delta) => {
+    if (delta.type === 'text') {
+      pendingText += delta.text;
+      if (!timer) timer = setTimeout(flush, STREAM_FLUSH_INTERVAL_MS);
+      return;
+    }
+
+    if (delta.type === 'reset') {
+      // Text from the discarded attempt is never sent
+      pendingText = '';
+    }
+    flush();
+    emit(projectId, { stream: delta });
+  };
+}
+
 function subscribe(projectId, callback) {
   getSubClient();
 
@@ -78,4 +121,4 @@ function subscribe(projectId, callback) {
   };
 }
 
-module.exports = { emit, subscribe };
+module.exports = { emit, subscribe, createStreamForwarder };
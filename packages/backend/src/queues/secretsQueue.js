@@ -0,0 +1,20 @@
+const Queue = require('bull');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+
+const secretsQueue = new Queue('imagia:secrets', config.redisUrl, {
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: { type: 'exponential', delay: 30000 },
+    removeOnComplete: 20,
+    removeOnFail: 50,
+    timeout: 30 * 60 * 1000,
+  },
+});
+
+secretsQueue.on('error', (err) => logger.error('Secrets queue error', { error: err.message }));
+secretsQueue.on('failed', (job, err) => {
+  logger.error('Secrets job failed', { jobId: job.id, error: err.message });
+});
+
+module.exports = secretsQueue;
@@ -8,6 +8,7 @@ const logger = require('../../config/logger');
 
 const modelResearchCron = require('../../services/modelResearchCron');
 const usageAggregator = require('../../services/usageAggregator');
+const previewService = require('../../services/previewService');
 
 logger.info('Starting all workers...');
 
@@ -15,9 +16,12 @@ require('./buildWorker');
 require('./marketingWorker');
 require('./deployWorker');
 require('./socialWorker');
+require('./monitorWorker');
+require('./secretsWorker');
 
 // Start scheduled jobs
 usageAggregator.startScheduled();
 modelResearchCron.startScheduled();
+previewService.startScheduled();
 
 logger.info('All workers started (including cron jobs)');
@@ -11,8 +11,10 @@
 
 const buildQueue = require('../buildQueue');
 const { db } = require('../../config/database');
+const config = require('../../config/environment');
 const logger = require('../../config/logger');
 const appBuilderService = require('../../services/appBuilderService');
+const buildRunnerService = require('../../services/buildRunnerService');
 const progressEmitter = require('../progressEmitter');
 
 // ---------------------------------------------------------------------------
@@ -101,7 +103,26 @@ buildQueue.process(async (job) => {
       buildResult = await appBuilderService.iterateFromMessage(builderArgs);
     }
 
-    // 5. Build succeeded -- update project
+    // 5. Install, build and boot the result; feed failures back to the fixer
+    let verification = null;
+    if (config.buildVerificationEnabled) {
+      await db('projects').where({ id: projectId }).update({
+        current_build_stage: 'verifying',
+        updated_at: db.fn.now(),
+      });
+
+      verification = await verifyBuild(projectId, conversationId, {
+        projectId,
+        userId,
+        correlationId,
+        model: builderArgs.model,
+      });
+    }
+    const verificationFailed = verification && !verification.success;
+    // Skipped runs (no sandbox, no package.json) neither passed nor failed
+    const unverifiedReason = verification?.skipped ? verification.reason : null;
+
+    // 6. Build succeeded -- update project
     await db('projects').where({ id: projectId }).update({
       status: 'ready',
       build_progress: 100,
@@ -113,9 +134,10 @@ buildQueue.process(async (job) => {
     await progressEmitter.emit(projectId, {
       progress: 100,
       stage: 'complete',
-      message: isFirstBuild
-        ? 'Application built successfully!'
-        : 'Changes applied successfully!',
+      message: verificationFailed
+        ? 'Build finished, but the app still fails to build or start — see the chat for details'
+        : `${isFirstBuild ? 'Application built successfully!' : 'Changes applied successfully!'}${
+          unverifiedReason ? ` (unverified: ${unverifiedReason})` : ''}`,
     });
 
     logger.info('Build job completed', {
@@ -123,11 +145,17 @@ buildQueue.process(async (job) => {
       projectId,
       isFirstBuild,
       filesGenerated: buildResult?.filesWritten ?? null,
+      verified: verification ? verification.success && !verification.skipped : null,
     });
 
-    return { success: true, projectId, isFirstBuild };
+    return {
+      success: true,
+      projectId,
+      isFirstBuild,
+      verified: verification ? verification.success && !verification.skipped : null,
+    };
   } catch (error) {
-    // 6. Build failed
+    // 7. Build failed
     logger.error('Build job failed', {
       jobId,
       projectId,
@@ -180,6 +208,80 @@ buildQueue.process(async (job) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Build verification
+// ---------------------------------------------------------------------------
+
+/**
+ * Run buildRunnerService against the saved files, sending failures through
+ * appBuilderService.fixBuildErrors and re-verifying up to
+ * config.buildMaxFixAttempts times.
+ *
+ * Never throws: the generated code is already saved and versioned, so a
+ * failed verification is reported in the conversation rather than failing
+ * the build.
+ *
+ * @returns {Promise<Object|null>} Final verification result, or null if it could not run
+ */
+async function verifyBuild(projectId, conversationId, trackerOptions) {
+  const onProgress = (update) => progressEmitter.emit(projectId, update);
+
+  let verification;
+  try {
+    verification = await buildRunnerService.verify(projectId, { onProgress });
+
+    for (let attempt = 1; !verification.success && attempt <= config.buildMaxFixAttempts; attempt++) {
+      logger.info('Build verification failed, attempting fix', {
+        projectId,
+        attempt,
+        stage: verification.failedStage,
+        errorCount: verification.errors.length,
+      });
+
+      const fixResult = await appBuilderService.fixBuildErrors(projectId, verification.errors, trackerOptions);
+      if (fixResult.fixedCount === 0) break;
+
+      verification = await buildRunnerService.verify(projectId, { onProgress });
+    }
+  } catch (err) {
+    logger.warn('Build verification could not run', { projectId, error: err.message });
+    return null;
+  }
+
+  if (!verification.success) {
+    const errorList = verification.errors
+      .slice(0, 5)
+      .map((e) => `- ${e.file}${e.line ? `:${e.line}` : ''}: ${e.message.split('\n')[0]}`)
+      .join('\n');
+
+    try {
+      await db('messages').insert({
+        conversation_id: conversationId,
+        role: 'assistant',
+        content: `The code was saved, but \`${verification.failedStage}\` still fails after automatic fixes:\n\n${errorList}\n\nDescribe the problem or paste the error and I'll fix it.`,
+        metadata: JSON.stringify({
+          type: 'build_verification',
+          failedStage: verification.failedStage,
+          stages: verification.stages,
+          errors: verification.errors,
+          log: verification.log,
+        }),
+      });
+
+      await db('conversations')
+        .where({ id: conversationId })
+        .increment('message_count', 1);
+    } catch (msgError) {
+      logger.error('Failed to store verification message in conversation', {
+        projectId,
+        error: msgError.message,
+      });
+    }
+  }
+
+  return verification;
+}
+
 // ---------------------------------------------------------------------------
 // Queue event logging
 // ---------------------------------------------------------------------------
@@ -2,8 +2,17 @@
  * Deploy Worker
  *
  * Bull queue processor for deployment jobs. Creates a Railway project/service,
- * connects it to a GitHub repo (if available) or triggers a source deploy,
- * polls for completion, and updates the project + deployments table.
+ * connects it to a GitHub repo (if available and pushed to directly) or
+ * triggers a source deploy, polls for completion, and updates the project +
+ * deployments table.
+ *
+ * Jobs with a `previewId` deploy to that preview environment's own service
+ * instead of production, leaving the project's status and URL untouched.
+ * Jobs with `rollbackOf` (a deployment) or `promoteFrom` (a preview) deploy
+ * that deployment's version to production.
+ *
+ * With config.deployAutoFixEnabled, a failed Railway build or boot is fixed
+ * from its logs and redeployed; each attempt is kept in deployments.attempts.
  *
  * Can run as a standalone process:
  *   node packages/backend/src/queues/workers/deployWorker.js
@@ -11,15 +20,22 @@
 
 const deployQueue = require('../deployQueue');
 const { db } = require('../../config/database');
+const config = require('../../config/environment');
 const logger = require('../../config/logger');
 const railwayService = require('../../services/railwayService');
 const railwayCliService = require('../../services/railwayCliService');
 const githubService = require('../../services/githubService');
 const cloudflareService = require('../../services/cloudflareService');
 const progressEmitter = require('../progressEmitter');
-const { decrypt } = require('../../utils/encryption');
 const { generateDockerfile, generateDockerignore } = require('../../utils/dockerfileGenerator');
+const { parseDeployLogs } = require('../../utils/buildOutputParser');
 const costTracker = require('../../services/costTracker');
+const budgetService = require('../../services/budgetService');
+const visualDiffService = require('../../services/visualDiffService');
+const smokeTestService = require('../../services/smokeTestService');
+const appBuilderService = require('../../services/appBuilderService');
+const versionService = require('../../services/versionService');
+const secretService = require('../../services/secretService');
 const marketingQueue = require('../marketingQueue');
 
 // ---------------------------------------------------------------------------
@@ -27,47 +43,97 @@ const marketingQueue = require('../marketingQueue');
 // ---------------------------------------------------------------------------
 
 deployQueue.process(async (job) => {
-  const { projectId, userId } = job.data;
+  const { projectId, userId, rollbackOf, previewId, promoteFrom } = job.data;
   const jobId = job.id;
 
-  logger.info('Deploy job started', { jobId, projectId });
+  logger.info('Deploy job started', { jobId, projectId, previewId });
 
   const project = await db('projects').where({ id: projectId }).first();
   if (!project) {
     throw new Error(`Project ${projectId} not found`);
   }
 
-  // Create a deployment record
-  const [deployment] = await db('deployments')
-    .insert({
-      project_id: projectId,
-      status: 'pending',
-    })
-    .returning('*');
+  const preview = previewId
+    ? await db('preview_environments').where({ id: previewId, project_id: projectId }).first()
+    : null;
+  if (previewId && (!preview || preview.status === 'deleted')) {
+    throw new Error(`Preview environment ${previewId} not found`);
+  }
+  const target = preview ? 'preview' : 'deployment';
+
+  await enforceBudget(job, project);
+
+  // Create a deployment record for the current version
+  const latestVersion = await db('project_versions')
+    .where({ project_id: projectId })
+    .orderBy('version_number', 'desc')
+    .first('id');
+
+  // A retry carries on with the first attempt's deployment record
+  let deployment = job.data.deploymentId
+    ? await db('deployments').where({ id: job.data.deploymentId, project_id: projectId }).first()
+    : null;
+  if (!deployment) {
+    [deployment] = await db('deployments')
+      .insert({
+        project_id: projectId,
+        version_id: latestVersion?.id || null,
+        rollback_of_deployment_id: rollbackOf || null,
+        environment: preview ? 'preview' : 'production',
+        preview_id: preview?.id || null,
+        promoted_from_preview_id: promoteFrom || null,
+        status: 'pending',
+      })
+      .returning('*');
+    await job.update({ ...job.data, deploymentId: deployment.id });
+  }
 
   const deploymentId = deployment.id;
+  let versionId = deployment.version_id;
 
   try {
     // ---- Stage 1: Initialize (0-10%) ----
-    await emitProgress(projectId, 5, 'deploying', 'Preparing deployment...');
-    await db('projects').where({ id: projectId }).update({
-      status: 'deploying',
-      build_progress: 5,
-      current_build_stage: 'deploying',
-      updated_at: db.fn.now(),
-    });
+    await emitProgress(projectId, 5, 'deploying', `Preparing ${target}...`);
+    if (preview) {
+      await db('preview_environments').where({ id: preview.id }).update({
+        status: 'deploying',
+        error_message: null,
+        updated_at: db.fn.now(),
+      });
+    } else {
+      await db('projects').where({ id: projectId }).update({
+        status: 'deploying',
+        build_progress: 5,
+        current_build_stage: 'deploying',
+        updated_at: db.fn.now(),
+      });
+    }
 
     await db('deployments').where({ id: deploymentId }).update({
       status: 'building',
+      error_message: null,
       deployment_started_at: db.fn.now(),
       updated_at: db.fn.now(),
     });
 
+    // Rollback or promotion: put that version's files back before deploying
+    // them. An earlier attempt that already restored them left the restored
+    // version on the deployment record, which is deployed as is.
+    const sourceVersionId = await getSourceVersionId(projectId, { rollbackOf, promoteFrom });
+    if (sourceVersionId && sourceVersionId !== versionId && job.data.restoredFrom !== sourceVersionId) {
+      versionId = await restoreVersionForDeploy(projectId, sourceVersionId);
+      await db('deployments').where({ id: deploymentId }).update({
+        version_id: versionId,
+        updated_at: db.fn.now(),
+      });
+      await job.update({ ...job.data, restoredFrom: sourceVersionId });
+    }
+
     // ---- Stage 2: Create Railway project (10-25%) ----
     await emitProgress(projectId, 15, 'deploying', 'Creating Railway project...');
 
     let railwayProjectId = project.railway_project_id;
-    let railwayServiceId = project.railway_service_id;
+    let railwayServiceId = preview ? preview.railway_service_id : project.railway_service_id;
     let environmentId;
 
     if (!railwayProjectId) {
@@ -84,14 +150,25 @@ deployQueue.process(async (job) => {
     await emitProgress(projectId, 30, 'deploying', 'Configuring service...');
 
     if (!railwayServiceId) {
-      const service = await railwayService.createService(railwayProjectId, project.name);
+      const service = await railwayService.createService(
+        railwayProjectId,
+        preview ? preview.service_name : project.name
+      );
       railwayServiceId = service.id;
       environmentId = service.environmentId;
 
-      await db('projects').where({ id: projectId }).update({
-        railway_service_id: railwayServiceId,
-        updated_at: db.fn.now(),
-      });
+      if (preview) {
+        await db('preview_environments').where({ id: preview.id }).update({
+          railway_service_id: railwayServiceId,
+          railway_environment_id: environmentId,
+          updated_at: db.fn.now(),
+        });
+      } else {
+        await db('projects').where({ id: projectId }).update({
+          railway_service_id: railwayServiceId,
+          updated_at: db.fn.now(),
+        });
+      }
     } else {
       // Fetch environmentId from existing project
       environmentId = await railwayService.getEnvironmentId(railwayProjectId);
@@ -106,16 +183,9 @@ deployQueue.process(async (job) => {
 
     // Set environment variables from project secrets
     await emitProgress(projectId, 35, 'deploying', 'Setting environment variables...');
-    const secrets = await db('project_secrets').where({ project_id: projectId });
-    if (secrets.length > 0 && environmentId) {
-      const envVars = {};
-      for (const secret of secrets) {
-        try {
-          envVars[secret.key] = decrypt(secret.encrypted_value);
-        } catch (e) {
-          logger.warn('Failed to decrypt secret for deployment', { key: secret.key });
-        }
-      }
+    if (environmentId) {
+      // Each read is recorded in the secrets audit log
+      const envVars = await secretService.readForDeploy(projectId, { deploymentId, actorId: userId });
       if (Object.keys(envVars).length > 0) {
         await railwayService.setEnvironmentVariables(
           railwayProjectId,
@@ -162,51 +232,68 @@ deployQueue.process(async (job) => {
 
     const isFirstDeploy = !project.deployment_url;
 
-    if (githubConnection) {
-      // ---- GitHub Deploy Path ----
-      // Push latest code to GitHub first (ensures Railway deploys current code)
-      await emitProgress(projectId, 45, 'deploying', 'Pushing latest code to GitHub...');
-      try {
-        await githubService.pushToGitHub(userId, projectId, 'Deploy from Imagia');
-        logger.info('Pushed latest code to GitHub before deploy', {
-          projectId,
-          repo: githubConnection.repo_full_name,
-        });
-      } catch (pushError) {
-        logger.error('Failed to push to GitHub before deploy', {
-          projectId,
-          error: pushError.message,
-        });
-        throw new Error(`Failed to push code to GitHub: ${pushError.message}`);
-      }
+    // The Railway deployment this one replaces; its status is not this
+    // deploy's result
+    const previousDeployment = await db('deployments')
+      .where(preview ? { preview_id: preview.id } : { project_id: projectId, environment: 'production' })
+      .whereNot({ id: deploymentId })
+      .whereNotNull('railway_deployment_id')
+      .orderBy('created_at', 'desc')
+      .first('railway_deployment_id');
+
+    // Uploads the current project files; self-healing retries call it again
+    const deployCode = async (isRetry = false) => {
+      // Previews are always uploaded directly: pushing would put unpromoted
+      // changes on the branch production deploys from. So are projects that
+      // push through pull requests, whose commits never reach that branch.
+      if (githubConnection && !preview && githubConnection.push_mode !== 'pull_request') {
+        // ---- GitHub Deploy Path ----
+        // Push latest code to GitHub first (ensures Railway deploys current code)
+        await emitProgress(projectId, 45, 'deploying', 'Pushing latest code to GitHub...');
+        try {
+          await githubService.pushToGitHub(userId, projectId, 'Deploy from Imagia');
+          logger.info('Pushed latest code to GitHub before deploy', {
+            projectId,
+            repo: githubConnection.repo_full_name,
+          });
+        } catch (pushError) {
+          logger.error('Failed to push to GitHub before deploy', {
+            projectId,
+            error: pushError.message,
+          });
+          throw new Error(`Failed to push code to GitHub: ${pushError.message}`);
+        }
 
-      if (isFirstDeploy) {
-        // First deploy: connect Railway to the GitHub repo
-        await emitProgress(projectId, 50, 'deploying', 'Connecting Railway to GitHub...');
-        await railwayService.connectGitHubRepo(
+        if (isFirstDeploy && !isRetry) {
+          // First deploy: connect Railway to the GitHub repo
+          await emitProgress(projectId, 50, 'deploying', 'Connecting Railway to GitHub...');
+          await railwayService.connectGitHubRepo(
+            railwayProjectId,
+            railwayServiceId,
+            githubConnection.repo_full_name,
+            githubConnection.default_branch
+          );
+        } else {
+          // Redeploy: push already triggered Railway auto-redeploy
+          await emitProgress(projectId, 50, 'deploying', 'GitHub push triggered Railway rebuild...');
+        }
+      } else {
+        // ---- Direct Railway CLI Deploy Path ----
+        await emitProgress(projectId, 45, 'deploying', 'Uploading source to Railway...');
+        await railwayCliService.deploy({
+          projectId,
           railwayProjectId,
           railwayServiceId,
-          githubConnection.repo_full_name,
-          githubConnection.default_branch
-        );
-      } else {
-        // Redeploy: push already triggered Railway auto-redeploy
-        await emitProgress(projectId, 50, 'deploying', 'GitHub push triggered Railway rebuild...');
+          environmentId,
+          serviceName: preview ? preview.service_name : project.name,
+          appType: project.app_type,
+          onProgress: (msg) => emitProgress(projectId, 55, 'deploying', msg),
+        });
+        logger.info('Railway CLI deploy completed', { projectId });
       }
-    } else {
-      // ---- Direct Railway CLI Deploy Path ----
-      await emitProgress(projectId, 45, 'deploying', 'Uploading source to Railway...');
-      await railwayCliService.deploy({
-        projectId,
-        railwayProjectId,
-        railwayServiceId,
-        environmentId,
-        serviceName: project.name,
-        appType: project.app_type,
-        onProgress: (msg) => emitProgress(projectId, 55, 'deploying', msg),
-      });
-      logger.info('Railway CLI deploy completed', { projectId });
-    }
+    };
+
+    await deployCode();
 
     await db('deployments').where({ id: deploymentId }).update({
       status: 'deploying',
@@ -216,73 +303,125 @@ deployQueue.process(async (job) => {
     // ---- Stage 5: Generate domain + assign subdomain (60-65%) ----
     await emitProgress(projectId, 60, 'deploying', 'Setting up domain...');
 
-    let deploymentUrl = project.deployment_url;
-    let railwayUrl = deploymentUrl;
-    if (!railwayUrl && environmentId) {
-      railwayUrl = await railwayService.generateDomain(railwayServiceId, environmentId);
-    }
+    let deploymentUrl;
+    if (preview) {
+      deploymentUrl = await assignPreviewDomain(preview, railwayServiceId, environmentId);
+    } else {
+      deploymentUrl = project.deployment_url;
+      let railwayUrl = deploymentUrl;
+      if (!railwayUrl && environmentId) {
+        railwayUrl = await railwayService.generateDomain(railwayServiceId, environmentId);
+      }
+
+      // Auto-assign an imagia.net subdomain via Cloudflare KV
+      try {
+        const existingDomain = await db('project_domains')
+          .where({ project_id: projectId, domain_type: 'subdomain' })
+          .first();
 
-    // Auto-assign an imagia.net subdomain via Cloudflare KV
-    try {
-      const existingDomain = await db('project_domains')
-        .where({ project_id: projectId, domain_type: 'subdomain' })
-        .first();
-
-      if (existingDomain) {
-        // Reuse existing subdomain, update target if Railway URL changed
-        if (railwayUrl && existingDomain.target_url !== railwayUrl) {
-          await cloudflareService.putKvEntry(existingDomain.subdomain_slug, railwayUrl);
-          await db('project_domains').where({ id: existingDomain.id }).update({
+        if (existingDomain) {
+          // Reuse existing subdomain, update target if Railway URL changed
+          if (railwayUrl && existingDomain.target_url !== railwayUrl) {
+            await cloudflareService.putKvEntry(existingDomain.subdomain_slug, railwayUrl);
+            await db('project_domains').where({ id: existingDomain.id }).update({
+              target_url: railwayUrl,
+              updated_at: db.fn.now(),
+            });
+          } else if ((rollbackOf || promoteFrom) && existingDomain.target_url) {
+            // Rewrite the entry so it points at the service just redeployed
+            await cloudflareService.putKvEntry(existingDomain.subdomain_slug, existingDomain.target_url);
+          }
+          deploymentUrl = `https://${existingDomain.domain}`;
+        } else if (railwayUrl) {
+          // Generate slug from project name
+          const slug = slugify(project.name);
+          const uniqueSlug = await ensureUniqueSlug(slug);
+          const domain = `${uniqueSlug}.imagia.net`;
+
+          await cloudflareService.putKvEntry(uniqueSlug, railwayUrl);
+
+          await db('project_domains').insert({
+            project_id: projectId,
+            domain_type: 'subdomain',
+            domain,
+            subdomain_slug: uniqueSlug,
             target_url: railwayUrl,
-            updated_at: db.fn.now(),
+            ssl_status: 'active', // Cloudflare wildcard covers *.imagia.net
+            is_primary: true,
+            verified_at: db.fn.now(),
           });
+
+          deploymentUrl = `https://${domain}`;
+          logger.info('Subdomain assigned', { projectId, domain, railwayUrl });
         }
-        deploymentUrl = `https://${existingDomain.domain}`;
-      } else if (railwayUrl) {
-        // Generate slug from project name
-        const slug = slugify(project.name);
-        const uniqueSlug = await ensureUniqueSlug(slug);
-        const domain = `${uniqueSlug}.imagia.net`;
+      } catch (subdomainError) {
+        logger.error('Failed to assign subdomain, falling back to Railway URL', {
+          projectId,
+          error: subdomainError.message,
+        });
+        deploymentUrl = railwayUrl || deploymentUrl;
+      }
+    }
 
-        await cloudflareService.putKvEntry(uniqueSlug, railwayUrl);
+    // ---- Stage 6: Wait for deployment (65-90%) ----
+    // With self-healing on, a failed build or boot is fixed from its logs
+    // and redeployed, up to config.deployMaxFixAttempts times
+    const attempts = [];
+    let finalStatus;
+    for (let attempt = 1; ; attempt++) {
+      await emitProgress(projectId, 70, 'deploying', attempt === 1
+        ? 'Waiting for deployment to complete...'
+        : `Waiting for deployment (attempt ${attempt})...`);
+
+      finalStatus = await railwayService.waitForDeployment(
+        railwayProjectId,
+        railwayServiceId,
+        600000, // 10 min timeout
+        10000,  // check every 10s
+        (status) => {
+          // Progressive updates
+          const currentPct = Math.min(90, 70 + Math.floor(Math.random() * 10));
+          emitProgress(projectId, currentPct, 'deploying', `Deployment status: ${status.status}`);
+          if (status.url) deploymentUrl = status.url;
+        },
+        // Until the new deployment registers, the latest one is the failed
+        // attempt or the deployment this one replaces
+        {
+          ignoreDeploymentId: attempts.length > 0
+            ? attempts[attempts.length - 1].railway_deployment_id
+            : previousDeployment?.railway_deployment_id,
+        }
+      );
 
-        await db('project_domains').insert({
-          project_id: projectId,
-          domain_type: 'subdomain',
-          domain,
-          subdomain_slug: uniqueSlug,
-          target_url: railwayUrl,
-          ssl_status: 'active', // Cloudflare wildcard covers *.imagia.net
-          is_primary: true,
-          verified_at: db.fn.now(),
-        });
+      const failed = finalStatus.status === 'FAILED' || finalStatus.status === 'CRASHED';
+      if (!failed || !config.deployAutoFixEnabled || attempt > config.deployMaxFixAttempts) break;
 
-        deploymentUrl = `https://${domain}`;
-        logger.info('Subdomain assigned', { projectId, domain, railwayUrl });
-      }
-    } catch (subdomainError) {
-      logger.error('Failed to assign subdomain, falling back to Railway URL', {
-        projectId,
-        error: subdomainError.message,
+      const record = await fixFailedDeploy({ jobId, project, attempt, railwayDeploymentId: finalStatus.deploymentId });
+      attempts.push(record);
+      await db('deployments').where({ id: deploymentId }).update({
+        attempts: JSON.stringify(attempts),
+        ...(record.version_id && { version_id: record.version_id }),
+        updated_at: db.fn.now(),
       });
-      deploymentUrl = railwayUrl || deploymentUrl;
+      if (!record.fixed_count) break;
+
+      if (record.version_id) versionId = record.version_id;
+      await emitProgress(projectId, 60, 'deploying',
+        `Fixed ${record.fixed_count} file(s), redeploying (attempt ${attempt + 1} of ${config.deployMaxFixAttempts + 1})...`);
+      await deployCode(true);
     }
 
-    // ---- Stage 6: Wait for deployment (65-90%) ----
-    await emitProgress(projectId, 70, 'deploying', 'Waiting for deployment to complete...');
-
-    const finalStatus = await railwayService.waitForDeployment(
-      railwayProjectId,
-      railwayServiceId,
-      600000, // 10 min timeout
-      10000,  // check every 10s
-      (status) => {
-        // Progressive updates
-        const currentPct = Math.min(90, 70 + Math.floor(Math.random() * 10));
-        emitProgress(projectId, currentPct, 'deploying', `Deployment status: ${status.status}`);
-        if (status.url) deploymentUrl = status.url;
-      }
-    );
+    if (attempts.length > 0) {
+      attempts.push({
+        attempt: attempts.length + 1,
+        status: finalStatus.status.toLowerCase(),
+        railway_deployment_id: finalStatus.deploymentId || null,
+      });
+      await db('deployments').where({ id: deploymentId }).update({
+        attempts: JSON.stringify(attempts),
+        updated_at: db.fn.now(),
+      });
+    }
 
     if (finalStatus.status === 'FAILED' || finalStatus.status === 'CRASHED') {
       throw new Error(`Deployment failed with status: ${finalStatus.status}`);
@@ -307,26 +446,62 @@ deployQueue.process(async (job) => {
       updated_at: db.fn.now(),
     });
 
-    await db('projects').where({ id: projectId }).update({
-      status: 'deployed',
-      deployment_url: deploymentUrl,
-      deployed_at: db.fn.now(),
-      build_progress: 100,
-      current_build_stage: 'deployed',
-      error_message: null,
-      updated_at: db.fn.now(),
-    });
+    if (preview) {
+      await db('preview_environments').where({ id: preview.id }).update({
+        status: 'active',
+        url: deploymentUrl,
+        version_id: versionId,
+        last_deployment_id: deploymentId,
+        last_deployed_at: db.fn.now(),
+        compute_tracked_at: db.fn.now(),
+        error_message: null,
+        updated_at: db.fn.now(),
+      });
+    } else {
+      await db('projects').where({ id: projectId }).update({
+        status: 'deployed',
+        deployment_url: deploymentUrl,
+        deployed_at: db.fn.now(),
+        build_progress: 100,
+        current_build_stage: 'deployed',
+        error_message: null,
+        updated_at: db.fn.now(),
+      });
+    }
+
+    if (promoteFrom) {
+      await db('preview_environments').where({ id: promoteFrom }).update({
+        promoted_at: db.fn.now(),
+        updated_at: db.fn.now(),
+      });
+    }
 
     // Track deployment cost
     await costTracker.trackDeploymentCost(projectId, deploymentId, {
       buildMinutes: Math.round((Date.now() - deployment.created_at) / 60000) || 2,
-      type: 'deploy',
+      type: preview ? 'preview' : 'deploy',
     });
 
-    await emitProgress(projectId, 100, 'deployed', 'Deployment successful!');
+    await emitProgress(projectId, 100, 'deployed', preview ? 'Preview ready!' : 'Deployment successful!');
+
+    // Check the live app actually works, and fix what it finds
+    if (config.smokeTestEnabled && deploymentUrl) {
+      await runSmokeTest({ jobId, project, deploymentId, url: deploymentUrl, target });
+    }
+
+    // Screenshots and marketing assets follow production only
+    if (!preview) {
+      // Screenshot the new version and compare it with the last one captured
+      await visualDiffService.captureDeployment({
+        projectId,
+        deploymentId,
+        versionId,
+        url: deploymentUrl,
+      });
+    }
 
     // Queue marketing asset generation
-    if (deploymentUrl) {
+    if (deploymentUrl && !preview) {
       await marketingQueue.add({
         projectId,
         deploymentUrl,
@@ -352,7 +527,7 @@ deployQueue.process(async (job) => {
 
     // Clean up stale KV entry if this was a first deploy that failed after
     // Stage 5 wrote the subdomain mapping
-    if (!project.deployment_url) {
+    if (!preview && !project.deployment_url) {
       try {
         const staleDomain = await db('project_domains')
           .where({ project_id: projectId, domain_type: 'subdomain' })
@@ -380,11 +555,19 @@ deployQueue.process(async (job) => {
       updated_at: db.fn.now(),
     });
 
-    await db('projects').where({ id: projectId }).update({
-      status: 'failed',
-      error_message: `Deployment failed: ${error.message}`,
-      updated_at: db.fn.now(),
-    });
+    if (preview) {
+      await db('preview_environments').where({ id: preview.id }).update({
+        status: 'failed',
+        error_message: error.message,
+        updated_at: db.fn.now(),
+      });
+    } else {
+      await db('projects').where({ id: projectId }).update({
+        status: 'failed',
+        error_message: `Deployment failed: ${error.message}`,
+        updated_at: db.fn.now(),
+      });
+    }
 
     await emitProgress(projectId, -1, 'error', error.message || 'Deployment failed');
 
@@ -396,6 +579,239 @@ deployQueue.process(async (job) => {
 // Helpers
 // ---------------------------------------------------------------------------
 
+/**
+ * The version a rollback (an earlier deployment) or promotion (a preview)
+ * ships, or null for a regular deploy.
+ */
+async function getSourceVersionId(projectId, { rollbackOf, promoteFrom }) {
+  if (!rollbackOf && !promoteFrom) return null;
+
+  const source = rollbackOf
+    ? await db('deployments').where({ id: rollbackOf, project_id: projectId }).first('version_id')
+    : await db('preview_environments').where({ id: promoteFrom, project_id: projectId }).first('version_id');
+
+  if (!source || !source.version_id) {
+    throw new Error(rollbackOf
+      ? 'The deployment to roll back to has no recorded file snapshot'
+      : 'The preview to promote has no recorded file snapshot');
+  }
+  return source.version_id;
+}
+
+/**
+ * Restore project files to a version before deploying it. The restore is
+ * saved as a new version with the same snapshot.
+ *
+ * @returns {Promise<string>} id of the new project_versions row
+ */
+async function restoreVersionForDeploy(projectId, versionId) {
+  const source = await db('project_versions')
+    .where({ id: versionId, project_id: projectId })
+    .first('version_number');
+  if (!source) {
+    throw new Error(`Version ${versionId} not found`);
+  }
+
+  await emitProgress(projectId, 8, 'deploying', `Restoring files from version ${source.version_number}...`);
+  const restored = await versionService.restoreVersion(projectId, source.version_number);
+
+  logger.info('Restored version for deploy', {
+    projectId,
+    restoredFrom: source.version_number,
+    newVersion: restored.version.version_number,
+  });
+
+  return restored.version.id;
+}
+
+/**
+ * Point the preview's KV entry at its Railway domain and record both on
+ * the preview row. Falls back to the Railway URL if KV is unavailable.
+ *
+ * @returns {Promise<string|null>} URL the preview is served at
+ */
+async function assignPreviewDomain(preview, railwayServiceId, environmentId) {
+  let targetUrl = preview.target_url;
+  if (!targetUrl && environmentId) {
+    targetUrl = await railwayService.generateDomain(railwayServiceId, environmentId);
+  }
+  if (!targetUrl) return null;
+
+  let url = targetUrl;
+  try {
+    await cloudflareService.putKvEntry(preview.subdomain_slug, targetUrl);
+    url = `https://${preview.subdomain_slug}.imagia.net`;
+  } catch (err) {
+    logger.error('Failed to assign preview subdomain, falling back to Railway URL', {
+      previewId: preview.id,
+      error: err.message,
+    });
+  }
+
+  await db('preview_environments').where({ id: preview.id }).update({
+    target_url: targetUrl,
+    url,
+    updated_at: db.fn.now(),
+  });
+
+  return url;
+}
+
+/**
+ * Self-healing step for a failed Railway deployment: parse its build and
+ * boot logs into errors and send them through the auto-fix pipeline, which
+ * saves the fixes as a new project version. Never throws; a record with
+ * `fixed_count` 0 ends the retries.
+ *
+ * @returns {Promise<Object>} Attempt record for deployments.attempts
+ */
+async function fixFailedDeploy({ jobId, project, attempt, railwayDeploymentId }) {
+  const projectId = project.id;
+  const record = {
+    attempt,
+    status: 'failed',
+    railway_deployment_id: railwayDeploymentId || null,
+    errors: [],
+    fixed_count: 0,
+    fix_summary: null,
+  };
+
+  try {
+    const [buildLogs, bootLogs] = railwayDeploymentId
+      ? await Promise.all([
+        railwayService.getBuildLogs(railwayDeploymentId, { limit: 500 }),
+        railwayService.getDeploymentLogs(railwayDeploymentId, { limit: 500 }),
+      ])
+      : [[], []];
+    const output = [...buildLogs, ...bootLogs].map((l) => l.message).join('\n');
+
+    const files = await db('project_files').where({ project_id: projectId }).pluck('file_path');
+    const errors = parseDeployLogs(output, { knownFiles: files });
+    record.errors = errors.map(({ file, line, message, kind }) => ({ file, line, message, kind }));
+
+    await emitProgress(projectId, 62, 'deploying',
+      `Attempt ${attempt} failed: found ${errors.length} problem(s) in the logs, fixing...`);
+    logger.info('Self-healing failed deployment', { projectId, attempt, errorCount: errors.length });
+
+    const fixResult = await appBuilderService.fixBuildErrors(projectId, errors, {
+      projectId,
+      userId: project.user_id,
+      correlationId: `deploy-${jobId}`,
+    });
+    record.fixed_count = fixResult.fixedCount;
+    record.fix_summary = fixResult.summary || null;
+
+    if (fixResult.fixedCount > 0) {
+      const version = await db('project_versions')
+        .where({ project_id: projectId })
+        .orderBy('version_number', 'desc')
+        .first('id', 'version_number');
+      record.version_id = version?.id || null;
+      record.version_number = version?.version_number || null;
+    }
+  } catch (err) {
+    logger.error('Self-healing fix failed', { projectId, attempt, error: err.message });
+    record.fix_error = err.message;
+  }
+
+  return record;
+}
+
+/**
+ * Crawl the live deployment, store the report on its deployments row and,
+ * when it finds problems, send them through the auto-fix pipeline and tell
+ * the user in the project's conversation. Never throws: the deployment
+ * itself succeeded.
+ */
+async function runSmokeTest({ jobId, project, deploymentId, url, target }) {
+  const projectId = project.id;
+
+  try {
+    const report = await smokeTestService.run(url);
+
+    await db('deployments').where({ id: deploymentId }).update({
+      smoke_test_status: report.status,
+      smoke_test_report: JSON.stringify(report),
+      smoke_tested_at: db.fn.now(),
+      updated_at: db.fn.now(),
+    });
+
+    if (report.status !== 'failed') return;
+
+    let fixResult = null;
+    if (config.smokeTestAutoFix) {
+      const files = await db('project_files').where({ project_id: projectId }).select('file_path as path');
+      const errors = smokeTestService.toFixableErrors(report, files);
+
+      try {
+        fixResult = await appBuilderService.fixBuildErrors(projectId, errors, {
+          projectId,
+          userId: project.user_id,
+          correlationId: `deploy-${jobId}`,
+        });
+      } catch (fixError) {
+        logger.error('Smoke test auto-fix failed', { projectId, error: fixError.message });
+      }
+    }
+
+    await storeSmokeTestMessage(projectId, report, fixResult, target);
+  } catch (err) {
+    logger.error('Smoke test step failed', { projectId, deploymentId, error: err.message });
+  }
+}
+
+async function storeSmokeTestMessage(projectId, report, fixResult, target = 'deployment') {
+  const conversation = await db('conversations')
+    .where({ project_id: projectId })
+    .orderBy('updated_at', 'desc')
+    .first('id');
+  if (!conversation) return;
+
+  const problems = report.failures
+    .slice(0, 5)
+    .map((f) => `- \`${f.route}\` ${f.kind}: ${f.message.split('\n')[0]}`)
+    .join('\n');
+  const more = report.failures.length > 5 ? `\n- ...and ${report.failures.length - 5} more` : '';
+  const next = fixResult && fixResult.fixedCount > 0
+    ? `I fixed ${fixResult.fixedCount} file(s)${fixResult.summary ? ` (${fixResult.summary})` : ''}. Deploy again to apply the fixes.`
+    : 'Describe what you expected to happen and I\'ll fix it.';
+
+  await db('messages').insert({
+    conversation_id: conversation.id,
+    role: 'assistant',
+    content: `The ${target} is live, but the smoke test found ${report.failures.length} problem(s):\n\n${problems}${more}\n\n${next}`,
+    metadata: JSON.stringify({
+      type: 'smoke_test',
+      summary: report.summary,
+      failures: report.failures,
+      fixedCount: fixResult ? fixResult.fixedCount : 0,
+    }),
+  });
+
+  await db('conversations')
+    .where({ id: conversation.id })
+    .increment('message_count', 1);
+}
+
+/**
+ * Hard stop: fail the job without retries when the project's or user's
+ * spending budget is exhausted. A failed budget lookup does not block it.
+ */
+async function enforceBudget(job, project) {
+  try {
+    await budgetService.assertWithinBudget({ userId: project.user_id, projectId: project.id });
+  } catch (err) {
+    if (err.code !== 'BUDGET_EXCEEDED') {
+      logger.error('Budget check failed, continuing', { projectId: project.id, error: err.message });
+      return;
+    }
+    logger.warn('Deploy job blocked by budget', { jobId: job.id, projectId: project.id, error: err.message });
+    await emitProgress(project.id, -1, 'error', `Deployment blocked: ${err.message}`);
+    await job.discard();
+    throw err;
+  }
+}
+
 async function emitProgress(projectId, progress, stage, message) {
   await progressEmitter.emit(projectId, { progress, stage, message });
 }
@@ -18,6 +18,7 @@ const videoService = require('../../services/videoService');
 const llmRouter = require('../../services/llmRouter');
 const promptTracker = require('../../services/promptTracker');
 const costTracker = require('../../services/costTracker');
+const budgetService = require('../../services/budgetService');
 const {
   buildLandingPagePrompt,
   buildSocialPostsPrompt,
@@ -46,6 +47,8 @@ marketingQueue.process(async (job) => {
     throw new Error('No deployment URL available. Deploy the project first.');
   }
 
+  await enforceBudget(job, project);
+
   // Determine which assets to generate
   const types = assetTypes || [
     'screenshot',
@@ -96,6 +99,9 @@ marketingQueue.process(async (job) => {
           results.push(...(Array.isArray(result) ? result : [result]));
         }
       } catch (err) {
+        // Remaining assets would hit the same limit
+        if (err.code === 'BUDGET_EXCEEDED') throw err;
+
         logger.error('Failed to generate marketing asset', {
           projectId,
           assetType,
@@ -131,6 +137,8 @@ marketingQueue.process(async (job) => {
     });
 
     await emitProgress(projectId, -1, 'error', `Marketing generation failed: ${error.message}`);
+    // Retrying cannot succeed until the budget resets or is raised
+    if (error.code === 'BUDGET_EXCEEDED') await job.discard();
     throw error;
   }
 });
@@ -236,6 +244,8 @@ async function generateLandingPage(project) {
     prompt: prompt.prompt,
     systemMessage: prompt.systemMessage,
     callFn: () => llmRouter.route('landing-page', {
+      userId: project.user_id,
+      projectId: project.id,
       systemMessage: prompt.systemMessage,
       prompt: prompt.prompt,
       maxTokens: 8000,
@@ -275,6 +285,8 @@ async function generateSocialPosts(project) {
         prompt: prompt.prompt,
         systemMessage: prompt.systemMessage,
         callFn: () => llmRouter.route('social-copy', {
+          userId: project.user_id,
+          projectId: project.id,
           systemMessage: prompt.systemMessage,
           prompt: prompt.prompt,
           responseFormat: 'json',
@@ -324,6 +336,8 @@ async function generateAdCopy(project) {
         prompt: prompt.prompt,
         systemMessage: prompt.systemMessage,
         callFn: () => llmRouter.route('ad-copy', {
+          userId: project.user_id,
+          projectId: project.id,
           systemMessage: prompt.systemMessage,
           prompt: prompt.prompt,
           responseFormat: 'json',
@@ -373,6 +387,8 @@ async function generateEmailTemplates(project) {
         prompt: prompt.prompt,
         systemMessage: prompt.systemMessage,
         callFn: () => llmRouter.route('email-template', {
+          userId: project.user_id,
+          projectId: project.id,
           systemMessage: prompt.systemMessage,
           prompt: prompt.prompt,
           responseFormat: 'json',
@@ -407,6 +423,25 @@ async function generateEmailTemplates(project) {
 // Helpers
 // ---------------------------------------------------------------------------
 
+/**
+ * Hard stop: fail the job without retries when the project's or user's
+ * spending budget is exhausted. A failed budget lookup does not block it.
+ */
+async function enforceBudget(job, project) {
+  try {
+    await budgetService.assertWithinBudget({ userId: project.user_id, projectId: project.id });
+  } catch (err) {
+    if (err.code !== 'BUDGET_EXCEEDED') {
+      logger.error('Budget check failed, continuing', { projectId: project.id, error: err.message });
+      return;
+    }
+    logger.warn('Marketing job blocked by budget', { jobId: job.id, projectId: project.id, error: err.message });
+    await emitProgress(project.id, -1, 'error', err.message);
+    await job.discard();
+    throw err;
+  }
+}
+
 async function emitProgress(projectId, progress, stage, message) {
   await progressEmitter.emit(projectId, { progress, stage, message });
 }
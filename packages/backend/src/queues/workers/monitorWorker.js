@@ -0,0 +1,64 @@
+/**
+ * Monitor Worker
+ *
+ * Bull queue processor for uptime monitoring. A repeat job pings every
+ * deployed app's health URL through uptimeService.
+ *
+ * Can run as a standalone process:
+ *   node packages/backend/src/queues/workers/monitorWorker.js
+ */
+
+const monitorQueue = require('../monitorQueue');
+const config = require('../../config/environment');
+const logger = require('../../config/logger');
+const uptimeService = require('../../services/uptimeService');
+
+// ---------- Job processors -----------------------------------------------------
+
+monitorQueue.process('check-uptime', 1, async () => {
+  return uptimeService.checkAll();
+});
+
+// ---------- Recurring scheduler ------------------------------------------------
+
+if (config.uptimeMonitoringEnabled) {
+  monitorQueue.add('check-uptime', {}, {
+    repeat: { every: config.uptimeCheckIntervalMs },
+    jobId: 'uptime-checker',
+    removeOnComplete: true,
+    removeOnFail: true,
+  });
+} else {
+  logger.info('Uptime monitoring disabled (UPTIME_MONITORING_ENABLED=false)');
+}
+
+// ---------- Event handlers -----------------------------------------------------
+
+monitorQueue.on('ready', () => {
+  logger.info('Monitor worker connected and ready');
+});
+
+monitorQueue.on('stalled', (jobId) => {
+  logger.warn('Monitor job stalled', { jobId });
+});
+
+// ---------- Graceful shutdown --------------------------------------------------
+
+async function gracefulShutdown(signal) {
+  logger.info(`Monitor worker received ${signal}, shutting down...`);
+  try {
+    await monitorQueue.close(5000);
+  } catch (err) {
+    logger.error('Monitor worker shutdown error', { error: err.message });
+  }
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+if (require.main === module) {
+  logger.info('Monitor worker starting in standalone mode...');
+}
+
+module.exports = monitorQueue;
@@ -0,0 +1,76 @@
+/**
+ * Secrets Worker
+ *
+ * Bull queue processor for encryption key rotation. On start it queues a
+ * job that re-encrypts every stored secret and social token still on a
+ * retired key (see SECRETS_ENCRYPTION_KEY_VERSION), so bumping the key
+ * version and restarting the workers completes a rotation.
+ *
+ * Can run as a standalone process:
+ *   node packages/backend/src/queues/workers/secretsWorker.js
+ */
+
+const secretsQueue = require('../secretsQueue');
+const logger = require('../../config/logger');
+const secretService = require('../../services/secretService');
+const { currentKeyVersion } = require('../../utils/encryption');
+
+// ---------- Job processors -----------------------------------------------------
+
+secretsQueue.process('reencrypt', 1, async () => {
+  const result = await secretService.reencryptAll();
+  // Fail the job so Bull retries it, and the next start retries it again
+  if (result.failed > 0) {
+    throw new Error(`${result.failed} value(s) could not be re-encrypted to key v${result.keyVersion}`);
+  }
+  return result;
+});
+
+// ---------- Startup job --------------------------------------------------------
+
+// One job per key version, so restarts don't queue the same work again;
+// a job that failed for this version is retried instead
+async function queueReencryption() {
+  const jobId = `reencrypt-v${currentKeyVersion()}`;
+  const existing = await secretsQueue.getJob(jobId);
+  if (existing && await existing.isFailed()) {
+    await existing.retry();
+  } else if (!existing) {
+    await secretsQueue.add('reencrypt', {}, { jobId });
+  }
+}
+
+queueReencryption().catch((err) => {
+  logger.error('Failed to queue secrets re-encryption', { error: err.message });
+});
+
+// ---------- Event handlers -----------------------------------------------------
+
+secretsQueue.on('ready', () => {
+  logger.info('Secrets worker connected and ready');
+});
+
+secretsQueue.on('stalled', (jobId) => {
+  logger.warn('Secrets job stalled', { jobId });
+});
+
+// ---------- Graceful shutdown --------------------------------------------------
+
+async function gracefulShutdown(signal) {
+  logger.info(`Secrets worker received ${signal}, shutting down...`);
+  try {
+    await secretsQueue.close(5000);
+  } catch (err) {
+    logger.error('Secrets worker shutdown error', { error: err.message });
+  }
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+if (require.main === module) {
+  logger.info('Secrets worker starting in standalone mode...');
+}
+
+module.exports = secretsQueue;
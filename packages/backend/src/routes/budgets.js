@@ -0,0 +1,142 @@
+const express = require('express');
+const Joi = require('joi');
+const { db } = require('../config/database');
+const { requireUser } = require('../middleware/auth');
+const { validate } = require('../middleware/requestValidator');
+const config = require('../config/environment');
+const budgetService = require('../services/budgetService');
+
+const router = express.Router();
+router.use(requireUser);
+
+const budgetSchema = Joi.object({
+  project_id: Joi.string().uuid().allow(null).optional(),
+  period: Joi.string().valid('daily', 'monthly').required(),
+  limit_usd: Joi.number().min(0).max(1000000).required(),
+  warn_threshold: Joi.number().greater(0).max(1).default(0.8),
+  hard_stop: Joi.boolean().default(true),
+});
+
+const overrideSchema = Joi.object({
+  until: Joi.date().iso().min('now').required(),
+  reason: Joi.string().trim().max(500).allow('').optional(),
+});
+
+// Helper: check if current user is admin
+function isAdmin(req) {
+  return req.user && req.user.email === config.adminEmail;
+}
+
+// Helper: verify ownership
+async function verifyOwnership(projectId, userId) {
+  return db('projects').where({ id: projectId, user_id: userId }).first();
+}
+
+// GET / - List the current user's budgets with current-period spend
+router.get('/', async (req, res, next) => {
+  try {
+    const { project_id } = req.query;
+    if (project_id) {
+      const project = await verifyOwnership(project_id, req.user.id);
+      if (!project) return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const budgets = await budgetService.listBudgets(req.user.id, { projectId: project_id });
+    res.json({ budgets });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT / - Create or update the budget for a period (account-wide, or one project)
+router.put('/', validate(budgetSchema), async (req, res, next) => {
+  try {
+    const { project_id, period, limit_usd, warn_threshold, hard_stop } = req.body;
+    if (project_id) {
+      const project = await verifyOwnership(project_id, req.user.id);
+      if (!project) return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const budget = await budgetService.upsertBudget(req.user.id, {
+      projectId: project_id || null,
+      period,
+      limitUsd: limit_usd,
+      warnThreshold: warn_threshold,
+      hardStop: hard_stop,
+    });
+
+    res.json({ budget });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// --- Admin routes ---
+
+// GET /admin - admin only, list budgets across users
+router.get('/admin', async (req, res, next) => {
+  try {
+    if (!isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { user_id, project_id } = req.query;
+    const budgets = await budgetService.listAllBudgets({ userId: user_id, projectId: project_id });
+    res.json({ budgets });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /admin/:id/override - admin only, allow spending past the limit until a time
+router.post('/admin/:id/override', validate(overrideSchema), async (req, res, next) => {
+  try {
+    if (!isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const budget = await budgetService.setOverride(req.params.id, {
+      until: req.body.until,
+      reason: req.body.reason,
+      adminId: req.user.id,
+    });
+    if (!budget) return res.status(404).json({ error: 'Budget not found' });
+
+    res.json({ budget });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /admin/:id/override - admin only, enforce the budget again
+router.delete('/admin/:id/override', async (req, res, next) => {
+  try {
+    if (!isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const budget = await budgetService.clearOverride(req.params.id);
+    if (!budget) return res.status(404).json({ error: 'Budget not found' });
+
+    res.json({ budget });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /:id - Remove one of the current user's budgets
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const deleted = await budgetService.deleteBudget(req.user.id, req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Budget not found' });
+
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
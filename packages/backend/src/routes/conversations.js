@@ -3,9 +3,10 @@ const Joi = require('joi');
 const { db } = require('../config/database');
 const { requireUser } = require('../middleware/auth');
 const { validate } = require('../middleware/requestValidator');
-const { encrypt } = require('../utils/encryption');
+const secretService = require('../services/secretService');
 const secretDetector = require('../services/secretDetector');
 const urlExtractor = require('../services/urlExtractor');
+const transcriptionService = require('../services/transcriptionService');
 const buildQueue = require('../queues/buildQueue');
 
 const router = express.Router();
@@ -20,7 +21,13 @@ const createConversationSchema = Joi.object({
 });
 
 const sendMessageSchema = Joi.object({
-  content: Joi.string().trim().min(1).required(),
+  // May be empty when attachments are sent; the route then requires a voice
+  // note among them to carry the request
+  content: Joi.when('attachment_ids', {
+    is: Joi.array().min(1).required(),
+    then: Joi.string().trim().allow('').required(),
+    otherwise: Joi.string().trim().min(1).required(),
+  }),
   model: Joi.string().trim().max(255).optional(), // LLM model override (e.g. 'auto' or model_id)
   secrets: Joi.array()
     .items(
@@ -157,7 +164,7 @@ router.get('/:id/messages', async (req, res, next) => {
 // POST /:id/messages - Send message
 router.post('/:id/messages', validate(sendMessageSchema), async (req, res, next) => {
   try {
-    const { content, model, secrets, attachment_ids } = req.body;
+    const { model, secrets, attachment_ids } = req.body;
 
     // Verify ownership through the conversation's project
     const conversation = await db('conversations')
@@ -176,23 +183,32 @@ router.post('/:id/messages', validate(sendMessageSchema), async (req, res, next)
     // Store secrets if provided
     if (secrets && secrets.length > 0) {
       for (const secret of secrets) {
-        const encryptedValue = encrypt(secret.value);
-        await db('project_secrets')
-          .insert({
-            project_id: conversation.project_id,
-            key: secret.key,
-            encrypted_value: encryptedValue,
-            type: secret.type || 'custom',
-          })
-          .onConflict(['project_id', 'key'])
-          .merge({
-            encrypted_value: encryptedValue,
-            type: secret.type || 'custom',
-            updated_at: db.fn.now(),
-          });
+        await secretService.setSecret(
+          conversation.project_id,
+          { key: secret.key, value: secret.value, type: secret.type },
+          { actorId: req.user.id, source: 'chat' }
+        );
       }
     }
 
+    // Transcribe attached voice notes and merge the text into the message,
+    // so the analysis and build pipeline see the dictated request
+    let pendingAttachments = [];
+    if (attachment_ids && attachment_ids.length > 0) {
+      pendingAttachments = await db('message_attachments')
+        .whereIn('id', attachment_ids)
+        .where({ project_id: conversation.project_id, message_id: null });
+    }
+    if (!req.body.content && !pendingAttachments.some((a) => a.category === 'audio')) {
+      return res.status(400).json({ error: 'content is required' });
+    }
+
+    const transcripts = await transcriptionService.transcribeAttachments(pendingAttachments);
+    const content = transcriptionService.mergeTranscripts(req.body.content, transcripts);
+    if (!content) {
+      return res.status(422).json({ error: 'The voice note could not be transcribed. Please type your request instead.' });
+    }
+
     // Extract URLs from the message content (non-blocking for response)
     const detectedUrls = urlExtractor.detectUrls(content);
     let urlExtractions = [];
@@ -203,6 +219,12 @@ router.post('/:id/messages', validate(sendMessageSchema), async (req, res, next)
 
     // Store user message with URL extractions in metadata
     const messageMetadata = {};
+    if (transcripts.length > 0) {
+      messageMetadata.voice_transcripts = transcripts.map((t) => ({
+        attachment_id: t.attachmentId,
+        filename: t.filename,
+      }));
+    }
     if (urlExtractions.length > 0) {
       messageMetadata.url_extractions = urlExtractions.map((e) => ({
         url: e.url,
@@ -1,23 +1,100 @@
 const express = require('express');
 const Joi = require('joi');
 const { db } = require('../config/database');
-const { requireUser } = require('../middleware/auth');
+const { requireUser, requireSseUser } = require('../middleware/auth');
 const { validate } = require('../middleware/requestValidator');
 const deployQueue = require('../queues/deployQueue');
 const railwayService = require('../services/railwayService');
 const cloudflareService = require('../services/cloudflareService');
+const previewService = require('../services/previewService');
+const logStreamService = require('../services/logStreamService');
+const uptimeService = require('../services/uptimeService');
 
 const router = express.Router();
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// SSE endpoint uses query-param token auth (EventSource can't send headers),
+// so it is registered before requireUser
+// GET /:projectId/logs/stream - Tail build + runtime logs of a deployment
+router.get('/:projectId/logs/stream', requireSseUser, async (req, res, next) => {
+  try {
+    const project = await verifyOwnership(req.params.projectId, req.user.id);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    const deploymentId = req.query.deployment_id;
+    if (deploymentId && Joi.string().uuid().validate(deploymentId).error) {
+      return res.status(400).json({ error: 'Invalid deployment_id' });
+    }
+    const level = LOG_LEVELS.includes(req.query.level) ? req.query.level : undefined;
+    const search = typeof req.query.search === 'string' ? req.query.search.trim().substring(0, 200) : '';
+
+    // Defaults to the latest production deployment Railway knows about
+    const query = db('deployments')
+      .where({ project_id: project.id })
+      .whereNotNull('railway_deployment_id');
+    if (deploymentId) query.where({ id: deploymentId });
+    else query.where({ environment: 'production' }).orderBy('created_at', 'desc');
+    const deployment = await query.first('id', 'railway_deployment_id', 'environment', 'created_at');
+
+    if (deploymentId && !deployment) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+    send({
+      type: 'connected',
+      deployment: deployment
+        ? { id: deployment.id, environment: deployment.environment, created_at: deployment.created_at }
+        : null,
+    });
+
+    // Nothing to tail until a deployment has reached Railway; the client
+    // reconnects after the next deploy
+    if (!deployment) {
+      send({ type: 'end', reason: 'No deployment to tail yet' });
+      return res.end();
+    }
+
+    const stop = logStreamService.tail(deployment.railway_deployment_id, {
+      level,
+      search,
+      onLogs: (logs) => send({ type: 'logs', logs }),
+      onError: (err) => send({ type: 'error', message: err.message }),
+    });
+
+    req.on('close', stop);
+  } catch (err) {
+    next(err);
+  }
+});
+
 router.use(requireUser);
 
 const deploySchema = Joi.object({
   project_id: Joi.string().uuid().required(),
 });
 
+const previewSchema = Joi.object({
+  conversation_id: Joi.string().uuid().allow(null),
+});
+
 const customDomainSchema = Joi.object({
   domain: Joi.string().hostname().required(),
 });
 
+const healthCheckSchema = Joi.object({
+  health_check_path: Joi.string().pattern(/^\/\S*$/).max(255).required()
+    .messages({ 'string.pattern.base': 'Health check path must start with / and contain no spaces' }),
+});
+
+const UPTIME_PERIODS = [1, 7, 30];
+
 // Helper: verify ownership
 async function verifyOwnership(projectId, userId) {
   return db('projects').where({ id: projectId, user_id: userId }).first();
@@ -67,7 +144,7 @@ router.get('/:projectId/status', async (req, res, next) => {
     if (!project) return res.status(404).json({ error: 'Project not found' });
 
     const latestDeployment = await db('deployments')
-      .where({ project_id: req.params.projectId })
+      .where({ project_id: req.params.projectId, environment: 'production' })
       .orderBy('created_at', 'desc')
       .first();
 
@@ -87,9 +164,11 @@ router.get('/:projectId/history', async (req, res, next) => {
     const project = await verifyOwnership(req.params.projectId, req.user.id);
     if (!project) return res.status(404).json({ error: 'Project not found' });
 
-    const deployments = await db('deployments')
-      .where({ project_id: req.params.projectId })
-      .orderBy('created_at', 'desc')
+    const deployments = await db('deployments as d')
+      .leftJoin('project_versions as v', 'v.id', 'd.version_id')
+      .where('d.project_id', req.params.projectId)
+      .select('d.*', 'v.version_number')
+      .orderBy('d.created_at', 'desc')
       .limit(20);
 
     res.json({ deployments });
@@ -98,6 +177,178 @@ router.get('/:projectId/history', async (req, res, next) => {
   }
 });
 
+// POST /:projectId/rollback/:deploymentId - Redeploy the files of an earlier deployment
+router.post('/:projectId/rollback/:deploymentId', async (req, res, next) => {
+  try {
+    const project = await verifyOwnership(req.params.projectId, req.user.id);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    if (project.status === 'deploying') {
+      return res.status(409).json({ error: 'Deployment already in progress' });
+    }
+    if (project.status === 'building') {
+      return res.status(409).json({ error: 'Cannot roll back while a build is in progress' });
+    }
+
+    const target = await db('deployments')
+      .where({ id: req.params.deploymentId, project_id: project.id })
+      .first();
+
+    if (!target) return res.status(404).json({ error: 'Deployment not found' });
+
+    if (target.status !== 'success') {
+      return res.status(400).json({ error: 'Only successful deployments can be rolled back to' });
+    }
+    if (target.environment === 'preview') {
+      return res.status(400).json({ error: 'Promote the preview instead of rolling back to it' });
+    }
+
+    const version = target.version_id
+      ? await db('project_versions').where({ id: target.version_id }).select('version_number').first()
+      : null;
+
+    if (!version) {
+      return res.status(422).json({ error: 'No file snapshot was recorded for this deployment' });
+    }
+
+    const job = await deployQueue.add({
+      projectId: project.id,
+      userId: req.user.id,
+      rollbackOf: target.id,
+    });
+
+    res.status(202).json({
+      message: 'Rollback queued',
+      job_id: job.id,
+      project_id: project.id,
+      version_number: version.version_number,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /:projectId/previews - List preview environments
+router.get('/:projectId/previews', async (req, res, next) => {
+  try {
+    const project = await verifyOwnership(req.params.projectId, req.user.id);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    const previews = await previewService.listPreviews(project.id);
+    res.json({ previews });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /:projectId/previews - Deploy the current files to a conversation's preview
+router.post('/:projectId/previews', validate(previewSchema), async (req, res, next) => {
+  try {
+    const project = await verifyOwnership(req.params.projectId, req.user.id);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    const conversationId = req.body?.conversation_id || null;
+    if (conversationId) {
+      const conversation = await db('conversations')
+        .where({ id: conversationId, project_id: project.id })
+        .first('id');
+      if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const fileCount = await db('project_files')
+      .where({ project_id: project.id })
+      .count('* as count')
+      .first();
+
+    if (parseInt(fileCount.count, 10) === 0) {
+      return res.status(400).json({ error: 'No files to deploy. Build the project first.' });
+    }
+
+    const preview = await previewService.getOrCreatePreview(project, { conversationId });
+
+    const job = await deployQueue.add({
+      projectId: project.id,
+      userId: req.user.id,
+      previewId: preview.id,
+    });
+
+    res.status(202).json({
+      message: 'Preview deployment queued',
+      job_id: job.id,
+      project_id: project.id,
+      preview,
+    });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    next(err);
+  }
+});
+
+// POST /:projectId/previews/:previewId/promote - Deploy a preview's files to production
+router.post('/:projectId/previews/:previewId/promote', async (req, res, next) => {
+  try {
+    const project = await verifyOwnership(req.params.projectId, req.user.id);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    if (project.status === 'deploying') {
+      return res.status(409).json({ error: 'Deployment already in progress' });
+    }
+    if (project.status === 'building') {
+      return res.status(409).json({ error: 'Cannot promote while a build is in progress' });
+    }
+
+    const preview = await db('preview_environments')
+      .where({ id: req.params.previewId, project_id: project.id })
+      .whereNot('status', 'deleted')
+      .first();
+
+    if (!preview) return res.status(404).json({ error: 'Preview not found' });
+
+    if (preview.status !== 'active' || !preview.version_id) {
+      return res.status(400).json({ error: 'Only a successfully deployed preview can be promoted' });
+    }
+
+    const job = await deployQueue.add({
+      projectId: project.id,
+      userId: req.user.id,
+      promoteFrom: preview.id,
+    });
+
+    res.status(202).json({
+      message: 'Promotion queued',
+      job_id: job.id,
+      project_id: project.id,
+      preview_id: preview.id,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /:projectId/previews/:previewId - Tear down a preview environment
+router.delete('/:projectId/previews/:previewId', async (req, res, next) => {
+  try {
+    const project = await verifyOwnership(req.params.projectId, req.user.id);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    const preview = await db('preview_environments')
+      .where({ id: req.params.previewId, project_id: project.id })
+      .whereNot('status', 'deleted')
+      .first();
+
+    if (!preview) return res.status(404).json({ error: 'Preview not found' });
+
+    if (preview.status === 'deploying' && !previewService.isStuck(preview)) {
+      return res.status(409).json({ error: 'Wait for the preview to finish deploying' });
+    }
+
+    await previewService.teardown(preview);
+    res.json({ message: 'Preview deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // GET /:projectId/logs - Get deployment logs
 router.get('/:projectId/logs', async (req, res, next) => {
   try {
@@ -105,7 +356,7 @@ router.get('/:projectId/logs', async (req, res, next) => {
     if (!project) return res.status(404).json({ error: 'Project not found' });
 
     const latestDeployment = await db('deployments')
-      .where({ project_id: req.params.projectId })
+      .where({ project_id: req.params.projectId, environment: 'production' })
       .orderBy('created_at', 'desc')
       .first();
 
@@ -192,6 +443,48 @@ router.patch('/:projectId/domain', validate(customDomainSchema), async (req, res
   }
 });
 
+// GET /:projectId/uptime?days= - Uptime and response times of the live app
+router.get('/:projectId/uptime', async (req, res, next) => {
+  try {
+    const project = await verifyOwnership(req.params.projectId, req.user.id);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    const days = parseInt(req.query.days, 10);
+    const period = UPTIME_PERIODS.includes(days) ? days : 7;
+    const uptime = await uptimeService.getUptime(project.id, period);
+
+    res.json({
+      ...uptime,
+      status: project.uptime_status,
+      health_check_path: project.health_check_path,
+      health_url: project.deployment_url ? uptimeService.healthUrl(project) : null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /:projectId/uptime - Change the path health checks request
+router.put('/:projectId/uptime', validate(healthCheckSchema), async (req, res, next) => {
+  try {
+    const project = await verifyOwnership(req.params.projectId, req.user.id);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    // Failures counted against the old path say nothing about the new one
+    await db('projects')
+      .where({ id: project.id })
+      .update({
+        health_check_path: req.body.health_check_path,
+        uptime_failures: 0,
+        updated_at: db.fn.now(),
+      });
+
+    res.json({ health_check_path: req.body.health_check_path });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // GET /:projectId/costs - Deployment cost breakdown
 router.get('/:projectId/costs', async (req, res, next) => {
   try {
@@ -200,9 +493,11 @@ router.get('/:projectId/costs', async (req, res, next) => {
 
     const deployments = await db('deployments')
       .where({ project_id: req.params.projectId })
-      .select('id', 'status', 'cost', 'created_at');
+      .select('id', 'status', 'environment', 'cost', 'created_at');
 
-    const totalDeploymentCost = deployments.reduce((sum, d) => sum + parseFloat(d.cost || 0), 0);
+    const sumCost = (rows) => rows.reduce((sum, d) => sum + parseFloat(d.cost || 0), 0);
+    const totalDeploymentCost = sumCost(deployments.filter((d) => d.environment !== 'preview'));
+    const totalPreviewCost = sumCost(deployments.filter((d) => d.environment === 'preview'));
 
     // Get project cost breakdown
     const costBreakdown = typeof project.cost_breakdown === 'string'
@@ -212,9 +507,11 @@ router.get('/:projectId/costs', async (req, res, next) => {
     res.json({
       cost_breakdown: costBreakdown,
       deployment_cost: parseFloat(totalDeploymentCost.toFixed(6)),
+      preview_cost: parseFloat(totalPreviewCost.toFixed(6)),
       deployments: deployments.map((d) => ({
         id: d.id,
         status: d.status,
+        environment: d.environment,
         cost: parseFloat(d.cost || 0),
         created_at: d.created_at,
       })),
@@ -3,10 +3,32 @@ const Joi = require('joi');
 const { db } = require('../config/database');
 const { requireUser } = require('../middleware/auth');
 const { validate } = require('../middleware/requestValidator');
+const { verifyGitHubWebhook } = require('../middleware/githubWebhook');
 const githubService = require('../services/githubService');
 const logger = require('../config/logger');
 
 const router = express.Router();
+
+// POST /webhook - GitHub push events for connected repos (signed, no user session)
+router.post('/webhook', express.raw({ type: 'application/json' }), verifyGitHubWebhook, (req, res) => {
+  const event = req.headers['x-github-event'];
+
+  if (event !== 'push') {
+    logger.info('GitHub webhook event ignored', { event, delivery: req.headers['x-github-delivery'] });
+    return res.json({ received: true });
+  }
+
+  // Acknowledge within GitHub's timeout; syncing can take a while
+  res.status(202).json({ received: true });
+
+  githubService.handlePushEvent(req.body).catch((err) => {
+    logger.error('GitHub push webhook failed', {
+      delivery: req.headers['x-github-delivery'],
+      error: err.message,
+    });
+  });
+});
+
 router.use(requireUser);
 
 // Validation schemas
@@ -22,6 +44,16 @@ const pushSchema = Joi.object({
   commit_message: Joi.string().trim().max(500).default('Update from Imagia'),
 });
 
+const connectionSettingsSchema = Joi.object({
+  push_mode: Joi.string().valid('direct', 'pull_request').optional(),
+  auto_pull: Joi.boolean().optional(),
+}).min(1);
+
+const pullSchema = Joi.object({
+  // File path -> resolved content (null deletes the file)
+  resolutions: Joi.object().pattern(Joi.string(), Joi.string().allow('', null)).optional(),
+});
+
 const createRepoSchema = Joi.object({
   repo_name: Joi.string()
     .trim()
@@ -76,15 +108,20 @@ router.post('/import', validate(importSchema), async (req, res, next) => {
       })
       .returning('*');
 
-    // Save files
+    // Save files (every path in the repo, so insert in batches)
     if (importResult.files.length > 0) {
-      await db('project_files').insert(
+      await db.batchInsert(
+        'project_files',
         importResult.files.map((f) => ({
           project_id: project.id,
           file_path: f.file_path,
           content: f.content,
           language: f.language,
-        }))
+          blob_sha: f.blob_sha,
+          is_binary: f.is_binary,
+          file_size: f.file_size,
+        })),
+        500
       );
     }
 
@@ -98,6 +135,8 @@ router.post('/import', validate(importSchema), async (req, res, next) => {
       sync_status: 'synced',
     });
 
+    await githubService.registerWebhook(req.user.id, project.id);
+
     // Create default conversation
     await db('conversations').insert({
       project_id: project.id,
@@ -138,20 +177,25 @@ router.post('/projects/:id/push', validate(pushSchema), async (req, res, next) =
     );
 
     res.json({
-      message: 'Code pushed to GitHub',
+      message: result.pullRequest ? `Pull request #${result.pullRequest.number} updated` : 'Code pushed to GitHub',
       commit_sha: result.commitSha,
       commit_url: result.commitUrl,
+      pull_request: result.pullRequest || null,
     });
   } catch (err) {
     if (err.message.includes('not connected') || err.message.includes('No GitHub connection')) {
       return res.status(400).json({ error: err.message });
     }
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     next(err);
   }
 });
 
-// POST /projects/:id/pull - Pull latest from GitHub
-router.post('/projects/:id/pull', async (req, res, next) => {
+// POST /projects/:id/pull - Merge the latest GitHub commit into the project.
+// Repeat with `resolutions` to finish a pull that stopped on conflicts.
+router.post('/projects/:id/pull', validate(pullSchema), async (req, res, next) => {
   try {
     const project = await db('projects')
       .where({ id: req.params.id, user_id: req.user.id })
@@ -161,13 +205,79 @@ router.post('/projects/:id/pull', async (req, res, next) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const result = await githubService.pullFromGitHub(req.user.id, req.params.id);
+    const result = await githubService.pullFromGitHub(req.user.id, req.params.id, {
+      resolutions: req.body?.resolutions,
+    });
 
     res.json({
-      message: 'Code pulled from GitHub',
+      message: result.status === 'conflicted'
+        ? `${result.conflicts.length} file(s) conflict with GitHub`
+        : 'Code pulled from GitHub',
+      status: result.status,
       file_count: result.fileCount,
       commit_sha: result.commitSha,
+      conflicts: result.conflicts,
     });
+  } catch (err) {
+    if (err.message.includes('No GitHub connection')) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// GET /projects/:id/merge - Conflicts of a pull waiting to be resolved
+router.get('/projects/:id/merge', async (req, res, next) => {
+  try {
+    const project = await db('projects')
+      .where({ id: req.params.id, user_id: req.user.id })
+      .first();
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const mergeState = await githubService.getMergeState(req.params.id);
+    res.json({ merge: mergeState });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /projects/:id/merge - Abandon a conflicted pull
+router.delete('/projects/:id/merge', async (req, res, next) => {
+  try {
+    const project = await db('projects')
+      .where({ id: req.params.id, user_id: req.user.id })
+      .first();
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await githubService.abortMerge(req.params.id);
+    res.json({ message: 'Merge aborted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /projects/:id/connection - Push mode (direct or pull request) and auto-pull
+router.patch('/projects/:id/connection', validate(connectionSettingsSchema), async (req, res, next) => {
+  try {
+    const project = await db('projects')
+      .where({ id: req.params.id, user_id: req.user.id })
+      .first();
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await githubService.updateConnectionSettings(req.params.id, req.body);
+    res.json(req.body);
   } catch (err) {
     if (err.message.includes('No GitHub connection')) {
       return res.status(400).json({ error: err.message });
@@ -176,6 +286,27 @@ router.post('/projects/:id/pull', async (req, res, next) => {
   }
 });
 
+// GET /projects/:id/pull-request - The project's pull request, refreshed from GitHub
+router.get('/projects/:id/pull-request', async (req, res, next) => {
+  try {
+    const project = await db('projects')
+      .where({ id: req.params.id, user_id: req.user.id })
+      .first();
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const pullRequest = await githubService.refreshPullRequest(req.user.id, req.params.id);
+    res.json({ pull_request: pullRequest });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
 // POST /projects/:id/create-repo - Create new GitHub repo from project
 router.post('/projects/:id/create-repo', validate(createRepoSchema), async (req, res, next) => {
   try {
@@ -247,6 +378,12 @@ router.delete('/projects/:id/disconnect', async (req, res, next) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
+    // Files not loaded yet can only be fetched while connected. Binary
+    // files were never stored, so they stay with the repo.
+    await githubService.hydrateFiles(req.params.id);
+    await db('project_files').where({ project_id: req.params.id, is_binary: true }).whereNull('content').del();
+
+    await githubService.removeWebhook(req.user.id, req.params.id);
     await db('github_connections').where({ project_id: req.params.id }).del();
 
     await db('projects').where({ id: req.params.id }).update({
@@ -1,7 +1,11 @@
 const express = require('express');
+const Joi = require('joi');
 const { db } = require('../config/database');
 const { requireUser } = require('../middleware/auth');
+const { validate } = require('../middleware/requestValidator');
+const config = require('../config/environment');
 const modelRegistry = require('../services/modelRegistry');
+const llmRouter = require('../services/llmRouter');
 const requestAnalyzer = require('../services/requestAnalyzer');
 
 const router = express.Router();
@@ -9,6 +13,20 @@ const router = express.Router();
 // All routes require authentication
 router.use(requireUser);
 
+// llm_task_routes.task_type is a varchar(50)
+const taskTypeSchema = Joi.string().max(50).valid(...llmRouter.getTaskTypes()).required();
+
+const taskRouteSchema = Joi.object({
+  primary_model_id: Joi.string().trim().max(255).required(),
+  fallback_model_ids: Joi.array().items(Joi.string().trim().max(255)).max(5).default([]),
+  notes: Joi.string().trim().max(1000).allow('', null).optional(),
+});
+
+// Helper: check if current user is admin
+function isAdmin(req) {
+  return req.user && req.user.email === config.adminEmail;
+}
+
 /**
  * GET / - Get available models grouped by capability.
  * Used by the frontend model selector dropdown.
@@ -74,4 +92,76 @@ router.get('/research-log', async (req, res, next) => {
   }
 });
 
+// --- Task routing (admin only) ---
+
+/**
+ * GET /routes - List task routes with the model chain each resolves to.
+ * Models that are inactive or missing from the catalog are left out of `chain`.
+ */
+router.get('/routes', async (req, res, next) => {
+  try {
+    if (!isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const routes = await modelRegistry.getTaskRoutes();
+    const resolved = await Promise.all(routes.map(async (route) => ({
+      ...route,
+      chain: (await modelRegistry.resolveTaskRoute(route.task_type)) || [],
+    })));
+
+    res.json({ routes: resolved });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /routes/:taskType - Set a task's primary model and ordered fallback chain.
+ * Body: { primary_model_id, fallback_model_ids?, notes? }
+ */
+router.put('/routes/:taskType', validate(taskRouteSchema), async (req, res, next) => {
+  try {
+    if (!isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (taskTypeSchema.validate(req.params.taskType).error) {
+      return res.status(400).json({ error: `Unknown task type. Valid types: ${llmRouter.getTaskTypes().join(', ')}` });
+    }
+
+    const route = await modelRegistry.upsertTaskRoute(req.params.taskType, {
+      primaryModelId: req.body.primary_model_id,
+      fallbackModelIds: req.body.fallback_model_ids,
+      notes: req.body.notes,
+      updatedBy: req.user.id,
+    });
+
+    res.json({ route });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+/**
+ * DELETE /routes/:taskType - Remove a task's route; it then uses the default route.
+ */
+router.delete('/routes/:taskType', async (req, res, next) => {
+  try {
+    if (!isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const deleted = await modelRegistry.deleteTaskRoute(req.params.taskType);
+    if (!deleted) return res.status(404).json({ error: 'Route not found' });
+
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
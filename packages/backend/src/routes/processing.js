@@ -1,49 +1,17 @@
 const express = require('express');
 const { db } = require('../config/database');
-const { requireUser } = require('../middleware/auth');
+const { requireUser, requireSseUser } = require('../middleware/auth');
 const buildQueue = require('../queues/buildQueue');
 const progressEmitter = require('../queues/progressEmitter');
-const logger = require('../config/logger');
 
 const router = express.Router();
 
 // SSE endpoint uses query-param token auth (EventSource can't send headers)
 // GET /progress/:projectId - SSE progress stream
-router.get('/progress/:projectId', async (req, res, next) => {
+router.get('/progress/:projectId', requireSseUser, async (req, res, next) => {
   try {
-    // Authenticate via query-param token since EventSource can't set headers
-    const token = req.query.token;
-    let userId;
-
-    if (token) {
-      try {
-        const { verifyToken } = require('@clerk/express');
-        const payload = await verifyToken(token, {
-          secretKey: process.env.CLERK_SECRET_KEY,
-        });
-        userId = payload.sub;
-      } catch (tokenErr) {
-        logger.warn('SSE token verification failed', { error: tokenErr.message });
-        return res.status(401).json({ error: 'Invalid token' });
-      }
-    } else {
-      // Fallback to standard Clerk auth (e.g. cookie-based)
-      const { getAuth } = require('@clerk/express');
-      const auth = getAuth(req);
-      if (!auth || !auth.userId) {
-        return res.status(401).json({ error: 'Authentication required' });
-      }
-      userId = auth.userId;
-    }
-
-    // Look up user
-    const user = await db('users').where({ clerk_id: userId }).first();
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
-    }
-
     const project = await db('projects')
-      .where({ id: req.params.projectId, user_id: user.id })
+      .where({ id: req.params.projectId, user_id: req.user.id })
       .first();
 
     if (!project) {
@@ -4,6 +4,9 @@ const { db } = require('../config/database');
 const { requireUser } = require('../middleware/auth');
 const { validate } = require('../middleware/requestValidator');
 const cloudflareService = require('../services/cloudflareService');
+const githubService = require('../services/githubService');
+const versionService = require('../services/versionService');
+const visualDiffService = require('../services/visualDiffService');
 
 const router = express.Router();
 
@@ -107,6 +110,7 @@ router.get('/:id', async (req, res, next) => {
     // Get latest version
     const latestVersion = await db('project_versions')
       .where({ project_id: project.id })
+      .select('id', 'version_number', 'prompt_summary', 'diff_summary', 'git_commit_sha', 'created_at')
       .orderBy('version_number', 'desc')
       .first();
 
@@ -207,7 +211,7 @@ router.get('/:id/files', async (req, res, next) => {
 
     const files = await db('project_files')
       .where({ project_id: project.id })
-      .select('id', 'file_path', 'content', 'language', 'file_size', 'checksum', 'created_at', 'updated_at')
+      .select('id', 'file_path', 'content', 'language', 'file_size', 'checksum', 'is_binary', 'created_at', 'updated_at')
       .orderBy('file_path', 'asc');
 
     res.json({ files });
@@ -216,6 +220,46 @@ router.get('/:id/files', async (req, res, next) => {
   }
 });
 
+// GET /:id/files/content?path= - One file's content, loading it from GitHub if it wasn't yet
+router.get('/:id/files/content', async (req, res, next) => {
+  try {
+    const filePath = req.query.path;
+    if (typeof filePath !== 'string' || !filePath) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+
+    const project = await db('projects')
+      .where({ id: req.params.id, user_id: req.user.id })
+      .first();
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const findFile = () => db('project_files')
+      .where({ project_id: project.id, file_path: filePath })
+      .select('id', 'file_path', 'content', 'language', 'file_size', 'checksum', 'is_binary', 'created_at', 'updated_at')
+      .first();
+
+    let file = await findFile();
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (file.content === null && !file.is_binary) {
+      await githubService.hydrateFiles(project.id, [filePath]);
+      file = await findFile();
+    }
+
+    res.json({ file });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
 // GET /:id/versions - List versions
 router.get('/:id/versions', async (req, res, next) => {
   try {
@@ -227,8 +271,14 @@ router.get('/:id/versions', async (req, res, next) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
+    // Snapshots carry full file contents, so list metadata only
     const versions = await db('project_versions')
       .where({ project_id: project.id })
+      .select(
+        'id', 'version_number', 'prompt_summary', 'diff_summary', 'git_commit_sha', 'created_at',
+        db.raw('jsonb_array_length(snapshot) as file_count'),
+        db.raw('(select count(*)::int from visual_diffs d where d.version_id = project_versions.id and d.significant) as visual_changes')
+      )
       .orderBy('version_number', 'desc');
 
     res.json({ versions });
@@ -237,4 +287,97 @@ router.get('/:id/versions', async (req, res, next) => {
   }
 });
 
+// GET /:id/versions/:a/diff/:b - Per-file unified diffs between two versions
+router.get('/:id/versions/:a/diff/:b', async (req, res, next) => {
+  try {
+    const from = parseInt(req.params.a, 10);
+    const to = parseInt(req.params.b, 10);
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+      return res.status(400).json({ error: 'Version numbers must be positive integers' });
+    }
+
+    const project = await db('projects')
+      .where({ id: req.params.id, user_id: req.user.id })
+      .first();
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const diff = await versionService.diffVersions(project.id, from, to);
+
+    res.json(diff);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// GET /:id/versions/:n/visual-diff - Screenshot diffs against the previous captured version
+router.get('/:id/versions/:n/visual-diff', async (req, res, next) => {
+  try {
+    const versionNumber = parseInt(req.params.n, 10);
+
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({ error: 'Version number must be a positive integer' });
+    }
+
+    const project = await db('projects')
+      .where({ id: req.params.id, user_id: req.user.id })
+      .first();
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const result = await visualDiffService.getVersionDiffs(project.id, versionNumber);
+
+    res.json(result);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// POST /:id/versions/:n/restore - Roll project files back to a version
+router.post('/:id/versions/:n/restore', async (req, res, next) => {
+  try {
+    const versionNumber = parseInt(req.params.n, 10);
+
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({ error: 'Version number must be a positive integer' });
+    }
+
+    const project = await db('projects')
+      .where({ id: req.params.id, user_id: req.user.id })
+      .first();
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.status === 'building') {
+      return res.status(409).json({ error: 'Cannot restore a version while a build is in progress' });
+    }
+
+    const result = await versionService.restoreVersion(project.id, versionNumber);
+
+    res.json({
+      version: result.version,
+      restored_from: result.restoredFrom,
+      file_count: result.fileCount,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
 module.exports = router;
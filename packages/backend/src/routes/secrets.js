@@ -1,8 +1,10 @@
 const express = require('express');
+const Joi = require('joi');
 const { db } = require('../config/database');
 const { requireUser } = require('../middleware/auth');
-const { encrypt } = require('../utils/encryption');
+const { validate } = require('../middleware/requestValidator');
 const secretDetector = require('../services/secretDetector');
+const secretService = require('../services/secretService');
 
 const router = express.Router();
 
@@ -25,10 +27,7 @@ router.get('/:projectId', async (req, res, next) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const secrets = await db('project_secrets')
-      .where({ project_id: req.params.projectId })
-      .select('id', 'key', 'type', 'description', 'created_at')
-      .orderBy('key', 'asc');
+    const secrets = await secretService.listSecrets(req.params.projectId);
 
     res.json({ secrets });
   } catch (err) {
@@ -36,7 +35,8 @@ router.get('/:projectId', async (req, res, next) => {
   }
 });
 
-// POST /:projectId - Add/update a secret
+// POST /:projectId - Add/update a secret. A changed value becomes a new
+// version; with `redeploy`, a live project is redeployed to pick it up
 router.post('/:projectId', async (req, res, next) => {
   try {
     const project = await verifyProjectOwnership(req.params.projectId, req.user.id);
@@ -44,32 +44,44 @@ router.post('/:projectId', async (req, res, next) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const { key, value, type, description } = req.body;
+    const { key, value, type, description, redeploy } = req.body;
 
     if (!key || !value) {
       return res.status(400).json({ error: 'key and value are required' });
     }
 
-    const encryptedValue = encrypt(value);
-
-    const [secret] = await db('project_secrets')
-      .insert({
-        project_id: req.params.projectId,
-        key,
-        encrypted_value: encryptedValue,
-        type: type || 'custom',
-        description: description || null,
-      })
-      .onConflict(['project_id', 'key'])
-      .merge({
-        encrypted_value: encryptedValue,
-        type: type || 'custom',
-        description: description || null,
-        updated_at: db.fn.now(),
-      })
-      .returning(['id', 'key', 'type', 'description']);
-
-    res.status(201).json(secret);
+    const { secret, created, rotated } = await secretService.setSecret(
+      project.id,
+      { key, value, type, description },
+      { actorId: req.user.id, source: 'api' }
+    );
+
+    const redeployJobId = redeploy && rotated && !created
+      ? await secretService.queueRedeploy(project, req.user.id)
+      : null;
+
+    res.status(created ? 201 : 200).json({ ...secret, rotated, redeploy_job_id: redeployJobId });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /:projectId/audit - Who created, read, updated or deleted the project's secrets
+router.get('/:projectId/audit', async (req, res, next) => {
+  try {
+    const project = await verifyProjectOwnership(req.params.projectId, req.user.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const secretId = req.query.secret_id;
+    if (secretId && Joi.string().uuid().validate(secretId).error) {
+      return res.status(400).json({ error: 'Invalid secret_id' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const entries = await secretService.getAuditLog(project.id, { secretId, limit });
+    res.json({ entries });
   } catch (err) {
     next(err);
   }
@@ -119,17 +131,81 @@ router.post('/:projectId/detect', async (req, res, next) => {
   }
 });
 
+// GET /:projectId/:secretId/versions - Value history of a secret (no values)
+router.get('/:projectId/:secretId/versions', async (req, res, next) => {
+  try {
+    if (Joi.string().uuid().validate(req.params.secretId).error) {
+      return res.status(400).json({ error: 'Invalid secret id' });
+    }
+
+    const project = await verifyProjectOwnership(req.params.projectId, req.user.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const versions = await secretService.listVersions(project.id, req.params.secretId);
+    if (!versions) {
+      return res.status(404).json({ error: 'Secret not found' });
+    }
+
+    res.json({ versions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const rollbackSchema = Joi.object({
+  version: Joi.number().integer().min(1).required(),
+  redeploy: Joi.boolean().default(false),
+});
+
+// POST /:projectId/:secretId/rollback - Restore an earlier value of a secret
+router.post('/:projectId/:secretId/rollback', validate(rollbackSchema), async (req, res, next) => {
+  try {
+    if (Joi.string().uuid().validate(req.params.secretId).error) {
+      return res.status(400).json({ error: 'Invalid secret id' });
+    }
+
+    const project = await verifyProjectOwnership(req.params.projectId, req.user.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { secret, rotated } = await secretService.rollback(
+      project.id,
+      req.params.secretId,
+      req.body.version,
+      { actorId: req.user.id }
+    );
+
+    const redeployJobId = req.body.redeploy && rotated
+      ? await secretService.queueRedeploy(project, req.user.id)
+      : null;
+
+    res.json({ ...secret, rotated, redeploy_job_id: redeployJobId });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
 // DELETE /:projectId/:secretId - Remove a secret
 router.delete('/:projectId/:secretId', async (req, res, next) => {
   try {
+    if (Joi.string().uuid().validate(req.params.secretId).error) {
+      return res.status(400).json({ error: 'Invalid secret id' });
+    }
+
     const project = await verifyProjectOwnership(req.params.projectId, req.user.id);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const deleted = await db('project_secrets')
-      .where({ id: req.params.secretId, project_id: req.params.projectId })
-      .del();
+    const deleted = await secretService.deleteSecret(project.id, req.params.secretId, {
+      actorId: req.user.id,
+    });
 
     if (!deleted) {
       return res.status(404).json({ error: 'Secret not found' });
@@ -28,6 +28,7 @@ const socialRoutes = require('./routes/social');
 const domainRoutes = require('./routes/domains');
 const modelRoutes = require('./routes/models');
 const waitlistRoutes = require('./routes/waitlist');
+const budgetRoutes = require('./routes/budgets');
 
 const app = express();
 
@@ -91,13 +92,14 @@ app.use(cors({
   credentials: true,
 }));
 
-// Body parsing — skip JSON parsing for webhook route (needs raw body for signature verification)
+// Body parsing — skip JSON parsing for webhook routes (need raw body for signature verification)
+const RAW_BODY_PATHS = ['/api/auth/webhook', '/api/github/webhook'];
 app.use((req, res, next) => {
-  if (req.path === '/api/auth/webhook') return next();
+  if (RAW_BODY_PATHS.includes(req.path)) return next();
   express.json({ limit: '10mb' })(req, res, next);
 });
 app.use((req, res, next) => {
-  if (req.path === '/api/auth/webhook') return next();
+  if (RAW_BODY_PATHS.includes(req.path)) return next();
   express.urlencoded({ extended: true, limit: '10mb' })(req, res, next);
 });
 
@@ -133,6 +135,7 @@ app.use('/api/social', socialRoutes);
 app.use('/api/domains', domainRoutes);
 app.use('/api/models', modelRoutes);
 app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/budgets', budgetRoutes);
 
 // Lightweight client-side error logging (preview iframe errors, etc.)
 app.post('/api/client-log', (req, res) => {
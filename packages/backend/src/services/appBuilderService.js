@@ -3,10 +3,15 @@ const logger = require('../config/logger');
 const codeGeneratorService = require('./codeGeneratorService');
 const codeValidatorService = require('./codeValidatorService');
 const contextService = require('./contextService');
+const versionService = require('./versionService');
+const attachmentService = require('./attachmentService');
 const { buildEnrichedMessage } = require('./urlExtractor');
 const progressEmitter = require('../queues/progressEmitter');
 const { generateContentHash } = require('../utils/contentHash');
 
+// Generated files that render UI, which get the user's attached screenshots
+const VISUAL_FILE_PATTERN = /(^|\/)(pages|components)\/|App\.[jt]sx$|\.css$/;
+
 class AppBuilderService {
   /**
    * Build a new app from a user message. This is the main entry point called
@@ -35,6 +40,8 @@ class AppBuilderService {
     });
 
     const trackerOptions = { projectId, userId, correlationId, model };
+    // Stream each generation call's output to the chat as it is written
+    const streamOptions = { ...trackerOptions, onDelta: progressEmitter.createStreamForwarder(projectId) };
 
     try {
       // ---------------------------------------------------------------
@@ -48,10 +55,12 @@ class AppBuilderService {
 
       const userMessage = await this._getUserMessage(messageId);
       const contextMd = await contextService.getContext(projectId) || '';
+      // Screenshots and mockups attached to the message are sent as vision input
+      const images = await attachmentService.loadImageInputs(messageId);
       const requirements = await codeGeneratorService.analyzeRequirements(
         userMessage,
         contextMd,
-        trackerOptions
+        { ...streamOptions, images }
       );
 
       // Store requirements in project settings
@@ -91,7 +100,7 @@ class AppBuilderService {
       });
 
       const { files: scaffoldFiles } =
-        await codeGeneratorService.generateScaffold(requirements, trackerOptions);
+        await codeGeneratorService.generateScaffold(requirements, streamOptions);
 
       for (const file of scaffoldFiles) {
         await this._saveFile(projectId, file);
@@ -127,7 +136,7 @@ class AppBuilderService {
           existingFiles,
           fileSpec,
           contextMd,
-          trackerOptions
+          VISUAL_FILE_PATTERN.test(fileSpec.path) ? { ...streamOptions, images } : streamOptions
         );
 
         await this._saveFile(projectId, generated);
@@ -156,7 +165,7 @@ class AppBuilderService {
           requirements,
           configSpecs,
           contextMd,
-          trackerOptions
+          streamOptions
         );
 
         for (const file of configFiles) {
@@ -183,11 +192,7 @@ class AppBuilderService {
       const allFiles = await this._getProjectFiles(projectId);
       const versionNumber = await this._getNextVersionNumber(projectId);
 
-      const snapshot = allFiles.map((f) => ({
-        path: f.path,
-        checksum: generateContentHash(f.content),
-        language: f.language,
-      }));
+      const snapshot = versionService.buildSnapshot(allFiles);
 
       await db('project_versions').insert({
         project_id: projectId,
@@ -344,6 +349,7 @@ class AppBuilderService {
       });
 
       const userMessage = await this._getUserMessage(messageId);
+      const images = await attachmentService.loadImageInputs(messageId);
       const contextMd = await contextService.getContext(projectId) || '';
       const currentFiles = await this._getProjectFiles(projectId);
       const settings = await this._getProjectSettings(projectId);
@@ -380,7 +386,14 @@ class AppBuilderService {
             userMessage,
             currentFiles,
             contextMd,
-            trackerOptions,
+            // Stream the agent's text and tool calls to the chat as they happen
+            {
+              ...trackerOptions,
+              images,
+              onDelta: progressEmitter.createStreamForwarder(projectId),
+              // Lazy-require to keep Octokit out of services that don't talk to GitHub
+              loadFiles: (paths) => require('./githubService').hydrateFiles(projectId, paths),
+            },
             // Progress callback
             ({ type, detail }) => {
               const progress = type === 'read_files' ? 20 : 50;
@@ -409,6 +422,9 @@ class AppBuilderService {
             agentResponsePreview: agentResponse ? agentResponse.substring(0, 200) : '(empty)',
           });
         } catch (toolError) {
+          // The monolithic pipeline would be blocked by the same budget
+          if (toolError.code === 'BUDGET_EXCEEDED') throw toolError;
+
           logger.warn('Tool-calling agent failed, falling back to monolithic iteration', {
             projectId,
             correlationId,
@@ -418,7 +434,7 @@ class AppBuilderService {
           // Fall back to monolithic approach
           return this._monolithicIterate(
             projectId, conversationId, userMessage, currentFiles,
-            requirements, contextMd, trackerOptions
+            requirements, contextMd, { ...trackerOptions, images }
           );
         }
       } else {
@@ -429,7 +445,7 @@ class AppBuilderService {
         });
         return this._monolithicIterate(
           projectId, conversationId, userMessage, currentFiles,
-          requirements, contextMd, trackerOptions
+          requirements, contextMd, { ...trackerOptions, images }
         );
       }
 
@@ -517,11 +533,7 @@ class AppBuilderService {
 
       const allFilesAfterApply = await this._getProjectFiles(projectId);
       const versionNumber = await this._getNextVersionNumber(projectId);
-      const snapshot = allFilesAfterApply.map((f) => ({
-        path: f.path,
-        checksum: generateContentHash(f.content),
-        language: f.language,
-      }));
+      const snapshot = versionService.buildSnapshot(allFilesAfterApply);
 
       await db('project_versions').insert({
         project_id: projectId,
@@ -643,6 +655,34 @@ class AppBuilderService {
     return parseInt(result.count, 10) === 0;
   }
 
+  /**
+   * Run one auto-fix pass over errors found by build verification
+   * (buildRunnerService) and snapshot the result as a new version.
+   *
+   * @param {string} projectId
+   * @param {Array<{file: string, line?: number, message: string, type: string}>} errors
+   * @param {Object} trackerOptions - { projectId, userId, correlationId, model }
+   * @returns {Promise<{fixedCount: number, summary: string}>}
+   */
+  async fixBuildErrors(projectId, errors, trackerOptions) {
+    const allFiles = await this._getProjectFiles(projectId);
+    const fixResult = await this._autoFixLoop(projectId, { errors }, allFiles, trackerOptions, 1);
+
+    if (fixResult.fixedCount > 0) {
+      const versionNumber = await this._getNextVersionNumber(projectId);
+      const snapshot = versionService.buildSnapshot(await this._getProjectFiles(projectId));
+
+      await db('project_versions').insert({
+        project_id: projectId,
+        version_number: versionNumber,
+        snapshot: JSON.stringify(snapshot),
+        prompt_summary: `Build fixes: ${fixResult.summary || `${fixResult.fixedCount} file(s) updated`}`,
+      });
+    }
+
+    return fixResult;
+  }
+
   // ===========================================================================
   // Tool-calling helpers
   // ===========================================================================
@@ -686,7 +726,7 @@ class AppBuilderService {
         currentFiles,
         requirements,
         contextMd,
-        trackerOptions
+        { ...trackerOptions, onDelta: progressEmitter.createStreamForwarder(projectId) }
       );
 
     await progressEmitter.emit(projectId, {
@@ -747,11 +787,7 @@ class AppBuilderService {
 
     // Version snapshot
     const versionNumber = await this._getNextVersionNumber(projectId);
-    const snapshot = allFiles.map((f) => ({
-      path: f.path,
-      checksum: generateContentHash(f.content),
-      language: f.language,
-    }));
+    const snapshot = versionService.buildSnapshot(allFiles);
 
     await db('project_versions').insert({
       project_id: projectId,
@@ -858,8 +894,12 @@ class AppBuilderService {
         errors: currentErrors.map((e) => `${e.file}: ${e.message}`).slice(0, 5),
       });
 
-      // Gather files that have errors
+      // Gather files that have errors, plus any package.json a missing
+      // dependency should be added to
       const errorFilePaths = new Set(currentErrors.map((e) => e.file));
+      for (const e of currentErrors) {
+        if (e.suggestion?.packageJson) errorFilePaths.add(e.suggestion.packageJson);
+      }
       const affectedFiles = allFiles.filter((f) => errorFilePaths.has(f.path));
 
       try {
@@ -967,19 +1007,25 @@ class AppBuilderService {
   }
 
   /**
-   * Get all project files as an array of { path, content, language }.
+   * Get all project files as an array of
+   * { path, content, language, updatedAt, blobSha, binary, size }.
+   * `content` is null for files not loaded from GitHub yet.
    * @private
    */
   async _getProjectFiles(projectId) {
     const rows = await db('project_files')
       .where('project_id', projectId)
-      .select('file_path', 'content', 'language')
+      .select('file_path', 'content', 'language', 'updated_at', 'blob_sha', 'is_binary', 'file_size')
       .orderBy('file_path', 'asc');
 
     return rows.map((r) => ({
       path: r.file_path,
       content: r.content,
       language: r.language,
+      updatedAt: r.updated_at,
+      blobSha: r.blob_sha,
+      binary: r.is_binary,
+      size: r.file_size,
     }));
   }
 
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+
+// Same directory routes/uploads.js writes to and server.js serves at /uploads
+const UPLOAD_DIR = path.resolve(__dirname, '../../../../uploads');
+
+// Image types every vision provider accepts (SVG is not a raster image)
+const VISION_MIME_TYPES = new Set(['image/png', 'image/jpeg', 'image/jpg', 'image/gif', 'image/webp']);
+const MAX_VISION_IMAGES = 4;
+const MAX_VISION_IMAGE_BYTES = 5 * 1024 * 1024; // Anthropic's per-image limit
+
+class AttachmentService {
+  /**
+   * Attachments linked to a message, oldest first.
+   * @param {string} messageId
+   * @returns {Promise<Array>} message_attachments rows
+   */
+  async getMessageAttachments(messageId) {
+    if (!messageId) return [];
+    return db('message_attachments')
+      .where({ message_id: messageId })
+      .orderBy('created_at', 'asc');
+  }
+
+  /**
+   * Load a message's image attachments as vision inputs for llmRouter
+   * (see utils/visionContent). Unsupported types, oversized images and
+   * files missing from disk are skipped.
+   *
+   * @param {string} messageId
+   * @returns {Promise<Array<{mimeType: string, data: string, filename: string}>>}
+   */
+  async loadImageInputs(messageId) {
+    const attachments = (await this.getMessageAttachments(messageId))
+      .filter((a) => a.category === 'image');
+
+    const images = [];
+    for (const attachment of attachments) {
+      if (images.length >= MAX_VISION_IMAGES) {
+        logger.warn('Too many image attachments, ignoring the rest', { messageId, max: MAX_VISION_IMAGES });
+        break;
+      }
+
+      if (!VISION_MIME_TYPES.has(attachment.mime_type)) {
+        logger.info('Skipping image attachment of unsupported type', { messageId, mimeType: attachment.mime_type });
+        continue;
+      }
+      if (attachment.file_size > MAX_VISION_IMAGE_BYTES) {
+        logger.warn('Skipping oversized image attachment', { messageId, filename: attachment.filename, size: attachment.file_size });
+        continue;
+      }
+
+      const filePath = this.resolveStoragePath(attachment.storage_url);
+      if (!filePath) continue;
+
+      try {
+        const data = await fs.promises.readFile(filePath);
+        images.push({
+          mimeType: attachment.mime_type === 'image/jpg' ? 'image/jpeg' : attachment.mime_type,
+          data: data.toString('base64'),
+          filename: attachment.filename,
+        });
+      } catch (err) {
+        logger.warn('Could not read image attachment', { messageId, attachmentId: attachment.id, error: err.message });
+      }
+    }
+
+    return images;
+  }
+
+  /**
+   * Map an attachment's storage_url (`/uploads/<name>`) to its file on disk.
+   * @param {string} storageUrl
+   * @returns {string|null} null for URLs outside the uploads directory
+   */
+  resolveStoragePath(storageUrl) {
+    if (!storageUrl || !storageUrl.startsWith('/uploads/')) return null;
+
+    const filePath = path.resolve(UPLOAD_DIR, storageUrl.slice('/uploads/'.length));
+    if (!filePath.startsWith(UPLOAD_DIR + path.sep)) return null;
+    return filePath;
+  }
+}
+
+// Singleton instance
+const attachmentService = new AttachmentService();
+
+module.exports = attachmentService;
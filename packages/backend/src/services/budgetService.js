@@ -0,0 +1,395 @@
+/**
+ * Budget Service
+ *
+ * Per-user and per-project spending limits over daily and monthly periods
+ * (UTC). Spend comes from costTracker.getSpend, so every LLM call logged in
+ * prompt_logs and every deployment counts toward it.
+ *
+ * - Crossing a budget's warn threshold sends a soft warning once per period,
+ *   as a `{ budget }` progress event and an email to the user.
+ * - Reaching the limit of a hard-stop budget makes assertWithinBudget throw
+ *   a 402 BUDGET_EXCEEDED error, until the period rolls over or an admin
+ *   override is active.
+ *
+ * llmRouter checks before every call; the deploy and marketing workers check
+ * when a job starts.
+ */
+
+const { db } = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const costTracker = require('./costTracker');
+const progressEmitter = require('../queues/progressEmitter');
+const { sendMail, escapeHtml } = require('./emailService');
+
+const PERIODS = ['daily', 'monthly'];
+
+class BudgetService {
+  /**
+   * Throw if a hard-stop budget covering this user or project is exhausted.
+   * Sends soft warnings as a side effect. Resolves immediately when no
+   * budgets apply.
+   *
+   * @param {Object} scope
+   * @param {string} [scope.userId]
+   * @param {string} [scope.projectId]
+   * @returns {Promise<void>}
+   */
+  async assertWithinBudget({ userId, projectId }) {
+    if (!userId && !projectId) return;
+
+    let ownerId = userId;
+    if (!ownerId) {
+      const project = await db('projects').where({ id: projectId }).select('user_id').first();
+      if (!project) return;
+      ownerId = project.user_id;
+    }
+
+    const budgets = await db('budgets')
+      .where({ user_id: ownerId })
+      .where((q) => {
+        q.whereNull('project_id');
+        if (projectId) q.orWhere('project_id', projectId);
+      });
+
+    if (budgets.length === 0) return;
+
+    const now = new Date();
+    for (const budget of budgets) {
+      const status = await this._evaluate(budget, now);
+
+      if (status.exceeded) {
+        await this._notifyOnce(budget, 'blocked_period', status, projectId);
+        if (budget.hard_stop && !status.overridden) {
+          throw this._exceededError(budget, status);
+        }
+      } else if (status.warning) {
+        await this._notifyOnce(budget, 'warned_period', status, projectId);
+      }
+    }
+  }
+
+  /**
+   * List a user's budgets with their current spend.
+   *
+   * @param {string} userId
+   * @param {Object} [filters]
+   * @param {string} [filters.projectId] - Only this project's budgets
+   * @returns {Promise<Array<Object>>}
+   */
+  async listBudgets(userId, { projectId } = {}) {
+    const query = db('budgets').where({ user_id: userId }).orderBy('created_at', 'asc');
+    if (projectId) query.where({ project_id: projectId });
+
+    return this._withStatus(await query);
+  }
+
+  /**
+   * Admin view: budgets across users, optionally filtered.
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.userId]
+   * @param {string} [filters.projectId]
+   * @returns {Promise<Array<Object>>}
+   */
+  async listAllBudgets({ userId, projectId } = {}) {
+    const query = db('budgets')
+      .join('users', 'budgets.user_id', 'users.id')
+      .select('budgets.*', 'users.email as user_email')
+      .orderBy('budgets.created_at', 'desc');
+    if (userId) query.where('budgets.user_id', userId);
+    if (projectId) query.where('budgets.project_id', projectId);
+
+    return this._withStatus(await query);
+  }
+
+  /**
+   * Create or update the budget for a user (or one of their projects) and
+   * period.
+   *
+   * @param {string} userId
+   * @param {Object} params
+   * @param {string|null} [params.projectId] - null for a budget across all projects
+   * @param {string} params.period - 'daily' | 'monthly'
+   * @param {number} params.limitUsd
+   * @param {number} [params.warnThreshold=0.8] - Fraction of the limit
+   * @param {boolean} [params.hardStop=true]
+   * @returns {Promise<Object>}
+   */
+  async upsertBudget(userId, { projectId = null, period, limitUsd, warnThreshold = 0.8, hardStop = true }) {
+    if (!PERIODS.includes(period)) {
+      const err = new Error(`Period must be one of: ${PERIODS.join(', ')}`);
+      err.statusCode = 400;
+      throw err;
+    }
+
+    const values = {
+      limit_usd: limitUsd,
+      warn_threshold: warnThreshold,
+      hard_stop: hardStop,
+      // A changed limit may no longer be crossed; let notifications fire again
+      warned_period: null,
+      blocked_period: null,
+      updated_at: db.fn.now(),
+    };
+
+    const existing = await db('budgets')
+      .where({ user_id: userId, period })
+      .where((q) => (projectId ? q.where('project_id', projectId) : q.whereNull('project_id')))
+      .first();
+
+    let budget;
+    if (existing) {
+      [budget] = await db('budgets').where({ id: existing.id }).update(values).returning('*');
+    } else {
+      [budget] = await db('budgets')
+        .insert({ user_id: userId, project_id: projectId, period, ...values })
+        .returning('*');
+    }
+
+    logger.info('Budget saved', { userId, projectId, period, limitUsd, hardStop });
+
+    const [withStatus] = await this._withStatus([budget]);
+    return withStatus;
+  }
+
+  /**
+   * Delete one of a user's budgets.
+   *
+   * @returns {Promise<boolean>} Whether a budget was deleted
+   */
+  async deleteBudget(userId, budgetId) {
+    const deleted = await db('budgets').where({ id: budgetId, user_id: userId }).del();
+    return deleted > 0;
+  }
+
+  /**
+   * Admin override: allow spending past a budget's limit until `until`.
+   *
+   * @param {string} budgetId
+   * @param {Object} params
+   * @param {Date} params.until
+   * @param {string} [params.reason]
+   * @param {string} params.adminId
+   * @returns {Promise<Object|null>} The updated budget, or null if not found
+   */
+  async setOverride(budgetId, { until, reason, adminId }) {
+    const [budget] = await db('budgets')
+      .where({ id: budgetId })
+      .update({
+        override_until: until,
+        override_reason: reason || null,
+        overridden_by: adminId,
+        updated_at: db.fn.now(),
+      })
+      .returning('*');
+
+    if (!budget) return null;
+
+    logger.info('Budget override set', { budgetId, until, reason, adminId });
+
+    const [withStatus] = await this._withStatus([budget]);
+    return withStatus;
+  }
+
+  /**
+   * Remove an admin override so the budget is enforced again.
+   *
+   * @returns {Promise<Object|null>} The updated budget, or null if not found
+   */
+  async clearOverride(budgetId) {
+    const [budget] = await db('budgets')
+      .where({ id: budgetId })
+      .update({
+        override_until: null,
+        override_reason: null,
+        overridden_by: null,
+        updated_at: db.fn.now(),
+      })
+      .returning('*');
+
+    if (!budget) return null;
+
+    logger.info('Budget override cleared', { budgetId });
+
+    const [withStatus] = await this._withStatus([budget]);
+    return withStatus;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Current spend against a budget.
+   * @private
+   */
+  async _evaluate(budget, now = new Date()) {
+    const { start, key } = this._periodStart(budget.period, now);
+    const spend = await costTracker.getSpend(
+      budget.project_id ? { projectId: budget.project_id } : { userId: budget.user_id },
+      start
+    );
+
+    const limit = parseFloat(budget.limit_usd);
+    const threshold = parseFloat(budget.warn_threshold);
+    const spent = spend.total;
+
+    return {
+      periodKey: key,
+      periodStart: start,
+      spent,
+      limit,
+      ratio: limit > 0 ? spent / limit : 1,
+      warning: spent >= limit * threshold,
+      exceeded: spent >= limit,
+      overridden: !!budget.override_until && new Date(budget.override_until) > now,
+    };
+  }
+
+  /**
+   * Attach `status` (spend, ratio, flags) to budget rows for API responses.
+   * @private
+   */
+  async _withStatus(budgets) {
+    const now = new Date();
+    return Promise.all(budgets.map(async (budget) => {
+      const { periodKey, periodStart, ...status } = await this._evaluate(budget, now);
+      return { ...budget, status: { ...status, period_start: periodStart } };
+    }));
+  }
+
+  /**
+   * UTC start of the current period and a key identifying it.
+   * @private
+   */
+  _periodStart(period, now) {
+    const iso = now.toISOString();
+    if (period === 'daily') {
+      return { start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())), key: iso.slice(0, 10) };
+    }
+    return { start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)), key: iso.slice(0, 7) };
+  }
+
+  /**
+   * Send a warning or limit notification unless one was already sent this
+   * period. The conditional update claims the notification, so concurrent
+   * callers send it once.
+   * @private
+   */
+  async _notifyOnce(budget, column, status, projectId) {
+    const claimed = await db('budgets')
+      .where({ id: budget.id })
+      .where((q) => q.whereNull(column).orWhereNot(column, status.periodKey))
+      .update({ [column]: status.periodKey });
+
+    if (!claimed) return;
+
+    const level = column === 'blocked_period' ? 'exceeded' : 'warning';
+    await this._notify(budget, level, status, projectId);
+  }
+
+  /**
+   * Deliver a budget notification over SSE and email. Never throws.
+   * @private
+   */
+  async _notify(budget, level, status, projectId) {
+    const scope = budget.project_id ? 'project' : 'user';
+    const blocked = level === 'exceeded' && budget.hard_stop && !status.overridden;
+
+    logger.warn('Budget threshold reached', {
+      budgetId: budget.id,
+      userId: budget.user_id,
+      projectId: budget.project_id,
+      level,
+      period: budget.period,
+      spent: status.spent,
+      limit: status.limit,
+    });
+
+    const event = {
+      budget: {
+        id: budget.id,
+        level,
+        scope,
+        period: budget.period,
+        spent: status.spent,
+        limit: status.limit,
+        blocked,
+        message: this._describe(budget, level, status, blocked),
+      },
+    };
+
+    const targetProjectId = budget.project_id || projectId;
+    if (targetProjectId) {
+      await progressEmitter.emit(targetProjectId, event);
+    }
+
+    try {
+      const user = await db('users').where({ id: budget.user_id }).select('email').first();
+      if (!user?.email) return;
+
+      let projectName = null;
+      if (budget.project_id) {
+        const project = await db('projects').where({ id: budget.project_id }).select('name').first();
+        projectName = project?.name || null;
+      }
+
+      await sendMail(
+        user.email,
+        level === 'warning'
+          ? `Imagia budget warning: ${Math.round(status.ratio * 100)}% of your ${budget.period} limit used`
+          : `Imagia budget reached: ${budget.period} limit of $${status.limit.toFixed(2)}`,
+        `<div style="font-family:sans-serif;max-width:500px">
+          <h2 style="color:${level === 'warning' ? '#d97706' : '#dc2626'}">${level === 'warning' ? 'Budget Warning' : 'Budget Reached'}</h2>
+          <p>${event.budget.message}</p>
+          ${projectName ? `<p><strong>Project:</strong> ${escapeHtml(projectName)}</p>` : ''}
+          <p><strong>Spent:</strong> $${status.spent.toFixed(2)} of $${status.limit.toFixed(2)} (${budget.period})</p>
+          <p><a href="${config.frontendUrl}">Manage your budgets</a></p>
+        </div>`
+      );
+    } catch (err) {
+      logger.error('Failed to send budget email', { budgetId: budget.id, error: err.message });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _describe(budget, level, status, blocked) {
+    const scope = budget.project_id ? 'project' : 'account';
+    const amounts = `$${status.spent.toFixed(2)} of $${status.limit.toFixed(2)}`;
+
+    if (level === 'warning') {
+      return `This ${scope} has used ${amounts} of its ${budget.period} budget.`;
+    }
+    if (blocked) {
+      return `This ${scope} has reached its ${budget.period} budget (${amounts}). AI generation and deployments are paused until the budget resets or is raised.`;
+    }
+    return `This ${scope} has reached its ${budget.period} budget (${amounts}).`;
+  }
+
+  /**
+   * @private
+   */
+  _exceededError(budget, status) {
+    const scope = budget.project_id ? 'Project' : 'Account';
+    const err = new Error(
+      `${scope} ${budget.period} budget of $${status.limit.toFixed(2)} reached ($${status.spent.toFixed(2)} spent)`
+    );
+    err.statusCode = 402;
+    err.code = 'BUDGET_EXCEEDED';
+    err.budget = {
+      id: budget.id,
+      period: budget.period,
+      scope: budget.project_id ? 'project' : 'user',
+      spent: status.spent,
+      limit: status.limit,
+    };
+    return err;
+  }
+}
+
+// Singleton instance
+const budgetService = new BudgetService();
+module.exports = budgetService;
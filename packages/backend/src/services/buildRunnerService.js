@@ -0,0 +1,420 @@
+/**
+ * Build Runner Service
+ *
+ * Verifies that a generated app actually installs, builds, passes its tests
+ * and boots — the checks static validation cannot make. Runs after
+ * generation, before the build is reported complete.
+ *
+ * Flow:
+ *   1. Write project files to a temp directory
+ *   2. npm install (scripts disabled) against the local registry mirror
+ *   3. npm run build, if the app defines one
+ *   4. npm test, if the app defines a real test script
+ *   5. npm start for server apps (no build script): must stay up for a short window
+ *   6. Clean up temp directory
+ *
+ * Verification fails closed: without BUILD_SANDBOX_COMMAND (e.g. firejail,
+ * bwrap), or when the sandbox can't start, the build is reported skipped
+ * and unverified rather than run on the worker host.
+ *
+ * Every command runs in its own process group with a stripped environment,
+ * inside the sandbox and under kernel-enforced limits: CPU time and address
+ * space (prlimit), a wall-clock kill (timeout) and private PID and user
+ * namespaces (unshare), so the worker's processes and their environment
+ * are not visible. Stages after install also get an empty network
+ * namespace; install may only reach the registry mirror, which the sandbox
+ * enforces and npm's proxy settings back up. Runs are serialised so at
+ * most one verification uses the machine at a time.
+ *
+ * Failed stages are parsed into the `{file, line, message, type}` errors
+ * that codeGeneratorService.fixCodeErrors consumes.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const { parseBuildOutput, stripAnsi } = require('../utils/buildOutputParser');
+const githubService = require('./githubService');
+
+const BOOT_WINDOW_MS = 8000;
+const MAX_OUTPUT_CHARS = 200000;
+const MAX_LOG_CHARS = 4000;
+const OUTPUT_PROGRESS_INTERVAL_MS = 3000;
+
+// Unroutable proxy: any request that bypasses NO_PROXY fails fast
+const BLOCKED_PROXY = 'http://127.0.0.1:9';
+
+// Extra seconds before the OS-level wall-clock kill, so the in-process
+// timer normally fires first and reports the timeout
+const WALL_CLOCK_GRACE_SECONDS = 30;
+
+const DEFAULT_TEST_SCRIPT = /no test specified/;
+
+// Progress values stay below 100 — the frontend treats 100 as "build done"
+const STAGE_PROGRESS = {
+  install: 92,
+  build: 94,
+  test: 96,
+  boot: 98,
+};
+
+const STAGE_LABELS = {
+  install: 'Installing dependencies',
+  build: 'Running build',
+  test: 'Running tests',
+  boot: 'Starting app',
+};
+
+class BuildRunnerService {
+  constructor() {
+    // Tail of the run queue; each verification waits for the previous one
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Install, build, test and boot a project's files in a sandboxed temp dir.
+   *
+   * @param {string} projectId
+   * @param {Object} [options]
+   * @param {function} [options.onProgress] - Progress callback({progress, stage, message})
+   * @returns {Promise<{success: boolean, skipped: boolean, reason?: string, failedStage?: string,
+   *   stages: Array<{name: string, command: string, exitCode: number|null, timedOut: boolean, durationMs: number}>,
+   *   errors: Array<{file: string, line: number|null, message: string, type: string}>, log: string}>}
+   */
+  verify(projectId, options = {}) {
+    const run = this._queue.then(() => this._verify(projectId, options));
+    // Keep the queue alive whether or not this run fails
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * @private
+   */
+  async _verify(projectId, { onProgress } = {}) {
+    const report = (stage, message) => {
+      if (onProgress) onProgress({ progress: STAGE_PROGRESS[stage], stage: 'verifying', message });
+    };
+
+    // Never run generated code on the worker host itself
+    if (!config.buildSandboxCommand.trim()) {
+      return this._skipped('No build sandbox configured (BUILD_SANDBOX_COMMAND)');
+    }
+
+    // Files not yet fetched from GitHub are fetched for this run only
+    const files = await githubService.readFilesForBuild(projectId);
+
+    const pkgFile = files.find((f) => f.file_path === 'package.json');
+    if (!pkgFile) {
+      return this._skipped('No package.json at the project root');
+    }
+
+    let pkg;
+    try {
+      pkg = JSON.parse(pkgFile.content);
+    } catch (err) {
+      return {
+        success: false,
+        skipped: false,
+        failedStage: 'install',
+        stages: [],
+        errors: [{ file: 'package.json', line: null, message: `Invalid JSON: ${err.message}`, type: 'install' }],
+        log: '',
+      };
+    }
+
+    const scripts = pkg.scripts || {};
+    // Only install needs the network, and only the registry mirror
+    const plan = [
+      { name: 'install', args: ['install', '--ignore-scripts', '--no-audit', '--no-fund', '--loglevel=error'], network: true },
+    ];
+    if (scripts.build) plan.push({ name: 'build', args: ['run', 'build'] });
+    if (scripts.test && !DEFAULT_TEST_SCRIPT.test(scripts.test)) plan.push({ name: 'test', args: ['test'] });
+    // Frontend apps' start scripts usually serve the build output, which the
+    // build stage already covered; only boot-check servers
+    if (scripts.start && !scripts.build) plan.push({ name: 'boot', args: ['start'], bootWindowMs: BOOT_WINDOW_MS });
+
+    let tmpDir = null;
+    try {
+      tmpDir = await fs.promises.mkdtemp(
+        path.join(os.tmpdir(), `imagia-verify-${projectId.substring(0, 8)}-`)
+      );
+      await this._writeFiles(tmpDir, files);
+
+      const env = this._buildEnv(tmpDir);
+      const knownFiles = files.map((f) => f.file_path);
+      const stages = [];
+
+      const unusable = await this._checkSandbox(tmpDir, env);
+      if (unusable) {
+        logger.error('Build sandbox is not usable, skipping verification', { projectId, error: unusable });
+        return this._skipped(`Build sandbox failed to start: ${unusable}`);
+      }
+
+      for (const step of plan) {
+        report(step.name, `${STAGE_LABELS[step.name]}...`);
+
+        const result = await this._runCommand('npm', step.args, {
+          cwd: tmpDir,
+          env,
+          timeoutMs: config.buildStageTimeoutMs,
+          bootWindowMs: step.bootWindowMs,
+          network: step.network,
+          onOutput: (line) => report(step.name, `${STAGE_LABELS[step.name]}: ${line}`),
+        });
+
+        stages.push({
+          name: step.name,
+          command: `npm ${step.args.join(' ')}`,
+          exitCode: result.exitCode,
+          timedOut: result.timedOut,
+          durationMs: result.durationMs,
+        });
+
+        const passed = step.bootWindowMs ? result.survived : result.exitCode === 0 && !result.timedOut;
+        if (!passed) {
+          const output = result.timedOut
+            ? `${result.output}\n${STAGE_LABELS[step.name]} timed out after ${Math.round(config.buildStageTimeoutMs / 1000)}s`
+            : result.output;
+
+          logger.warn('Build verification stage failed', {
+            projectId,
+            stage: step.name,
+            exitCode: result.exitCode,
+            timedOut: result.timedOut,
+          });
+
+          return {
+            success: false,
+            skipped: false,
+            failedStage: step.name,
+            stages,
+            errors: parseBuildOutput(output, { type: step.name, rootDir: tmpDir, knownFiles }),
+            log: this._tail(output.split(tmpDir).join('')),
+          };
+        }
+      }
+
+      logger.info('Build verification passed', {
+        projectId,
+        stages: stages.map((s) => `${s.name}:${s.durationMs}ms`),
+      });
+
+      return { success: true, skipped: false, stages, errors: [], log: '' };
+    } finally {
+      if (tmpDir) {
+        try {
+          await fs.promises.rm(tmpDir, { recursive: true, force: true });
+        } catch (cleanupErr) {
+          logger.warn('Failed to clean up verification temp dir', {
+            tmpDir,
+            error: cleanupErr.message,
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Not run, so neither passed nor failed: the build is unverified.
+   * @private
+   */
+  _skipped(reason) {
+    return { success: true, skipped: true, reason, stages: [], errors: [], log: '' };
+  }
+
+  /**
+   * Start a no-op command through the full sandbox and limit chain, with
+   * and without network, so a broken sandbox is reported as such rather
+   * than as a failing build.
+   * @private
+   * @returns {Promise<string|null>} What went wrong, or null when usable
+   */
+  async _checkSandbox(cwd, env) {
+    for (const network of [true, false]) {
+      const result = await this._runCommand('node', ['--version'], {
+        cwd,
+        env,
+        timeoutMs: 30000,
+        network,
+      });
+      if (result.exitCode !== 0) {
+        return stripAnsi(result.output).trim().split('\n').pop() || `exit code ${result.exitCode}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * argv running a command inside the sandbox under OS-level limits:
+   * prlimit caps CPU time and address space for every descendant, timeout
+   * kills the stage if the in-process timer can't, and unshare gives it
+   * private user and PID namespaces plus, unless `network` is set, an
+   * empty network namespace.
+   * @private
+   * @returns {string[]}
+   */
+  _sandboxArgv(command, args, { timeoutMs, network }) {
+    const sandbox = config.buildSandboxCommand.split(/\s+/).filter(Boolean);
+    const wallClockSeconds = Math.ceil(timeoutMs / 1000) + WALL_CLOCK_GRACE_SECONDS;
+    const namespaces = ['--map-root-user', '--pid', '--fork', '--mount-proc'];
+    if (!network) namespaces.push('--net');
+
+    return [
+      'prlimit',
+      `--cpu=${config.buildCpuLimitSeconds}`,
+      `--as=${config.buildAddressSpaceLimitMb * 1024 * 1024}`,
+      '--',
+      'timeout', '--signal=KILL', `${wallClockSeconds}s`,
+      'unshare', ...namespaces, '--',
+      ...sandbox,
+      command, ...args,
+    ];
+  }
+
+  /**
+   * Write project files under `root`, refusing paths that escape it.
+   * @private
+   */
+  async _writeFiles(root, files) {
+    for (const file of files) {
+      const fullPath = path.resolve(root, file.file_path);
+      if (!fullPath.startsWith(root + path.sep)) {
+        throw new Error(`Refusing to write file outside the build directory: ${file.file_path}`);
+      }
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, file.content || '', 'utf-8');
+    }
+  }
+
+  /**
+   * Minimal environment for untrusted commands: no server secrets, npm cache
+   * and home inside the temp dir, registry mirror only.
+   * @private
+   */
+  _buildEnv(tmpDir) {
+    let registryHost = 'localhost';
+    try {
+      registryHost = new URL(config.buildRegistryUrl).hostname;
+    } catch {
+      logger.warn('Invalid BUILD_REGISTRY_URL, falling back to localhost', { url: config.buildRegistryUrl });
+    }
+
+    return {
+      PATH: process.env.PATH,
+      HOME: tmpDir,
+      TMPDIR: path.join(tmpDir, '.tmp'),
+      CI: 'true',
+      NODE_ENV: 'development',
+      NODE_OPTIONS: `--max-old-space-size=${config.buildMemoryLimitMb}`,
+      PORT: String(40000 + Math.floor(Math.random() * 10000)),
+      npm_config_registry: config.buildRegistryUrl,
+      npm_config_cache: path.join(tmpDir, '.npm-cache'),
+      npm_config_update_notifier: 'false',
+      HTTP_PROXY: BLOCKED_PROXY,
+      HTTPS_PROXY: BLOCKED_PROXY,
+      http_proxy: BLOCKED_PROXY,
+      https_proxy: BLOCKED_PROXY,
+      NO_PROXY: `${registryHost},localhost,127.0.0.1`,
+      no_proxy: `${registryHost},localhost,127.0.0.1`,
+    };
+  }
+
+  /**
+   * Run a command through the sandbox in its own process group, killing
+   * the whole group on timeout. With `bootWindowMs`, the command is
+   * expected to keep running: it is stopped after the window and `survived`
+   * reports whether it was still up.
+   * @private
+   * @returns {Promise<{exitCode: number|null, timedOut: boolean, survived: boolean, durationMs: number, output: string}>}
+   */
+  async _runCommand(command, args, { cwd, env, timeoutMs, bootWindowMs, network = false, onOutput }) {
+    await fs.promises.mkdir(env.TMPDIR, { recursive: true });
+
+    const [bin, ...binArgs] = this._sandboxArgv(command, args, { timeoutMs, network });
+
+    return new Promise((resolve) => {
+      const startedAt = Date.now();
+      let output = '';
+      let timedOut = false;
+      let survived = false;
+      let lastProgressAt = 0;
+
+      const child = spawn(bin, binArgs, {
+        cwd,
+        env,
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+
+      const killGroup = () => {
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch {
+          // Already exited
+        }
+      };
+
+      const onData = (chunk) => {
+        output += chunk.toString();
+        if (output.length > MAX_OUTPUT_CHARS) output = output.slice(-MAX_OUTPUT_CHARS);
+
+        const now = Date.now();
+        if (onOutput && now - lastProgressAt >= OUTPUT_PROGRESS_INTERVAL_MS) {
+          const lastLine = stripAnsi(chunk.toString()).split(/\r?\n/).map((l) => l.trim()).filter(Boolean).pop();
+          if (lastLine) {
+            lastProgressAt = now;
+            onOutput(lastLine.slice(0, 120));
+          }
+        }
+      };
+      child.stdout.on('data', onData);
+      child.stderr.on('data', onData);
+
+      const limitMs = bootWindowMs || timeoutMs;
+      const timer = setTimeout(() => {
+        if (bootWindowMs) survived = true;
+        else timedOut = true;
+        killGroup();
+      }, limitMs);
+
+      let settled = false;
+      const finish = (exitCode) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        // Reap anything the command left running in its group
+        if (child.pid) killGroup();
+        resolve({
+          exitCode,
+          timedOut,
+          survived,
+          durationMs: Date.now() - startedAt,
+          output,
+        });
+      };
+
+      child.on('error', (err) => {
+        output += `\n${err.message}`;
+        // The process never started, so no 'close' is guaranteed
+        if (!child.pid) finish(null);
+      });
+
+      child.on('close', (exitCode) => finish(exitCode));
+    });
+  }
+
+  /**
+   * @private
+   */
+  _tail(text) {
+    return text.length > MAX_LOG_CHARS ? text.slice(-MAX_LOG_CHARS) : text;
+  }
+}
+
+// Singleton instance
+const buildRunnerService = new BuildRunnerService();
+module.exports = buildRunnerService;
@@ -3,6 +3,8 @@ const cacheService = require('./cacheService');
 const { createCircuitBreaker } = require('../utils/circuitBreaker');
 const { retryWithBackoff } = require('../utils/retryLogic');
 const { llmCacheKey } = require('../utils/contentHash');
+const { replayContent } = require('../utils/llmStream');
+const { toAnthropicContent, openAIPartsToAnthropic, imagesCacheKey } = require('../utils/visionContent');
 const config = require('../config/environment');
 const logger = require('../config/logger');
 
@@ -38,32 +40,37 @@ class ClaudeService {
    * @param {number} [options.maxTokens] - Max tokens in response
    * @param {number} [options.temperature] - Sampling temperature
    * @param {string} [options.responseFormat] - 'text' or 'json'
+   * @param {Object} [options.stream] - Stream channel from llmRouter; streams deltas when set
+   * @param {Array<{mimeType: string, data: string, filename?: string}>} [options.images] - Image inputs (see utils/visionContent)
    * @returns {Promise<{content: string, usage: Object, model: string}>}
    */
   async generate(options) {
     const {
       systemMessage,
       prompt,
+      images,
       model = DEFAULT_MODEL,
       maxTokens = 4096,
       temperature = 0.7,
       responseFormat = 'text',
+      stream,
     } = options;
 
     // Check cache first
     const cacheKey = llmCacheKey(
-      `${systemMessage || ''}:${prompt}:${model}:${maxTokens}:${temperature}:${responseFormat}`,
+      `${systemMessage || ''}:${prompt}:${imagesCacheKey(images)}:${model}:${maxTokens}:${temperature}:${responseFormat}`,
       model
     );
 
     const cached = await cacheService.get(cacheKey);
     if (cached) {
       logger.debug('Claude cache hit', { model, cacheKey });
+      if (stream) replayContent(stream, cached.content);
       return cached;
     }
 
     // Call API via circuit breaker with retry
-    const params = { systemMessage, prompt, model, maxTokens, temperature };
+    const params = { systemMessage, prompt, images, model, maxTokens, temperature, stream };
 
     const response = await retryWithBackoff(
       () => this.breaker.fire(params),
@@ -119,8 +126,8 @@ class ClaudeService {
    * Make the raw API call to Anthropic.
    * @private
    */
-  async _callApi({ systemMessage, prompt, model, maxTokens, temperature }) {
-    const messages = [{ role: 'user', content: prompt }];
+  async _callApi({ systemMessage, prompt, images, model, maxTokens, temperature, stream }) {
+    const messages = [{ role: 'user', content: images?.length ? toAnthropicContent(prompt, images) : prompt }];
 
     const params = {
       model,
@@ -133,6 +140,10 @@ class ClaudeService {
       params.system = systemMessage;
     }
 
+    if (stream) {
+      return this._streamMessage(params, stream);
+    }
+
     return this.client.messages.create(params);
   }
 
@@ -147,6 +158,7 @@ class ClaudeService {
    * @param {string} [options.model] - Model to use
    * @param {number} [options.maxTokens] - Max tokens
    * @param {number} [options.temperature] - Sampling temperature
+   * @param {Object} [options.stream] - Stream channel from llmRouter; streams deltas when set
    * @returns {Promise<{message: {role: string, content: string, toolCalls: Array}, usage: Object, model: string, finishReason: string}>}
    */
   async generateWithTools(options) {
@@ -157,6 +169,7 @@ class ClaudeService {
       model = DEFAULT_MODEL,
       maxTokens = 8192,
       temperature = 0.3,
+      stream,
     } = options;
 
     // Convert tool definitions: OpenAI → Anthropic
@@ -205,7 +218,8 @@ class ClaudeService {
       } else {
         anthropicMessages.push({
           role: msg.role,
-          content: msg.content,
+          // Multi-part content (text + images) arrives in OpenAI format
+          content: Array.isArray(msg.content) ? openAIPartsToAnthropic(msg.content) : msg.content,
         });
       }
     }
@@ -250,7 +264,9 @@ class ClaudeService {
       params.tool_choice = anthropicToolChoice;
     }
 
-    const response = await this.client.messages.create(params);
+    const response = stream
+      ? await this._streamMessage(params, stream)
+      : await this.client.messages.create(params);
 
     // Normalize response: extract text + tool_use blocks
     let textContent = '';
@@ -300,6 +316,31 @@ class ClaudeService {
     };
   }
 
+  /**
+   * Stream a message, emitting text and tool_use starts on the channel.
+   * Resolves with the same Message object `messages.create` returns.
+   * @private
+   */
+  async _streamMessage(params, stream) {
+    const emit = stream.begin();
+    const messageStream = this.client.messages.stream(params);
+
+    messageStream.on('streamEvent', (event) => {
+      if (emit.superseded()) {
+        messageStream.abort();
+        return;
+      }
+
+      if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        emit({ type: 'text', text: event.delta.text });
+      } else if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+        emit({ type: 'tool_call', id: event.content_block.id, name: event.content_block.name });
+      }
+    });
+
+    return messageStream.finalMessage();
+  }
+
   /**
    * Extract JSON from a response that may be wrapped in markdown fences.
    * @private
@@ -1,6 +1,7 @@
 const logger = require('../config/logger');
 const llmRouter = require('./llmRouter');
 const promptTracker = require('./promptTracker');
+const contextBuilder = require('./contextBuilder');
 const ToolExecutor = require('./toolExecutor');
 const { TOOL_DEFINITIONS } = require('../utils/toolDefinitions');
 const { buildRequirementsPrompt, buildScaffoldPrompt } = require('../utils/prompts/appScaffold');
@@ -8,9 +9,11 @@ const { buildFileGenerationPrompt, buildBatchFilePrompt } = require('../utils/pr
 const { buildIterationPrompt } = require('../utils/prompts/codeIteration');
 const { buildChangeAnalysisPrompt, buildChangePlanPrompt } = require('../utils/prompts/changeAnalysis');
 const { buildCodeFixPrompt } = require('../utils/prompts/codeFix');
+const { IMAGE_INPUT_TOKENS, toOpenAIContent } = require('../utils/visionContent');
 
 const MAX_TOOL_TURNS = 15;
 const TOOL_SESSION_TIMEOUT = 8 * 60 * 1000; // 8 minutes
+const TOOL_CONTEXT_SHARE = 0.3; // Share of the context window for pre-loaded files
 
 /**
  * Extension-to-language mapping for file path inference.
@@ -59,10 +62,12 @@ class CodeGeneratorService {
    * @param {string} options.projectId
    * @param {string} options.userId
    * @param {string} [options.correlationId]
+   * @param {Array<Object>} [options.images] - Attached screenshots/mockups (see utils/visionContent)
+   * @param {Function} [options.onDelta] - Receives streamed model output (see utils/llmStream)
    * @returns {Promise<Object>} Parsed requirements object from the LLM
    */
   async analyzeRequirements(userMessage, contextMd, options) {
-    const { projectId, userId, correlationId, model } = options;
+    const { projectId, userId, correlationId, model, images, onDelta } = options;
 
     logger.info('Analyzing requirements', { projectId, correlationId, model });
 
@@ -78,12 +83,16 @@ class CodeGeneratorService {
       systemMessage,
       callFn: () =>
         llmRouter.route('code-generation', {
+          userId,
+          projectId,
           systemMessage,
           prompt,
           maxTokens: maxTokens || 4096,
           temperature: temperature ?? 0.4,
           responseFormat: 'json',
           modelOverride: model,
+          images,
+          onDelta,
         }),
     });
 
@@ -108,10 +117,11 @@ class CodeGeneratorService {
    * @param {string} options.projectId
    * @param {string} options.userId
    * @param {string} [options.correlationId]
+   * @param {Function} [options.onDelta] - Receives streamed model output (see utils/llmStream)
    * @returns {Promise<{files: Array<{path: string, content: string, language: string}>}>}
    */
   async generateScaffold(requirements, options) {
-    const { projectId, userId, correlationId, model } = options;
+    const { projectId, userId, correlationId, model, onDelta } = options;
 
     logger.info('Generating scaffold', { projectId, correlationId, model });
 
@@ -127,12 +137,15 @@ class CodeGeneratorService {
       systemMessage,
       callFn: () =>
         llmRouter.route('scaffold', {
+          userId,
+          projectId,
           systemMessage,
           prompt,
           maxTokens: maxTokens || 4096,
           temperature: temperature ?? 0.3,
           responseFormat: 'json',
           modelOverride: model,
+          onDelta,
         }),
     });
 
@@ -165,10 +178,12 @@ class CodeGeneratorService {
    * @param {string} options.projectId
    * @param {string} options.userId
    * @param {string} [options.correlationId]
+   * @param {Array<Object>} [options.images] - Attached screenshots/mockups (see utils/visionContent)
+   * @param {Function} [options.onDelta] - Receives streamed model output (see utils/llmStream)
    * @returns {Promise<{path: string, content: string, language: string}>}
    */
   async generateFile(requirements, existingFiles, fileSpec, contextMd, options) {
-    const { projectId, userId, correlationId, model } = options;
+    const { projectId, userId, correlationId, model, images, onDelta } = options;
 
     logger.info('Generating file', {
       projectId,
@@ -189,11 +204,15 @@ class CodeGeneratorService {
       systemMessage,
       callFn: () =>
         llmRouter.route('code-generation', {
+          userId,
+          projectId,
           systemMessage,
           prompt,
           maxTokens: maxTokens || 8192,
           temperature: temperature ?? 0.3,
           modelOverride: model,
+          images,
+          onDelta,
         }),
     });
 
@@ -223,10 +242,11 @@ class CodeGeneratorService {
    * @param {string} options.projectId
    * @param {string} options.userId
    * @param {string} [options.correlationId]
+   * @param {Function} [options.onDelta] - Receives streamed model output (see utils/llmStream)
    * @returns {Promise<{files: Array<{path: string, content: string, language: string}>}>}
    */
   async generateBatchFiles(requirements, fileSpecs, contextMd, options) {
-    const { projectId, userId, correlationId, model } = options;
+    const { projectId, userId, correlationId, model, onDelta } = options;
 
     logger.info('Generating batch files', {
       projectId,
@@ -248,12 +268,15 @@ class CodeGeneratorService {
       systemMessage,
       callFn: () =>
         llmRouter.route('code-generation', {
+          userId,
+          projectId,
           systemMessage,
           prompt,
           maxTokens: maxTokens || 8192,
           temperature: temperature ?? 0.3,
           responseFormat: 'json',
           modelOverride: model,
+          onDelta,
         }),
     });
 
@@ -286,10 +309,12 @@ class CodeGeneratorService {
    * @param {string} options.projectId
    * @param {string} options.userId
    * @param {string} [options.correlationId]
+   * @param {Array<Object>} [options.images] - Attached screenshots/mockups (see utils/visionContent)
+   * @param {Function} [options.onDelta] - Receives streamed model output (see utils/llmStream)
    * @returns {Promise<{files: Array, summary: string, envVarsNeeded: Array}>}
    */
   async iterateCode(userMessage, currentFiles, requirements, contextMd, options) {
-    const { projectId, userId, correlationId, model } = options;
+    const { projectId, userId, correlationId, model, images = [], onDelta } = options;
 
     logger.info('Iterating code', {
       projectId,
@@ -298,8 +323,18 @@ class CodeGeneratorService {
       model,
     });
 
+    // Size the rest of the prompt, then pack the most relevant files into what is left
+    const frame = buildIterationPrompt(userMessage, [], requirements, contextMd);
+    const fileContext = await contextBuilder.buildFileContext(currentFiles, {
+      userMessage,
+      model,
+      taskType: 'code-iteration',
+      reservedTokens: contextBuilder.estimateTokens(frame.systemMessage + frame.prompt) + images.length * IMAGE_INPUT_TOKENS,
+      maxOutputTokens: frame.maxTokens,
+    });
+
     const { systemMessage, prompt, maxTokens, temperature } =
-      buildIterationPrompt(userMessage, currentFiles, requirements, contextMd);
+      buildIterationPrompt(userMessage, currentFiles, requirements, contextMd, fileContext);
 
     const result = await promptTracker.track({
       projectId,
@@ -308,14 +343,19 @@ class CodeGeneratorService {
       correlationId,
       prompt,
       systemMessage,
+      contextFiles: contextBuilder.describe(fileContext),
       callFn: () =>
         llmRouter.route('code-iteration', {
+          userId,
+          projectId,
           systemMessage,
           prompt,
           maxTokens: maxTokens || 8192,
           temperature: temperature ?? 0.3,
           responseFormat: 'json',
           modelOverride: model,
+          images,
+          onDelta,
         }),
     });
 
@@ -369,6 +409,8 @@ class CodeGeneratorService {
       systemMessage,
       callFn: () =>
         llmRouter.route('change-analysis', {
+          userId,
+          projectId,
           systemMessage,
           prompt,
           maxTokens,
@@ -420,6 +462,8 @@ class CodeGeneratorService {
       systemMessage,
       callFn: () =>
         llmRouter.route('change-planning', {
+          userId,
+          projectId,
           systemMessage,
           prompt,
           maxTokens,
@@ -478,6 +522,8 @@ class CodeGeneratorService {
       systemMessage,
       callFn: () =>
         llmRouter.route('code-fix', {
+          userId,
+          projectId,
           systemMessage,
           prompt,
           maxTokens,
@@ -523,13 +569,17 @@ class CodeGeneratorService {
    * @param {string} options.userId
    * @param {string} [options.correlationId]
    * @param {string} [options.model]
+   * @param {Function} [options.onDelta] - Receives streamed model output (see utils/llmStream),
+   *   plus a `{ type: 'tool_result', id, name, detail }` delta after each tool runs
+   * @param {Array<Object>} [options.images] - Attached screenshots/mockups, sent with the user's message
+   * @param {Function} [options.loadFiles] - Fetches files not loaded from GitHub yet (see ToolExecutor)
    * @param {Function} [progressCallback] - Called with { type, detail } on tool execution
    * @returns {Promise<{changedFiles: Array, summary: string, envVarsNeeded: Array, tokenUsage: Object, turnCount: number}>}
    */
   async iterateWithTools(userMessage, projectFiles, contextMd, options, progressCallback) {
-    const { projectId, correlationId, model } = options;
+    const { projectId, userId, correlationId, model, onDelta, images = [], loadFiles } = options;
 
-    const executor = new ToolExecutor(projectFiles);
+    const executor = new ToolExecutor(projectFiles, { loadFiles });
     const fileManifest = executor.getFileManifest();
 
     logger.info('Starting tool-calling iteration', {
@@ -539,13 +589,26 @@ class CodeGeneratorService {
       model,
     });
 
-    // Build system prompt with file manifest and rules
-    const systemPrompt = this._buildToolSystemPrompt(fileManifest, contextMd);
+    // Pre-load the files most relevant to the request; the agent reads the rest on demand.
+    // The conversation grows with every tool result, so files get a fixed share of the window.
+    const frame = this._buildToolSystemPrompt(null, fileManifest.length, contextMd);
+    const fileContext = await contextBuilder.buildFileContext(projectFiles, {
+      userMessage,
+      model,
+      taskType: 'code-iteration',
+      reservedTokens: contextBuilder.estimateTokens(frame + userMessage) + images.length * IMAGE_INPUT_TOKENS,
+      maxOutputTokens: 8192,
+      maxShare: TOOL_CONTEXT_SHARE,
+    });
+    const contextFiles = contextBuilder.describe(fileContext);
+
+    // Build system prompt with the packed files and rules
+    const systemPrompt = this._buildToolSystemPrompt(fileContext, fileManifest.length, contextMd);
 
     // Initialize conversation
     const messages = [
       { role: 'system', content: systemPrompt },
-      { role: 'user', content: userMessage },
+      { role: 'user', content: images.length > 0 ? toOpenAIContent(userMessage, images) : userMessage },
     ];
 
     let totalUsage = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
@@ -563,13 +626,26 @@ class CodeGeneratorService {
 
       turnCount++;
 
-      const response = await llmRouter.routeWithTools('code-iteration', {
-        messages,
-        tools: TOOL_DEFINITIONS,
-        toolChoice: 'auto',
-        maxTokens: 8192,
-        temperature: 0.3,
-        modelOverride: model,
+      // Each turn is logged so its cost counts toward the user's budgets
+      const response = await promptTracker.track({
+        projectId,
+        userId,
+        taskType: 'code-iteration',
+        correlationId,
+        prompt: turn === 0 ? userMessage : `[tool turn ${turnCount}] ${userMessage}`,
+        contextFiles,
+        callFn: () =>
+          llmRouter.routeWithTools('code-iteration', {
+            userId,
+            projectId,
+            messages,
+            tools: TOOL_DEFINITIONS,
+            toolChoice: 'auto',
+            maxTokens: 8192,
+            temperature: 0.3,
+            modelOverride: model,
+            onDelta,
+          }),
       });
 
       // Accumulate token usage
@@ -617,6 +693,7 @@ class CodeGeneratorService {
 
       // Execute each tool call and append results
       for (const toolCall of assistantMsg.toolCalls) {
+        await executor.prepare(toolCall.name, toolCall.arguments);
         const { result } = executor.execute(toolCall.name, toolCall.arguments);
 
         // Append tool result message
@@ -626,14 +703,18 @@ class CodeGeneratorService {
           content: result,
         });
 
+        const detail = this._describeToolCall(toolCall);
+
+        if (onDelta) {
+          onDelta({ type: 'tool_result', id: toolCall.id, name: toolCall.name, detail });
+        }
+
         // Emit progress
         if (progressCallback) {
           try {
             progressCallback({
               type: toolCall.name,
-              detail: toolCall.name === 'read_files'
-                ? `Reading ${toolCall.arguments.paths?.length || 0} file(s)`
-                : `Applied ${toolCall.arguments.files?.length || 0} change(s)`,
+              detail,
             });
           } catch (cbErr) {
             // Don't let callback errors break the loop
@@ -661,40 +742,64 @@ class CodeGeneratorService {
     };
   }
 
+  /**
+   * Short progress label for a tool call.
+   * @private
+   */
+  _describeToolCall(toolCall) {
+    const args = toolCall.arguments || {};
+    switch (toolCall.name) {
+      case 'read_files':
+        return `Reading ${args.paths?.length || 0} file(s)`;
+      case 'list_files':
+        return `Listing files${args.pattern ? ` matching ${args.pattern}` : ''}`;
+      case 'grep_files':
+        return `Searching for ${args.pattern || 'pattern'}`;
+      case 'edit_file':
+        return `Editing ${args.path || 'file'}`;
+      default:
+        return `Applied ${args.files?.length || 0} change(s)`;
+    }
+  }
+
   /**
    * Build the system prompt for the tool-calling agent.
    * @private
+   * @param {Object|null} fileContext - Packed files (see contextBuilder.buildFileContext); null for an empty frame
+   * @param {number} totalFiles - Number of files in the project
+   * @param {string} [contextMd]
    */
-  _buildToolSystemPrompt(fileManifest, contextMd) {
-    const manifestList = fileManifest.map((p) => `  ${p}`).join('\n');
+  _buildToolSystemPrompt(fileContext, totalFiles, contextMd) {
+    const filesSection = fileContext ? this._buildToolFilesSection(fileContext, totalFiles) : '';
 
     let prompt = `You are an expert full-stack developer working on a web application. You help users by either modifying code or answering questions about the codebase.
 
 ## How to Respond
 
 **If the user asks you to change, add, fix, or build something:**
-1. Use read_files to read the files you need to understand
-2. Use apply_changes to write your modifications (with COMPLETE file contents)
-3. If apply_changes reports validation errors, fix them with another apply_changes call
+1. Use list_files and grep_files to locate relevant code, then read_files to read the files you need to understand
+2. Use edit_file for targeted edits to existing files, or apply_changes to create, delete, or fully rewrite files
+3. If a tool reports validation errors, fix them with another edit_file or apply_changes call
 4. After all changes are applied, respond with a brief text summary of what you did
 
 **If the user asks a question, requests a summary, or wants research/analysis:**
-1. Use read_files to read any relevant files
+1. Use list_files, grep_files and read_files to find and read any relevant files
 2. Respond with a detailed, helpful text answer — do NOT call apply_changes
 
 ## Project Files
-${manifestList}
+${filesSection}
 
 ## Rules
-1. ALWAYS read files with read_files before modifying or answering questions about them. Never guess at file contents.
-2. When making code changes, you MUST call apply_changes — do not just describe changes in text.
-3. Return COMPLETE file contents in apply_changes, not diffs or partial snippets.
-4. If apply_changes reports validation errors, fix them immediately in a follow-up apply_changes call.
-5. You may create new files with action "create" — ensure imports reference them correctly.
-6. You may delete files with action "delete" — update imports in other files accordingly.
-7. Keep changes focused and minimal — only modify what the user requested.
-8. Use modern JavaScript/React patterns (ES modules, functional components, hooks).
-9. Your final message should be a helpful text response with NO tool calls.`;
+1. ALWAYS read files with read_files before modifying or answering questions about them, unless their full content is already shown under Project Files. Never guess at file contents or paths — use grep_files to find where something is defined.
+2. When making code changes, you MUST call edit_file or apply_changes — do not just describe changes in text.
+3. Prefer edit_file for small changes to existing files. Its search text must match the file exactly and only once; if an edit is rejected, re-read the file and retry with more context.
+4. apply_changes takes COMPLETE file contents, not diffs or partial snippets.
+5. If a tool reports validation errors, fix them immediately in a follow-up call.
+6. You may create new files with action "create" — ensure imports reference them correctly.
+7. You may delete files with action "delete" — update imports in other files accordingly.
+8. Keep changes focused and minimal — only modify what the user requested.
+9. Use modern JavaScript/React patterns (ES modules, functional components, hooks).
+10. Your final message should be a helpful text response with NO tool calls.`;
 
     if (contextMd) {
       prompt += `\n\n## Project Context\n${contextMd}`;
@@ -703,6 +808,38 @@ ${manifestList}
     return prompt;
   }
 
+  /**
+   * Project Files section of the agent prompt: relevant files in full, then
+   * summaries and paths of the rest, then a pointer to the search tools for
+   * anything that did not fit.
+   * @private
+   */
+  _buildToolFilesSection(fileContext, totalFiles) {
+    const { full, summaries, paths, omittedCount } = fileContext;
+    const parts = [];
+
+    if (full.length > 0) {
+      parts.push('Most relevant files (current content, no need to read them again):');
+      for (const file of full) {
+        parts.push(`### ${file.path}\n\`\`\`\n${file.content || ''}\n\`\`\``);
+      }
+    }
+
+    if (summaries.length > 0 || paths.length > 0) {
+      parts.push('Other files (read them with read_files before relying on their content):');
+      parts.push([
+        ...summaries.map((s) => `  ${s.path} — ${s.summary}`),
+        ...paths.map((p) => `  ${p}`),
+      ].join('\n'));
+    }
+
+    if (omittedCount > 0) {
+      parts.push(`...and ${omittedCount} more of ${totalFiles} files — use list_files and grep_files to find them.`);
+    }
+
+    return parts.length > 0 ? parts.join('\n\n') : '(no files in project)';
+  }
+
   /**
    * Parse a JSON response from an LLM, handling markdown code fences
    * and control character pollution.
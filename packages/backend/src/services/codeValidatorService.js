@@ -1,6 +1,15 @@
+const { builtinModules } = require('module');
 const acorn = require('acorn');
 const acornJsx = require('acorn-jsx');
+const babelParser = require('@babel/parser');
+const picomatch = require('picomatch');
 const logger = require('../config/logger');
+const {
+  collectExports,
+  collectImports,
+  findUndefinedJsxComponents,
+  findUnusedImports,
+} = require('../utils/moduleAnalysis');
 
 const jsxParser = acorn.Parser.extend(acornJsx());
 
@@ -9,6 +18,60 @@ const jsxParser = acorn.Parser.extend(acornJsx());
  */
 const JS_EXTENSIONS = new Set(['.js', '.jsx', '.mjs', '.cjs']);
 
+/**
+ * File extensions that should be parsed as TypeScript/TSX.
+ */
+const TS_EXTENSIONS = new Set(['.ts', '.tsx', '.mts', '.cts']);
+
+/**
+ * Config files that may declare `paths`/`baseUrl` import aliases.
+ */
+const TSCONFIG_NAMES = ['tsconfig.json', 'jsconfig.json'];
+
+/**
+ * package.json sections that make a package importable.
+ */
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Versions suggested for missing dependencies. Matches the scaffold prompt
+ * versions where they overlap; anything unlisted is suggested as "latest".
+ */
+const SUGGESTED_VERSIONS = {
+  react: '^18.3.1',
+  'react-dom': '^18.3.1',
+  'react-router-dom': '^6.26.0',
+  next: '^14.2.5',
+  express: '^4.19.2',
+  cors: '^2.8.5',
+  dotenv: '^16.4.5',
+  vite: '^5.4.0',
+  '@vitejs/plugin-react': '^4.3.1',
+  tailwindcss: '^3.4.10',
+  postcss: '^8.4.41',
+  autoprefixer: '^10.4.20',
+  axios: '^1.7.9',
+  clsx: '^2.1.1',
+  'date-fns': '^4.1.0',
+  'framer-motion': '^11.11.0',
+  'lucide-react': '^0.454.0',
+  'react-hot-toast': '^2.4.1',
+  'react-icons': '^5.3.0',
+  recharts: '^2.13.0',
+  uuid: '^11.0.3',
+  zod: '^3.23.8',
+  zustand: '^5.0.1',
+  '@tanstack/react-query': '^5.59.0',
+  '@supabase/supabase-js': '^2.45.0',
+};
+
+/**
+ * Files whose imports belong in devDependencies (build config and tests).
+ */
+const DEV_FILE_PATTERN = /(^|\/)(vite|vitest|jest|tailwind|postcss|eslint|playwright)\.config\.|\.(test|spec)\.[cm]?[jt]sx?$|(^|\/)(__tests__|tests?)\//;
+
+const NODE_BUILTINS = new Set(builtinModules);
+
 /**
  * File extensions that are valid import targets (resolve candidates).
  */
@@ -43,6 +106,23 @@ class CodeValidatorService {
       }
     }
 
+    // Latest content for every file, used to read tsconfig/jsconfig aliases
+    const contentByPath = new Map(allProjectFiles.map((f) => [f.path, f.content]));
+    for (const f of changedFiles) {
+      if (f.action === 'delete') {
+        contentByPath.delete(f.path);
+      } else {
+        contentByPath.set(f.path, f.content);
+      }
+    }
+    const context = {
+      projectPaths,
+      contentByPath,
+      aliasCache: new Map(),
+      exportCache: new Map(),
+      packageCache: new Map(),
+    };
+
     for (const file of changedFiles) {
       if (file.action === 'delete') continue;
       if (!file.content) continue;
@@ -56,19 +136,30 @@ class CodeValidatorService {
         continue;
       }
 
-      // JS/JSX syntax validation
-      if (JS_EXTENSIONS.has(ext)) {
-        const syntaxErrors = this._validateSyntax(file.path, file.content);
-        errors.push(...syntaxErrors);
-
-        // Only check imports if syntax is valid
-        if (syntaxErrors.length === 0) {
-          const importErrors = this._validateImports(file.path, file.content, projectPaths);
-          errors.push(...importErrors);
+      // JS/JSX/TS/TSX syntax validation
+      if (this._isScriptFile(file.path)) {
+        const { ast, error } = this._parse(file.path, file.content);
+        if (error) {
+          errors.push(this._syntaxError(file.path, error));
+          continue;
         }
+
+        // Only check imports and bindings if syntax is valid
+        const aliases = this._getPathAliases(file.path, contentByPath, context.aliasCache);
+        const packages = this._getPackageScope(file.path, context);
+        const importErrors = this._validateImports(file.path, file.content, projectPaths, aliases, packages);
+        errors.push(...importErrors);
+
+        const semantic = this._validateSemantics(file.path, ast, context);
+        errors.push(...semantic.errors);
+        warnings.push(...semantic.warnings);
       }
     }
 
+    // Check unchanged files that import changed ones (e.g. a removed export)
+    const importerErrors = this._checkImporters(changedFiles, context);
+    errors.push(...importerErrors);
+
     // Check for imports pointing to deleted files
     const deletedImportErrors = this._checkDeletedImports(changedFiles, allProjectFiles, projectPaths);
     errors.push(...deletedImportErrors);
@@ -81,66 +172,371 @@ class CodeValidatorService {
   }
 
   /**
-   * Parse JS/JSX content with acorn to detect syntax errors.
+   * Build a resolver that maps an import specifier in a project file to the
+   * project file it refers to, following relative paths and tsconfig/jsconfig
+   * aliases the same way validation does.
+   *
+   * @param {Array<{path: string, content: string}>} allProjectFiles
+   * @returns {function(string, string): (string|null)} (fromFile, specifier) => project path
+   */
+  createImportResolver(allProjectFiles) {
+    const context = {
+      projectPaths: new Set(allProjectFiles.map((f) => f.path)),
+      contentByPath: new Map(allProjectFiles.map((f) => [f.path, f.content])),
+      aliasCache: new Map(),
+    };
+
+    return (fromFile, source) => this._resolveImportTarget(fromFile, source, context);
+  }
+
+  /**
+   * Shape a parser exception as a validation error.
    * @private
    */
-  _validateSyntax(filePath, content) {
-    const errors = [];
+  _syntaxError(filePath, parseError) {
+    return {
+      file: filePath,
+      line: parseError.loc?.line || null,
+      column: parseError.loc?.column || null,
+      message: parseError.message,
+      type: 'syntax',
+    };
+  }
 
+  /**
+   * Parse a script file into an ESTree AST. TS/TSX goes through Babel's
+   * TypeScript plugin (syntax only; type errors are left to the build) with
+   * the `estree` plugin so both parsers produce the same node shapes.
+   * @private
+   * @returns {{ast: Object|null, error: Error|null}}
+   */
+  _parse(filePath, content) {
     try {
-      jsxParser.parse(content, {
+      if (TS_EXTENSIONS.has(this._getExtension(filePath))) {
+        const plugins = ['estree', ['typescript', { dts: filePath.endsWith('.d.ts') }]];
+        if (filePath.endsWith('.tsx')) plugins.push('jsx');
+        const file = babelParser.parse(content, { sourceType: 'module', plugins });
+        return { ast: file.program, error: null };
+      }
+
+      const ast = jsxParser.parse(content, {
         ecmaVersion: 'latest',
         sourceType: 'module',
         locations: true,
       });
+      return { ast, error: null };
     } catch (parseError) {
-      errors.push({
-        file: filePath,
-        line: parseError.loc?.line || null,
-        column: parseError.loc?.column || null,
-        message: parseError.message,
-        type: 'syntax',
-      });
+      return { ast: null, error: parseError };
     }
-
-    return errors;
   }
 
   /**
-   * Validate that relative imports resolve to existing project files.
+   * Validate that relative imports (and tsconfig path aliases) resolve to
+   * existing project files, and that package imports are declared in the
+   * nearest package.json.
    * @private
    */
-  _validateImports(filePath, content, projectPaths) {
+  _validateImports(filePath, content, projectPaths, aliases = null, packages = null) {
     const errors = [];
-    const importPattern = /(?:import\s+[\s\S]*?from\s+['"]([^'"]+)['"]|require\s*\(\s*['"]([^'"]+)['"]\s*\))/g;
+    const reportedPackages = new Set();
+    // Side-effect imports (`import 'x'`) come first so the lazy `from` branch cannot span past them
+    const importPattern = /(?:import\s+['"]([^'"]+)['"]|import\s+[\s\S]*?from\s+['"]([^'"]+)['"]|require\s*\(\s*['"]([^'"]+)['"]\s*\))/g;
 
     let match;
     while ((match = importPattern.exec(content)) !== null) {
-      const importPath = match[1] || match[2];
+      const importPath = match[1] || match[2] || match[3];
+      const isRelative = importPath.startsWith('.');
+
+      // Bare specifiers are packages unless a tsconfig alias claims them
+      const alias = !isRelative && aliases ? this._resolveAlias(importPath, aliases, projectPaths) : null;
 
-      // Only validate relative imports (starting with . or ..)
-      if (!importPath.startsWith('.')) continue;
+      if (!isRelative && !alias) {
+        const dependencyError = packages ? this._checkDependency(filePath, importPath, packages) : null;
+        if (dependencyError && !reportedPackages.has(dependencyError.suggestion.name)) {
+          reportedPackages.add(dependencyError.suggestion.name);
+          errors.push({ ...dependencyError, line: this._findImportLine(content, importPath) });
+        }
+        continue;
+      }
 
       // Skip CSS/asset imports
       if (/\.(css|scss|less|svg|png|jpg|jpeg|gif|woff2?|ttf|eot)$/.test(importPath)) continue;
 
-      const resolved = this._resolveImport(filePath, importPath, projectPaths);
+      let resolved;
+      let message = `Unresolved import '${importPath}' — no matching file found in project`;
+
+      if (isRelative) {
+        resolved = this._resolveImport(filePath, importPath, projectPaths);
+      } else {
+        resolved = alias.resolved;
+        message = `Unresolved import '${importPath}' — matches path alias '${alias.pattern}' in ${alias.configPath} ` +
+          'but no matching file found in project';
+      }
+
       if (!resolved) {
-        // Find the line number of the import
-        const lines = content.split('\n');
-        let lineNum = null;
-        for (let i = 0; i < lines.length; i++) {
-          if (lines[i].includes(importPath)) {
-            lineNum = i + 1;
-            break;
+        errors.push({
+          file: filePath,
+          line: this._findImportLine(content, importPath),
+          message,
+          type: 'import',
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Line number of the first line mentioning an import path.
+   * @private
+   */
+  _findImportLine(content, importPath) {
+    const lines = content.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].includes(importPath)) return i + 1;
+    }
+    return null;
+  }
+
+  /**
+   * Check a bare import against the package scope of the importing file.
+   * @private
+   * @returns {Object|null} A 'dependency' error (without line), or null if the import is fine
+   */
+  _checkDependency(filePath, importPath, packages) {
+    const name = this._packageName(importPath);
+    if (!name) return null;
+
+    if (packages.declared.has(name) || packages.workspacePackages.has(name) || packages.rootDeclared.has(name)) {
+      return null;
+    }
+
+    const section = DEV_FILE_PATTERN.test(filePath) ? 'devDependencies' : 'dependencies';
+    const version = SUGGESTED_VERSIONS[name] || 'latest';
+
+    return {
+      file: filePath,
+      message: `Package '${name}' is imported but not listed in ${packages.manifestPath}. ` +
+        `Add "${name}": "${version}" to "${section}" in ${packages.manifestPath}.`,
+      type: 'dependency',
+      suggestion: { packageJson: packages.manifestPath, section, name, version },
+    };
+  }
+
+  /**
+   * Package name for a bare specifier ('lodash/fp' → 'lodash',
+   * '@scope/pkg/sub' → '@scope/pkg'), or null for Node builtins and
+   * specifiers that are not npm packages (URLs, '#imports', '~/' aliases,
+   * 'virtual:' ids).
+   * @private
+   */
+  _packageName(specifier) {
+    if (/^(node:|[#/~])/.test(specifier)) return null;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(specifier)) return null; // http:, virtual:, data: ...
+
+    const parts = specifier.split('/');
+    const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    if (NODE_BUILTINS.has(name)) return null;
+    if (!/^(@[a-z0-9._~-]+\/)?[a-z0-9._~-]+$/i.test(name)) return null;
+
+    return name;
+  }
+
+  /**
+   * Packages importable from a file: those declared in its nearest
+   * package.json, plus (in an npm/yarn/pnpm workspace) the workspace's own
+   * packages and the root package.json's hoisted dependencies. Cached per
+   * directory for one validation run.
+   * @private
+   * @returns {{manifestPath: string, declared: Set<string>, workspacePackages: Set<string>, rootDeclared: Set<string>}|null}
+   *   null when no package.json covers the file
+   */
+  _getPackageScope(filePath, context) {
+    const dir = filePath.split('/').slice(0, -1).join('/');
+    if (context.packageCache.has(dir)) return context.packageCache.get(dir);
+
+    let scope = null;
+    const manifestPath = this._findUp(dir, 'package.json', context.contentByPath);
+    const manifest = manifestPath ? this._parseJsonc(context.contentByPath.get(manifestPath)) : null;
+
+    if (manifest) {
+      scope = {
+        manifestPath,
+        declared: this._declaredPackages(manifest),
+        workspacePackages: new Set(),
+        rootDeclared: new Set(),
+      };
+
+      const workspace = this._findWorkspaceRoot(manifestPath, context.contentByPath);
+      if (workspace) {
+        const isMember = picomatch(workspace.patterns.map((p) => this._joinPath(workspace.rootDir, p)));
+        for (const [path, content] of context.contentByPath) {
+          if (path.split('/').pop() !== 'package.json') continue;
+          const pkgDir = path.split('/').slice(0, -1).join('/');
+          if (!isMember(pkgDir)) continue;
+          const pkg = this._parseJsonc(content);
+          if (pkg && typeof pkg.name === 'string') scope.workspacePackages.add(pkg.name);
+        }
+        scope.rootDeclared = workspace.declared;
+      }
+    }
+
+    context.packageCache.set(dir, scope);
+    return scope;
+  }
+
+  /**
+   * Walk up from a manifest to the workspace root, identified by a
+   * package.json with `workspaces` or a pnpm-workspace.yaml.
+   * @private
+   * @returns {{rootDir: string, patterns: string[], declared: Set<string>}|null}
+   */
+  _findWorkspaceRoot(manifestPath, contentByPath) {
+    let dir = manifestPath.split('/').slice(0, -1).join('/');
+
+    for (;;) {
+      const pkgPath = dir ? `${dir}/package.json` : 'package.json';
+      const pkg = contentByPath.has(pkgPath) ? this._parseJsonc(contentByPath.get(pkgPath)) : null;
+
+      let patterns = null;
+      if (pkg && pkg.workspaces) {
+        patterns = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces.packages;
+      }
+
+      const pnpmPath = dir ? `${dir}/pnpm-workspace.yaml` : 'pnpm-workspace.yaml';
+      if (!patterns && contentByPath.has(pnpmPath)) {
+        // Only the `packages:` list is needed, so a line-based read suffices
+        patterns = [];
+        let inPackages = false;
+        for (const line of contentByPath.get(pnpmPath).split('\n')) {
+          if (/^packages:\s*$/.test(line)) { inPackages = true; continue; }
+          if (inPackages) {
+            const item = line.match(/^\s+-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+            if (item) patterns.push(item[1]);
+            else if (/^\S/.test(line)) inPackages = false;
           }
         }
+      }
+
+      if (Array.isArray(patterns)) {
+        return {
+          rootDir: dir,
+          patterns: patterns.filter((p) => typeof p === 'string' && !p.startsWith('!')),
+          declared: pkg ? this._declaredPackages(pkg) : new Set(),
+        };
+      }
+
+      if (!dir) return null;
+      dir = dir.split('/').slice(0, -1).join('/');
+    }
+  }
+
+  /**
+   * Package names a manifest makes importable (its dependencies and itself).
+   * @private
+   */
+  _declaredPackages(manifest) {
+    const declared = new Set();
+    for (const section of DEPENDENCY_SECTIONS) {
+      if (manifest[section] && typeof manifest[section] === 'object') {
+        Object.keys(manifest[section]).forEach((name) => declared.add(name));
+      }
+    }
+    if (typeof manifest.name === 'string') declared.add(manifest.name);
+    return declared;
+  }
+
+  /**
+   * Nearest file with the given name at or above a directory.
+   * @private
+   * @returns {string|null}
+   */
+  _findUp(dir, fileName, contentByPath) {
+    let current = dir;
+    for (;;) {
+      const candidate = current ? `${current}/${fileName}` : fileName;
+      if (contentByPath.has(candidate)) return candidate;
+      if (!current) return null;
+      current = current.split('/').slice(0, -1).join('/');
+    }
+  }
+
+  /**
+   * Scope-aware checks on a parsed file: imported names the target module
+   * does not export, default/named import mismatches, and JSX components
+   * with no binding in scope are errors; unused imports are warnings.
+   * @private
+   * @returns {{errors: Array, warnings: Array}}
+   */
+  _validateSemantics(filePath, ast, context) {
+    const errors = this._checkImportedBindings(filePath, collectImports(ast), context);
+    const warnings = [];
+
+    for (const ref of findUndefinedJsxComponents(ast)) {
+      errors.push({
+        file: filePath,
+        line: ref.line,
+        message: `<${ref.element}> is used but '${ref.name}' is not defined or imported`,
+        type: 'undefined-component',
+      });
+    }
+
+    for (const unused of findUnusedImports(ast)) {
+      warnings.push({
+        file: filePath,
+        line: unused.line,
+        message: `'${unused.local}' is imported from '${unused.source}' but never used`,
+        type: 'unused-import',
+      });
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Check each imported name against the exports of the project file it
+   * resolves to. Imports that do not resolve are reported elsewhere; targets
+   * using CommonJS or unfollowed `export *` re-exports are given the benefit
+   * of the doubt.
+   * @private
+   */
+  _checkImportedBindings(filePath, imports, context) {
+    const errors = [];
+
+    for (const imp of imports) {
+      const targetPath = this._resolveImportTarget(filePath, imp.source, context);
+      if (!targetPath) continue;
+
+      const exports = this._getExports(targetPath, context);
+      if (!exports || exports.isCommonJs) continue;
+
+      for (const spec of imp.specifiers) {
+        if (spec.kind === 'namespace') continue;
+
+        const wantsDefault = spec.kind === 'default' || spec.imported === 'default';
+        if (wantsDefault) {
+          if (exports.hasDefault) continue;
+          const namedMatch = exports.named.has(spec.local);
+          errors.push({
+            file: filePath,
+            line: spec.line || imp.line,
+            message: namedMatch
+              ? `'${imp.source}' has no default export — '${spec.local}' is a named export, use import { ${spec.local} } from '${imp.source}'`
+              : `'${imp.source}' has no default export${this._describeExports(exports)}`,
+            type: namedMatch ? 'export-mismatch' : 'missing-export',
+          });
+          continue;
+        }
+
+        if (exports.named.has(spec.imported) || exports.hasExportAll) continue;
 
         errors.push({
           file: filePath,
-          line: lineNum,
-          message: `Unresolved import '${importPath}' — no matching file found in project`,
-          type: 'import',
+          line: spec.line || imp.line,
+          message: exports.hasDefault
+            ? `'${imp.source}' does not export '${spec.imported}' — it has a default export, use import ${spec.local} from '${imp.source}'`
+            : `'${imp.source}' does not export '${spec.imported}'${this._describeExports(exports)}`,
+          type: exports.hasDefault ? 'export-mismatch' : 'missing-export',
         });
       }
     }
@@ -148,6 +544,89 @@ class CodeValidatorService {
     return errors;
   }
 
+  /**
+   * Re-check unchanged files that import a changed file, so that removing or
+   * renaming an export is reported at the import site.
+   * @private
+   */
+  _checkImporters(changedFiles, context) {
+    const changedPaths = new Set(
+      changedFiles.filter((f) => f.action !== 'delete' && this._isScriptFile(f.path)).map((f) => f.path)
+    );
+    if (changedPaths.size === 0) return [];
+
+    // Cheap text prefilter before parsing: the importer must mention the
+    // changed file's name (or its directory name, for index files)
+    const needles = [...changedPaths].map((p) => {
+      const parts = p.split('/');
+      const stem = parts[parts.length - 1].replace(/\.[^.]+$/, '');
+      return stem === 'index' && parts.length > 1 ? parts[parts.length - 2] : stem;
+    });
+
+    const errors = [];
+    for (const [path, content] of context.contentByPath) {
+      if (changedPaths.has(path) || !content || !this._isScriptFile(path)) continue;
+      if (!needles.some((n) => content.includes(n))) continue;
+
+      const { ast } = this._parse(path, content);
+      if (!ast) continue;
+
+      const relevant = collectImports(ast).filter((imp) =>
+        changedPaths.has(this._resolveImportTarget(path, imp.source, context))
+      );
+      if (relevant.length > 0) {
+        errors.push(...this._checkImportedBindings(path, relevant, context));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Resolve an import specifier (relative or tsconfig alias) to a project path.
+   * @private
+   * @returns {string|null}
+   */
+  _resolveImportTarget(fromFile, source, context) {
+    if (source.startsWith('.')) {
+      return this._resolveImport(fromFile, source, context.projectPaths);
+    }
+
+    const aliases = this._getPathAliases(fromFile, context.contentByPath, context.aliasCache);
+    const alias = aliases ? this._resolveAlias(source, aliases, context.projectPaths) : null;
+    return alias?.resolved || null;
+  }
+
+  /**
+   * Exports of a project script file, cached for one validation run.
+   * @private
+   * @returns {Object|null} See collectExports; null if the file cannot be parsed
+   */
+  _getExports(filePath, context) {
+    if (context.exportCache.has(filePath)) return context.exportCache.get(filePath);
+
+    let exports = null;
+    const content = context.contentByPath.get(filePath);
+    if (content && this._isScriptFile(filePath)) {
+      const { ast } = this._parse(filePath, content);
+      if (ast) exports = collectExports(ast);
+    }
+
+    context.exportCache.set(filePath, exports);
+    return exports;
+  }
+
+  /**
+   * List a module's named exports for an error message.
+   * @private
+   */
+  _describeExports(exports) {
+    const names = [...exports.named];
+    if (names.length === 0) return ' (it has no named exports)';
+    const shown = names.slice(0, 10).join(', ');
+    return ` (available: ${shown}${names.length > 10 ? ', ...' : ''})`;
+  }
+
   /**
    * Validate JSON file content.
    * @private
@@ -190,8 +669,7 @@ class CodeValidatorService {
     for (const file of allProjectFiles) {
       if (deletedPaths.has(file.path)) continue;
 
-      const ext = this._getExtension(file.path);
-      if (!JS_EXTENSIONS.has(ext)) continue;
+      if (!this._isScriptFile(file.path)) continue;
 
       // Use updated content if the file was changed, otherwise original
       const content = changedMap.get(file.path) || file.content;
@@ -224,20 +702,205 @@ class CodeValidatorService {
    * Resolve a relative import path against the project file set.
    * Tries the raw path, then with common extensions appended.
    * @private
-   * @returns {boolean} Whether the import resolves to an existing file
+   * @returns {string|null} The matching project path, if any
    */
   _resolveImport(fromFile, importPath, projectPaths) {
-    const basePath = this._resolveRelativePath(fromFile, importPath);
+    return this._resolveCandidate(this._resolveRelativePath(fromFile, importPath), projectPaths);
+  }
 
+  /**
+   * Check whether a project-relative base path exists, directly, with a
+   * resolvable extension, or (TypeScript ESM style) with a `.js` specifier
+   * standing in for the `.ts` source.
+   * @private
+   * @returns {string|null} The matching project path, if any
+   */
+  _resolveCandidate(basePath, projectPaths) {
     // Direct match
-    if (projectPaths.has(basePath)) return true;
+    if (projectPaths.has(basePath)) return basePath;
 
     // Try adding extensions
     for (const ext of RESOLVABLE_EXTENSIONS) {
-      if (projectPaths.has(basePath + ext)) return true;
+      if (projectPaths.has(basePath + ext)) return basePath + ext;
+    }
+
+    // `import './util.js'` may refer to util.ts / util.tsx
+    const jsExt = basePath.match(/\.(m|c)?jsx?$/);
+    if (jsExt) {
+      const stem = basePath.slice(0, -jsExt[0].length);
+      const tsCandidates = jsExt[1] ? [`.${jsExt[1]}ts`] : ['.ts', '.tsx'];
+      const found = tsCandidates.find((ext) => projectPaths.has(stem + ext));
+      if (found) return stem + found;
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the nearest tsconfig.json/jsconfig.json above a file and return its
+   * `baseUrl`/`paths` settings, following relative `extends`. Results are
+   * cached per directory for the duration of one validation run.
+   * @private
+   * @returns {{configPath: string, baseUrl: string|null, paths: Array<{pattern: string, targets: string[]}>}|null}
+   */
+  _getPathAliases(filePath, contentByPath, cache) {
+    const dirs = [];
+    let dir = filePath.split('/').slice(0, -1).join('/');
+
+    for (;;) {
+      if (cache.has(dir)) {
+        const cached = cache.get(dir);
+        for (const d of dirs) cache.set(d, cached);
+        return cached;
+      }
+      dirs.push(dir);
+
+      const configPath = TSCONFIG_NAMES.map((name) => (dir ? `${dir}/${name}` : name))
+        .find((p) => contentByPath.has(p));
+
+      if (configPath) {
+        const aliases = this._readPathAliases(configPath, contentByPath);
+        for (const d of dirs) cache.set(d, aliases);
+        return aliases;
+      }
+
+      if (!dir) break;
+      dir = dir.split('/').slice(0, -1).join('/');
+    }
+
+    for (const d of dirs) cache.set(d, null);
+    return null;
+  }
+
+  /**
+   * Read compilerOptions.baseUrl/paths from a config file, merged over any
+   * project-relative config it extends. Paths are made project-relative.
+   * @private
+   */
+  _readPathAliases(configPath, contentByPath, depth = 0) {
+    const config = this._parseJsonc(contentByPath.get(configPath));
+    if (!config) return null;
+
+    const configDir = configPath.split('/').slice(0, -1).join('/');
+    let inherited = null;
+
+    if (typeof config.extends === 'string' && config.extends.startsWith('.') && depth < 5) {
+      let parentPath = this._resolveRelativePath(configPath, config.extends);
+      if (!parentPath.endsWith('.json')) parentPath += '.json';
+      if (contentByPath.has(parentPath)) {
+        inherited = this._readPathAliases(parentPath, contentByPath, depth + 1);
+      }
+    }
+
+    const options = config.compilerOptions || {};
+    const baseUrl = typeof options.baseUrl === 'string'
+      ? this._joinPath(configDir, options.baseUrl)
+      : inherited?.baseUrl ?? null;
+
+    let paths = inherited?.paths || [];
+    if (options.paths && typeof options.paths === 'object') {
+      // Targets are relative to baseUrl when set, else to the declaring config
+      const pathsRoot = typeof options.baseUrl === 'string' ? baseUrl : configDir;
+      paths = Object.entries(options.paths)
+        .filter(([, targets]) => Array.isArray(targets))
+        .map(([pattern, targets]) => ({
+          pattern,
+          targets: targets.map((t) => this._joinPath(pathsRoot, t)),
+        }));
     }
 
-    return false;
+    if (!baseUrl && paths.length === 0) return null;
+
+    return { configPath, baseUrl, paths };
+  }
+
+  /**
+   * Resolve a bare import against tsconfig aliases.
+   * @private
+   * @returns {{resolved: string|null, pattern: string, configPath: string}|null} null when no alias applies
+   */
+  _resolveAlias(importPath, aliases, projectPaths) {
+    for (const { pattern, targets } of aliases.paths) {
+      const star = pattern.indexOf('*');
+      let captured;
+
+      if (star === -1) {
+        if (importPath !== pattern) continue;
+        captured = '';
+      } else {
+        const prefix = pattern.slice(0, star);
+        const suffix = pattern.slice(star + 1);
+        if (!importPath.startsWith(prefix) || !importPath.endsWith(suffix) ||
+            importPath.length < prefix.length + suffix.length) continue;
+        captured = importPath.slice(prefix.length, importPath.length - suffix.length);
+      }
+
+      let resolved = null;
+      for (const target of targets) {
+        resolved = this._resolveCandidate(target.replace('*', captured), projectPaths);
+        if (resolved) break;
+      }
+      return { resolved, pattern, configPath: aliases.configPath };
+    }
+
+    // baseUrl makes non-relative imports resolvable from that directory, but
+    // an unresolved one is most likely a package, so it is not an error here
+    if (aliases.baseUrl !== null) {
+      const resolved = this._resolveCandidate(this._joinPath(aliases.baseUrl, importPath), projectPaths);
+      if (resolved) return { resolved, pattern: 'baseUrl', configPath: aliases.configPath };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse JSON with comments and trailing commas (tsconfig style).
+   * @private
+   * @returns {Object|null}
+   */
+  _parseJsonc(content) {
+    if (!content) return null;
+
+    let out = '';
+    let inString = false;
+    for (let i = 0; i < content.length; i++) {
+      const ch = content[i];
+      if (inString) {
+        out += ch;
+        if (ch === '\\') {
+          out += content[++i] || '';
+        } else if (ch === '"') {
+          inString = false;
+        }
+      } else if (ch === '"') {
+        inString = true;
+        out += ch;
+      } else if (ch === '/' && content[i + 1] === '/') {
+        while (i < content.length && content[i] !== '\n') i++;
+        out += '\n';
+      } else if (ch === '/' && content[i + 1] === '*') {
+        i += 2;
+        while (i < content.length && !(content[i] === '*' && content[i + 1] === '/')) i++;
+        i++;
+      } else {
+        out += ch;
+      }
+    }
+
+    try {
+      return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Join a project-relative directory and a relative path, normalising
+   * `.`/`..` segments.
+   * @private
+   */
+  _joinPath(dir, relativePath) {
+    return this._resolveRelativePath(dir ? `${dir}/_` : '_', relativePath);
   }
 
   /**
@@ -272,6 +935,15 @@ class CodeValidatorService {
     return resolved.join('/');
   }
 
+  /**
+   * Whether a path is a JS/JSX/TS/TSX module.
+   * @private
+   */
+  _isScriptFile(filePath) {
+    const ext = this._getExtension(filePath);
+    return JS_EXTENSIONS.has(ext) || TS_EXTENSIONS.has(ext);
+  }
+
   /**
    * Get the file extension (lowercase, including the dot).
    * @private
@@ -0,0 +1,193 @@
+const logger = require('../config/logger');
+const modelRegistry = require('./modelRegistry');
+const codeValidatorService = require('./codeValidatorService');
+const { rankFiles, summarizeFile } = require('../utils/fileRelevance');
+
+/**
+ * Code and JSON tokenize denser than English prose (~4 chars/token), so
+ * estimates use a conservative ratio to stay under the real limit.
+ */
+const CHARS_PER_TOKEN = 3.5;
+
+// Used when the model is not in the catalog or has no context_window
+const DEFAULT_CONTEXT_WINDOW = 128000;
+
+// Headroom for estimation error and provider message framing
+const SAFETY_MARGIN = 0.05;
+
+// Share of the file budget kept back for summaries of files that don't fit in full
+const SUMMARY_SHARE = 0.15;
+
+// Per-entry framing: "=== path ===\n" headers and separators
+const ENTRY_OVERHEAD_TOKENS = 8;
+
+class ContextBuilder {
+  /**
+   * Estimate the token count of a string.
+   * @param {string} text
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Context window of the model a call will use: the explicit model, or the
+   * primary model of the task's route.
+   *
+   * @param {Object} options
+   * @param {string} [options.model] - User-selected model ID ('auto' means none)
+   * @param {string} [options.taskType] - Routing task type, e.g. 'code-iteration'
+   * @returns {Promise<{model: string|null, contextWindow: number}>}
+   */
+  async resolveContextWindow({ model, taskType } = {}) {
+    try {
+      let modelId = model && model !== 'auto' ? model : null;
+      if (!modelId && taskType) {
+        const chain = await modelRegistry.resolveTaskRoute(taskType);
+        modelId = chain?.[0]?.modelId || null;
+      }
+
+      const entry = modelId ? await modelRegistry.getModelById(modelId) : null;
+      if (entry && entry.context_window > 0) {
+        return { model: modelId, contextWindow: entry.context_window };
+      }
+      return { model: modelId, contextWindow: DEFAULT_CONTEXT_WINDOW };
+    } catch (err) {
+      logger.warn('Could not resolve model context window, using default', { model, taskType, error: err.message });
+      return { model: model || null, contextWindow: DEFAULT_CONTEXT_WINDOW };
+    }
+  }
+
+  /**
+   * Choose which project files go into a prompt and how. Files are ranked by
+   * relevance to the user's message (see utils/fileRelevance) and packed in
+   * that order: in full while they fit, then as one-line summaries, then as
+   * bare paths.
+   *
+   * The file budget is the model's context window minus a safety margin, the
+   * output allowance and the rest of the prompt (`reservedTokens`), capped at
+   * `maxShare` of the window.
+   *
+   * Binary files are left out. Files not loaded from GitHub yet are only
+   * listed by path, for the agent to read on demand.
+   *
+   * @param {Array<{path: string, content: string|null, binary?: boolean, updatedAt?: Date|string}>} files
+   * @param {Object} options
+   * @param {string} options.userMessage - The user's request, used for ranking
+   * @param {string} [options.model] - User-selected model ID
+   * @param {string} [options.taskType='code-iteration']
+   * @param {number} [options.reservedTokens=0] - Tokens used by the rest of the prompt
+   * @param {number} [options.maxOutputTokens=16000] - Tokens reserved for the response
+   * @param {number} [options.maxShare=1] - Largest fraction of the window files may use
+   * @returns {Promise<{full: Array<{path: string, content: string}>, summaries: Array<{path: string, summary: string}>, paths: Array<string>, omittedCount: number, budgetTokens: number, usedTokens: number, contextWindow: number, model: string|null}>}
+   */
+  async buildFileContext(files, options = {}) {
+    const {
+      userMessage = '',
+      model,
+      taskType = 'code-iteration',
+      reservedTokens = 0,
+      maxOutputTokens = 16000,
+      maxShare = 1,
+    } = options;
+
+    const window = await this.resolveContextWindow({ model, taskType });
+    const available = Math.floor(window.contextWindow * (1 - SAFETY_MARGIN)) - maxOutputTokens - reservedTokens;
+    const budgetTokens = Math.max(0, Math.min(available, Math.floor(window.contextWindow * maxShare)));
+
+    const textFiles = files.filter((f) => !f.binary);
+    const byPath = new Map(textFiles.map((f) => [f.path, f]));
+    const ranked = rankFiles(textFiles, {
+      message: userMessage,
+      resolve: codeValidatorService.createImportResolver(textFiles),
+    });
+
+    const full = [];
+    const summaries = [];
+    const paths = [];
+    let omittedCount = 0;
+
+    // Full content may use the budget minus the share kept for summaries;
+    // summaries and paths may then use whatever is left
+    const fullBudget = Math.floor(budgetTokens * (1 - SUMMARY_SHARE));
+    let used = 0;
+
+    for (const { path } of ranked) {
+      const file = byPath.get(path);
+      const loaded = file.content !== null;
+      const content = file.content || '';
+
+      const fullCost = this.estimateTokens(content) + this.estimateTokens(path) + ENTRY_OVERHEAD_TOKENS;
+      if (loaded && used + fullCost <= fullBudget) {
+        full.push({ path, content });
+        used += fullCost;
+        continue;
+      }
+
+      const summary = loaded ? summarizeFile(file) : '';
+      const summaryCost = this.estimateTokens(summary) + this.estimateTokens(path) + 2;
+      if (loaded && used + summaryCost <= budgetTokens) {
+        summaries.push({ path, summary });
+        used += summaryCost;
+        continue;
+      }
+
+      const pathCost = this.estimateTokens(path) + 1;
+      if (used + pathCost <= budgetTokens) {
+        paths.push(path);
+        used += pathCost;
+        continue;
+      }
+
+      omittedCount++;
+    }
+
+    logger.debug('File context assembled', {
+      model: window.model,
+      contextWindow: window.contextWindow,
+      budgetTokens,
+      usedTokens: used,
+      full: full.length,
+      summarized: summaries.length,
+      pathsOnly: paths.length,
+      omitted: omittedCount,
+    });
+
+    return {
+      full,
+      summaries,
+      paths,
+      omittedCount,
+      budgetTokens,
+      usedTokens: used,
+      contextWindow: window.contextWindow,
+      model: window.model,
+    };
+  }
+
+  /**
+   * Record of a packed context for the prompt_logs.context_files column.
+   *
+   * @param {Object} fileContext - Result of buildFileContext
+   * @returns {{model: string|null, contextWindow: number, budgetTokens: number, usedTokens: number, full: Array<string>, summarized: Array<string>, pathsOnly: number, omitted: number}}
+   */
+  describe(fileContext) {
+    return {
+      model: fileContext.model,
+      contextWindow: fileContext.contextWindow,
+      budgetTokens: fileContext.budgetTokens,
+      usedTokens: fileContext.usedTokens,
+      full: fileContext.full.map((f) => f.path),
+      summarized: fileContext.summaries.map((s) => s.path),
+      pathsOnly: fileContext.paths.length,
+      omitted: fileContext.omittedCount,
+    };
+  }
+}
+
+// Singleton instance
+const contextBuilder = new ContextBuilder();
+
+module.exports = contextBuilder;
@@ -130,6 +130,7 @@ Format the output as clean markdown. Be concise but thorough.`;
       const llmRouter = require('./llmRouter');
 
       const result = await llmRouter.route('code-generation', {
+        projectId,
         systemMessage: 'You are a technical documentation assistant. Generate concise project context summaries.',
         prompt,
         maxTokens: 2048,
@@ -8,7 +8,8 @@
  * - LLM costs (integrates with promptTracker)
  *
  * Costs are tracked per-project in the projects.cost_breakdown JSONB field
- * and individually in the deployments table.
+ * and individually in the deployments table. Preview environments are
+ * tracked under their own 'preview' category, apart from production.
  */
 
 const { db } = require('../config/database');
@@ -35,7 +36,8 @@ const COST_ESTIMATES = {
 
 class CostTracker {
   /**
-   * Record a deployment cost event.
+   * Record a deployment cost event. `details.type` 'preview' books it as
+   * preview spend.
    */
   async trackDeploymentCost(projectId, deploymentId, details = {}) {
     const {
@@ -57,7 +59,7 @@ class CostTracker {
     }
 
     // Update project cost breakdown
-    await this._updateProjectCost(projectId, 'deployment', cost);
+    await this._updateProjectCost(projectId, type === 'preview' ? 'preview' : 'deployment', cost);
 
     logger.info('Deployment cost tracked', {
       projectId,
@@ -73,7 +75,7 @@ class CostTracker {
    * Track ongoing Railway compute costs.
    * Called periodically (e.g., every hour) for active deployments.
    */
-  async trackComputeCost(projectId, deploymentId, hours = 1) {
+  async trackComputeCost(projectId, deploymentId, hours = 1, { category = 'deployment' } = {}) {
     const cost = hours * COST_ESTIMATES.railway_compute_per_hour;
 
     if (deploymentId) {
@@ -85,7 +87,7 @@ class CostTracker {
         });
     }
 
-    await this._updateProjectCost(projectId, 'deployment', cost);
+    await this._updateProjectCost(projectId, category, cost);
 
     return cost;
   }
@@ -131,10 +133,13 @@ class CostTracker {
       ? JSON.parse(project.cost_breakdown)
       : project.cost_breakdown || {};
 
-    // Get deployment costs
+    // Get deployment costs, production and previews apart
     const deployments = await db('deployments')
       .where({ project_id: projectId })
-      .select(db.raw('SUM(COALESCE(cost, 0)) as total_deployment_cost'))
+      .select(
+        db.raw("SUM(COALESCE(cost, 0)) FILTER (WHERE environment <> 'preview') as total_deployment_cost"),
+        db.raw("SUM(COALESCE(cost, 0)) FILTER (WHERE environment = 'preview') as total_preview_cost")
+      )
       .first();
 
     // Get LLM costs from prompt_logs
@@ -153,16 +158,19 @@ class CostTracker {
       breakdown: {
         llm: parseFloat(breakdown.llm || 0),
         deployment: parseFloat(breakdown.deployment || 0),
+        preview: parseFloat(breakdown.preview || 0),
         storage: parseFloat(breakdown.storage || 0),
       },
       totals: {
         llm: parseFloat(llmCosts?.total_llm_cost || 0),
         deployment: parseFloat(deployments?.total_deployment_cost || 0),
+        preview: parseFloat(deployments?.total_preview_cost || 0),
         marketing: parseFloat(marketingCosts?.total_marketing_cost || 0),
       },
       total_estimated: parseFloat(project.estimated_cost || 0),
       total_actual: parseFloat(llmCosts?.total_llm_cost || 0) +
         parseFloat(deployments?.total_deployment_cost || 0) +
+        parseFloat(deployments?.total_preview_cost || 0) +
         parseFloat(marketingCosts?.total_marketing_cost || 0),
     };
   }
@@ -191,8 +199,10 @@ class CostTracker {
       .where('projects.user_id', userId)
       .where('deployments.created_at', '>=', sinceDate)
       .select(
-        db.raw('SUM(COALESCE(deployments.cost, 0)) as total'),
-        db.raw('COUNT(*) as deploy_count')
+        db.raw("SUM(COALESCE(deployments.cost, 0)) FILTER (WHERE deployments.environment <> 'preview') as total"),
+        db.raw("COUNT(*) FILTER (WHERE deployments.environment <> 'preview') as deploy_count"),
+        db.raw("SUM(COALESCE(deployments.cost, 0)) FILTER (WHERE deployments.environment = 'preview') as preview_total"),
+        db.raw("COUNT(*) FILTER (WHERE deployments.environment = 'preview') as preview_count")
       )
       .first();
 
@@ -227,12 +237,17 @@ class CostTracker {
         total_cost: parseFloat(deployResult?.total || 0),
         deploy_count: parseInt(deployResult?.deploy_count || 0, 10),
       },
+      preview: {
+        total_cost: parseFloat(deployResult?.preview_total || 0),
+        deploy_count: parseInt(deployResult?.preview_count || 0, 10),
+      },
       marketing: {
         total_cost: parseFloat(marketingResult?.total || 0),
       },
       grand_total:
         parseFloat(llmResult?.total || 0) +
         parseFloat(deployResult?.total || 0) +
+        parseFloat(deployResult?.preview_total || 0) +
         parseFloat(marketingResult?.total || 0),
       daily_trend: dailyTrend.map((d) => ({
         date: d.date,
@@ -242,6 +257,52 @@ class CostTracker {
     };
   }
 
+  /**
+   * Total spend since a point in time, for one project or for all of a
+   * user's projects. Used by budgetService to enforce spending limits.
+   *
+   * Marketing assets linked to a prompt_log are already counted as LLM
+   * spend, so only unlinked generation costs are added. Storage estimates
+   * are not timestamped and are not included.
+   *
+   * @param {Object} scope
+   * @param {string} [scope.userId]
+   * @param {string} [scope.projectId] - Takes precedence over userId
+   * @param {Date} since
+   * @returns {Promise<{llm: number, deployment: number, marketing: number, total: number}>}
+   */
+  async getSpend({ userId, projectId }, since) {
+    const scoped = (query, projectColumn) => (projectId
+      ? query.where(projectColumn, projectId)
+      : query.join('projects', projectColumn, 'projects.id').where('projects.user_id', userId));
+
+    // prompt_logs carries user_id directly, so no join is needed
+    const llmQuery = db('prompt_logs').where('created_at', '>=', since);
+    if (projectId) llmQuery.where('project_id', projectId);
+    else llmQuery.where('user_id', userId);
+
+    const [llm, deployment, marketing] = await Promise.all([
+      llmQuery.select(db.raw('SUM(COALESCE(total_cost, 0)) as total')).first(),
+      scoped(db('deployments'), 'deployments.project_id')
+        .where('deployments.created_at', '>=', since)
+        .select(db.raw('SUM(COALESCE(deployments.cost, 0)) as total'))
+        .first(),
+      scoped(db('marketing_assets'), 'marketing_assets.project_id')
+        .where('marketing_assets.created_at', '>=', since)
+        .whereNull('marketing_assets.prompt_log_id')
+        .select(db.raw('SUM(COALESCE(marketing_assets.generation_cost, 0)) as total'))
+        .first(),
+    ]);
+
+    const spend = {
+      llm: parseFloat(llm?.total || 0),
+      deployment: parseFloat(deployment?.total || 0),
+      marketing: parseFloat(marketing?.total || 0),
+    };
+    spend.total = spend.llm + spend.deployment + spend.marketing;
+    return spend;
+  }
+
   // ---------------------------------------------------------------------------
   // Private
   // ---------------------------------------------------------------------------
@@ -252,7 +313,7 @@ class CostTracker {
       .where({ id: projectId })
       .update({
         cost_breakdown: db.raw(
-          `jsonb_set(COALESCE(cost_breakdown, '{"llm":0,"deployment":0,"storage":0}')::jsonb, '{${category}}', (COALESCE((cost_breakdown->>'${category}')::numeric, 0) + ?)::text::jsonb)`,
+          `jsonb_set(COALESCE(cost_breakdown, '{"llm":0,"deployment":0,"preview":0,"storage":0}')::jsonb, '{${category}}', (COALESCE((cost_breakdown->>'${category}')::numeric, 0) + ?)::text::jsonb)`,
           [amount]
         ),
         estimated_cost: db.raw('COALESCE(estimated_cost, 0) + ?', [amount]),
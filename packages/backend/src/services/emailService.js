@@ -21,6 +21,20 @@ function getTransporter() {
   return transporter;
 }
 
+/**
+ * Escape text for interpolation into an email's HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 async function sendMail(to, subject, html) {
   const t = getTransporter();
   if (!t) {
@@ -71,4 +85,4 @@ async function sendWaitlistConfirmation(entry) {
   );
 }
 
-module.exports = { sendMail, sendWaitlistNotification, sendWaitlistConfirmation };
+module.exports = { sendMail, escapeHtml, sendWaitlistNotification, sendWaitlistConfirmation };
@@ -3,6 +3,8 @@ const cacheService = require('./cacheService');
 const { createCircuitBreaker } = require('../utils/circuitBreaker');
 const { retryWithBackoff } = require('../utils/retryLogic');
 const { llmCacheKey } = require('../utils/contentHash');
+const { replayContent, parseSseStream, collectChatCompletion } = require('../utils/llmStream');
+const { toOpenAIContent, imagesCacheKey } = require('../utils/visionContent');
 const config = require('../config/environment');
 const logger = require('../config/logger');
 
@@ -53,16 +55,20 @@ class FireworksService {
    * @param {number} [options.maxTokens] - Max tokens in response
    * @param {number} [options.temperature] - Sampling temperature
    * @param {string} [options.responseFormat] - 'text' or 'json'
+   * @param {Object} [options.stream] - Stream channel from llmRouter; streams deltas when set
+   * @param {Array<{mimeType: string, data: string, filename?: string}>} [options.images] - Image inputs (see utils/visionContent)
    * @returns {Promise<{content: string, usage: Object, model: string}>}
    */
   async generate(options) {
     const {
       systemMessage,
       prompt,
+      images,
       model = DEFAULT_MODEL,
       maxTokens = 4096,
       temperature = 0.7,
       responseFormat = 'text',
+      stream,
     } = options;
 
     // Fail fast if no API key (don't trip circuit breaker)
@@ -72,18 +78,19 @@ class FireworksService {
 
     // Check cache first
     const cacheKey = llmCacheKey(
-      `${systemMessage || ''}:${prompt}:${model}:${maxTokens}:${temperature}:${responseFormat}`,
+      `${systemMessage || ''}:${prompt}:${imagesCacheKey(images)}:${model}:${maxTokens}:${temperature}:${responseFormat}`,
       model
     );
 
     const cached = await cacheService.get(cacheKey);
     if (cached) {
       logger.debug('Fireworks cache hit', { model, cacheKey });
+      if (stream) replayContent(stream, cached.content);
       return cached;
     }
 
     // Call API via circuit breaker with retry
-    const params = { systemMessage, prompt, model, maxTokens, temperature };
+    const params = { systemMessage, prompt, images, model, maxTokens, temperature, stream };
 
     const response = await retryWithBackoff(
       () => this.breaker.fire(params),
@@ -139,23 +146,27 @@ class FireworksService {
    * Make the raw API call to Fireworks AI with a timeout.
    * @private
    */
-  async _callApi({ systemMessage, prompt, model, maxTokens, temperature }) {
+  async _callApi({ systemMessage, prompt, images, model, maxTokens, temperature, stream }) {
     const messages = [];
 
     if (systemMessage) {
       messages.push({ role: 'system', content: systemMessage });
     }
 
-    messages.push({ role: 'user', content: prompt });
+    messages.push({ role: 'user', content: images?.length ? toOpenAIContent(prompt, images) : prompt });
 
     // Fireworks requires stream=true for max_tokens > 4096; cap for non-streaming
     const payload = {
       model,
       messages,
-      max_tokens: Math.min(maxTokens, 4096),
+      max_tokens: stream ? maxTokens : Math.min(maxTokens, 4096),
       temperature,
     };
 
+    if (stream) {
+      return this._streamCompletion(payload, stream, REQUEST_TIMEOUT);
+    }
+
     // Race between the API call and a timeout
     const apiCall = axios.post(API_ENDPOINT, payload, {
       headers: {
@@ -185,6 +196,7 @@ class FireworksService {
    * @param {string} [options.model] - Model to use
    * @param {number} [options.maxTokens] - Max tokens
    * @param {number} [options.temperature] - Sampling temperature
+   * @param {Object} [options.stream] - Stream channel from llmRouter; streams deltas when set
    * @returns {Promise<{message: {role: string, content: string, toolCalls: Array}, usage: Object, model: string, finishReason: string}>}
    */
   async generateWithTools(options) {
@@ -195,13 +207,14 @@ class FireworksService {
       model = DEFAULT_MODEL,
       maxTokens = 8192,
       temperature = 0.3,
+      stream,
     } = options;
 
     if (!config.fireworksApiKey) {
       throw new Error('Fireworks API key not configured. Set FIREWORKS_API_KEY environment variable.');
     }
 
-    const params = { messages, tools, toolChoice, model, maxTokens, temperature };
+    const params = { messages, tools, toolChoice, model, maxTokens, temperature, stream };
 
     const response = await this.toolsBreaker.fire(params);
 
@@ -250,10 +263,10 @@ class FireworksService {
    * Make API call with tools support and longer timeout.
    * @private
    */
-  async _callApiWithTools({ messages, tools, toolChoice, model, maxTokens, temperature }) {
+  async _callApiWithTools({ messages, tools, toolChoice, model, maxTokens, temperature, stream }) {
     // Fireworks requires stream=true for max_tokens > 4096.
     // For non-streaming, cap at 4096.
-    const effectiveMaxTokens = Math.min(maxTokens, 4096);
+    const effectiveMaxTokens = stream ? maxTokens : Math.min(maxTokens, 4096);
 
     const payload = {
       model,
@@ -264,6 +277,10 @@ class FireworksService {
       tool_choice: toolChoice,
     };
 
+    if (stream) {
+      return this._streamCompletion(payload, stream, TOOLS_TIMEOUT);
+    }
+
     const apiCall = axios.post(API_ENDPOINT, payload, {
       headers: {
         'Authorization': `Bearer ${config.fireworksApiKey}`,
@@ -281,6 +298,39 @@ class FireworksService {
     return response.data;
   }
 
+  /**
+   * Stream a chat completion, emitting deltas on the channel, and return it
+   * in the non-streamed response shape. Aborts the request on timeout or
+   * once a newer attempt supersedes this one.
+   * @private
+   */
+  async _streamCompletion(payload, stream, timeoutMs) {
+    const emit = stream.begin();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await axios.post(API_ENDPOINT, { ...payload, stream: true }, {
+        headers: {
+          'Authorization': `Bearer ${config.fireworksApiKey}`,
+          'Content-Type': 'application/json',
+        },
+        responseType: 'stream',
+        signal: controller.signal,
+      });
+
+      return await collectChatCompletion(parseSseStream(response.data), emit);
+    } catch (error) {
+      if (controller.signal.aborted && !emit.superseded()) {
+        throw new Error('Fireworks API stream timed out');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      controller.abort();
+    }
+  }
+
   /**
    * Extract JSON from a response that may be wrapped in markdown fences.
    * @private
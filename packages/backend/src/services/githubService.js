@@ -4,10 +4,16 @@
  * Integrates with GitHub via @octokit/rest to support:
  * - OAuth connection flow (store encrypted access tokens)
  * - Import existing repos as Imagia projects
- * - Push generated code to GitHub repos
- * - Pull latest changes from connected repos
+ * - Push generated code to GitHub repos (refused when GitHub is ahead), or
+ *   to a branch with a pull request when the connection's push_mode says so
+ * - Pull latest changes from connected repos with a three-way merge
  * - Create new repos from Imagia projects
- * - Check sync status (ahead/behind/diverged)
+ * - Check sync status (ahead/behind/diverged/conflicted)
+ * - Keep projects in sync from push webhooks, auto-pulling when enabled
+ *
+ * github_connections.last_commit_sha is the merge base: the last commit
+ * Imagia and GitHub agreed on. Local changes are found by comparing each
+ * project file's git blob SHA with that commit's tree.
  */
 
 // @octokit/rest v21+ is ESM-only, use dynamic import
@@ -16,13 +22,24 @@ const octokitReady = import('@octokit/rest').then((mod) => {
   Octokit = mod.Octokit;
 });
 
+const crypto = require('crypto');
 const axios = require('axios');
 const { db } = require('../config/database');
 const { createCircuitBreaker } = require('../utils/circuitBreaker');
 const { retryWithBackoff } = require('../utils/retryLogic');
+const { generateContentHash } = require('../utils/contentHash');
+const { hasConflictMarkers } = require('../utils/threeWayMerge');
+const { planMerge, localBlobSha } = require('../utils/mergePlan');
+const { buildPullRequestTitle, buildPullRequestBody, summarizeReviews } = require('../utils/pullRequests');
+const { planImport, isBuildInput } = require('../utils/lazyFiles');
+const versionService = require('./versionService');
+const progressEmitter = require('../queues/progressEmitter');
 const config = require('../config/environment');
 const logger = require('../config/logger');
 
+// Blobs fetched at once when loading files on demand
+const HYDRATE_CONCURRENCY = 5;
+
 class GitHubService {
   constructor() {
     this.breaker = createCircuitBreaker(
@@ -111,7 +128,10 @@ class GitHubService {
 
   /**
    * Import an existing GitHub repo as a new Imagia project.
-   * Reads all files from the repo and stores them as project_files.
+   * Every file in the repo is returned: small, relevant files with their
+   * content and the rest (large, generated, beyond the eager budget or
+   * binary) with only their blob SHA, to be fetched by hydrateFiles or
+   * readFilesForBuild.
    */
   async importRepo(userId, repoFullName) {
     const octokit = await this._getOctokit(userId);
@@ -135,65 +155,46 @@ class GitHubService {
     }
 
     // Get the full file tree
-    const treeResult = await retryWithBackoff(
-      () =>
-        this.breaker.fire(() =>
-          octokit.git.getTree({
-            owner,
-            repo,
-            tree_sha: defaultBranch,
-            recursive: 'true',
-          })
-        ),
-      { maxRetries: 1, baseDelay: 1000, name: 'github-get-tree' }
-    );
-
-    const files = treeResult.data.tree.filter(
-      (item) => item.type === 'blob' && item.size < 500000 // Skip files > 500KB
+    const tree = await this._getTree(octokit, owner, repo, defaultBranch);
+    const { eager, lazy } = planImport(
+      [...tree].map(([path, { sha, size }]) => ({ path, sha, size }))
     );
 
-    // Smart-sort: prioritize frontend files for monorepos so the 100-file
-    // limit doesn't fill up on backend scripts before reaching the UI code.
-    const prioritize = (path) => {
-      const p = path.toLowerCase();
-      // Frontend dirs first
-      if (/\/(src|pages|components|hooks|app)\//i.test(p)) return 0;
-      if (/(front|client|web|ui)\//i.test(p)) return 1;
-      // Key config files
-      if (/package\.json$/.test(p) || /index\.html$/.test(p)) return 2;
-      if (/\.(jsx|tsx)$/.test(p)) return 3;
-      // Everything else
-      return 4;
-    };
-    const sortedFiles = [...files].sort((a, b) => prioritize(a.path) - prioritize(b.path));
+    const lazyRow = (file, binary) => ({
+      file_path: file.path,
+      content: null,
+      language: binary ? null : detectLanguageFromPath(file.path),
+      blob_sha: file.sha,
+      is_binary: binary,
+      file_size: file.size,
+    });
 
-    // Fetch file contents (limit to 200 files for large repos)
-    const filesToFetch = sortedFiles.slice(0, 200);
-    const fileContents = [];
+    const files = lazy.map((file) => lazyRow(file, file.binary));
+    let fetchedFiles = 0;
 
-    for (const file of filesToFetch) {
+    for (const file of eager) {
       try {
-        const content = await this.breaker.fire(() =>
-          octokit.git.getBlob({ owner, repo, file_sha: file.sha })
-        );
-
-        // Only process text files
-        if (content.data.encoding === 'base64') {
-          const decoded = Buffer.from(content.data.content, 'base64').toString('utf-8');
-          // Skip binary files (check for null bytes)
-          if (!decoded.includes('\0')) {
-            fileContents.push({
-              file_path: file.path,
-              content: decoded,
-              language: detectLanguageFromPath(file.path),
-            });
-          }
+        const content = await this._readBlob(octokit, owner, repo, file.sha);
+        if (content === null) {
+          files.push(lazyRow(file, true));
+          continue;
         }
+        files.push({
+          file_path: file.path,
+          content,
+          language: detectLanguageFromPath(file.path),
+          blob_sha: file.sha,
+          is_binary: false,
+          file_size: Buffer.byteLength(content, 'utf8'),
+        });
+        fetchedFiles++;
       } catch (err) {
+        // Fetched on first read instead
         logger.warn('Failed to fetch file from GitHub', {
           file: file.path,
           error: err.message,
         });
+        files.push(lazyRow(file, false));
       }
     }
 
@@ -209,19 +210,130 @@ class GitHubService {
         default_branch: defaultBranch,
         language: repoInfo.data.language,
       },
-      files: fileContents,
+      files,
       latestCommitSha: latestCommit.data.sha,
       totalFiles: files.length,
-      fetchedFiles: fileContents.length,
+      fetchedFiles,
     };
   }
 
+  /**
+   * Fetch the content of files imported without it and store it. Binary
+   * files stay unfetched; a file that turns out to be binary is marked so.
+   *
+   * @param {string} projectId
+   * @param {string[]} [filePaths] - Only these files (default: every unfetched file)
+   * @returns {Promise<Map<string, string>>} Path to content of the files fetched
+   */
+  async hydrateFiles(projectId, filePaths = null) {
+    const query = db('project_files')
+      .where({ project_id: projectId, is_binary: false })
+      .whereNull('content')
+      .whereNotNull('blob_sha')
+      .select('id', 'file_path', 'blob_sha');
+    if (filePaths) query.whereIn('file_path', filePaths);
+
+    const pending = await query;
+    const hydrated = await this._fetchBlobs(projectId, pending);
+
+    await Promise.all([...hydrated].map(([filePath, content]) => {
+      const file = pending.find((f) => f.file_path === filePath);
+      // Skip rows rewritten since they were selected
+      return db('project_files')
+        .where({ id: file.id })
+        .whereNull('content')
+        .update({
+          content,
+          file_size: Buffer.byteLength(content, 'utf8'),
+          checksum: generateContentHash(content),
+          updated_at: db.fn.now(),
+        });
+    }));
+
+    if (pending.length > 0) {
+      logger.info('Files loaded from GitHub', {
+        projectId,
+        requested: pending.length,
+        loaded: hydrated.size,
+      });
+    }
+
+    return hydrated;
+  }
+
+  /**
+   * Every file a build or deploy needs, with content. Files not yet
+   * fetched from GitHub are fetched for this use only and not stored, so
+   * builds don't undo the lazy import; generated and vendored files
+   * (node_modules, dist, minified bundles) and binary files are left out.
+   *
+   * @param {string} projectId
+   * @returns {Promise<Array<{file_path: string, content: string}>>}
+   */
+  async readFilesForBuild(projectId) {
+    const rows = await db('project_files')
+      .where({ project_id: projectId, is_binary: false })
+      .select('id', 'file_path', 'content', 'blob_sha');
+
+    const stored = rows.filter((f) => f.content !== null);
+    const pending = rows.filter((f) => f.content === null && f.blob_sha && isBuildInput(f.file_path));
+    const fetched = await this._fetchBlobs(projectId, pending);
+
+    return [
+      ...stored.map((f) => ({ file_path: f.file_path, content: f.content })),
+      ...[...fetched].map(([filePath, content]) => ({ file_path: filePath, content })),
+    ];
+  }
+
+  /**
+   * Fetch file contents from the project's repo by blob SHA. Files that
+   * turn out to be binary are marked so and left out.
+   * @private
+   * @param {string} projectId
+   * @param {Array<{id: string, file_path: string, blob_sha: string}>} files
+   * @returns {Promise<Map<string, string>>} Path to content
+   */
+  async _fetchBlobs(projectId, files) {
+    const fetched = new Map();
+    if (files.length === 0) return fetched;
+
+    const connection = await db('github_connections as gc')
+      .join('projects as p', 'p.id', 'gc.project_id')
+      .where('gc.project_id', projectId)
+      .select('gc.repo_full_name', 'p.user_id')
+      .first();
+
+    if (!connection) {
+      const err = new Error('Files not yet loaded from GitHub need a GitHub connection');
+      err.statusCode = 409;
+      throw err;
+    }
+
+    const octokit = await this._getOctokit(connection.user_id);
+    const [owner, repo] = connection.repo_full_name.split('/');
+
+    for (let i = 0; i < files.length; i += HYDRATE_CONCURRENCY) {
+      await Promise.all(files.slice(i, i + HYDRATE_CONCURRENCY).map(async (file) => {
+        const content = await this._readBlob(octokit, owner, repo, file.blob_sha);
+        if (content === null) {
+          await db('project_files').where({ id: file.id }).update({ is_binary: true });
+          return;
+        }
+        fetched.set(file.file_path, content);
+      }));
+    }
+
+    return fetched;
+  }
+
   // ---------------------------------------------------------------------------
   // Push to GitHub
   // ---------------------------------------------------------------------------
 
   /**
-   * Push all project files to a connected GitHub repo.
+   * Push all project files to a connected GitHub repo: straight to the
+   * default branch, or through a pull request when push_mode is
+   * 'pull_request'.
    */
   async pushToGitHub(userId, projectId, commitMessage = 'Update from Imagia') {
     const octokit = await this._getOctokit(userId);
@@ -245,6 +357,23 @@ class GitHubService {
       throw new Error('No project files to push');
     }
 
+    if (connection.merge_state) {
+      const err = new Error('Finish resolving the merge from GitHub before pushing');
+      err.statusCode = 409;
+      throw err;
+    }
+
+    const unresolved = projectFiles.filter((f) => hasConflictMarkers(f.content)).map((f) => f.file_path);
+    if (unresolved.length > 0) {
+      const err = new Error(`Resolve the conflict markers in ${unresolved.join(', ')} before pushing`);
+      err.statusCode = 409;
+      throw err;
+    }
+
+    if (connection.push_mode === 'pull_request') {
+      return this._pushToPullRequest(octokit, connection, projectFiles, commitMessage);
+    }
+
     logger.info('Pushing to GitHub', {
       projectId,
       repo: connection.repo_full_name,
@@ -257,15 +386,341 @@ class GitHubService {
     );
     const latestCommitSha = branchRef.data.object.sha;
 
-    // Get the tree of the latest commit
-    const latestCommit = await this.breaker.fire(() =>
-      octokit.git.getCommit({ owner, repo, commit_sha: latestCommitSha })
+    // Pushing on top of commits Imagia hasn't merged would overwrite them
+    if (connection.last_commit_sha && latestCommitSha !== connection.last_commit_sha) {
+      await db('github_connections')
+        .where({ project_id: projectId })
+        .update({ sync_status: 'behind', updated_at: db.fn.now() });
+
+      const err = new Error('GitHub has commits that are not in Imagia yet. Pull first to merge them.');
+      err.statusCode = 409;
+      throw err;
+    }
+
+    const newCommitSha = await this._commitFiles(octokit, owner, repo, latestCommitSha, projectFiles, commitMessage);
+
+    // Update branch ref (not forced, so a commit that landed since the
+    // check above makes GitHub reject this)
+    await this.breaker.fire(() =>
+      octokit.git.updateRef({
+        owner,
+        repo,
+        ref: `heads/${branch}`,
+        sha: newCommitSha,
+      })
     );
-    const baseTreeSha = latestCommit.data.tree.sha;
 
-    // Create blobs for each file
+    // Update connection
+    await db('github_connections')
+      .where({ project_id: projectId })
+      .update({
+        last_commit_sha: newCommitSha,
+        last_synced_at: db.fn.now(),
+        sync_status: 'synced',
+        updated_at: db.fn.now(),
+      });
+    await this._markVersionPushed(projectId, newCommitSha);
+
+    logger.info('Push to GitHub complete', {
+      projectId,
+      commitSha: newCommitSha,
+    });
+
+    return {
+      commitSha: newCommitSha,
+      commitUrl: `https://github.com/${connection.repo_full_name}/commit/${newCommitSha}`,
+    };
+  }
+
+  /**
+   * Commit the project files to the open pull request's branch, or to a new
+   * branch off the last synced commit with a new pull request. The PR body
+   * is rebuilt from the versions since the PR was opened.
+   * @private
+   */
+  async _pushToPullRequest(octokit, connection, projectFiles, commitMessage) {
+    const projectId = connection.project_id;
+    const [owner, repo] = connection.repo_full_name.split('/');
+    const baseBranch = connection.default_branch || 'main';
+
+    let pr = await db('github_pull_requests')
+      .where({ project_id: projectId, state: 'open' })
+      .orderBy('created_at', 'desc')
+      .first();
+    if (pr) {
+      pr = await this._syncPullRequest(octokit, connection, pr);
+      if (pr.state !== 'open') pr = null;
+    }
+
+    const latestVersion = await db('project_versions')
+      .where({ project_id: projectId })
+      .orderBy('version_number', 'desc')
+      .first('version_number');
+    const toVersion = latestVersion?.version_number || null;
+
+    let branch;
+    let parentSha;
+    if (pr) {
+      branch = pr.branch;
+      const branchRef = await this.breaker.fire(() =>
+        octokit.git.getRef({ owner, repo, ref: `heads/${branch}` })
+      );
+      parentSha = branchRef.data.object.sha;
+    } else {
+      // Branch off the commit the project files descend from so the PR
+      // shows only Imagia's changes
+      if (connection.last_commit_sha) {
+        parentSha = connection.last_commit_sha;
+      } else {
+        const baseRef = await this.breaker.fire(() =>
+          octokit.git.getRef({ owner, repo, ref: `heads/${baseBranch}` })
+        );
+        parentSha = baseRef.data.object.sha;
+      }
+      branch = `imagia/v${toVersion || 0}-${crypto.randomBytes(3).toString('hex')}`;
+      await this.breaker.fire(() =>
+        octokit.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: parentSha })
+      );
+    }
+
+    logger.info('Pushing to GitHub pull request branch', {
+      projectId,
+      repo: connection.repo_full_name,
+      branch,
+      fileCount: projectFiles.length,
+    });
+
+    const newCommitSha = await this._commitFiles(octokit, owner, repo, parentSha, projectFiles, commitMessage);
+    await this.breaker.fire(() =>
+      octokit.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: newCommitSha })
+    );
+
+    // The PR covers every version since the one last pushed before it
+    // opened; a PR closed unmerged hands its range on to the next one
+    let fromVersion;
+    if (pr) {
+      fromVersion = pr.from_version;
+    } else {
+      const previous = await db('github_pull_requests')
+        .where({ project_id: projectId })
+        .orderBy('created_at', 'desc')
+        .first();
+      fromVersion = previous?.state === 'closed'
+        ? previous.from_version
+        : await this._lastPushedVersion(projectId);
+    }
+    const { title, body } = await this._describePullRequest(projectId, fromVersion, toVersion);
+
+    if (pr) {
+      await this.breaker.fire(() =>
+        octokit.pulls.update({ owner, repo, pull_number: pr.number, body })
+      );
+      [pr] = await db('github_pull_requests')
+        .where({ id: pr.id })
+        .update({ head_sha: newCommitSha, to_version: toVersion, updated_at: db.fn.now() })
+        .returning('*');
+    } else {
+      const created = await this.breaker.fire(() =>
+        octokit.pulls.create({ owner, repo, title, body, head: branch, base: baseBranch })
+      );
+      [pr] = await db('github_pull_requests')
+        .insert({
+          project_id: projectId,
+          number: created.data.number,
+          html_url: created.data.html_url,
+          branch,
+          base_branch: baseBranch,
+          title,
+          head_sha: newCommitSha,
+          from_version: fromVersion,
+          to_version: toVersion,
+        })
+        .returning('*');
+    }
+
+    await db('github_connections')
+      .where({ project_id: projectId })
+      .update({ sync_status: 'ahead', updated_at: db.fn.now() });
+    await this._markVersionPushed(projectId, newCommitSha);
+
+    logger.info('Pull request updated', { projectId, number: pr.number, commitSha: newCommitSha });
+
+    return {
+      commitSha: newCommitSha,
+      commitUrl: `https://github.com/${connection.repo_full_name}/commit/${newCommitSha}`,
+      pullRequest: formatPullRequest(pr),
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Pull requests
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Update a connection's sync settings.
+   *
+   * @param {string} projectId
+   * @param {Object} settings
+   * @param {'direct'|'pull_request'} [settings.push_mode] - Push to the default branch or through pull requests
+   * @param {boolean} [settings.auto_pull] - Merge GitHub pushes automatically when they don't conflict
+   */
+  async updateConnectionSettings(projectId, settings) {
+    const updated = await db('github_connections')
+      .where({ project_id: projectId })
+      .update({ ...settings, updated_at: db.fn.now() });
+
+    if (!updated) {
+      throw new Error('No GitHub connection found for this project');
+    }
+  }
+
+  /**
+   * The project's open pull request (or its most recent one), refreshed
+   * from GitHub. A PR that was merged since the last refresh is pulled back
+   * into the project so the merge commit becomes the new sync base.
+   *
+   * @returns {Promise<Object|null>}
+   */
+  async refreshPullRequest(userId, projectId) {
+    const pr = await db('github_pull_requests')
+      .where({ project_id: projectId })
+      .orderByRaw("CASE WHEN state = 'open' THEN 0 ELSE 1 END")
+      .orderBy('created_at', 'desc')
+      .first();
+
+    if (!pr) return null;
+    if (pr.state !== 'open') return formatPullRequest(pr);
+
+    const octokit = await this._getOctokit(userId);
+    const connection = await db('github_connections')
+      .where({ project_id: projectId })
+      .first();
+    if (!connection) return formatPullRequest(pr);
+
+    const refreshed = await this._syncPullRequest(octokit, connection, pr);
+
+    if (refreshed.state === 'merged') {
+      try {
+        await this.pullFromGitHub(userId, projectId);
+      } catch (err) {
+        logger.warn('Pull after merged pull request failed', { projectId, error: err.message });
+      }
+    }
+
+    return formatPullRequest(refreshed);
+  }
+
+  /**
+   * Copy a pull request's state and review status from GitHub.
+   * @private
+   */
+  async _syncPullRequest(octokit, connection, pr) {
+    const [owner, repo] = connection.repo_full_name.split('/');
+
+    const [remote, reviews] = await Promise.all([
+      this.breaker.fire(() => octokit.pulls.get({ owner, repo, pull_number: pr.number })),
+      this.breaker.fire(() => octokit.pulls.listReviews({ owner, repo, pull_number: pr.number, per_page: 100 })),
+    ]);
+
+    let state = 'open';
+    if (remote.data.merged) state = 'merged';
+    else if (remote.data.state === 'closed') state = 'closed';
+
+    const [updated] = await db('github_pull_requests')
+      .where({ id: pr.id })
+      .update({
+        state,
+        review_status: summarizeReviews(reviews.data),
+        title: remote.data.title,
+        merged_at: remote.data.merged_at || null,
+        closed_at: remote.data.closed_at || null,
+        updated_at: db.fn.now(),
+      })
+      .returning('*');
+
+    if (state !== pr.state) {
+      logger.info('Pull request state changed', { projectId: pr.project_id, number: pr.number, state });
+    }
+
+    return updated;
+  }
+
+  /**
+   * PR title and body for the versions after `fromVersion` up to `toVersion`.
+   * @private
+   */
+  async _describePullRequest(projectId, fromVersion, toVersion) {
+    const project = await db('projects').where({ id: projectId }).first('name');
+    const versions = toVersion
+      ? await db('project_versions')
+        .where({ project_id: projectId })
+        .where('version_number', '>', fromVersion || 0)
+        .where('version_number', '<=', toVersion)
+        .orderBy('version_number', 'asc')
+        .select('version_number', 'prompt_summary', 'diff_summary')
+      : [];
+
+    let diff = null;
+    if (fromVersion && toVersion && fromVersion !== toVersion) {
+      try {
+        diff = await versionService.diffVersions(projectId, fromVersion, toVersion);
+      } catch (err) {
+        logger.warn('Failed to diff versions for pull request', { projectId, error: err.message });
+      }
+    }
+
+    return {
+      title: buildPullRequestTitle(versions, project?.name || 'project'),
+      body: buildPullRequestBody({
+        versions,
+        diff,
+        projectUrl: `${config.frontendUrl}/project/${projectId}`,
+      }),
+    };
+  }
+
+  /**
+   * Newest version that was pushed to GitHub, if any.
+   * @private
+   */
+  async _lastPushedVersion(projectId) {
+    const version = await db('project_versions')
+      .where({ project_id: projectId })
+      .whereNotNull('git_commit_sha')
+      .orderBy('version_number', 'desc')
+      .first('version_number');
+    return version?.version_number || null;
+  }
+
+  /**
+   * Record the commit on the newest version.
+   * @private
+   */
+  async _markVersionPushed(projectId, commitSha) {
+    const latest = await db('project_versions')
+      .where({ project_id: projectId })
+      .orderBy('version_number', 'desc')
+      .first('id');
+    if (latest) {
+      await db('project_versions').where({ id: latest.id }).update({ git_commit_sha: commitSha });
+    }
+  }
+
+  /**
+   * Commit project files on top of `parentSha`, keeping files Imagia
+   * doesn't track. Returns the new commit's SHA; no ref is moved.
+   * @private
+   */
+  async _commitFiles(octokit, owner, repo, parentSha, projectFiles, message) {
+    const parent = await this.breaker.fire(() =>
+      octokit.git.getCommit({ owner, repo, commit_sha: parentSha })
+    );
+
+    // Create blobs for each file. Files never loaded from GitHub are
+    // unchanged, so base_tree already has them.
     const treeItems = [];
     for (const file of projectFiles) {
+      if (file.content === null) continue;
       const blob = await this.breaker.fire(() =>
         octokit.git.createBlob({
           owner,
@@ -283,56 +738,26 @@ class GitHubService {
       });
     }
 
-    // Create new tree
     const newTree = await this.breaker.fire(() =>
       octokit.git.createTree({
         owner,
         repo,
-        base_tree: baseTreeSha,
+        base_tree: parent.data.tree.sha,
         tree: treeItems,
       })
     );
 
-    // Create commit
     const newCommit = await this.breaker.fire(() =>
       octokit.git.createCommit({
         owner,
         repo,
-        message: commitMessage,
+        message,
         tree: newTree.data.sha,
-        parents: [latestCommitSha],
+        parents: [parentSha],
       })
     );
 
-    // Update branch ref
-    await this.breaker.fire(() =>
-      octokit.git.updateRef({
-        owner,
-        repo,
-        ref: `heads/${branch}`,
-        sha: newCommit.data.sha,
-      })
-    );
-
-    // Update connection
-    await db('github_connections')
-      .where({ project_id: projectId })
-      .update({
-        last_commit_sha: newCommit.data.sha,
-        last_synced_at: db.fn.now(),
-        sync_status: 'synced',
-        updated_at: db.fn.now(),
-      });
-
-    logger.info('Push to GitHub complete', {
-      projectId,
-      commitSha: newCommit.data.sha,
-    });
-
-    return {
-      commitSha: newCommit.data.sha,
-      commitUrl: `https://github.com/${connection.repo_full_name}/commit/${newCommit.data.sha}`,
-    };
+    return newCommit.data.sha;
   }
 
   // ---------------------------------------------------------------------------
@@ -340,9 +765,22 @@ class GitHubService {
   // ---------------------------------------------------------------------------
 
   /**
-   * Pull latest changes from the connected GitHub repo.
+   * Merge the latest commit on the connected branch into the project.
+   *
+   * Files changed only on GitHub are taken, files changed only in Imagia are
+   * kept and files changed on both sides are merged line by line. If any
+   * file conflicts, nothing is written: the conflicts are stored in
+   * merge_state and returned, and the pull is repeated with `resolutions`
+   * (file path to resolved content, or null to delete the file).
+   *
+   * @param {string} userId
+   * @param {string} projectId
+   * @param {Object} [options]
+   * @param {Object<string, string|null>} [options.resolutions]
+   * @param {boolean} [options.onlyIfClean] - On conflicts, return them without storing a pending merge
+   * @returns {Promise<{fileCount: number, commitSha: string, status: string, conflicts: Array}>}
    */
-  async pullFromGitHub(userId, projectId) {
+  async pullFromGitHub(userId, projectId, { resolutions, onlyIfClean = false } = {}) {
     const octokit = await this._getOctokit(userId);
 
     const connection = await db('github_connections')
@@ -361,95 +799,223 @@ class GitHubService {
       repo: connection.repo_full_name,
     });
 
-    // Get the latest tree
-    const treeResult = await retryWithBackoff(
-      () =>
-        this.breaker.fire(() =>
-          octokit.git.getTree({
-            owner,
-            repo,
-            tree_sha: branch,
-            recursive: 'true',
-          })
-        ),
-      { maxRetries: 1, baseDelay: 1000, name: 'github-pull-tree' }
-    );
+    const remote = await this._compareWithRemote(octokit, owner, repo, branch, connection.last_commit_sha);
 
-    const files = treeResult.data.tree.filter(
-      (item) => item.type === 'blob' && item.size < 500000
-    );
+    if (resolutions && connection.merge_state?.head_sha !== remote.headSha) {
+      const err = new Error('GitHub has new commits since this merge started. Pull again to see the current conflicts.');
+      err.statusCode = 409;
+      throw err;
+    }
 
-    // Get latest commit sha
-    const latestCommit = await this.breaker.fire(() =>
-      octokit.repos.getCommit({ owner, repo, ref: branch })
-    );
+    if (remote.headSha === connection.last_commit_sha) {
+      return { fileCount: 0, commitSha: remote.headSha, status: 'up_to_date', conflicts: [] };
+    }
 
-    // Fetch and update files
-    const updatedFiles = [];
-    for (const file of files.slice(0, 100)) {
-      try {
-        const content = await this.breaker.fire(() =>
-          octokit.git.getBlob({ owner, repo, file_sha: file.sha })
-        );
+    const [baseTree, headTree, projectFiles] = await Promise.all([
+      remote.baseSha ? this._getTree(octokit, owner, repo, remote.baseSha) : new Map(),
+      this._getTree(octokit, owner, repo, remote.headSha),
+      db('project_files')
+        .where({ project_id: projectId })
+        .select('id', 'file_path', 'content', 'blob_sha', 'is_binary'),
+    ]);
+
+    const plan = await planMerge({
+      baseTree,
+      headTree,
+      projectFiles,
+      readBlob: (sha) => this._readBlob(octokit, owner, repo, sha),
+      resolutions: resolutions || {},
+      theirsLabel: `GitHub ${remote.headSha.slice(0, 7)}`,
+    });
 
-        if (content.data.encoding === 'base64') {
-          const decoded = Buffer.from(content.data.content, 'base64').toString('utf-8');
-          if (!decoded.includes('\0')) {
-            updatedFiles.push({
-              file_path: file.path,
-              content: decoded,
-              language: detectLanguageFromPath(file.path),
-            });
-          }
-        }
-      } catch (err) {
-        logger.warn('Failed to fetch file during pull', {
-          file: file.path,
-          error: err.message,
+    if (plan.conflicts.length > 0 && onlyIfClean) {
+      return { fileCount: 0, commitSha: remote.headSha, status: 'conflicted', conflicts: plan.conflicts };
+    }
+
+    if (plan.conflicts.length > 0) {
+      await db('github_connections')
+        .where({ project_id: projectId })
+        .update({
+          merge_state: JSON.stringify({
+            base_sha: remote.baseSha,
+            head_sha: remote.headSha,
+            conflicts: plan.conflicts,
+            created_at: new Date().toISOString(),
+          }),
+          sync_status: 'conflicted',
+          updated_at: db.fn.now(),
         });
-      }
+
+      logger.info('Pull from GitHub stopped on conflicts', {
+        projectId,
+        conflicts: plan.conflicts.map((c) => c.file_path),
+        commitSha: remote.headSha,
+      });
+
+      return { fileCount: 0, commitSha: remote.headSha, status: 'conflicted', conflicts: plan.conflicts };
     }
 
-    // Update project_files in a transaction
+    const existing = new Map(projectFiles.map((f) => [f.file_path, f]));
     await db.transaction(async (trx) => {
-      // Remove existing files
-      await trx('project_files').where({ project_id: projectId }).del();
-
-      // Insert new files
-      if (updatedFiles.length > 0) {
-        await trx('project_files').insert(
-          updatedFiles.map((f) => ({
-            project_id: projectId,
-            file_path: f.file_path,
-            content: f.content,
-            language: f.language,
-          }))
-        );
+      for (const file of plan.writes) {
+        const row = file.content === null
+          ? {
+            content: null,
+            language: file.is_binary ? null : detectLanguageFromPath(file.file_path),
+            blob_sha: file.blob_sha,
+            is_binary: file.is_binary,
+            file_size: file.size,
+            checksum: null,
+          }
+          : {
+            content: file.content,
+            language: detectLanguageFromPath(file.file_path),
+            blob_sha: file.blob_sha || null,
+            is_binary: false,
+            file_size: Buffer.byteLength(file.content, 'utf8'),
+            checksum: generateContentHash(file.content),
+          };
+        if (existing.has(file.file_path)) {
+          await trx('project_files')
+            .where({ id: existing.get(file.file_path).id })
+            .update({ ...row, updated_at: db.fn.now() });
+        } else {
+          await trx('project_files').insert({ project_id: projectId, file_path: file.file_path, ...row });
+        }
+      }
+
+      if (plan.deletes.length > 0) {
+        await trx('project_files')
+          .where({ project_id: projectId })
+          .whereIn('file_path', plan.deletes)
+          .del();
       }
     });
 
-    // Update connection
+    const status = plan.ahead ? 'ahead' : 'synced';
     await db('github_connections')
       .where({ project_id: projectId })
       .update({
-        last_commit_sha: latestCommit.data.sha,
+        last_commit_sha: remote.headSha,
         last_synced_at: db.fn.now(),
-        sync_status: 'synced',
+        sync_status: status,
+        merge_state: null,
         updated_at: db.fn.now(),
       });
 
     logger.info('Pull from GitHub complete', {
       projectId,
-      fileCount: updatedFiles.length,
-      commitSha: latestCommit.data.sha,
+      written: plan.writes.length,
+      deleted: plan.deletes.length,
+      commitSha: remote.headSha,
     });
 
     return {
-      fileCount: updatedFiles.length,
-      commitSha: latestCommit.data.sha,
+      fileCount: plan.writes.length + plan.deletes.length,
+      commitSha: remote.headSha,
+      status,
+      conflicts: [],
     };
   }
 
+  /**
+   * The conflicts of a pull waiting to be resolved, if any.
+   */
+  async getMergeState(projectId) {
+    const connection = await db('github_connections')
+      .where({ project_id: projectId })
+      .first('merge_state');
+
+    const state = connection?.merge_state;
+    return typeof state === 'string' ? JSON.parse(state) : state || null;
+  }
+
+  /**
+   * Drop a conflicted pull, leaving the project files as they were.
+   */
+  async abortMerge(projectId) {
+    await db('github_connections')
+      .where({ project_id: projectId })
+      .update({ merge_state: null, sync_status: 'diverged', updated_at: db.fn.now() });
+  }
+
+  /**
+   * The branch head and its merge base with the last synced commit.
+   * `baseSha` differs from `lastSha` only when GitHub's history was
+   * rewritten (e.g. a force push).
+   *
+   * @private
+   * @returns {Promise<{headSha: string, baseSha: string|null, aheadBy: number, behindBy: number}>}
+   */
+  async _compareWithRemote(octokit, owner, repo, branch, lastSha) {
+    const latestCommit = await this.breaker.fire(() =>
+      octokit.repos.getCommit({ owner, repo, ref: branch })
+    );
+    const headSha = latestCommit.data.sha;
+
+    if (!lastSha || lastSha === headSha) {
+      return { headSha, baseSha: lastSha || null, aheadBy: 0, behindBy: 0 };
+    }
+
+    try {
+      const comparison = await this.breaker.fire(() =>
+        octokit.repos.compareCommits({ owner, repo, base: lastSha, head: headSha })
+      );
+      return {
+        headSha,
+        baseSha: comparison.data.merge_base_commit?.sha || lastSha,
+        aheadBy: comparison.data.ahead_by,
+        behindBy: comparison.data.behind_by,
+      };
+    } catch (err) {
+      logger.warn('Failed to compare with GitHub; using the last synced commit as base', {
+        repo: `${owner}/${repo}`,
+        error: err.message,
+      });
+      return { headSha, baseSha: lastSha, aheadBy: null, behindBy: null };
+    }
+  }
+
+  /**
+   * Blobs of a commit's tree, keyed by path.
+   * @private
+   * @returns {Promise<Map<string, {sha: string, size: number}>>}
+   */
+  async _getTree(octokit, owner, repo, treeSha) {
+    const treeResult = await retryWithBackoff(
+      () =>
+        this.breaker.fire(() =>
+          octokit.git.getTree({
+            owner,
+            repo,
+            tree_sha: treeSha,
+            recursive: 'true',
+          })
+        ),
+      { maxRetries: 1, baseDelay: 1000, name: 'github-get-tree' }
+    );
+
+    return new Map(
+      treeResult.data.tree
+        .filter((item) => item.type === 'blob')
+        .map((item) => [item.path, { sha: item.sha, size: item.size }])
+    );
+  }
+
+  /**
+   * Text of a blob, or null for binary content.
+   * @private
+   */
+  async _readBlob(octokit, owner, repo, sha) {
+    const content = await this.breaker.fire(() =>
+      octokit.git.getBlob({ owner, repo, file_sha: sha })
+    );
+
+    if (content.data.encoding !== 'base64') return null;
+    const decoded = Buffer.from(content.data.content, 'base64').toString('utf-8');
+    return decoded.includes('\0') ? null : decoded;
+  }
+
   // ---------------------------------------------------------------------------
   // Create repo
   // ---------------------------------------------------------------------------
@@ -569,6 +1135,8 @@ class GitHubService {
       });
     }
 
+    await this.registerWebhook(userId, projectId);
+
     logger.info('GitHub repo created and code pushed', {
       projectId,
       repoFullName,
@@ -581,12 +1149,189 @@ class GitHubService {
     };
   }
 
+  // ---------------------------------------------------------------------------
+  // Webhooks
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add a push webhook to the project's repo, or adopt the one another
+   * project on the same repo already added. Needs GITHUB_WEBHOOK_URL and
+   * admin access to the repo; without them the project syncs manually.
+   *
+   * @returns {Promise<number|null>} Webhook id
+   */
+  async registerWebhook(userId, projectId) {
+    if (!config.githubWebhookSecret || !config.githubWebhookUrl) return null;
+
+    const connection = await db('github_connections')
+      .where({ project_id: projectId })
+      .first();
+    if (!connection) return null;
+    if (connection.webhook_id) return connection.webhook_id;
+
+    const [owner, repo] = connection.repo_full_name.split('/');
+
+    try {
+      const octokit = await this._getOctokit(userId);
+      let hookId;
+      try {
+        const hook = await this.breaker.fire(() =>
+          octokit.repos.createWebhook({
+            owner,
+            repo,
+            events: ['push'],
+            config: {
+              url: config.githubWebhookUrl,
+              content_type: 'json',
+              secret: config.githubWebhookSecret,
+            },
+          })
+        );
+        hookId = hook.data.id;
+      } catch (err) {
+        // 422: a hook with this URL already exists on the repo
+        if (err.status !== 422) throw err;
+        const hooks = await this.breaker.fire(() => octokit.repos.listWebhooks({ owner, repo }));
+        hookId = hooks.data.find((h) => h.config?.url === config.githubWebhookUrl)?.id;
+      }
+
+      if (!hookId) return null;
+      await db('github_connections')
+        .where({ project_id: projectId })
+        .update({ webhook_id: hookId, updated_at: db.fn.now() });
+
+      logger.info('GitHub webhook registered', { projectId, repo: connection.repo_full_name, hookId });
+      return hookId;
+    } catch (err) {
+      logger.warn('Failed to register GitHub webhook', {
+        projectId,
+        repo: connection.repo_full_name,
+        error: err.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Remove the project's push webhook unless another project on the same
+   * repo still uses it.
+   */
+  async removeWebhook(userId, projectId) {
+    const connection = await db('github_connections')
+      .where({ project_id: projectId })
+      .first();
+    if (!connection?.webhook_id) return;
+
+    const shared = await db('github_connections')
+      .where({ repo_full_name: connection.repo_full_name, webhook_id: connection.webhook_id })
+      .whereNot({ project_id: projectId })
+      .first();
+    if (shared) return;
+
+    const [owner, repo] = connection.repo_full_name.split('/');
+    try {
+      const octokit = await this._getOctokit(userId);
+      await this.breaker.fire(() =>
+        octokit.repos.deleteWebhook({ owner, repo, hook_id: connection.webhook_id })
+      );
+    } catch (err) {
+      logger.warn('Failed to remove GitHub webhook', { projectId, error: err.message });
+    }
+  }
+
+  /**
+   * Handle a verified `push` webhook: refresh the sync status of every
+   * project connected to the pushed branch, auto-pull where enabled and
+   * tell open ProjectBuilder sessions over the progress channel.
+   *
+   * @param {Object} payload - GitHub push event payload
+   * @returns {Promise<Array<{projectId: string, status: string, pulled: boolean}>>}
+   */
+  async handlePushEvent(payload) {
+    const repoFullName = payload.repository?.full_name;
+    if (!repoFullName || !payload.ref?.startsWith('refs/heads/') || payload.deleted) return [];
+    const branch = payload.ref.slice('refs/heads/'.length);
+
+    const connections = await db('github_connections as gc')
+      .join('projects as p', 'p.id', 'gc.project_id')
+      .whereRaw('LOWER(gc.repo_full_name) = ?', [repoFullName.toLowerCase()])
+      .select('gc.*', 'p.user_id');
+
+    const results = [];
+    for (const connection of connections) {
+      if ((connection.default_branch || 'main') !== branch) continue;
+      // Imagia's own push coming back
+      if (payload.after === connection.last_commit_sha) continue;
+
+      try {
+        results.push(await this._syncFromPush(connection, payload));
+      } catch (err) {
+        logger.error('Failed to sync project from GitHub push', {
+          projectId: connection.project_id,
+          error: err.message,
+        });
+      }
+    }
+
+    logger.info('GitHub push webhook handled', { repo: repoFullName, branch, projects: results.length });
+    return results;
+  }
+
+  /**
+   * @private
+   */
+  async _syncFromPush(connection, payload) {
+    const projectId = connection.project_id;
+    const userId = connection.user_id;
+    const commits = payload.commits || [];
+
+    const sync = await this.syncStatus(userId, projectId);
+    let status = sync.status;
+    let pulled = null;
+    let version = null;
+
+    if (connection.auto_pull && (status === 'behind' || status === 'diverged')) {
+      const result = await this.pullFromGitHub(userId, projectId, { onlyIfClean: true });
+      if (result.status !== 'conflicted') {
+        pulled = result;
+        status = result.status === 'up_to_date' ? status : result.status;
+        if (result.fileCount > 0) {
+          version = await versionService.snapshotProject(projectId, {
+            promptSummary: `Pulled from GitHub (${result.commitSha.slice(0, 7)})`,
+            diffSummary: commits
+              .map((c) => `- ${String(c.message || '').split('\n')[0]}${c.author?.name ? ` (${c.author.name})` : ''}`)
+              .join('\n') || null,
+            gitCommitSha: result.commitSha,
+          });
+        }
+      }
+    }
+
+    await progressEmitter.emit(projectId, {
+      github: {
+        type: 'push',
+        status,
+        commit_sha: payload.after,
+        pusher: payload.pusher?.name || null,
+        commits: commits.length,
+        pulled: Boolean(pulled),
+        file_count: pulled?.fileCount || 0,
+        version_number: version?.version_number || null,
+      },
+    });
+
+    return { projectId, status, pulled: Boolean(pulled) };
+  }
+
   // ---------------------------------------------------------------------------
   // Sync status
   // ---------------------------------------------------------------------------
 
   /**
-   * Check whether the local project is ahead/behind/synced with the remote.
+   * Check whether the project is ahead of, behind or diverged from GitHub:
+   * ahead when Imagia has changes since the last synced commit, behind when
+   * GitHub has new commits, diverged when both, conflicted while a pull
+   * waits on conflict resolution.
    */
   async syncStatus(userId, projectId) {
     const octokit = await this._getOctokit(userId);
@@ -603,22 +1348,35 @@ class GitHubService {
     const branch = connection.default_branch || 'main';
 
     try {
-      const latestCommit = await this.breaker.fire(() =>
-        octokit.repos.getCommit({ owner, repo, ref: branch })
-      );
-
-      const remoteSha = latestCommit.data.sha;
       const localSha = connection.last_commit_sha;
+      const remote = await this._compareWithRemote(octokit, owner, repo, branch, localSha);
+      const remoteSha = remote.headSha;
+
+      let localChanges = [];
+      if (localSha) {
+        const [baseTree, projectFiles] = await Promise.all([
+          this._getTree(octokit, owner, repo, localSha),
+          db('project_files').where({ project_id: projectId }).select('file_path', 'content', 'blob_sha'),
+        ]);
+        const localPaths = new Set(projectFiles.map((f) => f.file_path));
+        localChanges = [
+          ...projectFiles
+            .filter((f) => baseTree.get(f.file_path)?.sha !== localBlobSha(f))
+            .map((f) => f.file_path),
+          // Deleted in Imagia
+          ...[...baseTree.keys()].filter((path) => !localPaths.has(path)),
+        ];
+      }
 
       let status;
-      if (!localSha) {
+      if (connection.merge_state) {
+        status = 'conflicted';
+      } else if (!localSha) {
         status = 'behind';
       } else if (localSha === remoteSha) {
-        status = 'synced';
+        status = localChanges.length > 0 ? 'ahead' : 'synced';
       } else {
-        // We can't easily tell ahead vs behind without comparing commit trees,
-        // so mark as diverged if they differ.
-        status = 'diverged';
+        status = localChanges.length > 0 ? 'diverged' : 'behind';
       }
 
       // Update the connection
@@ -626,10 +1384,20 @@ class GitHubService {
         .where({ project_id: projectId })
         .update({ sync_status: status, updated_at: db.fn.now() });
 
+      const pullRequest = await db('github_pull_requests')
+        .where({ project_id: projectId, state: 'open' })
+        .orderBy('created_at', 'desc')
+        .first();
+
       return {
         status,
         local_sha: localSha,
         remote_sha: remoteSha,
+        remote_commits: remote.aheadBy,
+        local_changes: localChanges,
+        push_mode: connection.push_mode || 'direct',
+        auto_pull: Boolean(connection.auto_pull),
+        pull_request: pullRequest ? formatPullRequest(pullRequest) : null,
         repo: connection.repo_full_name,
         last_synced_at: connection.last_synced_at,
       };
@@ -647,6 +1415,22 @@ class GitHubService {
 // Helpers
 // ---------------------------------------------------------------------------
 
+/**
+ * A project file's blob SHA; files not loaded yet still match the blob
+ * they were imported from.
+ */
+function formatPullRequest(pr) {
+  return {
+    number: pr.number,
+    url: pr.html_url,
+    branch: pr.branch,
+    title: pr.title,
+    state: pr.state,
+    review_status: pr.review_status,
+    updated_at: pr.updated_at,
+  };
+}
+
 function detectLanguageFromPath(filePath) {
   if (!filePath) return null;
   const ext = filePath.split('.').pop().toLowerCase();
@@ -1,94 +1,42 @@
 const claudeService = require('./claudeService');
 const fireworksService = require('./fireworksService');
 const openaiService = require('./openaiService');
+const budgetService = require('./budgetService');
+const modelRegistry = require('./modelRegistry');
 const config = require('../config/environment');
 const logger = require('../config/logger');
+const { createStreamChannel } = require('../utils/llmStream');
+const { hasImageInput, stripImageInput } = require('../utils/visionContent');
 
 /**
- * Routing table mapping task types to primary and fallback LLM providers.
- *
- * Default code model: Kimi K2.5 via Fireworks ($0.60/$3.00 per 1M tokens)
- * 1T MoE (32B active), #2 on AI Intelligence Index, strong agentic + coding.
+ * Task routes (a primary model plus an ordered fallback chain per task type)
+ * live in the llm_task_routes table and are resolved through modelRegistry,
+ * so adding or re-routing a model needs no code change here. See
+ * migration 021 for the seeded routes.
  */
-const ROUTING_TABLE = {
-  'code-generation': {
-    primary: 'fireworks',
-    model: 'accounts/fireworks/models/kimi-k2p5',
-    fallback: 'openai',
-  },
-  'code-iteration': {
-    primary: 'fireworks',
-    model: 'accounts/fireworks/models/kimi-k2p5',
-    fallback: 'openai',
-  },
-  'scaffold': {
-    primary: 'fireworks',
-    model: 'accounts/fireworks/models/kimi-k2p5',
-    fallback: 'openai',
-  },
-  'config-files': {
-    primary: 'fireworks',
-    model: 'accounts/fireworks/models/kimi-k2p5',
-    fallback: 'openai',
-  },
-  'landing-page': {
-    primary: 'openai',
-    model: 'gpt-4o',
-    fallback: 'fireworks',
-  },
-  'social-copy': {
-    primary: 'openai',
-    model: 'gpt-4o',
-    fallback: 'fireworks',
-  },
-  'ad-copy': {
-    primary: 'openai',
-    model: 'gpt-4o',
-    fallback: 'fireworks',
-  },
-  'email-template': {
-    primary: 'openai',
-    model: 'gpt-4o',
-    fallback: 'fireworks',
-  },
-  'demo-script': {
-    primary: 'fireworks',
-    model: 'accounts/fireworks/models/llama-v3p3-70b-instruct',
-    fallback: 'openai',
-  },
-  'change-analysis': {
-    primary: 'fireworks',
-    model: 'accounts/fireworks/models/llama-v3p3-70b-instruct',
-    fallback: 'openai',
-  },
-  'change-planning': {
-    primary: 'fireworks',
-    model: 'accounts/fireworks/models/llama-v3p3-70b-instruct',
-    fallback: 'openai',
-  },
-  'code-fix': {
-    primary: 'fireworks',
-    model: 'accounts/fireworks/models/kimi-k2p5',
-    fallback: 'openai',
-  },
-};
 
-/**
- * Maps model IDs to their provider name for model override routing.
- */
-const MODEL_TO_PROVIDER = {
-  'accounts/fireworks/models/kimi-k2p5': 'fireworks',
-  'accounts/fireworks/models/kimi-k2-instruct-0905': 'fireworks',
-  'accounts/fireworks/models/kimi-k2-thinking': 'fireworks',
-  'accounts/fireworks/models/qwen3-coder-480b-a35b-instruct': 'fireworks',
-  'accounts/fireworks/models/qwen3-8b': 'fireworks',
-  'accounts/fireworks/models/llama-v3p3-70b-instruct': 'fireworks',
-  'accounts/fireworks/models/mixtral-8x7b-instruct': 'fireworks',
-  'accounts/fireworks/models/qwen2p5-coder-32b-instruct': 'fireworks',
-  'gpt-4o': 'openai',
-  'claude-sonnet-4-6': 'anthropic',
-  'claude-sonnet-4-20250514': 'anthropic',
-};
+// Task type used for unknown task types and tool-calling requests without a route
+const DEFAULT_TASK_TYPE = 'code-generation';
+
+// Task types callers route by, i.e. the tasks an admin can give a route
+const TASK_TYPES = [
+  'code-generation',
+  'code-iteration',
+  'scaffold',
+  'config-files',
+  'code-fix',
+  'landing-page',
+  'social-copy',
+  'ad-copy',
+  'email-template',
+  'demo-script',
+  'change-analysis',
+  'change-planning',
+];
+
+// Last resort when the database has no usable route (e.g. it is unreachable):
+// each provider's own default model
+const DEFAULT_CHAIN = [{ provider: 'fireworks' }, { provider: 'openai' }];
 
 class LLMRouter {
   constructor() {
@@ -99,219 +47,251 @@ class LLMRouter {
     };
 
     logger.info('LLMRouter initialized', {
-      taskTypes: Object.keys(ROUTING_TABLE),
+      providers: Object.keys(this.providers),
       hasAnthropicKey: !!config.anthropicApiKey,
     });
   }
 
   /**
    * Route a request to the appropriate LLM provider based on task type.
-   * If the primary provider fails, falls back to the secondary provider.
+   * If the primary model fails, each model of the task's fallback chain is
+   * tried in order.
    *
    * @param {string} taskType - The type of task (e.g. 'code-generation')
    * @param {Object} options - Generation options (systemMessage, prompt, etc.)
    * @param {string} [options.modelOverride] - Explicit model ID from user selection (bypasses routing table)
+   * @param {function} [options.onDelta] - Receives streamed deltas (see utils/llmStream)
+   * @param {string} [options.userId] - User the call is billed to; checked against their budgets
+   * @param {string} [options.projectId] - Project the call is billed to; checked against its budgets
+   * @param {Array<Object>} [options.images] - Image inputs; routes to vision-capable models (see utils/visionContent)
    * @returns {Promise<{content: string, usage: Object, model: string, provider: string, fallbackUsed: boolean}>}
+   * @throws {Error} With statusCode 402 and code 'BUDGET_EXCEEDED' when a hard-stop budget is exhausted
    */
   async route(taskType, options) {
+    const callOptions = await this._checkBudget(options);
+    return this._withStream(callOptions, (streamOptions) => this._route(taskType, streamOptions));
+  }
+
+  /**
+   * @private
+   */
+  async _route(taskType, options) {
     const { modelOverride, ...genOptions } = options;
 
-    // If user selected a specific model, use it directly
+    let chain;
     if (modelOverride && modelOverride !== 'auto') {
-      return this._routeWithModelOverride(modelOverride, genOptions);
+      // If user selected a specific model, use it directly
+      const provider = await this._providerForModel(modelOverride);
+      chain = [{ provider, modelId: modelOverride }];
+    } else {
+      chain = await this._resolveChain(taskType, genOptions.model);
     }
 
-    const route = ROUTING_TABLE[taskType];
-
-    if (!route) {
-      logger.warn('Unknown task type, defaulting to fireworks', { taskType });
-      const result = await this._generateWithProvider('fireworks', {
-        ...genOptions,
-        model: genOptions.model || 'accounts/fireworks/models/kimi-k2p5',
-      });
-      return { ...result, provider: 'fireworks', fallbackUsed: false };
-    }
+    const routed = await this._routeImages(taskType, chain, genOptions);
+    return this._runChain(taskType, routed.chain, routed.options, 'generate');
+  }
 
-    // Try primary provider
-    try {
-      const result = await this._generateWithProvider(route.primary, {
-        ...genOptions,
-        model: genOptions.model || route.model,
-      });
+  /**
+   * Route a tool-calling request to the appropriate provider.
+   * Falls back through the task's chain if the primary model fails; models
+   * whose provider does not support tool calling are skipped.
+   *
+   * @param {string} taskType - The task type for routing
+   * @param {Object} options - { messages, tools, toolChoice, model, maxTokens, temperature, modelOverride, onDelta, userId, projectId }.
+   *   Messages with image parts are routed to vision-capable models.
+   * @returns {Promise<{message: Object, usage: Object, model: string, finishReason: string, provider: string, fallbackUsed: boolean}>}
+   * @throws {Error} With statusCode 402 and code 'BUDGET_EXCEEDED' when a hard-stop budget is exhausted
+   */
+  async routeWithTools(taskType, options) {
+    const callOptions = await this._checkBudget(options);
+    return this._withStream(callOptions, (streamOptions) => this._routeWithTools(taskType, streamOptions));
+  }
 
-      return {
-        ...result,
-        provider: route.primary,
-        fallbackUsed: false,
-      };
-    } catch (primaryError) {
-      logger.warn('Primary provider failed, trying fallback', {
-        taskType,
-        primary: route.primary,
-        fallback: route.fallback,
-        error: primaryError.message,
-      });
+  /**
+   * @private
+   */
+  async _routeWithTools(taskType, options) {
+    const { modelOverride, ...genOptions } = options;
 
-      // Try fallback provider
-      try {
-        const fallbackProvider = this.providers[route.fallback];
-        if (!fallbackProvider) {
-          throw new Error(`Fallback provider ${route.fallback} not available`);
-        }
+    let chain;
+    if (modelOverride && modelOverride !== 'auto') {
+      const provider = await this._providerForModel(modelOverride);
+      // Fall back to the task's chain, on a different provider than the one that failed
+      const fallbacks = (await this._resolveChain(taskType)).filter((entry) => entry.provider !== provider);
+      chain = [{ provider, modelId: modelOverride }, ...fallbacks];
+    } else {
+      chain = await this._resolveChain(taskType, genOptions.model);
+    }
 
-        // Let the fallback use its own default model
-        const fallbackOptions = { ...genOptions };
-        delete fallbackOptions.model;
-
-        const result = await fallbackProvider.generate(fallbackOptions);
-
-        return {
-          ...result,
-          provider: route.fallback,
-          fallbackUsed: true,
-        };
-      } catch (fallbackError) {
-        logger.error('Both primary and fallback providers failed', {
-          taskType,
-          primary: route.primary,
-          fallback: route.fallback,
-          primaryError: primaryError.message,
-          fallbackError: fallbackError.message,
-        });
-
-        throw new Error(
-          `LLM routing failed for task type "${taskType}": ` +
-          `primary (${route.primary}) error: ${primaryError.message}, ` +
-          `fallback (${route.fallback}) error: ${fallbackError.message}`
-        );
-      }
+    const routed = await this._routeImages(taskType, chain, genOptions);
+    const capable = routed.chain.filter((entry) => typeof this.providers[entry.provider]?.generateWithTools === 'function');
+    if (capable.length === 0) {
+      throw new Error(
+        `Tool-calling routing failed for "${taskType}": ` +
+        `no provider in the chain (${routed.chain.map((e) => e.provider).join(', ')}) supports generateWithTools`
+      );
     }
+
+    return this._runChain(taskType, capable, routed.options, 'generateWithTools');
   }
 
   /**
-   * Route directly to a specific model selected by the user.
+   * Resolve a task type to its model chain, falling back to the default
+   * task's route and then to the providers' default models.
    * @private
+   * @param {string} taskType
+   * @param {string} [primaryModel] - Caller-specified model for the first entry
+   * @returns {Promise<Array<{provider: string, modelId?: string}>>}
    */
-  async _routeWithModelOverride(modelId, options) {
-    const providerName = MODEL_TO_PROVIDER[modelId];
-
-    if (!providerName) {
-      // Try to infer provider from model ID
-      let inferred = 'fireworks';
-      if (modelId.startsWith('accounts/fireworks/')) inferred = 'fireworks';
-      else if (modelId.startsWith('claude-')) inferred = 'anthropic';
-      else if (modelId.startsWith('gpt-')) inferred = 'openai';
-      else if (modelId.startsWith('deepseek-')) inferred = 'fireworks';
-      else logger.warn('Unknown model override, using fireworks default', { modelId });
-
-      const result = await this._generateWithProvider(inferred, { ...options, model: modelId });
-      return { ...result, provider: inferred, fallbackUsed: false };
+  async _resolveChain(taskType, primaryModel) {
+    let chain = await modelRegistry.resolveTaskRoute(taskType);
+
+    if (!chain) {
+      logger.warn('No route for task type, using default route', { taskType, defaultTaskType: DEFAULT_TASK_TYPE });
+      chain = (taskType !== DEFAULT_TASK_TYPE && await modelRegistry.resolveTaskRoute(DEFAULT_TASK_TYPE)) || DEFAULT_CHAIN;
     }
 
-    const result = await this._generateWithProvider(providerName, {
-      ...options,
-      model: modelId,
-    });
+    if (primaryModel) {
+      chain = [{ ...chain[0], modelId: primaryModel }, ...chain.slice(1)];
+    }
 
-    return {
-      ...result,
-      provider: providerName,
-      fallbackUsed: false,
-    };
+    return chain;
   }
 
   /**
-   * Generate a response using a specific provider.
+   * Keep image input on models that can see it. Chain entries without the
+   * 'vision' capability are dropped; if none remain, the active vision
+   * models (best first) replace the chain. With no vision model available
+   * the images are removed and the original chain is used.
    * @private
+   * @returns {Promise<{chain: Array<{provider: string, modelId?: string}>, options: Object}>}
    */
-  async _generateWithProvider(providerName, options) {
-    const provider = this.providers[providerName];
+  async _routeImages(taskType, chain, genOptions) {
+    if (!hasImageInput(genOptions)) return { chain, options: genOptions };
 
-    if (!provider) {
-      throw new Error(`LLM provider "${providerName}" not found`);
+    const visionChain = [];
+    for (const entry of chain) {
+      if (entry.modelId && await modelRegistry.supportsVision(entry.modelId)) visionChain.push(entry);
     }
+    if (visionChain.length > 0) return { chain: visionChain, options: genOptions };
 
-    return provider.generate(options);
+    const visionModels = (await modelRegistry.getModelsForCapability('vision'))
+      .filter((m) => this.providers[m.provider])
+      .map((m) => ({ provider: m.provider, modelId: m.model_id }));
+
+    if (visionModels.length > 0) {
+      logger.info('Image input attached, routing to vision-capable models', {
+        taskType,
+        requested: chain.map((e) => e.modelId || e.provider),
+        routed: visionModels.map((e) => e.modelId),
+      });
+      return { chain: visionModels, options: genOptions };
+    }
+
+    logger.warn('Image input attached but no active model supports vision, sending text only', { taskType });
+    return { chain, options: stripImageInput(genOptions) };
   }
 
   /**
-   * Route a tool-calling request to the appropriate provider.
-   * Falls back to secondary provider if primary fails.
-   *
-   * @param {string} taskType - The task type for routing
-   * @param {Object} options - { messages, tools, toolChoice, model, maxTokens, temperature, modelOverride }
-   * @returns {Promise<{message: Object, usage: Object, model: string, finishReason: string, provider: string, fallbackUsed: boolean}>}
+   * Provider for a user-selected model: the catalog entry's provider, or a
+   * guess from the model ID for models outside the catalog.
+   * @private
    */
-  async routeWithTools(taskType, options) {
-    const { modelOverride, ...genOptions } = options;
+  async _providerForModel(modelId) {
+    const provider = await modelRegistry.getProviderForModel(modelId);
+    if (provider && this.providers[provider]) return provider;
 
-    // Determine primary and fallback providers
-    let primaryName, fallbackName, model;
+    const inferred = this._inferProvider(modelId);
+    logger.warn('Model override not in catalog, inferring provider', { modelId, provider: inferred });
+    return inferred;
+  }
 
-    if (modelOverride && modelOverride !== 'auto') {
-      primaryName = MODEL_TO_PROVIDER[modelOverride] || this._inferProvider(modelOverride);
-      model = modelOverride;
-      // Pick a different fallback
-      fallbackName = primaryName === 'fireworks' ? 'openai' : 'fireworks';
-    } else {
-      const route = ROUTING_TABLE[taskType] || ROUTING_TABLE['code-iteration'];
-      primaryName = route.primary;
-      fallbackName = route.fallback;
-      model = genOptions.model || route.model;
-    }
+  /**
+   * Try each model of a chain in order until one succeeds.
+   * @private
+   * @param {string} taskType
+   * @param {Array<{provider: string, modelId?: string}>} chain
+   * @param {Object} genOptions - Provider options (without modelOverride)
+   * @param {'generate'|'generateWithTools'} method
+   */
+  async _runChain(taskType, chain, genOptions, method) {
+    const failures = [];
+
+    for (let i = 0; i < chain.length; i++) {
+      const { provider: providerName, modelId } = chain[i];
+      const provider = this.providers[providerName];
 
-    // Try primary
-    const primaryProvider = this.providers[primaryName];
-    if (primaryProvider && typeof primaryProvider.generateWithTools === 'function') {
       try {
-        const result = await primaryProvider.generateWithTools({ ...genOptions, model });
-        return { ...result, provider: primaryName, fallbackUsed: false };
-      } catch (primaryError) {
-        logger.warn('Primary provider tool-calling failed, trying fallback', {
-          taskType,
-          primary: primaryName,
-          fallback: fallbackName,
-          error: primaryError.message,
-        });
-
-        // Try fallback
-        return this._fallbackWithTools(fallbackName, genOptions, taskType, primaryName, primaryError);
+        if (!provider) {
+          throw new Error(`LLM provider "${providerName}" not found`);
+        }
+
+        const callOptions = { ...genOptions };
+        // Without a model the provider uses its own default
+        if (modelId) callOptions.model = modelId;
+        else delete callOptions.model;
+
+        const result = await provider[method](callOptions);
+        return { ...result, provider: providerName, fallbackUsed: i > 0 };
+      } catch (err) {
+        failures.push(`${modelId || providerName} (${providerName}): ${err.message}`);
+
+        if (i < chain.length - 1) {
+          logger.warn('LLM provider failed, trying next in chain', {
+            taskType,
+            method,
+            failed: modelId || providerName,
+            next: chain[i + 1].modelId || chain[i + 1].provider,
+            error: err.message,
+          });
+        }
       }
     }
 
-    // Primary doesn't support tool calling, try fallback directly
-    return this._fallbackWithTools(fallbackName, genOptions, taskType, primaryName,
-      new Error(`Provider ${primaryName} does not support generateWithTools`));
+    logger.error('All providers in the routing chain failed', { taskType, method, failures });
+
+    const label = method === 'generateWithTools' ? 'Tool-calling routing' : 'LLM routing';
+    throw new Error(`${label} failed for task type "${taskType}": ${failures.join('; ')}`);
   }
 
   /**
-   * Attempt tool-calling with a fallback provider.
+   * Enforce spending budgets before a call, returning the options without
+   * the billing fields the providers don't accept. Budget errors are not
+   * retried or sent to a fallback provider; a failed budget lookup does
+   * not block the call.
    * @private
    */
-  async _fallbackWithTools(fallbackName, genOptions, taskType, primaryName, primaryError) {
-    const fallbackProvider = this.providers[fallbackName];
-
-    if (!fallbackProvider || typeof fallbackProvider.generateWithTools !== 'function') {
-      throw new Error(
-        `Tool-calling routing failed for "${taskType}": ` +
-        `primary (${primaryName}) error: ${primaryError.message}, ` +
-        `fallback (${fallbackName}) does not support generateWithTools`
-      );
+  async _checkBudget(options) {
+    const { userId, projectId, ...rest } = options;
+    try {
+      await budgetService.assertWithinBudget({ userId, projectId });
+    } catch (err) {
+      if (err.code === 'BUDGET_EXCEEDED') throw err;
+      logger.error('Budget check failed, allowing call', { userId, projectId, error: err.message });
     }
+    return rest;
+  }
 
-    try {
-      // Let fallback use its default model
-      const fallbackOptions = { ...genOptions };
-      delete fallbackOptions.model;
+  /**
+   * Run a routing call, streaming deltas to `options.onDelta` when given.
+   *
+   * Providers open a new attempt on the stream channel for every request
+   * they make, so a stream that fails mid-way is reset before the retry or
+   * fallback starts. `end` is only sent once a call has fully succeeded.
+   * @private
+   */
+  async _withStream(options, run) {
+    const { onDelta, ...rest } = options;
+    if (!onDelta) return run(rest);
 
-      const result = await fallbackProvider.generateWithTools(fallbackOptions);
-      return { ...result, provider: fallbackName, fallbackUsed: true };
-    } catch (fallbackError) {
-      throw new Error(
-        `Tool-calling routing failed for "${taskType}": ` +
-        `primary (${primaryName}) error: ${primaryError.message}, ` +
-        `fallback (${fallbackName}) error: ${fallbackError.message}`
-      );
+    const stream = createStreamChannel(onDelta);
+    try {
+      const result = await run({ ...rest, stream });
+      stream.end({ provider: result.provider, fallbackUsed: result.fallbackUsed });
+      return result;
+    } catch (err) {
+      stream.fail();
+      throw err;
     }
   }
 
@@ -326,6 +306,14 @@ class LLMRouter {
     return 'fireworks';
   }
 
+  /**
+   * Task types that can be given a route (see llm_task_routes).
+   * @returns {string[]}
+   */
+  getTaskTypes() {
+    return [...TASK_TYPES];
+  }
+
   /**
    * Get a provider service instance by name.
    * @param {string} name - Provider name: 'anthropic', 'fireworks', 'openai'
@@ -0,0 +1,157 @@
+/**
+ * Log Stream Service
+ *
+ * Tails a Railway deployment's build and runtime logs. Railway has no push
+ * API for logs, so each tail polls both log types from the last timestamp
+ * seen and hands new lines, normalized and filtered, to a callback.
+ */
+
+const railwayService = require('./railwayService');
+const logger = require('../config/logger');
+
+const POLL_INTERVAL_MS = 3000;
+const INITIAL_LIMIT = 200;
+const POLL_LIMIT = 500;
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Lines that read as errors even when Railway logs them at info severity
+// (most apps write everything to stdout)
+const ERROR_PATTERN = /\b\w*(error|exception)\b|\b(uncaught|unhandled|fatal)\b|npm ERR!|^\s+at\s+\S/i;
+const WARN_PATTERN = /\b(warn|warning|deprecated)\b/i;
+
+class LogStreamService {
+  /**
+   * A Railway log entry as `{ source, level, message, timestamp }`.
+   *
+   * @param {Object} entry - `{ message, timestamp, severity }` from Railway
+   * @param {'build'|'runtime'} source
+   * @returns {Object}
+   */
+  normalize(entry, source) {
+    const message = String(entry.message || '').replace(/\s+$/, '');
+    return {
+      source,
+      level: this._levelOf(entry.severity, message),
+      message,
+      timestamp: entry.timestamp || null,
+    };
+  }
+
+  /**
+   * Whether a normalized entry passes the filters.
+   *
+   * @param {Object} entry - Normalized entry
+   * @param {Object} [filters]
+   * @param {string} [filters.level] - Minimum level: debug, info, warn or error
+   * @param {string} [filters.search] - Case-insensitive substring
+   * @returns {boolean}
+   */
+  matches(entry, { level, search } = {}) {
+    if (level && LEVELS.indexOf(entry.level) < LEVELS.indexOf(level)) return false;
+    if (search && !entry.message.toLowerCase().includes(search.toLowerCase())) return false;
+    return true;
+  }
+
+  /**
+   * Poll a deployment's build and runtime logs until stopped. The first
+   * batch is the most recent lines; later batches only lines not yet sent.
+   * Polling errors go to `onError` and polling continues.
+   *
+   * @param {string} railwayDeploymentId
+   * @param {Object} options
+   * @param {function(Array)} options.onLogs - Receives batches of normalized entries
+   * @param {function(Error)} [options.onError]
+   * @param {string} [options.level]
+   * @param {string} [options.search]
+   * @param {number} [options.intervalMs]
+   * @returns {function} Stops the tail
+   */
+  tail(railwayDeploymentId, { onLogs, onError, level, search, intervalMs = POLL_INTERVAL_MS }) {
+    const cursors = { build: null, runtime: null };
+    // Entries at the cursor timestamp are returned again by the next poll
+    const seen = { build: new Set(), runtime: new Set() };
+    let stopped = false;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const [build, runtime] = await Promise.all([
+          this._fetch('build', railwayDeploymentId, cursors.build),
+          this._fetch('runtime', railwayDeploymentId, cursors.runtime),
+        ]);
+        if (stopped) return;
+
+        const fresh = [
+          ...this._advance(build, cursors, seen, 'build'),
+          ...this._advance(runtime, cursors, seen, 'runtime'),
+        ]
+          .filter((entry) => this.matches(entry, { level, search }))
+          .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        if (fresh.length > 0) onLogs(fresh);
+      } catch (err) {
+        logger.warn('Log tail poll failed', { railwayDeploymentId, error: err.message });
+        if (onError && !stopped) onError(err);
+      } finally {
+        if (!stopped) timer = setTimeout(poll, intervalMs);
+      }
+    };
+
+    poll();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+
+  /** @private */
+  async _fetch(source, railwayDeploymentId, startDate) {
+    const options = startDate
+      ? { limit: POLL_LIMIT, startDate }
+      : { limit: INITIAL_LIMIT };
+    const entries = source === 'build'
+      ? await railwayService.getBuildLogs(railwayDeploymentId, options)
+      : await railwayService.getDeploymentLogs(railwayDeploymentId, options);
+    return entries.map((entry) => this.normalize(entry, source));
+  }
+
+  /**
+   * Drop entries already sent and move the source's cursor to the newest
+   * timestamp.
+   * @private
+   */
+  _advance(entries, cursors, seen, source) {
+    const fresh = [];
+    for (const entry of entries) {
+      const key = `${entry.timestamp}\u0000${entry.message}`;
+      if (seen[source].has(key)) continue;
+      fresh.push(entry);
+
+      if (!cursors[source] || entry.timestamp > cursors[source]) {
+        cursors[source] = entry.timestamp;
+        seen[source].clear();
+      }
+      if (entry.timestamp === cursors[source]) seen[source].add(key);
+    }
+    return fresh;
+  }
+
+  /** @private */
+  _levelOf(severity, message) {
+    const s = String(severity || '').toLowerCase();
+    if (['error', 'err', 'fatal', 'critical'].includes(s)) return 'error';
+    if (['warn', 'warning'].includes(s)) return 'warn';
+    if (s === 'debug' || s === 'trace') return 'debug';
+
+    if (ERROR_PATTERN.test(message)) return 'error';
+    if (WARN_PATTERN.test(message)) return 'warn';
+    return 'info';
+  }
+}
+
+// Singleton instance
+const logStreamService = new LogStreamService();
+
+module.exports = logStreamService;
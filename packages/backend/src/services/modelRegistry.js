@@ -6,6 +6,12 @@ let cachedModels = null;
 let cacheExpiry = 0;
 const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
 
+// Task routes are edited at runtime through the admin API; workers run in
+// separate processes, so they pick up changes on this shorter TTL
+let cachedRoutes = null;
+let routesExpiry = 0;
+const ROUTES_CACHE_TTL_MS = 60 * 1000; // 1 minute
+
 class ModelRegistry {
   /**
    * Get all active models, cached for 1 hour.
@@ -68,6 +74,16 @@ class ModelRegistry {
     return models.find((m) => m.model_id === modelId) || null;
   }
 
+  /**
+   * Whether a catalog model accepts image input ('vision' capability).
+   * @param {string} modelId
+   * @returns {Promise<boolean>} false for models outside the active catalog
+   */
+  async supportsVision(modelId) {
+    const model = await this.getModelById(modelId);
+    return !!model && model.capabilities.includes('vision');
+  }
+
   /**
    * Get models grouped by capability for the frontend dropdown.
    * @returns {Promise<Object>}
@@ -88,6 +104,7 @@ class ModelRegistry {
             pricingOutput: parseFloat(model.pricing_output),
             pricingPerImage: model.pricing_per_image ? parseFloat(model.pricing_per_image) : null,
             contextWindow: model.context_window,
+            supportsVision: model.capabilities.includes('vision'),
             isDefault: model.is_default && model.default_for === cap,
           });
         }
@@ -149,12 +166,145 @@ class ModelRegistry {
     return { inserted, updated };
   }
 
+  /**
+   * Look up which provider serves a model, from the catalog.
+   * @param {string} modelId
+   * @returns {Promise<string|null>} Provider name, or null if the model is not an active catalog entry
+   */
+  async getProviderForModel(modelId) {
+    const model = await this.getModelById(modelId);
+    return model ? model.provider : null;
+  }
+
+  /**
+   * Get all task routes (primary model + ordered fallback chain per task
+   * type), cached for 1 minute.
+   * @returns {Promise<Array<{task_type: string, primary_model_id: string, fallback_model_ids: Array<string>}>>}
+   */
+  async getTaskRoutes() {
+    if (cachedRoutes && Date.now() < routesExpiry) {
+      return cachedRoutes;
+    }
+
+    try {
+      const routes = await db('llm_task_routes').orderBy('task_type', 'asc');
+
+      cachedRoutes = routes.map((r) => ({
+        ...r,
+        fallback_model_ids: typeof r.fallback_model_ids === 'string'
+          ? JSON.parse(r.fallback_model_ids)
+          : r.fallback_model_ids || [],
+      }));
+      routesExpiry = Date.now() + ROUTES_CACHE_TTL_MS;
+
+      return cachedRoutes;
+    } catch (err) {
+      logger.error('Failed to fetch task routes', { error: err.message });
+      // Return cached if available, even if expired
+      return cachedRoutes || [];
+    }
+  }
+
+  /**
+   * Resolve a task type to the ordered list of models to try. Models that
+   * are missing from the catalog or inactive are skipped, so deactivating a
+   * model takes it out of every chain.
+   *
+   * @param {string} taskType - e.g. 'code-generation'
+   * @returns {Promise<Array<{provider: string, modelId: string}>|null>} null if the task has no usable route
+   */
+  async resolveTaskRoute(taskType) {
+    const routes = await this.getTaskRoutes();
+    const route = routes.find((r) => r.task_type === taskType);
+    if (!route) return null;
+
+    const chain = [];
+    for (const modelId of [route.primary_model_id, ...route.fallback_model_ids]) {
+      const model = await this.getModelById(modelId);
+      if (!model) {
+        logger.warn('Task route references an unknown or inactive model, skipping', { taskType, modelId });
+        continue;
+      }
+      chain.push({ provider: model.provider, modelId: model.model_id });
+    }
+
+    return chain.length > 0 ? chain : null;
+  }
+
+  /**
+   * Create or replace the route for a task type. Every model must be an
+   * active catalog entry.
+   *
+   * @param {string} taskType
+   * @param {Object} route
+   * @param {string} route.primaryModelId
+   * @param {Array<string>} [route.fallbackModelIds=[]] - Tried in order after the primary fails
+   * @param {string} [route.notes]
+   * @param {string} [route.updatedBy] - Admin user ID
+   * @returns {Promise<Object>} The saved route
+   */
+  async upsertTaskRoute(taskType, { primaryModelId, fallbackModelIds = [], notes, updatedBy }) {
+    const modelIds = [primaryModelId, ...fallbackModelIds];
+
+    if (new Set(modelIds).size !== modelIds.length) {
+      const err = new Error('A model may appear only once in a route');
+      err.statusCode = 400;
+      throw err;
+    }
+
+    for (const modelId of modelIds) {
+      if (!(await this.getModelById(modelId))) {
+        const err = new Error(`Model "${modelId}" is not an active model in the catalog`);
+        err.statusCode = 400;
+        throw err;
+      }
+    }
+
+    const values = {
+      primary_model_id: primaryModelId,
+      fallback_model_ids: JSON.stringify(fallbackModelIds),
+      notes: notes || null,
+      updated_by: updatedBy || null,
+    };
+
+    const [route] = await db('llm_task_routes')
+      .insert({ task_type: taskType, ...values })
+      .onConflict('task_type')
+      .merge({ ...values, updated_at: db.fn.now() })
+      .returning('*');
+
+    this._invalidateRoutes();
+
+    logger.info('Task route updated', { taskType, primaryModelId, fallbackModelIds, updatedBy });
+    return route;
+  }
+
+  /**
+   * Delete the route for a task type; the router falls back to its default.
+   * @param {string} taskType
+   * @returns {Promise<boolean>} Whether a route was deleted
+   */
+  async deleteTaskRoute(taskType) {
+    const deleted = await db('llm_task_routes').where({ task_type: taskType }).del();
+    this._invalidateRoutes();
+    return deleted > 0;
+  }
+
   /**
    * Invalidate the in-memory cache.
    */
   invalidateCache() {
     cachedModels = null;
     cacheExpiry = 0;
+    this._invalidateRoutes();
+  }
+
+  /**
+   * @private
+   */
+  _invalidateRoutes() {
+    cachedRoutes = null;
+    routesExpiry = 0;
   }
 }
 
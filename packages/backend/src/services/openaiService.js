@@ -1,8 +1,11 @@
+const fs = require('fs');
 const OpenAI = require('openai');
 const cacheService = require('./cacheService');
 const { createCircuitBreaker } = require('../utils/circuitBreaker');
 const { retryWithBackoff } = require('../utils/retryLogic');
 const { llmCacheKey } = require('../utils/contentHash');
+const { replayContent, collectChatCompletion } = require('../utils/llmStream');
+const { toOpenAIContent, imagesCacheKey } = require('../utils/visionContent');
 const config = require('../config/environment');
 const logger = require('../config/logger');
 
@@ -40,16 +43,20 @@ class OpenAIService {
    * @param {number} [options.maxTokens] - Max tokens in response
    * @param {number} [options.temperature] - Sampling temperature
    * @param {string} [options.responseFormat] - 'text' or 'json'
+   * @param {Object} [options.stream] - Stream channel from llmRouter; streams deltas when set
+   * @param {Array<{mimeType: string, data: string, filename?: string}>} [options.images] - Image inputs (see utils/visionContent)
    * @returns {Promise<{content: string, usage: Object, model: string}>}
    */
   async generate(options) {
     const {
       systemMessage,
       prompt,
+      images,
       model = DEFAULT_MODEL,
       maxTokens = 4096,
       temperature = 0.7,
       responseFormat = 'text',
+      stream,
     } = options;
 
     // Fail fast if no API key (don't trip circuit breaker)
@@ -59,18 +66,19 @@ class OpenAIService {
 
     // Check cache first
     const cacheKey = llmCacheKey(
-      `${systemMessage || ''}:${prompt}:${model}:${maxTokens}:${temperature}:${responseFormat}`,
+      `${systemMessage || ''}:${prompt}:${imagesCacheKey(images)}:${model}:${maxTokens}:${temperature}:${responseFormat}`,
       model
     );
 
     const cached = await cacheService.get(cacheKey);
     if (cached) {
       logger.debug('OpenAI cache hit', { model, cacheKey });
+      if (stream) replayContent(stream, cached.content);
       return cached;
     }
 
     // Call API via circuit breaker with retry
-    const params = { systemMessage, prompt, model, maxTokens, temperature, responseFormat };
+    const params = { systemMessage, prompt, images, model, maxTokens, temperature, responseFormat, stream };
 
     const response = await retryWithBackoff(
       () => this.breaker.fire(params),
@@ -126,14 +134,14 @@ class OpenAIService {
    * Make the raw API call to OpenAI.
    * @private
    */
-  async _callApi({ systemMessage, prompt, model, maxTokens, temperature, responseFormat }) {
+  async _callApi({ systemMessage, prompt, images, model, maxTokens, temperature, responseFormat, stream }) {
     const messages = [];
 
     if (systemMessage) {
       messages.push({ role: 'system', content: systemMessage });
     }
 
-    messages.push({ role: 'user', content: prompt });
+    messages.push({ role: 'user', content: images?.length ? toOpenAIContent(prompt, images) : prompt });
 
     const params = {
       model,
@@ -147,6 +155,10 @@ class OpenAIService {
       params.response_format = { type: 'json_object' };
     }
 
+    if (stream) {
+      return this._streamCompletion(params, stream);
+    }
+
     return this.client.chat.completions.create(params);
   }
 
@@ -160,6 +172,7 @@ class OpenAIService {
    * @param {string} [options.model] - Model to use
    * @param {number} [options.maxTokens] - Max tokens
    * @param {number} [options.temperature] - Sampling temperature
+   * @param {Object} [options.stream] - Stream channel from llmRouter; streams deltas when set
    * @returns {Promise<{message: {role: string, content: string, toolCalls: Array}, usage: Object, model: string, finishReason: string}>}
    */
   async generateWithTools(options) {
@@ -170,6 +183,7 @@ class OpenAIService {
       model = DEFAULT_MODEL,
       maxTokens = 8192,
       temperature = 0.3,
+      stream,
     } = options;
 
     if (!config.openaiApiKey) {
@@ -185,7 +199,9 @@ class OpenAIService {
       tool_choice: toolChoice,
     };
 
-    const response = await this.client.chat.completions.create(params);
+    const response = stream
+      ? await this._streamCompletion(params, stream)
+      : await this.client.chat.completions.create(params);
 
     const choice = response.choices?.[0] || {};
     const msg = choice.message || {};
@@ -227,6 +243,58 @@ class OpenAIService {
     };
   }
 
+  /**
+   * Transcribe an audio file with Whisper.
+   *
+   * @param {Object} options
+   * @param {string} options.filePath - Audio file on disk
+   * @param {string} [options.model='whisper-1']
+   * @param {string} [options.language] - ISO-639-1 hint, e.g. 'en'
+   * @returns {Promise<{text: string, language: string|null, durationSeconds: number|null, model: string}>}
+   */
+  async transcribe(options) {
+    const { filePath, model = 'whisper-1', language } = options;
+
+    if (!config.openaiApiKey) {
+      throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY environment variable.');
+    }
+
+    const params = { model, response_format: 'verbose_json' };
+    if (language) params.language = language;
+
+    // A fresh stream per attempt: a retried request cannot reuse a consumed one
+    const response = await retryWithBackoff(
+      () => this.client.audio.transcriptions.create({ ...params, file: fs.createReadStream(filePath) }),
+      { maxRetries: 2, baseDelay: 1000, name: 'openai-transcribe' }
+    );
+
+    logger.info('OpenAI transcription complete', { model, durationSeconds: response.duration });
+
+    return {
+      text: (response.text || '').trim(),
+      language: response.language || null,
+      durationSeconds: response.duration ?? null,
+      model,
+    };
+  }
+
+  /**
+   * Stream a chat completion, emitting deltas on the channel, and return it
+   * in the non-streamed response shape. Leaving the iteration early (error
+   * or superseded attempt) aborts the underlying request.
+   * @private
+   */
+  async _streamCompletion(params, stream) {
+    const emit = stream.begin();
+    const chunks = await this.client.chat.completions.create({
+      ...params,
+      stream: true,
+      stream_options: { include_usage: true },
+    });
+
+    return collectChatCompletion(chunks, emit);
+  }
+
   /**
    * Extract JSON from a response that may be wrapped in markdown fences.
    * @private
@@ -0,0 +1,265 @@
+/**
+ * Preview Service
+ *
+ * Preview environments: a Railway service per conversation, separate from
+ * the production service on projects.railway_service_id, served at
+ * `<slug>-preview-<n>.imagia.net`. deployWorker deploys to them; this
+ * service creates, lists and tears them down, accrues their compute cost
+ * and removes previews that have not been redeployed for
+ * config.previewTtlHours.
+ */
+
+const { db } = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const railwayService = require('./railwayService');
+const cloudflareService = require('./cloudflareService');
+const costTracker = require('./costTracker');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Previews that still hold (or may hold) a Railway service
+const LIVE_STATUSES = ['pending', 'deploying', 'active', 'failed'];
+
+class PreviewService {
+  /**
+   * The conversation's live preview, or a new one numbered after the
+   * project's previous previews.
+   *
+   * @param {Object} project - projects row
+   * @param {Object} [options]
+   * @param {string} [options.conversationId]
+   * @returns {Promise<Object>} preview_environments row
+   */
+  async getOrCreatePreview(project, { conversationId = null } = {}) {
+    const existing = await db('preview_environments')
+      .where({ project_id: project.id, conversation_id: conversationId })
+      .whereIn('status', LIVE_STATUSES)
+      .orderBy('number', 'desc')
+      .first();
+
+    if (existing) {
+      if (this.isStuck(existing)) {
+        return this._markStuckFailed(existing);
+      }
+      if (existing.status === 'deploying') {
+        const err = new Error('This preview is already deploying');
+        err.statusCode = 409;
+        throw err;
+      }
+      return existing;
+    }
+
+    const live = await db('preview_environments')
+      .where({ project_id: project.id })
+      .whereIn('status', LIVE_STATUSES)
+      .count('* as count')
+      .first();
+
+    if (parseInt(live.count, 10) >= config.previewMaxPerProject) {
+      const err = new Error(
+        `A project can have at most ${config.previewMaxPerProject} preview environments. Delete one first.`
+      );
+      err.statusCode = 409;
+      throw err;
+    }
+
+    const latest = await db('preview_environments')
+      .where({ project_id: project.id })
+      .max('number as max_number')
+      .first();
+    const number = (latest?.max_number || 0) + 1;
+
+    const [preview] = await db('preview_environments')
+      .insert({
+        project_id: project.id,
+        conversation_id: conversationId,
+        number,
+        status: 'pending',
+        service_name: `${project.name}-preview-${number}`.substring(0, 100),
+        subdomain_slug: await this._slugFor(project, number),
+      })
+      .returning('*');
+
+    logger.info('Preview environment created', { projectId: project.id, previewId: preview.id, number });
+    return preview;
+  }
+
+  /**
+   * Whether a preview has been 'deploying' for longer than any deploy
+   * runs (config.previewDeployStaleMinutes), e.g. because its worker died.
+   *
+   * @param {Object} preview - preview_environments row
+   * @returns {boolean}
+   */
+  isStuck(preview) {
+    if (preview.status !== 'deploying') return false;
+    const since = new Date(preview.updated_at || preview.created_at).getTime();
+    return since < Date.now() - config.previewDeployStaleMinutes * MINUTE_MS;
+  }
+
+  /**
+   * A project's previews that have not been deleted, newest first.
+   * @param {string} projectId
+   * @returns {Promise<Array>}
+   */
+  async listPreviews(projectId) {
+    return db('preview_environments as p')
+      .leftJoin('project_versions as v', 'v.id', 'p.version_id')
+      .where('p.project_id', projectId)
+      .whereNot('p.status', 'deleted')
+      .select('p.*', 'v.version_number')
+      .orderBy('p.number', 'desc');
+  }
+
+  /**
+   * Delete a preview's Railway service and KV entry. The row is kept (as
+   * 'deleted') so its deployments and costs stay attributed.
+   *
+   * @param {Object} preview - preview_environments row
+   * @param {string} [reason='deleted']
+   */
+  async teardown(preview, reason = 'deleted') {
+    await this.trackComputeCost(preview);
+
+    if (preview.railway_service_id) {
+      await railwayService.deleteService(preview.railway_service_id);
+    }
+
+    if (preview.subdomain_slug) {
+      try {
+        await cloudflareService.deleteKvEntry(preview.subdomain_slug);
+      } catch (err) {
+        logger.warn('Failed to delete preview KV entry', { previewId: preview.id, error: err.message });
+      }
+    }
+
+    await db('preview_environments')
+      .where({ id: preview.id })
+      .update({
+        status: 'deleted',
+        deleted_at: db.fn.now(),
+        updated_at: db.fn.now(),
+      });
+
+    logger.info('Preview environment torn down', { projectId: preview.project_id, previewId: preview.id, reason });
+  }
+
+  /**
+   * Accrue compute cost for a running preview since it was last accrued,
+   * as preview spend on its latest deployment.
+   *
+   * @param {Object} preview - preview_environments row
+   * @returns {Promise<number>} Cost added
+   */
+  async trackComputeCost(preview) {
+    if (preview.status !== 'active' || !preview.last_deployment_id) return 0;
+
+    const since = new Date(preview.compute_tracked_at || preview.last_deployed_at);
+    const now = new Date();
+    const hours = (now - since) / HOUR_MS;
+    if (!(hours > 0)) return 0;
+
+    const cost = await costTracker.trackComputeCost(preview.project_id, preview.last_deployment_id, hours, {
+      category: 'preview',
+    });
+    await db('preview_environments')
+      .where({ id: preview.id })
+      .update({ compute_tracked_at: now, updated_at: db.fn.now() });
+
+    return cost;
+  }
+
+  /**
+   * Accrue compute cost for every running preview, then tear down those
+   * not redeployed within config.previewTtlHours. Stuck deploys are marked
+   * failed first, so they expire like any other preview.
+   *
+   * @returns {Promise<{tracked: number, removed: number}>}
+   */
+  async runMaintenance() {
+    const previews = await db('preview_environments').whereIn('status', LIVE_STATUSES);
+    const cutoff = Date.now() - config.previewTtlHours * HOUR_MS;
+    let tracked = 0;
+    let removed = 0;
+
+    for (const preview of previews) {
+      try {
+        const current = this.isStuck(preview) ? await this._markStuckFailed(preview) : preview;
+        const lastActive = new Date(current.last_deployed_at || current.created_at).getTime();
+
+        // A deploy in progress is never stale
+        if (current.status !== 'deploying' && lastActive < cutoff) {
+          await this.teardown(current, 'expired');
+          removed++;
+        } else {
+          await this.trackComputeCost(current);
+          tracked++;
+        }
+      } catch (err) {
+        logger.error('Preview maintenance failed', { previewId: preview.id, error: err.message });
+      }
+    }
+
+    if (removed > 0 || tracked > 0) {
+      logger.info('Preview maintenance completed', { tracked, removed });
+    }
+    return { tracked, removed };
+  }
+
+  /**
+   * Run maintenance hourly.
+   * Returns a cleanup function to clear the interval.
+   */
+  startScheduled() {
+    const interval = setInterval(() => {
+      this.runMaintenance().catch((err) => {
+        logger.error('Scheduled preview maintenance failed', { error: err.message });
+      });
+    }, HOUR_MS);
+
+    logger.info('Preview maintenance scheduled (hourly)');
+
+    return () => clearInterval(interval);
+  }
+
+  /**
+   * Mark a stuck deploy failed so the preview can be redeployed or torn down.
+   * @private
+   * @returns {Promise<Object>} The updated row
+   */
+  async _markStuckFailed(preview) {
+    const errorMessage = `Deploy did not finish within ${config.previewDeployStaleMinutes} minutes`;
+    await db('preview_environments')
+      .where({ id: preview.id, status: 'deploying' })
+      .update({ status: 'failed', error_message: errorMessage, updated_at: db.fn.now() });
+
+    logger.warn('Preview deploy stuck, marked failed', { projectId: preview.project_id, previewId: preview.id });
+    return { ...preview, status: 'failed', error_message: errorMessage };
+  }
+
+  /**
+   * KV key for a preview: the production subdomain's slug when there is
+   * one, so previews sit next to it.
+   * @private
+   */
+  async _slugFor(project, number) {
+    const subdomain = await db('project_domains')
+      .where({ project_id: project.id, domain_type: 'subdomain' })
+      .first('subdomain_slug');
+
+    const base = subdomain?.subdomain_slug || project.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'app';
+
+    // Leave room for the suffix within the 63-character DNS label limit
+    return `${base.substring(0, 50).replace(/-+$/, '')}-preview-${number}`;
+  }
+}
+
+// Singleton instance
+const previewService = new PreviewService();
+
+module.exports = previewService;
@@ -14,11 +14,12 @@ class PromptTracker {
    * @param {string} [options.correlationId] - Request correlation ID
    * @param {string} [options.prompt] - The prompt text sent to the LLM
    * @param {string} [options.systemMessage] - The system message sent to the LLM
+   * @param {Object} [options.contextFiles] - Which project files the prompt included (see contextBuilder.describe)
    * @param {Function} options.callFn - Async function that performs the LLM call
    * @returns {Promise<{...result, promptLogId: string}>}
    */
   async track(options) {
-    const { projectId, userId, taskType, correlationId, prompt, systemMessage, callFn } = options;
+    const { projectId, userId, taskType, correlationId, prompt, systemMessage, contextFiles, callFn } = options;
 
     // Create initial prompt_log entry with the actual prompt text
     let promptLogId;
@@ -33,6 +34,7 @@ class PromptTracker {
           model: 'pending',
           prompt: prompt || 'pending',
           system_message: systemMessage || null,
+          context_files: contextFiles ? JSON.stringify(contextFiles) : null,
           status: 'pending',
           created_at: db.fn.now(),
         })
@@ -80,7 +82,7 @@ class PromptTracker {
               total_tokens: result.usage?.totalTokens || 0,
               total_cost: cost.totalCost,
               latency_ms: latencyMs,
-              response: (result.content || '').substring(0, 2000),
+              response: (result.content || result.message?.content || '').substring(0, 2000),
             });
         } catch (updateError) {
           logger.error('Failed to update prompt_log with success', {
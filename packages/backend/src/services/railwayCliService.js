@@ -27,6 +27,7 @@ const config = require('../config/environment');
 const logger = require('../config/logger');
 const { generateDockerfile, generateDockerignore } = require('../utils/dockerfileGenerator');
 const { generateContentHash } = require('../utils/contentHash');
+const githubService = require('./githubService');
 
 const execFileAsync = promisify(execFile);
 const RAILWAY_API = 'https://backboard.railway.app/graphql/v2';
@@ -87,10 +88,9 @@ class RailwayCliService {
 
       if (onProgress) onProgress('Writing project files to disk...');
 
-      // 2. Fetch all project files from DB
-      const files = await db('project_files')
-        .where({ project_id: projectId })
-        .select('file_path', 'content');
+      // 2. Fetch all project files from DB; files not yet fetched from
+      // GitHub are fetched for this upload only (binary ones are skipped)
+      const files = await githubService.readFilesForBuild(projectId);
 
       if (files.length === 0) {
         throw new Error('No project files found for deployment');
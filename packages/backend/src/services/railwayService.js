@@ -298,23 +298,55 @@ class RailwayService {
   }
 
   /**
-   * Get deployment logs.
+   * Get deployment (runtime) logs, optionally only those from `startDate` on.
    */
-  async getDeploymentLogs(deploymentId) {
+  async getDeploymentLogs(deploymentId, { limit = 200, startDate } = {}) {
     const result = await this._query(
-      `query($deploymentId: String!) {
-        deploymentLogs(deploymentId: $deploymentId, limit: 200) {
+      `query($deploymentId: String!, $limit: Int, $startDate: DateTime) {
+        deploymentLogs(deploymentId: $deploymentId, limit: $limit, startDate: $startDate) {
           message
           timestamp
           severity
         }
       }`,
-      { deploymentId }
+      { deploymentId, limit, startDate }
     );
 
     return result.deploymentLogs || [];
   }
 
+  /**
+   * Get build logs, optionally only those from `startDate` on.
+   */
+  async getBuildLogs(deploymentId, { limit = 200, startDate } = {}) {
+    const result = await this._query(
+      `query($deploymentId: String!, $limit: Int, $startDate: DateTime) {
+        buildLogs(deploymentId: $deploymentId, limit: $limit, startDate: $startDate) {
+          message
+          timestamp
+          severity
+        }
+      }`,
+      { deploymentId, limit, startDate }
+    );
+
+    return result.buildLogs || [];
+  }
+
+  /**
+   * Delete a service (e.g. a preview environment) and its deployments.
+   */
+  async deleteService(serviceId) {
+    await this._query(
+      `mutation($id: String!) {
+        serviceDelete(id: $id)
+      }`,
+      { id: serviceId }
+    );
+
+    logger.info('Railway service deleted', { serviceId });
+  }
+
   /**
    * Delete a Railway project.
    */
@@ -336,9 +368,11 @@ class RailwayService {
    * @param {number} [maxWaitMs=600000] - Max 10 minutes
    * @param {number} [intervalMs=10000] - Check every 10 seconds
    * @param {function} [onProgress] - Optional progress callback
+   * @param {Object} [options]
+   * @param {string} [options.ignoreDeploymentId] - A previous deployment whose terminal status is not the answer
    * @returns {Promise<{status: string, url: string|null}>}
    */
-  async waitForDeployment(railwayProjectId, serviceId, maxWaitMs = 600000, intervalMs = 10000, onProgress) {
+  async waitForDeployment(railwayProjectId, serviceId, maxWaitMs = 600000, intervalMs = 10000, onProgress, { ignoreDeploymentId } = {}) {
     const startTime = Date.now();
     const terminalStatuses = ['SUCCESS', 'FAILED', 'CRASHED', 'REMOVED', 'CANCELLED'];
 
@@ -349,7 +383,7 @@ class RailwayService {
         onProgress(status);
       }
 
-      if (terminalStatuses.includes(status.status)) {
+      if (terminalStatuses.includes(status.status) && !(ignoreDeploymentId && status.deploymentId === ignoreDeploymentId)) {
         return status;
       }
 
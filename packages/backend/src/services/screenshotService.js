@@ -45,6 +45,15 @@ class ScreenshotService {
     }
   }
 
+  /**
+   * Open a page in the shared browser, for callers that drive it themselves
+   * (e.g. smokeTestService). The caller must close it.
+   */
+  async newPage() {
+    const browser = await this._getBrowser();
+    return browser.newPage();
+  }
+
   /**
    * Capture a full-page desktop screenshot.
    */
@@ -0,0 +1,380 @@
+/**
+ * Secret Service
+ *
+ * Project secrets with history and an audit trail. Every value a secret
+ * has held is kept in project_secret_versions so it can be rolled back,
+ * and every create, update, delete and deploy-time read is recorded in
+ * secret_audit_log. Values are encrypted with utils/encryption; stored
+ * values still on a retired key are re-encrypted by secretsWorker.
+ */
+
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+const { encrypt, decrypt, reencrypt, currentKeyVersion } = require('../utils/encryption');
+const deployQueue = require('../queues/deployQueue');
+
+const REENCRYPT_BATCH_SIZE = 100;
+
+// Encrypted columns re-encrypted on key rotation
+const ENCRYPTED_COLUMNS = [
+  { table: 'project_secrets', column: 'encrypted_value' },
+  { table: 'project_secret_versions', column: 'encrypted_value' },
+  { table: 'social_accounts', column: 'access_token' },
+  { table: 'social_accounts', column: 'refresh_token' },
+];
+
+const LIST_COLUMNS = ['id', 'key', 'type', 'description', 'version', 'created_at', 'updated_at'];
+// Returned by writes, for the history and audit rows
+const WRITE_COLUMNS = [...LIST_COLUMNS, 'project_id', 'encrypted_value'];
+
+class SecretService {
+  /**
+   * Secrets of a project, without their values.
+   * @param {string} projectId
+   * @returns {Promise<Object[]>}
+   */
+  async listSecrets(projectId) {
+    return db('project_secrets')
+      .where({ project_id: projectId })
+      .select(LIST_COLUMNS)
+      .orderBy('key', 'asc');
+  }
+
+  /**
+   * Create a secret or give it a new value. Saving the value it already
+   * has only updates its type and description.
+   *
+   * @param {string} projectId
+   * @param {Object} secret
+   * @param {string} secret.key
+   * @param {string} secret.value
+   * @param {string} [secret.type]
+   * @param {string} [secret.description]
+   * @param {Object} [options]
+   * @param {string} [options.actorId] - User making the change
+   * @param {string} [options.source] - api | chat
+   * @returns {Promise<{secret: Object, created: boolean, rotated: boolean}>}
+   */
+  async setSecret(projectId, { key, value, type, description }, { actorId = null, source = 'api' } = {}) {
+    return db.transaction(async (trx) => {
+      const existing = await trx('project_secrets')
+        .where({ project_id: projectId, key })
+        .forUpdate()
+        .first();
+
+      if (!existing) {
+        const [secret] = await trx('project_secrets')
+          .insert({
+            project_id: projectId,
+            key,
+            encrypted_value: encrypt(value),
+            type: type || 'custom',
+            description: description || null,
+            version: 1,
+          })
+          .returning(WRITE_COLUMNS);
+        await this._addVersion(trx, secret, actorId);
+        await this._audit(trx, secret, 'create', { actorId, source });
+        return { secret: this._withoutValue(secret), created: true, rotated: false };
+      }
+
+      const rotated = !this._holds(existing, value);
+      const changes = {
+        type: type || existing.type || 'custom',
+        description: description === undefined ? existing.description : description || null,
+        updated_at: trx.fn.now(),
+      };
+      if (rotated) {
+        changes.encrypted_value = encrypt(value);
+        changes.version = existing.version + 1;
+      }
+
+      const [secret] = await trx('project_secrets')
+        .where({ id: existing.id })
+        .update(changes)
+        .returning(WRITE_COLUMNS);
+      if (rotated) {
+        await this._addVersion(trx, secret, actorId);
+      }
+      await this._audit(trx, secret, 'update', {
+        actorId,
+        source,
+        metadata: rotated ? { previous_version: existing.version } : { value_changed: false },
+      });
+      return { secret: this._withoutValue(secret), created: false, rotated };
+    });
+  }
+
+  /**
+   * Delete a secret and its history. The audit log keeps its entries.
+   * @param {string} projectId
+   * @param {string} secretId
+   * @param {Object} [options]
+   * @param {string} [options.actorId]
+   * @returns {Promise<boolean>} false when the secret doesn't exist
+   */
+  async deleteSecret(projectId, secretId, { actorId = null } = {}) {
+    return db.transaction(async (trx) => {
+      const secret = await trx('project_secrets')
+        .where({ id: secretId, project_id: projectId })
+        .first();
+      if (!secret) return false;
+
+      await this._audit(trx, secret, 'delete', { actorId, source: 'api' });
+      await trx('project_secrets').where({ id: secret.id }).del();
+      return true;
+    });
+  }
+
+  /**
+   * Earlier values of a secret, newest first, without the values.
+   * @param {string} projectId
+   * @param {string} secretId
+   * @returns {Promise<Object[]|null>} null when the secret doesn't exist
+   */
+  async listVersions(projectId, secretId) {
+    const secret = await db('project_secrets')
+      .where({ id: secretId, project_id: projectId })
+      .first('id', 'version');
+    if (!secret) return null;
+
+    const versions = await db('project_secret_versions as v')
+      .leftJoin('users as u', 'u.id', 'v.created_by')
+      .where({ 'v.secret_id': secretId })
+      .select('v.version', 'v.created_at', 'u.email as created_by_email')
+      .orderBy('v.version', 'desc');
+
+    return versions.map((v) => ({ ...v, current: v.version === secret.version }));
+  }
+
+  /**
+   * Make an earlier value current again. The value is copied into a new
+   * version so the history stays append-only.
+   *
+   * @param {string} projectId
+   * @param {string} secretId
+   * @param {number} version
+   * @param {Object} [options]
+   * @param {string} [options.actorId]
+   * @returns {Promise<{secret: Object, rotated: boolean}>}
+   */
+  async rollback(projectId, secretId, version, { actorId = null } = {}) {
+    return db.transaction(async (trx) => {
+      const existing = await trx('project_secrets')
+        .where({ id: secretId, project_id: projectId })
+        .forUpdate()
+        .first();
+      if (!existing) {
+        throw Object.assign(new Error('Secret not found'), { statusCode: 404 });
+      }
+
+      const target = await trx('project_secret_versions')
+        .where({ secret_id: secretId, version })
+        .first();
+      if (!target) {
+        throw Object.assign(new Error(`Version ${version} not found`), { statusCode: 404 });
+      }
+      if (version === existing.version) {
+        return { secret: this._withoutValue(existing), rotated: false };
+      }
+
+      const [secret] = await trx('project_secrets')
+        .where({ id: secretId })
+        .update({
+          encrypted_value: target.encrypted_value,
+          version: existing.version + 1,
+          updated_at: trx.fn.now(),
+        })
+        .returning(WRITE_COLUMNS);
+      await this._addVersion(trx, secret, actorId);
+      await this._audit(trx, secret, 'update', {
+        actorId,
+        source: 'api',
+        metadata: { previous_version: existing.version, rolled_back_to: version },
+      });
+      return { secret: this._withoutValue(secret), rotated: true };
+    });
+  }
+
+  /**
+   * Decrypted secrets of a project for its deployment's environment. Each
+   * read is audited; secrets that fail to decrypt are skipped.
+   *
+   * @param {string} projectId
+   * @param {Object} [options]
+   * @param {string} [options.deploymentId]
+   * @param {string} [options.actorId] - User who queued the deploy
+   * @returns {Promise<Object<string, string>>} Environment variables by key
+   */
+  async readForDeploy(projectId, { deploymentId = null, actorId = null } = {}) {
+    const secrets = await db('project_secrets').where({ project_id: projectId });
+    const envVars = {};
+    const reads = [];
+
+    for (const secret of secrets) {
+      try {
+        envVars[secret.key] = decrypt(secret.encrypted_value);
+        reads.push(this._auditRow(secret, 'read', {
+          actorId,
+          source: 'deploy',
+          metadata: deploymentId ? { deployment_id: deploymentId } : null,
+        }));
+      } catch (e) {
+        logger.warn('Failed to decrypt secret for deployment', { key: secret.key });
+      }
+    }
+
+    if (reads.length > 0) {
+      await db('secret_audit_log').insert(reads);
+    }
+    return envVars;
+  }
+
+  /**
+   * Audit log of a project's secrets, newest first.
+   * @param {string} projectId
+   * @param {Object} [options]
+   * @param {string} [options.secretId] - Only this secret's entries
+   * @param {number} [options.limit]
+   * @returns {Promise<Object[]>}
+   */
+  async getAuditLog(projectId, { secretId = null, limit = 100 } = {}) {
+    const query = db('secret_audit_log as a')
+      .leftJoin('users as u', 'u.id', 'a.actor_id')
+      .where({ 'a.project_id': projectId })
+      .select('a.id', 'a.secret_id', 'a.secret_key', 'a.action', 'a.version', 'a.source',
+        'a.metadata', 'a.created_at', 'u.email as actor_email')
+      .orderBy('a.created_at', 'desc')
+      .limit(limit);
+    if (secretId) query.where({ 'a.secret_id': secretId });
+    return query;
+  }
+
+  /**
+   * Queue a redeploy after a secret changed, when the project is live and
+   * not already deploying.
+   *
+   * @param {Object} project - projects row
+   * @param {string} userId
+   * @returns {Promise<string|null>} Job id, or null when nothing was queued
+   */
+  async queueRedeploy(project, userId) {
+    if (!project.deployment_url || project.status === 'deploying') return null;
+    const job = await deployQueue.add({ projectId: project.id, userId });
+    logger.info('Redeploy queued after secret rotation', { projectId: project.id, jobId: job.id });
+    return job.id;
+  }
+
+  /**
+   * Re-encrypt every stored value still on a retired key. Rows rewritten
+   * since they were read are skipped; rows that fail to decrypt (their key
+   * is missing) are counted and left as they are.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.batchSize]
+   * @returns {Promise<{keyVersion: number, updated: number, skipped: number, failed: number}>}
+   */
+  async reencryptAll({ batchSize = REENCRYPT_BATCH_SIZE } = {}) {
+    const keyVersion = currentKeyVersion();
+    const current = `v${keyVersion}:%`;
+    let updated = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const { table, column } of ENCRYPTED_COLUMNS) {
+      let lastId = null;
+      for (;;) {
+        const query = db(table)
+          .whereNotNull(column)
+          .whereNot(column, 'like', current)
+          .select('id', column)
+          .orderBy('id')
+          .limit(batchSize);
+        if (lastId) query.where('id', '>', lastId);
+        const rows = await query;
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          try {
+            // Only if unchanged since the select: a value written meanwhile
+            // is already on the current key and must not be reverted
+            const count = await db(table)
+              .where({ id: row.id, [column]: row[column] })
+              .update({ [column]: reencrypt(row[column]) });
+            if (count > 0) updated++;
+            else skipped++;
+          } catch (err) {
+            failed++;
+            logger.error('Failed to re-encrypt value', { table, column, id: row.id, error: err.message });
+          }
+        }
+        lastId = rows[rows.length - 1].id;
+      }
+    }
+
+    logger.info('Re-encryption completed', { keyVersion, updated, skipped, failed });
+    return { keyVersion, updated, skipped, failed };
+  }
+
+  /**
+   * Whether a secret currently holds a value.
+   * @private
+   */
+  _holds(secret, value) {
+    try {
+      return decrypt(secret.encrypted_value) === value;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Record a secret's current value in its history.
+   * @private
+   */
+  async _addVersion(trx, secret, actorId) {
+    await trx('project_secret_versions').insert({
+      secret_id: secret.id,
+      project_id: secret.project_id,
+      version: secret.version,
+      encrypted_value: secret.encrypted_value,
+      created_by: actorId,
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _audit(trx, secret, action, options) {
+    await trx('secret_audit_log').insert(this._auditRow(secret, action, options));
+  }
+
+  /**
+   * @private
+   */
+  _auditRow(secret, action, { actorId = null, source = 'api', metadata = null } = {}) {
+    return {
+      project_id: secret.project_id,
+      secret_id: secret.id,
+      secret_key: secret.key,
+      action,
+      version: secret.version,
+      actor_id: actorId,
+      source,
+      metadata: metadata ? JSON.stringify(metadata) : null,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _withoutValue(secret) {
+    const { encrypted_value: _value, ...rest } = secret;
+    return rest;
+  }
+}
+
+// Singleton instance
+const secretService = new SecretService();
+
+module.exports = secretService;
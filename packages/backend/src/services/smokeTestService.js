@@ -0,0 +1,365 @@
+/**
+ * Smoke Test Service
+ *
+ * Crawls a deployed app in the shared Playwright browser (see
+ * screenshotService): loads the home page, clicks through its navigation,
+ * follows other same-origin links and, with config.smokeTestSubmitForms,
+ * submits forms with dummy data, while collecting console errors, uncaught
+ * exceptions, failed requests and 5xx responses. Failures can be turned
+ * into the `{file, line, message}` errors the auto-fix pipeline consumes.
+ *
+ * Form submission is off by default: the test runs against the live app,
+ * so submitted forms create real records, send real emails and so on.
+ */
+
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const screenshotService = require('./screenshotService');
+const { parseBuildOutput } = require('../utils/buildOutputParser');
+const { fileMatchesRoute } = require('../utils/visualDiff');
+
+const NAVIGATION_TIMEOUT_MS = 30000;
+const SETTLE_TIMEOUT_MS = 10000;
+const MAX_FORMS_PER_PAGE = 2;
+const MAX_FAILURES = 50;
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Files blamed for failures no stack trace or route points at, in order
+const ENTRY_FILES = ['src/App.jsx', 'src/App.tsx', 'src/App.js', 'app/page.tsx', 'app/page.jsx', 'pages/index.tsx', 'pages/index.jsx', 'server.js', 'index.js'];
+
+// Console noise that duplicates what the response listener already records
+const IGNORED_CONSOLE = /^Failed to load resource:|favicon\.ico/;
+
+// Dummy values by input type; anything unlisted gets DEFAULT_TEXT
+const FIELD_VALUES = {
+  email: 'smoke-test@example.com',
+  password: 'SmokeTest123!',
+  number: '42',
+  tel: '5555550123',
+  url: 'https://example.com',
+  date: '2024-01-15',
+  'datetime-local': '2024-01-15T12:00',
+  time: '12:00',
+  month: '2024-01',
+  week: '2024-W03',
+  color: '#4f46e5',
+  search: 'test',
+};
+const DEFAULT_TEXT = 'Smoke test';
+const SKIPPED_FIELD_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'file', 'image']);
+
+class SmokeTestService {
+  /**
+   * Crawl a deployed app and report what broke.
+   *
+   * @param {string} url - Public URL of the deployment
+   * @param {Object} [options]
+   * @param {number} [options.maxPages] - Pages to visit, including the home page
+   * @param {boolean} [options.submitForms] - Fill and submit forms with dummy data
+   * @returns {Promise<Object>} Report: `{ status, url, pages, forms, failures, summary, durationMs, error? }`.
+   *   status is 'passed', 'failed', or 'error' when the test itself could not run.
+   */
+  async run(url, options = {}) {
+    const {
+      maxPages = config.smokeTestMaxPages,
+      submitForms = config.smokeTestSubmitForms,
+    } = options;
+
+    const startedAt = Date.now();
+    const origin = new URL(url).origin;
+    const report = { url, pages: [], forms: [], failures: [] };
+
+    let page;
+    try {
+      page = await screenshotService.newPage();
+      const state = { route: '/' };
+      this._listen(page, origin, state, report);
+
+      // Home page, then its navigation links by clicking them
+      const home = await this._visit(page, url, state, report, 'start');
+      if (home) {
+        const links = await this._collectLinks(page, origin);
+
+        for (const link of links.filter((l) => l.nav)) {
+          if (report.pages.length >= maxPages) break;
+          if (report.pages.some((p) => p.route === link.route)) continue;
+
+          await this._visit(page, url, state, report, 'start', { record: false });
+          await this._clickThrough(page, link, state, report);
+        }
+
+        for (const link of links.filter((l) => !l.nav)) {
+          if (report.pages.length >= maxPages) break;
+          if (report.pages.some((p) => p.route === link.route)) continue;
+          await this._visit(page, link.href, state, report, 'link');
+        }
+      }
+
+      if (submitForms) {
+        for (const visited of report.pages.filter((p) => p.ok)) {
+          await this._submitForms(page, visited, state, report);
+        }
+      }
+
+      report.status = report.failures.length > 0 ? 'failed' : 'passed';
+    } catch (err) {
+      logger.warn('Smoke test could not run', { url, error: err.message });
+      report.status = 'error';
+      report.error = err.message;
+    } finally {
+      if (page) await page.close().catch(() => {});
+    }
+
+    report.durationMs = Date.now() - startedAt;
+    report.summary = this._summarize(report);
+
+    logger.info('Smoke test finished', { url, status: report.status, ...report.summary, durationMs: report.durationMs });
+
+    return report;
+  }
+
+  /**
+   * Turn a report's failures into errors for codeGeneratorService.fixCodeErrors.
+   * Failures are blamed on the project file a stack trace points at, else
+   * the page file of the route they happened on, else the app's entry file.
+   *
+   * @param {Object} report - From run()
+   * @param {Array<{path: string}>} files - Current project files
+   * @returns {Array<{file: string, line: number|null, message: string, type: string}>}
+   */
+  toFixableErrors(report, files) {
+    const paths = files.map((f) => f.path);
+    const entryFile = ENTRY_FILES.find((p) => paths.includes(p)) || 'package.json';
+    const errors = [];
+
+    for (const failure of report.failures || []) {
+      const pageFile = failure.route === '/'
+        ? null
+        : paths.find((p) => /\.[jt]sx?$/.test(p) && fileMatchesRoute(failure.route, p));
+      const text = `Smoke test on ${failure.route} (${failure.kind}): ${failure.message}`;
+
+      errors.push(...parseBuildOutput(text, {
+        type: 'smoke',
+        knownFiles: paths,
+        fallbackFile: pageFile || entryFile,
+      }));
+    }
+
+    // The same error is usually reported on every page
+    const seen = new Set();
+    return errors.filter((e) => {
+      const key = `${e.file}:${e.line}:${e.message.replace(/^Smoke test on \S+ /, '')}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Record console errors, exceptions, failed requests, 5xx responses and
+   * missing scripts or stylesheets against the route being tested.
+   * @private
+   */
+  _listen(page, origin, state, report) {
+    const fail = (kind, message, extra = {}) => {
+      if (report.failures.length >= MAX_FAILURES) return;
+      report.failures.push({ kind, route: state.route, message: String(message).slice(0, MAX_MESSAGE_LENGTH), ...extra });
+    };
+
+    page.on('console', (msg) => {
+      if (msg.type() === 'error' && !IGNORED_CONSOLE.test(msg.text())) fail('console', msg.text());
+    });
+    page.on('pageerror', (err) => fail('exception', err.stack || err.message));
+    page.on('requestfailed', (request) => {
+      const errorText = request.failure()?.errorText || 'failed';
+      // Navigations abort in-flight requests; that is not a failure
+      if (/ERR_ABORTED|NS_BINDING_ABORTED/.test(errorText)) return;
+      if (!request.url().startsWith(origin)) return;
+      fail('request', `${request.method()} ${request.url()} ${errorText}`, { requestUrl: request.url() });
+    });
+    page.on('response', (response) => {
+      const status = response.status();
+      const missingAsset = status >= 400 && response.url().startsWith(origin)
+        && ['script', 'stylesheet'].includes(response.request().resourceType());
+      if (status >= 500 || missingAsset) {
+        fail('http', `${response.request().method()} ${response.url()} returned ${status}`, {
+          requestUrl: response.url(),
+          httpStatus: status,
+        });
+      }
+    });
+  }
+
+  /**
+   * Load a URL and record it as a visited page.
+   * @private
+   * @returns {Promise<boolean>} Whether the page loaded
+   */
+  async _visit(page, href, state, report, via, { record = true } = {}) {
+    state.route = new URL(href).pathname;
+
+    let response;
+    try {
+      response = await page.goto(href, { waitUntil: 'networkidle', timeout: NAVIGATION_TIMEOUT_MS });
+    } catch (err) {
+      if (record) {
+        report.pages.push({ route: state.route, via, ok: false });
+        report.failures.push({ kind: 'navigation', route: state.route, message: err.message.slice(0, MAX_MESSAGE_LENGTH) });
+      }
+      return false;
+    }
+
+    const status = response ? response.status() : null;
+    const ok = status === null || status < 400;
+    if (record) {
+      report.pages.push({ route: state.route, via, status, title: await page.title().catch(() => null), ok });
+      // 5xx documents are already recorded by the response listener
+      if (status >= 400 && status < 500) {
+        report.failures.push({ kind: 'http', route: state.route, message: `GET ${href} returned ${status}`, httpStatus: status });
+      }
+    }
+    return ok;
+  }
+
+  /**
+   * Same-origin links on the current page; those inside nav or header are
+   * marked for clicking.
+   * @private
+   */
+  async _collectLinks(page, origin) {
+    const links = await page.$$eval('a[href]', (anchors) => anchors.map((a) => ({
+      href: a.href,
+      rawHref: a.getAttribute('href'),
+      text: (a.textContent || '').trim().slice(0, 80),
+      nav: Boolean(a.closest('nav, header, [role="navigation"]')),
+    })));
+
+    const byRoute = new Map();
+    for (const link of links) {
+      let parsed;
+      try {
+        parsed = new URL(link.href);
+      } catch {
+        continue;
+      }
+      if (parsed.origin !== origin) continue;
+
+      const route = parsed.pathname;
+      const existing = byRoute.get(route);
+      if (!existing || (link.nav && !existing.nav)) byRoute.set(route, { ...link, route });
+    }
+    return [...byRoute.values()];
+  }
+
+  /**
+   * Click a navigation link so client-side routing is exercised.
+   * @private
+   */
+  async _clickThrough(page, link, state, report) {
+    state.route = link.route;
+    try {
+      const href = JSON.stringify(link.rawHref);
+      const anchor = page.locator(`nav a[href=${href}], header a[href=${href}], [role="navigation"] a[href=${href}]`).first();
+      await anchor.click({ timeout: SETTLE_TIMEOUT_MS });
+      await page.waitForLoadState('networkidle', { timeout: SETTLE_TIMEOUT_MS }).catch(() => {});
+
+      const route = new URL(page.url()).pathname;
+      report.pages.push({ route, via: 'nav', linkText: link.text, title: await page.title().catch(() => null), ok: true });
+    } catch (err) {
+      report.pages.push({ route: link.route, via: 'nav', linkText: link.text, ok: false });
+      report.failures.push({ kind: 'navigation', route: link.route, message: `Clicking "${link.text}" failed: ${err.message}`.slice(0, MAX_MESSAGE_LENGTH) });
+    }
+  }
+
+  /**
+   * Fill each form on a page with dummy data and submit it.
+   * @private
+   */
+  async _submitForms(page, visited, state, report) {
+    try {
+      await page.goto(new URL(visited.route, page.url()).href, { waitUntil: 'networkidle', timeout: NAVIGATION_TIMEOUT_MS });
+    } catch {
+      return;
+    }
+    state.route = visited.route;
+
+    const formCount = Math.min(await page.locator('form').count(), MAX_FORMS_PER_PAGE);
+    for (let i = 0; i < formCount; i++) {
+      const form = page.locator('form').nth(i);
+      const failuresBefore = report.failures.length;
+      const entry = { route: visited.route, index: i, fields: 0, submitted: false };
+
+      try {
+        const fields = form.locator('input, textarea, select');
+        const fieldCount = await fields.count();
+        for (let j = 0; j < fieldCount; j++) {
+          if (await this._fillField(fields.nth(j))) entry.fields++;
+        }
+
+        const submit = form.locator('button[type="submit"], input[type="submit"], button:not([type])').first();
+        if (await submit.count()) {
+          await submit.click({ timeout: SETTLE_TIMEOUT_MS });
+        } else {
+          await form.evaluate((f) => f.requestSubmit());
+        }
+        entry.submitted = true;
+        await page.waitForLoadState('networkidle', { timeout: SETTLE_TIMEOUT_MS }).catch(() => {});
+      } catch (err) {
+        entry.error = err.message.slice(0, MAX_MESSAGE_LENGTH);
+      }
+
+      entry.ok = entry.submitted && report.failures.length === failuresBefore;
+      report.forms.push(entry);
+
+      // Submitting may have navigated away
+      if (i + 1 < formCount) {
+        await page.goto(new URL(visited.route, page.url()).href, { waitUntil: 'networkidle', timeout: NAVIGATION_TIMEOUT_MS }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<boolean>} Whether the field was filled
+   */
+  async _fillField(field) {
+    const info = await field.evaluate((el) => ({
+      tag: el.tagName.toLowerCase(),
+      type: (el.getAttribute('type') || 'text').toLowerCase(),
+      disabled: el.disabled || el.readOnly,
+      visible: el.offsetParent !== null,
+      options: el.tagName === 'SELECT' ? [...el.options].map((o) => o.value).filter(Boolean) : [],
+    }));
+
+    if (info.disabled || !info.visible || SKIPPED_FIELD_TYPES.has(info.type)) return false;
+
+    if (info.tag === 'select') {
+      if (info.options.length === 0) return false;
+      await field.selectOption(info.options[0]);
+    } else if (info.type === 'checkbox' || info.type === 'radio') {
+      await field.check();
+    } else if (info.type === 'range') {
+      return false;
+    } else {
+      await field.fill(FIELD_VALUES[info.type] || DEFAULT_TEXT);
+    }
+    return true;
+  }
+
+  /** @private */
+  _summarize(report) {
+    const count = (kind) => report.failures.filter((f) => f.kind === kind).length;
+    return {
+      pagesVisited: report.pages.length,
+      formsSubmitted: report.forms.filter((f) => f.submitted).length,
+      consoleErrors: count('console') + count('exception'),
+      failedRequests: count('request') + count('navigation'),
+      serverErrors: report.failures.filter((f) => f.httpStatus >= 500).length,
+    };
+  }
+}
+
+// Singleton instance
+const smokeTestService = new SmokeTestService();
+
+module.exports = smokeTestService;
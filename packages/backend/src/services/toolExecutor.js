@@ -1,20 +1,60 @@
+const vm = require('vm');
+const picomatch = require('picomatch');
 const codeValidatorService = require('./codeValidatorService');
 const logger = require('../config/logger');
 
+// Result caps for the discovery tools, to keep tool results within context
+const MAX_LISTED_FILES = 300;
+const MAX_GREP_MATCHES = 50;
+const MAX_GREP_LINE_LENGTH = 300;
+const MAX_GREP_RESULT_CHARS = 20000;
+const DEFAULT_GREP_CONTEXT = 2;
+const MAX_GREP_CONTEXT = 5;
+
+// Longer patterns are matched literally, and only the start of very long
+// (e.g. minified) lines is searched
+const MAX_GREP_PATTERN_LENGTH = 200;
+const MAX_GREP_SEARCH_LENGTH = 2000;
+
+// A search is stopped after this long, so a pattern that backtracks
+// catastrophically (e.g. `(a|a)*$`) cannot block the event loop
+const GREP_TIMEOUT_MS = 2000;
+
+// Runs in its own context, where the timeout can interrupt it. Returns the
+// indexes of the matching lines of each file.
+const GREP_SCRIPT = new vm.Script(`
+  (() => {
+    const regex = new RegExp(pattern, flags);
+    return files.map((lines) => lines.reduce((found, line, i) => {
+      if (regex.test(line.substring(0, maxLength))) found.push(i);
+      return found;
+    }, []));
+  })()
+`);
+
 /**
  * In-memory tool execution engine for the tool-calling iteration agent.
  * Manages file state during a session and dispatches tool calls.
  */
 class ToolExecutor {
   /**
-   * @param {Array<{path: string, content: string, language?: string}>} projectFiles
+   * @param {Array<{path: string, content: string|null, language?: string, binary?: boolean, size?: number}>} projectFiles -
+   *   `content` is null for files not loaded from GitHub yet
+   * @param {Object} [options]
+   * @param {function(string[]): Promise<Map<string, string>>} [options.loadFiles] - Fetches the content of unloaded files
    */
-  constructor(projectFiles) {
-    // In-memory file map: path → { content, language }
+  constructor(projectFiles, { loadFiles } = {}) {
+    // In-memory file map: path → { content, language, binary, size }
     this._files = new Map();
     for (const f of projectFiles) {
-      this._files.set(f.path, { content: f.content, language: f.language || null });
+      this._files.set(f.path, {
+        content: f.content,
+        language: f.language || null,
+        binary: Boolean(f.binary),
+        size: f.size ?? null,
+      });
     }
+    this._loadFiles = loadFiles || null;
 
     // Track which files were changed during this session
     this._changedFiles = new Map();
@@ -26,7 +66,7 @@ class ToolExecutor {
 
   /**
    * Execute a tool call by name.
-   * @param {string} toolName - 'read_files' or 'apply_changes'
+   * @param {string} toolName - 'read_files', 'list_files', 'grep_files', 'apply_changes' or 'edit_file'
    * @param {Object} args - Parsed arguments from the LLM
    * @returns {{result: string}} - Stringified result for the LLM
    */
@@ -34,13 +74,51 @@ class ToolExecutor {
     switch (toolName) {
       case 'read_files':
         return this._readFiles(args);
+      case 'list_files':
+        return this._listFiles(args);
+      case 'grep_files':
+        return this._grepFiles(args);
       case 'apply_changes':
         return this._applyChanges(args);
+      case 'edit_file':
+        return this._editFile(args);
       default:
         return { result: JSON.stringify({ error: `Unknown tool: ${toolName}` }) };
     }
   }
 
+  /**
+   * Load the files a tool call is about to read that have not been fetched
+   * from GitHub yet. Call before execute(); failures leave them unloaded.
+   *
+   * @param {string} toolName
+   * @param {Object} args - Parsed arguments from the LLM
+   * @returns {Promise<void>}
+   */
+  async prepare(toolName, args) {
+    if (!this._loadFiles) return;
+
+    let paths = [];
+    if (toolName === 'read_files' && Array.isArray(args?.paths)) paths = args.paths.slice(0, 10);
+    if (toolName === 'edit_file' && typeof args?.path === 'string') paths = [args.path];
+
+    const unloaded = paths.filter((p) => {
+      const file = this._files.get(p);
+      return file && file.content === null && !file.binary;
+    });
+    if (unloaded.length === 0) return;
+
+    try {
+      const loaded = await this._loadFiles(unloaded);
+      for (const [p, content] of loaded) {
+        const file = this._files.get(p);
+        if (file && file.content === null) file.content = content;
+      }
+    } catch (err) {
+      logger.warn('Failed to load files for tool call', { toolName, paths: unloaded, error: err.message });
+    }
+  }
+
   /**
    * Read file contents from in-memory state.
    * @private
@@ -53,8 +131,10 @@ class ToolExecutor {
     const results = {};
     for (const p of paths.slice(0, 10)) {
       const file = this._files.get(p);
-      if (file) {
-        results[p] = file.content;
+      if (file?.binary) {
+        results[p] = `[binary file, ${file.size ?? 'unknown'} bytes — contents not readable]`;
+      } else if (file) {
+        results[p] = file.content; // null if it could not be loaded
       } else {
         results[p] = null; // file not found
       }
@@ -63,6 +143,172 @@ class ToolExecutor {
     return { result: JSON.stringify(results) };
   }
 
+  /**
+   * List files in the in-memory project, optionally filtered by glob.
+   * @private
+   */
+  _listFiles({ pattern } = {}) {
+    const matcher = this._globMatcher(pattern);
+    if (matcher.error) {
+      return { result: JSON.stringify({ error: matcher.error }) };
+    }
+
+    const paths = this.getFileManifest().filter(matcher.test);
+    const files = paths.slice(0, MAX_LISTED_FILES).map((p) => {
+      const { content, binary, size } = this._files.get(p);
+      if (content === null) {
+        // Not loaded yet: size from GitHub, line count unknown
+        return binary ? { path: p, size, binary: true } : { path: p, size, lines: null };
+      }
+      return {
+        path: p,
+        size: Buffer.byteLength(content || '', 'utf8'),
+        lines: content ? content.split('\n').length : 0,
+      };
+    });
+
+    const result = { total: paths.length, files };
+    if (paths.length > MAX_LISTED_FILES) {
+      result.truncated = true;
+      result.note = `Showing first ${MAX_LISTED_FILES} of ${paths.length} files; use a narrower pattern.`;
+    }
+
+    return { result: JSON.stringify(result) };
+  }
+
+  /**
+   * Regex search across in-memory file contents, with line numbers and context.
+   * @private
+   */
+  _grepFiles({ pattern, glob, case_sensitive: caseSensitive, context_lines: contextLines } = {}) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+      return { result: JSON.stringify({ error: 'pattern must be a non-empty string' }) };
+    }
+
+    const flags = caseSensitive ? '' : 'i';
+    const literal = pattern.length > MAX_GREP_PATTERN_LENGTH;
+    const source = literal ? pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : pattern;
+    try {
+      new RegExp(source, flags); // eslint-disable-line no-new
+    } catch (err) {
+      return { result: JSON.stringify({ error: err.message }) };
+    }
+
+    const matcher = this._globMatcher(glob);
+    if (matcher.error) {
+      return { result: JSON.stringify({ error: matcher.error }) };
+    }
+
+    const context = Number.isInteger(contextLines)
+      ? Math.min(Math.max(contextLines, 0), MAX_GREP_CONTEXT)
+      : DEFAULT_GREP_CONTEXT;
+    const clip = (line) => (line.length > MAX_GREP_LINE_LENGTH
+      ? `${line.substring(0, MAX_GREP_LINE_LENGTH)}...`
+      : line);
+
+    const matches = [];
+    const filesMatched = new Set();
+    let totalMatches = 0;
+    let resultChars = 0;
+    let truncated = false;
+    let unloaded = 0;
+
+    const searched = [];
+    for (const path of this.getFileManifest().filter(matcher.test)) {
+      const file = this._files.get(path);
+      if (file.binary) continue;
+      if (file.content === null) {
+        unloaded++;
+        continue;
+      }
+      searched.push({ path, lines: file.content.split('\n') });
+    }
+
+    let found;
+    try {
+      found = GREP_SCRIPT.runInContext(vm.createContext({
+        pattern: source,
+        flags,
+        files: searched.map((f) => f.lines),
+        maxLength: MAX_GREP_SEARCH_LENGTH,
+      }), { timeout: GREP_TIMEOUT_MS });
+    } catch (err) {
+      if (err.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw err;
+      logger.warn('grep_files pattern timed out', { pattern: pattern.substring(0, 100) });
+      return {
+        result: JSON.stringify({
+          error: `The search took longer than ${GREP_TIMEOUT_MS / 1000}s and was stopped; ` +
+            'the pattern backtracks too much. Use a simpler regular expression.',
+        }),
+      };
+    }
+
+    for (const [index, { path, lines }] of searched.entries()) {
+      for (const i of found[index]) {
+        totalMatches++;
+        filesMatched.add(path);
+        if (truncated) continue;
+
+        const match = {
+          path,
+          line: i + 1,
+          text: clip(lines[i]),
+        };
+        if (context > 0) {
+          match.before = lines.slice(Math.max(0, i - context), i).map(clip);
+          match.after = lines.slice(i + 1, i + 1 + context).map(clip);
+        }
+
+        const size = JSON.stringify(match).length;
+        if (matches.length >= MAX_GREP_MATCHES || resultChars + size > MAX_GREP_RESULT_CHARS) {
+          truncated = true;
+          continue;
+        }
+        matches.push(match);
+        resultChars += size;
+      }
+    }
+
+    const result = { totalMatches, filesMatched: filesMatched.size, matches };
+    if (literal) {
+      result.literal = true;
+      result.literalNote = `The pattern was searched as plain text because it is longer than ${MAX_GREP_PATTERN_LENGTH} ` +
+        'characters; use a shorter regular expression.';
+    }
+    if (truncated) {
+      result.truncated = true;
+      result.note = `Showing ${matches.length} of ${totalMatches} matches; narrow the pattern or glob.`;
+    }
+    if (unloaded > 0) {
+      result.unsearched = unloaded;
+      result.unsearchedNote = `${unloaded} matching file${unloaded === 1 ? ' was' : 's were'} not searched because ` +
+        'their content has not been loaded from GitHub; read_files loads them.';
+    }
+
+    return { result: JSON.stringify(result) };
+  }
+
+  /**
+   * Build a path predicate from an optional glob pattern.
+   * @private
+   * @returns {{test: Function}|{error: string}}
+   */
+  _globMatcher(pattern) {
+    if (pattern === undefined || pattern === null || pattern === '') {
+      return { test: () => true };
+    }
+    if (typeof pattern !== 'string') {
+      return { error: 'glob pattern must be a string' };
+    }
+
+    try {
+      const isMatch = picomatch(pattern.replace(/^\.?\//, ''), { dot: true });
+      return { test: (p) => isMatch(p) };
+    } catch (err) {
+      return { error: `Invalid glob pattern: ${err.message}` };
+    }
+  }
+
   /**
    * Apply file changes and auto-validate.
    * @private
@@ -72,6 +318,11 @@ class ToolExecutor {
       return { result: JSON.stringify({ error: 'files must be a non-empty array' }) };
     }
 
+    const binary = files.filter((f) => f.action !== 'delete' && this._files.get(f.path)?.binary).map((f) => f.path);
+    if (binary.length > 0) {
+      return { result: JSON.stringify({ error: `Binary files cannot be written: ${binary.join(', ')}` }) };
+    }
+
     // Apply changes to in-memory state
     const applied = [];
     for (const f of files) {
@@ -81,7 +332,7 @@ class ToolExecutor {
         applied.push({ path: f.path, action: 'delete' });
       } else {
         const language = f.language || this._inferLanguage(f.path);
-        this._files.set(f.path, { content: f.content, language });
+        this._files.set(f.path, { content: f.content, language, binary: false, size: null });
         this._changedFiles.set(f.path, { path: f.path, content: f.content, language, action: f.action || 'modify' });
         applied.push({ path: f.path, action: f.action || 'modify' });
       }
@@ -106,32 +357,11 @@ class ToolExecutor {
         action: f.action || 'modify',
       }));
 
-    const allProjectFiles = Array.from(this._files.entries()).map(([path, data]) => ({
-      path,
-      content: data.content,
-    }));
-
-    let validation = { valid: true, errors: [], warnings: [] };
-    if (changedForValidation.length > 0) {
-      try {
-        validation = codeValidatorService.validateChanges(changedForValidation, allProjectFiles);
-      } catch (err) {
-        logger.warn('Validation threw during tool execution', { error: err.message });
-        validation = { valid: true, errors: [], warnings: [] };
-      }
-    }
+    const validation = this._validate(changedForValidation);
 
     const result = {
       applied: applied.length,
-      validation: {
-        valid: validation.valid,
-        errors: validation.errors.map((e) => ({
-          file: e.file,
-          line: e.line,
-          message: e.message,
-          type: e.type,
-        })),
-      },
+      validation: this._formatValidation(validation),
     };
 
     logger.info('Tool apply_changes executed', {
@@ -143,6 +373,300 @@ class ToolExecutor {
     return { result: JSON.stringify(result) };
   }
 
+  /**
+   * Apply targeted edits to a single file, either as search/replace pairs or
+   * as a unified diff. Every edit must match the current content exactly and
+   * unambiguously; if any edit fails, the file is left untouched and the
+   * error says which edit failed and why.
+   * @private
+   */
+  _editFile({ path, edits, diff, summary }) {
+    const file = this._files.get(path);
+    if (!file) {
+      return { result: JSON.stringify({ error: `File not found: ${path}. Use apply_changes to create new files.` }) };
+    }
+    if (file.binary) {
+      return { result: JSON.stringify({ error: `${path} is a binary file and cannot be edited` }) };
+    }
+    if (file.content === null) {
+      return { result: JSON.stringify({ error: `${path} could not be loaded from GitHub; try again with read_files` }) };
+    }
+
+    const hasEdits = Array.isArray(edits) && edits.length > 0;
+    const hasDiff = typeof diff === 'string' && diff.trim().length > 0;
+    if (!hasEdits && !hasDiff) {
+      return { result: JSON.stringify({ error: 'Provide either a non-empty edits array or a diff' }) };
+    }
+    if (hasEdits && hasDiff) {
+      return { result: JSON.stringify({ error: 'Provide either edits or diff, not both' }) };
+    }
+
+    const outcome = hasEdits
+      ? this._applySearchReplace(path, file.content, edits)
+      : this._applyUnifiedDiff(path, file.content, diff);
+
+    if (outcome.error) {
+      logger.info('Tool edit_file rejected', { path, error: outcome.error });
+      return { result: JSON.stringify({ error: outcome.error }) };
+    }
+
+    const language = file.language || this._inferLanguage(path);
+    this._files.set(path, { content: outcome.content, language, binary: false, size: null });
+    this._changedFiles.set(path, { path, content: outcome.content, language, action: 'modify' });
+
+    if (summary) {
+      this._summaries.push(summary);
+    }
+
+    const validation = this._validate([{ path, content: outcome.content, action: 'modify' }]);
+
+    logger.info('Tool edit_file executed', {
+      path,
+      applied: outcome.applied,
+      valid: validation.valid,
+      errorCount: validation.errors.length,
+    });
+
+    return {
+      result: JSON.stringify({
+        path,
+        applied: outcome.applied,
+        validation: this._formatValidation(validation),
+      }),
+    };
+  }
+
+  /**
+   * Apply search/replace edits in order, each against the result of the
+   * previous one.
+   * @private
+   * @returns {{content: string, applied: number}|{error: string}}
+   */
+  _applySearchReplace(path, content, edits) {
+    let current = content;
+
+    for (let i = 0; i < edits.length; i++) {
+      const { search, replace } = edits[i] || {};
+      const label = `Edit ${i + 1}`;
+
+      if (typeof search !== 'string' || search.length === 0) {
+        return { error: `${label}: search must be a non-empty string` };
+      }
+      if (typeof replace !== 'string') {
+        return { error: `${label}: replace must be a string` };
+      }
+
+      const positions = [];
+      let from = current.indexOf(search);
+      while (from !== -1) {
+        positions.push(from);
+        from = current.indexOf(search, from + 1);
+      }
+
+      if (positions.length === 0) {
+        return { error: `${label}: search text not found in ${path}. ${this._mismatchHint(current, search.split('\n'))}` };
+      }
+      if (positions.length > 1) {
+        const lines = positions.map((pos) => this._lineAt(current, pos));
+        return {
+          error: `${label}: search text matches ${positions.length} locations in ${path} (lines ${lines.join(', ')}). ` +
+            'Include more surrounding lines so it matches exactly once.',
+        };
+      }
+
+      current = current.slice(0, positions[0]) + replace + current.slice(positions[0] + search.length);
+    }
+
+    return { content: current, applied: edits.length };
+  }
+
+  /**
+   * Apply the hunks of a unified diff. Hunk header line counts are not
+   * trusted (models often get them wrong); each hunk is located by its
+   * context and removed lines, using the header start line only to choose
+   * between several identical matches.
+   * @private
+   * @returns {{content: string, applied: number}|{error: string}}
+   */
+  _applyUnifiedDiff(path, content, diff) {
+    const parsed = this._parseHunks(diff);
+    if (parsed.error) return { error: parsed.error };
+
+    const lines = content.split('\n');
+    let offset = 0;
+
+    for (let i = 0; i < parsed.hunks.length; i++) {
+      const hunk = parsed.hunks[i];
+      const label = `Hunk ${i + 1} (${hunk.header})`;
+      const expected = Math.max(0, hunk.oldStart - 1 + offset);
+
+      let index;
+      if (hunk.oldLines.length === 0) {
+        // Pure insertion: nothing to match against, trust the header
+        index = Math.min(expected, lines.length);
+      } else {
+        const matches = [];
+        for (let j = 0; j + hunk.oldLines.length <= lines.length; j++) {
+          if (hunk.oldLines.every((l, k) => lines[j + k] === l)) matches.push(j);
+        }
+
+        if (matches.length === 0) {
+          return { error: `${label}: context and removed lines do not match ${path}. ${this._mismatchHint(lines.join('\n'), hunk.oldLines)}` };
+        }
+        if (matches.length > 1) {
+          if (!matches.includes(expected)) {
+            return {
+              error: `${label}: matches ${matches.length} locations in ${path} (lines ${matches.map((m) => m + 1).join(', ')}) ` +
+                'and none is at the line given in the hunk header. Add more context lines or fix the header.',
+            };
+          }
+          index = expected;
+        } else {
+          index = matches[0];
+        }
+      }
+
+      lines.splice(index, hunk.oldLines.length, ...hunk.newLines);
+      offset += hunk.newLines.length - hunk.oldLines.length;
+    }
+
+    return { content: lines.join('\n'), applied: parsed.hunks.length };
+  }
+
+  /**
+   * Split a unified diff into hunks of old/new lines.
+   * @private
+   * @returns {{hunks: Array<{header: string, oldStart: number, oldLines: string[], newLines: string[]}>}|{error: string}}
+   */
+  _parseHunks(diff) {
+    const hunks = [];
+    let current = null;
+    const diffLines = diff.replace(/\r\n/g, '\n').split('\n');
+
+    for (let n = 0; n < diffLines.length; n++) {
+      const line = diffLines[n];
+
+      if (line.startsWith('--- ') && (diffLines[n + 1] || '').startsWith('+++ ')) {
+        // File header; a diff for another file would start here
+        if (hunks.length > 0) {
+          return { error: 'Diff touches more than one file; edit_file applies to a single file' };
+        }
+        n++;
+        continue;
+      }
+
+      if (line.startsWith('@@')) {
+        const match = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+        if (!match) {
+          return { error: `Malformed hunk header on diff line ${n + 1}: "${line}"` };
+        }
+        current = { header: match[0], oldStart: parseInt(match[1], 10), oldLines: [], newLines: [] };
+        hunks.push(current);
+        continue;
+      }
+
+      if (!current) {
+        // File headers (---, +++, diff, index) before the first hunk
+        continue;
+      }
+
+      if (line.startsWith('\\')) continue; // "\ No newline at end of file"
+
+      const marker = line[0];
+      const text = line.slice(1);
+      if (marker === ' ' || line === '') {
+        // Blank lines inside a hunk are context lines with trailing space stripped
+        if (line === '' && n === diffLines.length - 1) continue;
+        current.oldLines.push(text);
+        current.newLines.push(text);
+      } else if (marker === '-') {
+        current.oldLines.push(text);
+      } else if (marker === '+') {
+        current.newLines.push(text);
+      } else {
+        return { error: `Unexpected line ${n + 1} in diff (lines must start with " ", "-", "+" or "@@"): "${line}"` };
+      }
+    }
+
+    if (hunks.length === 0) {
+      return { error: 'Diff contains no hunks (expected "@@ -start,count +start,count @@" headers)' };
+    }
+
+    return { hunks };
+  }
+
+  /**
+   * Explain why a block of lines did not match, to help the model correct it.
+   * @private
+   */
+  _mismatchHint(content, searchLines) {
+    const normalize = (text) => text.split('\n').map((l) => l.trim()).join('\n');
+    if (normalize(content).includes(normalize(searchLines.join('\n')))) {
+      return 'A match exists if whitespace is ignored — copy the text exactly as returned by read_files, including indentation.';
+    }
+
+    const anchor = searchLines.find((l) => l.trim().length > 0);
+    if (anchor) {
+      const contentLines = content.split('\n');
+      const hits = [];
+      contentLines.forEach((l, idx) => {
+        if (l.trim() === anchor.trim()) hits.push(idx + 1);
+      });
+      if (hits.length > 0) {
+        return `The first line was found at line(s) ${hits.slice(0, 5).join(', ')} but the following lines differ — re-read the file and copy the current text.`;
+      }
+    }
+
+    return 'Re-read the file with read_files; its current content may differ from what you expect.';
+  }
+
+  /**
+   * 1-based line number of a character offset.
+   * @private
+   */
+  _lineAt(content, position) {
+    return content.slice(0, position).split('\n').length;
+  }
+
+  /**
+   * Validate changed files against the full in-memory project.
+   * @private
+   */
+  _validate(changedForValidation) {
+    if (changedForValidation.length === 0) {
+      return { valid: true, errors: [], warnings: [] };
+    }
+
+    const allProjectFiles = Array.from(this._files.entries()).map(([path, data]) => ({
+      path,
+      content: data.content,
+    }));
+
+    try {
+      return codeValidatorService.validateChanges(changedForValidation, allProjectFiles);
+    } catch (err) {
+      logger.warn('Validation threw during tool execution', { error: err.message });
+      return { valid: true, errors: [], warnings: [] };
+    }
+  }
+
+  /**
+   * Shape validation output for the LLM.
+   * @private
+   */
+  _formatValidation(validation) {
+    return {
+      valid: validation.valid,
+      errors: validation.errors.map((e) => ({
+        file: e.file,
+        line: e.line,
+        message: e.message,
+        type: e.type,
+        ...(e.suggestion && { suggestion: e.suggestion }),
+      })),
+    };
+  }
+
   /**
    * Get the final results after the session ends.
    * @returns {{changedFiles: Array, summary: string, envVarsNeeded: string[]}}
@@ -0,0 +1,176 @@
+const path = require('path');
+const { db } = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const attachmentService = require('./attachmentService');
+
+// Whisper rejects uploads over 25 MB
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Transcription providers. A provider is an object with a `name` and
+ * `transcribe({ filePath, mimeType, filename })` resolving to
+ * `{ text, language?, durationSeconds? }`. Register others with
+ * registerProvider and select one with TRANSCRIPTION_PROVIDER.
+ */
+const PROVIDERS = {
+  openai: {
+    name: 'openai',
+    transcribe: ({ filePath }) =>
+      // Required lazily so the stub never loads the OpenAI client
+      require('./openaiService').transcribe({ filePath, model: config.transcriptionModel }),
+  },
+
+  // Local provider with no network access, for tests and development
+  stub: {
+    name: 'stub',
+    transcribe: async ({ filename }) => ({
+      text: `Transcript of ${filename}`,
+      language: 'en',
+      durationSeconds: null,
+    }),
+  },
+};
+
+class TranscriptionService {
+  /**
+   * Add or replace a transcription provider.
+   * @param {string} name - Value of TRANSCRIPTION_PROVIDER that selects it
+   * @param {{transcribe: function(Object): Promise<{text: string}>}} provider
+   */
+  registerProvider(name, provider) {
+    if (!provider || typeof provider.transcribe !== 'function') {
+      throw new Error(`Transcription provider "${name}" must implement transcribe()`);
+    }
+    PROVIDERS[name] = { name, ...provider };
+  }
+
+  /**
+   * The configured provider.
+   * @returns {Object}
+   */
+  getProvider() {
+    const provider = PROVIDERS[config.transcriptionProvider];
+    if (!provider) {
+      throw new Error(
+        `Unknown transcription provider "${config.transcriptionProvider}". ` +
+        `Available: ${Object.keys(PROVIDERS).join(', ')}`
+      );
+    }
+    return provider;
+  }
+
+  /**
+   * Transcribe the audio attachments among `attachments` that have no
+   * transcript yet, storing each result (or error) on its row. A failed
+   * transcription does not stop the others.
+   *
+   * @param {Array<Object>} attachments - message_attachments rows
+   * @returns {Promise<Array<{attachmentId: string, filename: string, transcript: string}>>}
+   *   Transcripts of every audio attachment that has one, in the given order
+   */
+  async transcribeAttachments(attachments) {
+    const transcripts = [];
+
+    for (const attachment of attachments) {
+      if (attachment.category !== 'audio') continue;
+
+      if (attachment.transcript) {
+        transcripts.push({ attachmentId: attachment.id, filename: attachment.filename, transcript: attachment.transcript });
+        continue;
+      }
+
+      const text = await this._transcribeOne(attachment);
+      if (text) {
+        transcripts.push({ attachmentId: attachment.id, filename: attachment.filename, transcript: text });
+      }
+    }
+
+    return transcripts;
+  }
+
+  /**
+   * Append voice note transcripts to a typed message. With no typed text
+   * the transcripts become the message.
+   *
+   * @param {string} content - The typed message (may be empty)
+   * @param {Array<{filename: string, transcript: string}>} transcripts
+   * @returns {string}
+   */
+  mergeTranscripts(content, transcripts) {
+    const text = (content || '').trim();
+    if (transcripts.length === 0) return text;
+
+    if (!text && transcripts.length === 1) return transcripts[0].transcript;
+
+    const notes = transcripts.map((t) => `[Voice note: ${t.filename}]\n${t.transcript}`);
+    return [text, ...notes].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * @private
+   * @returns {Promise<string|null>} The transcript, or null if it failed
+   */
+  async _transcribeOne(attachment) {
+    const provider = this.getProvider();
+
+    try {
+      if (attachment.file_size > MAX_AUDIO_BYTES) {
+        throw new Error(`Voice note is larger than ${MAX_AUDIO_BYTES / (1024 * 1024)} MB`);
+      }
+
+      const filePath = attachmentService.resolveStoragePath(attachment.storage_url);
+      if (!filePath) throw new Error('Attachment file is not in the uploads directory');
+
+      const result = await provider.transcribe({
+        filePath,
+        mimeType: attachment.mime_type,
+        filename: attachment.filename || path.basename(filePath),
+      });
+
+      const text = (result.text || '').trim();
+      if (!text) throw new Error('No speech detected');
+
+      await db('message_attachments')
+        .where({ id: attachment.id })
+        .update({
+          transcript: text,
+          transcription_provider: provider.name,
+          transcription_error: null,
+          transcribed_at: db.fn.now(),
+          updated_at: db.fn.now(),
+        });
+
+      logger.info('Voice note transcribed', {
+        attachmentId: attachment.id,
+        provider: provider.name,
+        length: text.length,
+        durationSeconds: result.durationSeconds,
+      });
+
+      return text;
+    } catch (err) {
+      logger.warn('Voice note transcription failed', {
+        attachmentId: attachment.id,
+        provider: provider.name,
+        error: err.message,
+      });
+
+      await db('message_attachments')
+        .where({ id: attachment.id })
+        .update({
+          transcription_provider: provider.name,
+          transcription_error: err.message.slice(0, 1000),
+          updated_at: db.fn.now(),
+        })
+        .catch((dbErr) => logger.error('Failed to record transcription error', { attachmentId: attachment.id, error: dbErr.message }));
+
+      return null;
+    }
+  }
+}
+
+// Singleton instance
+const transcriptionService = new TranscriptionService();
+
+module.exports = transcriptionService;
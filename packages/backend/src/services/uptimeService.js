@@ -0,0 +1,224 @@
+/**
+ * Uptime Service
+ *
+ * Pings every deployed project's health URL (deployment_url plus
+ * projects.health_check_path), records each result in health_checks and
+ * emails the owner once a project has failed config.uptimeAlertAfterFailures
+ * checks in a row, then again when it recovers. Run by monitorWorker's
+ * repeat job.
+ */
+
+const axios = require('axios');
+const { db } = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const { sendMail, escapeHtml } = require('./emailService');
+
+const CONCURRENCY = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class UptimeService {
+  /**
+   * Check every deployed project and prune old results.
+   * @returns {Promise<{checked: number, down: number}>}
+   */
+  async checkAll() {
+    // A project stays live after later rebuilds, so go by deployment_url
+    // rather than status
+    const projects = await db('projects')
+      .whereNotNull('deployment_url')
+      .select('id', 'name', 'user_id', 'deployment_url', 'health_check_path',
+        'uptime_status', 'uptime_failures', 'uptime_alerted_at');
+
+    let down = 0;
+    for (let i = 0; i < projects.length; i += CONCURRENCY) {
+      const results = await Promise.all(projects.slice(i, i + CONCURRENCY).map(async (project) => {
+        try {
+          return await this.checkProject(project);
+        } catch (err) {
+          logger.error('Uptime check failed to record', { projectId: project.id, error: err.message });
+          return null;
+        }
+      }));
+      down += results.filter((r) => r && !r.is_up).length;
+    }
+
+    await db('health_checks')
+      .where('checked_at', '<', new Date(Date.now() - config.uptimeRetentionDays * DAY_MS))
+      .delete();
+
+    logger.info('Uptime checks completed', { checked: projects.length, down });
+    return { checked: projects.length, down };
+  }
+
+  /**
+   * Ping one project, record the result and alert on state changes.
+   *
+   * @param {Object} project - projects row
+   * @returns {Promise<Object>} The health_checks row inserted
+   */
+  async checkProject(project) {
+    const url = this.healthUrl(project);
+    const result = await this.ping(url);
+
+    const [check] = await db('health_checks')
+      .insert({ project_id: project.id, url, ...result })
+      .returning('*');
+
+    const failures = result.is_up ? 0 : (project.uptime_failures || 0) + 1;
+    const updates = {
+      uptime_status: result.is_up ? 'up' : 'down',
+      uptime_failures: failures,
+    };
+
+    if (!result.is_up && failures >= config.uptimeAlertAfterFailures && !project.uptime_alerted_at) {
+      await this._sendAlert(project, 'down', { url, failures, result });
+      updates.uptime_alerted_at = new Date();
+    } else if (result.is_up && project.uptime_alerted_at) {
+      await this._sendAlert(project, 'recovered', { url, result });
+      updates.uptime_alerted_at = null;
+    }
+
+    await db('projects').where({ id: project.id }).update(updates);
+    return check;
+  }
+
+  /**
+   * Request a URL and time it. 2xx and 3xx count as up.
+   *
+   * @param {string} url
+   * @returns {Promise<{is_up: boolean, status_code: number|null, latency_ms: number, error_message: string|null}>}
+   */
+  async ping(url) {
+    const started = Date.now();
+    try {
+      const response = await axios.get(url, {
+        timeout: config.uptimeTimeoutMs,
+        maxRedirects: 5,
+        validateStatus: () => true,
+        headers: { 'User-Agent': 'Imagia-Uptime/1.0' },
+        // Only the status matters; don't buffer large pages
+        responseType: 'stream',
+      });
+      response.data.destroy();
+
+      const isUp = response.status >= 200 && response.status < 400;
+      return {
+        is_up: isUp,
+        status_code: response.status,
+        latency_ms: Date.now() - started,
+        error_message: isUp ? null : `HTTP ${response.status}`,
+      };
+    } catch (err) {
+      return {
+        is_up: false,
+        status_code: null,
+        latency_ms: Date.now() - started,
+        error_message: err.code === 'ECONNABORTED' ? `Timed out after ${config.uptimeTimeoutMs}ms` : err.message,
+      };
+    }
+  }
+
+  /**
+   * The URL a project is checked at.
+   * @param {Object} project - projects row
+   * @returns {string}
+   */
+  healthUrl(project) {
+    const base = project.deployment_url.replace(/\/+$/, '');
+    const path = project.health_check_path || '/';
+    return `${base}${path.startsWith('/') ? path : `/${path}`}`;
+  }
+
+  /**
+   * Uptime percentage and response times over the last `days` days, with a
+   * bucketed series for charts (hourly for a day, daily beyond).
+   *
+   * @param {string} projectId
+   * @param {number} [days=7]
+   * @returns {Promise<Object>}
+   */
+  async getUptime(projectId, days = 7) {
+    const since = new Date(Date.now() - days * DAY_MS);
+    const bucket = days <= 1 ? 'hour' : 'day';
+
+    const [summary, series, recent] = await Promise.all([
+      db('health_checks')
+        .where({ project_id: projectId })
+        .where('checked_at', '>=', since)
+        .select(
+          db.raw('COUNT(*) as total'),
+          db.raw('COUNT(*) FILTER (WHERE is_up) as up'),
+          db.raw('AVG(latency_ms) FILTER (WHERE is_up) as avg_latency'),
+          db.raw('PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY latency_ms) FILTER (WHERE is_up) as p95_latency')
+        )
+        .first(),
+      db('health_checks')
+        .where({ project_id: projectId })
+        .where('checked_at', '>=', since)
+        .select(
+          db.raw('date_trunc(?, checked_at) as bucket', [bucket]),
+          db.raw('COUNT(*) as total'),
+          db.raw('COUNT(*) FILTER (WHERE is_up) as up'),
+          db.raw('AVG(latency_ms) FILTER (WHERE is_up) as avg_latency')
+        )
+        .groupByRaw('date_trunc(?, checked_at)', [bucket])
+        .orderBy('bucket', 'asc'),
+      db('health_checks')
+        .where({ project_id: projectId })
+        .orderBy('checked_at', 'desc')
+        .limit(10)
+        .select('is_up', 'status_code', 'latency_ms', 'error_message', 'checked_at'),
+    ]);
+
+    const total = parseInt(summary?.total || 0, 10);
+    const up = parseInt(summary?.up || 0, 10);
+
+    return {
+      period_days: days,
+      uptime_percent: total > 0 ? Math.round((up / total) * 10000) / 100 : null,
+      checks: total,
+      avg_latency_ms: summary?.avg_latency != null ? Math.round(parseFloat(summary.avg_latency)) : null,
+      p95_latency_ms: summary?.p95_latency != null ? Math.round(parseFloat(summary.p95_latency)) : null,
+      series: series.map((s) => ({
+        bucket: s.bucket,
+        uptime_percent: Math.round((parseInt(s.up, 10) / parseInt(s.total, 10)) * 10000) / 100,
+        avg_latency_ms: s.avg_latency != null ? Math.round(parseFloat(s.avg_latency)) : null,
+      })),
+      recent,
+    };
+  }
+
+  /** @private */
+  async _sendAlert(project, kind, { url, failures, result }) {
+    const owner = await db('users').where({ id: project.user_id }).first('email', 'name');
+    if (!owner?.email || owner.email.endsWith('@clerk.placeholder')) return;
+
+    const projectLink = `${config.frontendUrl}/project/${project.id}`;
+    const subject = kind === 'down'
+      ? `${project.name} is down`
+      : `${project.name} is back up`;
+    const body = kind === 'down'
+      ? `<p><strong>${escapeHtml(url)}</strong> has failed ${failures} health checks in a row.</p>
+      <p>Last error: ${escapeHtml(result.error_message || 'unknown')}</p>`
+      : `<p><strong>${escapeHtml(url)}</strong> is responding again (HTTP ${result.status_code}, ${result.latency_ms}ms).</p>`;
+
+    await sendMail(
+      owner.email,
+      subject,
+      `<div style="font-family:sans-serif;max-width:500px">
+      <h2 style="color:${kind === 'down' ? '#dc2626' : '#059669'}">${escapeHtml(subject)}</h2>
+      ${body}
+      <p><a href="${projectLink}">Open the project in Imagia</a></p>
+      <p style="color:#6b7280;font-size:12px">Checked at ${new Date().toISOString()}</p>
+    </div>`
+    );
+
+    logger.info('Uptime alert sent', { projectId: project.id, kind });
+  }
+}
+
+// Singleton instance
+const uptimeService = new UptimeService();
+
+module.exports = uptimeService;
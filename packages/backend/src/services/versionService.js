@@ -0,0 +1,347 @@
+const { structuredPatch, formatPatch } = require('diff');
+const { db } = require('../config/database');
+const logger = require('../config/logger');
+const { generateContentHash, gitBlobSha } = require('../utils/contentHash');
+
+const RESTORE_SECTION_HEADER = '## Restored Version';
+
+class VersionService {
+  /**
+   * Build the JSONB snapshot stored on project_versions. File contents are
+   * included so a version can later be diffed or restored; files not loaded
+   * from GitHub yet are recorded by their blob instead.
+   *
+   * @param {Array<{path: string, content: string|null, language?: string, blobSha?: string, binary?: boolean, size?: number}>} files
+   * @returns {Array<{path: string, checksum: string|null, language: string|null, content: string|null, blob_sha?: string, is_binary?: boolean, file_size?: number}>}
+   */
+  buildSnapshot(files) {
+    return files.map((f) => {
+      if (f.content === null && f.blobSha) {
+        return {
+          path: f.path,
+          checksum: null,
+          language: f.language || null,
+          content: null,
+          blob_sha: f.blobSha,
+          is_binary: Boolean(f.binary),
+          file_size: f.size ?? null,
+        };
+      }
+      return {
+        path: f.path,
+        checksum: generateContentHash(f.content),
+        language: f.language || null,
+        content: f.content,
+      };
+    });
+  }
+
+  /**
+   * Load a single version row with its snapshot parsed.
+   *
+   * @param {string} projectId
+   * @param {number} versionNumber
+   * @returns {Promise<Object|null>}
+   */
+  async getVersion(projectId, versionNumber) {
+    const version = await db('project_versions')
+      .where({ project_id: projectId, version_number: versionNumber })
+      .first();
+
+    if (!version) return null;
+
+    return { ...version, snapshot: this._parseSnapshot(version.snapshot) };
+  }
+
+  /**
+   * Compute per-file unified diffs between two versions of a project.
+   * Snapshots taken before contents were stored only carry checksums, so
+   * changed files from those versions are reported without a patch.
+   *
+   * @param {string} projectId
+   * @param {number} fromNumber
+   * @param {number} toNumber
+   * @returns {Promise<{from: Object, to: Object, files: Array, stats: Object}>}
+   */
+  async diffVersions(projectId, fromNumber, toNumber) {
+    const [from, to] = await Promise.all([
+      this.getVersion(projectId, fromNumber),
+      this.getVersion(projectId, toNumber),
+    ]);
+
+    if (!from || !to) {
+      const missing = !from ? fromNumber : toNumber;
+      const err = new Error(`Version ${missing} not found`);
+      err.statusCode = 404;
+      throw err;
+    }
+
+    const fromFiles = new Map(from.snapshot.map((f) => [f.path, f]));
+    const toFiles = new Map(to.snapshot.map((f) => [f.path, f]));
+    const allPaths = [...new Set([...fromFiles.keys(), ...toFiles.keys()])].sort();
+
+    const files = [];
+    const stats = { added: 0, removed: 0, modified: 0, additions: 0, deletions: 0 };
+
+    for (const path of allPaths) {
+      const before = fromFiles.get(path);
+      const after = toFiles.get(path);
+
+      if (before && after && this._sameContent(before, after)) continue;
+
+      const status = !before ? 'added' : !after ? 'removed' : 'modified';
+      stats[status]++;
+
+      const contentAvailable = (!before || typeof before.content === 'string') &&
+        (!after || typeof after.content === 'string');
+
+      if (!contentAvailable) {
+        files.push({ path, status, diff: null, additions: null, deletions: null, contentAvailable });
+        continue;
+      }
+
+      const patch = structuredPatch(
+        before ? `a/${path}` : '/dev/null',
+        after ? `b/${path}` : '/dev/null',
+        before ? before.content : '',
+        after ? after.content : '',
+        `v${from.version_number}`,
+        `v${to.version_number}`
+      );
+      const { additions, deletions } = this._countChanges(patch);
+      stats.additions += additions;
+      stats.deletions += deletions;
+
+      files.push({ path, status, diff: formatPatch(patch), additions, deletions, contentAvailable });
+    }
+
+    return {
+      from: this._summarizeVersion(from),
+      to: this._summarizeVersion(to),
+      files,
+      stats,
+    };
+  }
+
+  /**
+   * Record the project's current files as a new version, e.g. after files
+   * changed outside a build session.
+   *
+   * @param {string} projectId
+   * @param {Object} summary
+   * @param {string} summary.promptSummary
+   * @param {string} [summary.diffSummary]
+   * @param {string} [summary.gitCommitSha]
+   * @returns {Promise<Object>} The new version without its snapshot
+   */
+  async snapshotProject(projectId, { promptSummary, diffSummary = null, gitCommitSha = null }) {
+    const version = await db.transaction(async (trx) => {
+      const files = await trx('project_files')
+        .where({ project_id: projectId })
+        .select('file_path as path', 'content', 'language', 'blob_sha as blobSha', 'is_binary as binary', 'file_size as size');
+
+      const latest = await trx('project_versions')
+        .where({ project_id: projectId })
+        .max('version_number as max_version')
+        .first();
+
+      const [inserted] = await trx('project_versions')
+        .insert({
+          project_id: projectId,
+          version_number: (latest?.max_version || 0) + 1,
+          snapshot: JSON.stringify(this.buildSnapshot(files)),
+          prompt_summary: promptSummary,
+          diff_summary: diffSummary,
+          git_commit_sha: gitCommitSha,
+        })
+        .returning('*');
+
+      return inserted;
+    });
+
+    logger.info('Project version snapshotted', { projectId, version: version.version_number });
+    return this._summarizeVersion(version);
+  }
+
+  /**
+   * Roll project_files back to the contents of a previous version. The file
+   * rewrite, the new version entry and the context note are written in one
+   * transaction so a failed restore leaves the project untouched.
+   *
+   * @param {string} projectId
+   * @param {number} versionNumber - Version to restore
+   * @returns {Promise<{version: Object, restoredFrom: number, fileCount: number}>}
+   */
+  async restoreVersion(projectId, versionNumber) {
+    const target = await this.getVersion(projectId, versionNumber);
+
+    if (!target) {
+      const err = new Error(`Version ${versionNumber} not found`);
+      err.statusCode = 404;
+      throw err;
+    }
+
+    if (target.snapshot.some((f) => typeof f.content !== 'string' && !f.blob_sha)) {
+      const err = new Error(
+        `Version ${versionNumber} was created before file contents were stored and cannot be restored`
+      );
+      err.statusCode = 422;
+      throw err;
+    }
+
+    const newVersion = await db.transaction(async (trx) => {
+      await trx('project_files').where({ project_id: projectId }).delete();
+
+      if (target.snapshot.length > 0) {
+        await trx('project_files').insert(
+          target.snapshot.map((f) => (typeof f.content === 'string'
+            ? {
+              project_id: projectId,
+              file_path: f.path,
+              content: f.content,
+              language: f.language || null,
+              file_size: Buffer.byteLength(f.content, 'utf8'),
+              checksum: f.checksum || generateContentHash(f.content),
+            }
+            : {
+              project_id: projectId,
+              file_path: f.path,
+              content: null,
+              language: f.language || null,
+              blob_sha: f.blob_sha,
+              is_binary: Boolean(f.is_binary),
+              file_size: f.file_size ?? null,
+            }))
+        );
+      }
+
+      const latest = await trx('project_versions')
+        .where({ project_id: projectId })
+        .max('version_number as max_version')
+        .first();
+      const nextNumber = (latest?.max_version || 0) + 1;
+
+      const [inserted] = await trx('project_versions')
+        .insert({
+          project_id: projectId,
+          version_number: nextNumber,
+          snapshot: JSON.stringify(target.snapshot),
+          prompt_summary: `Restored version ${versionNumber}`,
+          diff_summary: `Restored project files to version ${versionNumber}` +
+            (target.prompt_summary ? ` ("${target.prompt_summary.substring(0, 200)}")` : ''),
+        })
+        .returning('*');
+
+      const project = await trx('projects')
+        .where({ id: projectId })
+        .select('context_md')
+        .first();
+
+      await trx('projects')
+        .where({ id: projectId })
+        .update({
+          context_md: this._withRestoreNote(project?.context_md || '', target, nextNumber),
+          updated_at: trx.fn.now(),
+        });
+
+      return inserted;
+    });
+
+    logger.info('Project version restored', {
+      projectId,
+      restoredFrom: versionNumber,
+      newVersion: newVersion.version_number,
+      fileCount: target.snapshot.length,
+    });
+
+    return {
+      version: this._summarizeVersion(newVersion),
+      restoredFrom: versionNumber,
+      fileCount: target.snapshot.length,
+    };
+  }
+
+  /**
+   * Replace (or append) the restore section of context_md so the next build
+   * session knows later changes were reverted.
+   * @private
+   */
+  _withRestoreNote(contextMd, target, newVersionNumber) {
+    const note = `${RESTORE_SECTION_HEADER}\n` +
+      `Version ${newVersionNumber} restored the project files to version ${target.version_number}` +
+      (target.prompt_summary ? ` ("${target.prompt_summary.substring(0, 200)}")` : '') +
+      '. Changes made after that version were reverted; do not assume they still exist.';
+
+    const idx = contextMd.indexOf(RESTORE_SECTION_HEADER);
+    if (idx === -1) {
+      return contextMd ? `${contextMd.trimEnd()}\n\n${note}` : note;
+    }
+
+    // Drop the previous restore section up to the next heading of the same level
+    const rest = contextMd.substring(idx + RESTORE_SECTION_HEADER.length);
+    const nextHeading = rest.search(/\n## /);
+    const tail = nextHeading === -1 ? '' : `\n\n${rest.substring(nextHeading).replace(/^\n+/, '')}`;
+    return `${contextMd.substring(0, idx)}${note}${tail}`;
+  }
+
+  /**
+   * Whether two snapshot entries hold the same content. Entries for files
+   * not loaded from GitHub carry a blob SHA instead of a checksum.
+   * @private
+   */
+  _sameContent(a, b) {
+    const lazy = (f) => f.content === null && Boolean(f.blob_sha);
+    if (!lazy(a) && !lazy(b)) return a.checksum === b.checksum;
+
+    const blobSha = (f) => (lazy(f) ? f.blob_sha : typeof f.content === 'string' ? gitBlobSha(f.content) : null);
+    return blobSha(a) === blobSha(b);
+  }
+
+  /**
+   * @private
+   */
+  _parseSnapshot(snapshot) {
+    if (typeof snapshot === 'string') {
+      try { return JSON.parse(snapshot); } catch { return []; }
+    }
+    return Array.isArray(snapshot) ? snapshot : [];
+  }
+
+  /**
+   * Version metadata without the (potentially large) snapshot.
+   * @private
+   */
+  _summarizeVersion(version) {
+    return {
+      id: version.id,
+      version_number: version.version_number,
+      prompt_summary: version.prompt_summary,
+      diff_summary: version.diff_summary,
+      git_commit_sha: version.git_commit_sha,
+      created_at: version.created_at,
+    };
+  }
+
+  /**
+   * Count added/removed lines in the hunks of a structured patch. Hunk
+   * lines are prefixed, so content that itself starts with `---` or `+++`
+   * is counted like any other line.
+   * @private
+   */
+  _countChanges(patch) {
+    let additions = 0;
+    let deletions = 0;
+    for (const hunk of patch.hunks) {
+      for (const line of hunk.lines) {
+        if (line[0] === '+') additions++;
+        else if (line[0] === '-') deletions++;
+      }
+    }
+    return { additions, deletions };
+  }
+}
+
+// Singleton instance
+const versionService = new VersionService();
+
+module.exports = versionService;
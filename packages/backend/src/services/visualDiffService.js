@@ -0,0 +1,320 @@
+/**
+ * Visual Diff Service
+ *
+ * Visual regression checks between project versions. After a deployment,
+ * the app's routes are screenshotted (desktop and mobile) and compared with
+ * the last version that was captured. Diff images are stored against
+ * project_versions, and large changes on pages the version's file changes
+ * did not touch are flagged in the assistant's reply for that version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const screenshotService = require('./screenshotService');
+const attachmentService = require('./attachmentService');
+const versionService = require('./versionService');
+const { extractRoutes, fileMatchesRoute, comparePngs } = require('../utils/visualDiff');
+
+const DIFFS_DIR = path.resolve(__dirname, '../../../../uploads/visual-diffs');
+
+const VIEWPORTS = {
+  desktop: (url) => screenshotService.captureFullPage(url, { waitMs: 1500 }),
+  mobile: (url) => screenshotService.captureMobileView(url, { waitMs: 1500 }),
+};
+
+class VisualDiffService {
+  /**
+   * Screenshot a successful deployment and diff it against the previous
+   * captured version. Never throws: a failed capture must not fail the
+   * deployment.
+   *
+   * @param {Object} params
+   * @param {string} params.projectId
+   * @param {string} params.deploymentId
+   * @param {string} params.versionId - project_versions row that was deployed
+   * @param {string} params.url - Public URL of the deployment
+   * @returns {Promise<Object|null>} `{ versionNumber, baseVersionNumber, diffs, flagged }`, or null if skipped
+   */
+  async captureDeployment({ projectId, deploymentId, versionId, url }) {
+    if (!config.visualDiffEnabled || !versionId || !url) return null;
+
+    try {
+      const version = await db('project_versions')
+        .where({ id: versionId })
+        .select('id', 'version_number')
+        .first();
+      if (!version) return null;
+
+      const captured = await db('visual_snapshots')
+        .where({ version_id: version.id })
+        .whereNotNull('storage_url')
+        .first();
+      if (captured) {
+        logger.info('Version already captured, skipping visual diff', { projectId, versionNumber: version.version_number });
+        return null;
+      }
+
+      const base = await this._getBaseVersion(projectId, version.version_number);
+      const baseSnapshots = base ? await db('visual_snapshots').where({ version_id: base.id }).whereNotNull('storage_url') : [];
+
+      const routes = await this._getRoutes(projectId, baseSnapshots);
+      const snapshots = await this._captureRoutes({ projectId, deploymentId, versionId: version.id, url, routes });
+
+      if (!base) {
+        logger.info('Captured visual baseline', { projectId, versionNumber: version.version_number, routes });
+        return { versionNumber: version.version_number, baseVersionNumber: null, diffs: [], flagged: [] };
+      }
+
+      const changedFiles = await this._getChangedFiles(projectId, base.version_number, version.version_number);
+      const diffs = await this._diffSnapshots({ projectId, version, base, baseSnapshots, snapshots, changedFiles });
+      const flagged = diffs.filter((d) => d.significant && !d.expected);
+
+      if (flagged.length > 0) {
+        await this._flagInReply(projectId, version.version_number, base.version_number, flagged);
+      }
+
+      logger.info('Visual diff completed', {
+        projectId,
+        versionNumber: version.version_number,
+        baseVersionNumber: base.version_number,
+        compared: diffs.length,
+        significant: diffs.filter((d) => d.significant).length,
+        flagged: flagged.length,
+      });
+
+      return { versionNumber: version.version_number, baseVersionNumber: base.version_number, diffs, flagged };
+    } catch (err) {
+      logger.error('Visual diff failed', { projectId, deploymentId, error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Visual diffs stored for a version, by route then viewport.
+   *
+   * @param {string} projectId
+   * @param {number} versionNumber
+   * @returns {Promise<{version_number: number, base_version_number: number|null, diffs: Array}>}
+   */
+  async getVersionDiffs(projectId, versionNumber) {
+    const version = await db('project_versions')
+      .where({ project_id: projectId, version_number: versionNumber })
+      .select('id', 'version_number')
+      .first();
+
+    if (!version) {
+      const err = new Error(`Version ${versionNumber} not found`);
+      err.statusCode = 404;
+      throw err;
+    }
+
+    const diffs = await db('visual_diffs as d')
+      .leftJoin('project_versions as b', 'b.id', 'd.base_version_id')
+      .where('d.version_id', version.id)
+      .select('d.*', 'b.version_number as base_version_number')
+      .orderBy([{ column: 'd.route' }, { column: 'd.viewport' }]);
+
+    return {
+      version_number: version.version_number,
+      base_version_number: diffs[0]?.base_version_number ?? null,
+      diffs: diffs.map((d) => ({ ...d, diff_ratio: Number(d.diff_ratio) })),
+    };
+  }
+
+  /**
+   * Latest earlier version with at least one successful screenshot.
+   * @private
+   */
+  async _getBaseVersion(projectId, versionNumber) {
+    return db('project_versions as v')
+      .join('visual_snapshots as s', 's.version_id', 'v.id')
+      .where('v.project_id', projectId)
+      .where('v.version_number', '<', versionNumber)
+      .whereNotNull('s.storage_url')
+      .orderBy('v.version_number', 'desc')
+      .first('v.id', 'v.version_number');
+  }
+
+  /**
+   * The baseline's routes first, so the same pages are compared, then any
+   * routes the app now declares, up to config.visualDiffMaxRoutes.
+   * @private
+   */
+  async _getRoutes(projectId, baseSnapshots) {
+    const files = await db('project_files')
+      .where({ project_id: projectId })
+      .select('file_path as path', 'content');
+
+    const routes = new Set(baseSnapshots.map((s) => s.route));
+    for (const route of extractRoutes(files, config.visualDiffMaxRoutes)) routes.add(route);
+    return [...routes].slice(0, config.visualDiffMaxRoutes);
+  }
+
+  /**
+   * Screenshot every route at every viewport, recording failures as rows
+   * without a storage_url.
+   * @private
+   */
+  async _captureRoutes({ projectId, deploymentId, versionId, url, routes }) {
+    const baseUrl = url.replace(/\/+$/, '');
+    const snapshots = [];
+
+    for (const route of routes) {
+      for (const [viewport, capture] of Object.entries(VIEWPORTS)) {
+        const row = { project_id: projectId, version_id: versionId, deployment_id: deploymentId, route, viewport };
+
+        try {
+          const shot = await capture(`${baseUrl}${route}`);
+          Object.assign(row, { storage_url: shot.storageUrl, width: shot.width, height: shot.height });
+        } catch (err) {
+          logger.warn('Visual snapshot failed', { projectId, route, viewport, error: err.message });
+          row.error_message = err.message.slice(0, 1000);
+        }
+
+        const [inserted] = await db('visual_snapshots').insert(row).returning('*');
+        snapshots.push(inserted);
+      }
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Paths added, removed or modified between two versions.
+   * @private
+   */
+  async _getChangedFiles(projectId, fromNumber, toNumber) {
+    const [from, to] = await Promise.all([
+      versionService.getVersion(projectId, fromNumber),
+      versionService.getVersion(projectId, toNumber),
+    ]);
+    if (!from || !to) return [];
+
+    const before = new Map(from.snapshot.map((f) => [f.path, f.checksum]));
+    const after = new Map(to.snapshot.map((f) => [f.path, f.checksum]));
+    return [...new Set([...before.keys(), ...after.keys()])].filter((p) => before.get(p) !== after.get(p));
+  }
+
+  /**
+   * Compare each new snapshot with the baseline's for the same route and
+   * viewport, writing diff images and visual_diffs rows.
+   * @private
+   */
+  async _diffSnapshots({ projectId, version, base, baseSnapshots, snapshots, changedFiles }) {
+    const baseByKey = new Map(baseSnapshots.map((s) => [`${s.route} ${s.viewport}`, s]));
+    const diffs = [];
+
+    for (const snapshot of snapshots) {
+      const before = baseByKey.get(`${snapshot.route} ${snapshot.viewport}`);
+      if (!snapshot.storage_url || !before) continue;
+
+      const beforePath = attachmentService.resolveStoragePath(before.storage_url);
+      const afterPath = attachmentService.resolveStoragePath(snapshot.storage_url);
+      if (!beforePath || !afterPath) continue;
+
+      let result;
+      try {
+        const [beforePng, afterPng] = await Promise.all([
+          fs.promises.readFile(beforePath),
+          fs.promises.readFile(afterPath),
+        ]);
+        result = comparePngs(beforePng, afterPng, { threshold: config.visualDiffThreshold });
+      } catch (err) {
+        logger.warn('Could not compare screenshots', { projectId, route: snapshot.route, viewport: snapshot.viewport, error: err.message });
+        continue;
+      }
+
+      const diffUrl = result.changedPixels > 0 ? await this._writeDiffImage(result.diffPng) : null;
+
+      const [row] = await db('visual_diffs')
+        .insert({
+          project_id: projectId,
+          version_id: version.id,
+          base_version_id: base.id,
+          route: snapshot.route,
+          viewport: snapshot.viewport,
+          before_url: before.storage_url,
+          after_url: snapshot.storage_url,
+          diff_url: diffUrl,
+          changed_pixels: result.changedPixels,
+          total_pixels: result.totalPixels,
+          diff_ratio: Number(result.ratio.toFixed(6)),
+          significant: result.ratio >= config.visualDiffSignificantRatio,
+          expected: changedFiles.some((file) => fileMatchesRoute(snapshot.route, file)),
+        })
+        .returning('*');
+
+      diffs.push({ ...row, diff_ratio: Number(row.diff_ratio) });
+    }
+
+    return diffs;
+  }
+
+  /** @private */
+  async _writeDiffImage(png) {
+    await fs.promises.mkdir(DIFFS_DIR, { recursive: true });
+    const filename = `${uuidv4()}-diff.png`;
+    await fs.promises.writeFile(path.join(DIFFS_DIR, filename), png);
+    return `/uploads/visual-diffs/${filename}`;
+  }
+
+  /**
+   * Append a warning to the assistant message that produced the version, or
+   * post one if there is none (e.g. a restored version).
+   * @private
+   */
+  async _flagInReply(projectId, versionNumber, baseVersionNumber, flagged) {
+    const lines = flagged.map((d) => `- \`${d.route}\` (${d.viewport}): ${(d.diff_ratio * 100).toFixed(1)}% of the page changed`);
+    const note = `**Unexpected visual changes since v${baseVersionNumber}.** These pages changed although none of their files were edited:\n\n` +
+      `${lines.join('\n')}\n\nCompare the screenshots in the History tab, and tell me if something looks wrong.`;
+    const visualDiff = {
+      versionNumber,
+      baseVersionNumber,
+      flagged: flagged.map((d) => ({ route: d.route, viewport: d.viewport, ratio: d.diff_ratio, diffUrl: d.diff_url })),
+    };
+
+    const reply = await db('messages as m')
+      .join('conversations as c', 'c.id', 'm.conversation_id')
+      .where('c.project_id', projectId)
+      .where('m.role', 'assistant')
+      .whereRaw("m.metadata->>'versionNumber' = ?", [String(versionNumber)])
+      .orderBy('m.created_at', 'desc')
+      .first('m.id', 'm.content', 'm.metadata');
+
+    if (reply) {
+      const metadata = typeof reply.metadata === 'string' ? JSON.parse(reply.metadata) : reply.metadata || {};
+      await db('messages')
+        .where({ id: reply.id })
+        .update({
+          content: `${reply.content}\n\n${note}`,
+          metadata: JSON.stringify({ ...metadata, visualDiff }),
+        });
+      return;
+    }
+
+    const conversation = await db('conversations')
+      .where({ project_id: projectId })
+      .orderBy('updated_at', 'desc')
+      .first('id');
+    if (!conversation) return;
+
+    await db('messages').insert({
+      conversation_id: conversation.id,
+      role: 'assistant',
+      content: note,
+      metadata: JSON.stringify({ type: 'visual_diff', visualDiff }),
+    });
+    await db('conversations')
+      .where({ id: conversation.id })
+      .increment('message_count', 1);
+  }
+}
+
+// Singleton instance
+const visualDiffService = new VisualDiffService();
+
+module.exports = visualDiffService;
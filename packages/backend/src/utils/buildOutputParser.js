@@ -0,0 +1,285 @@
+/**
+ * Turn raw install/build/test/boot output into the `{file, line, message, type}`
+ * errors that codeGeneratorService.fixCodeErrors consumes.
+ *
+ * Recognises the location formats emitted by the tools generated apps use:
+ *   src/App.tsx(12,5): error TS2322: ...          (tsc, pretty=false)
+ *   src/App.tsx:12:5 - error TS2322: ...          (tsc, pretty)
+ *   /tmp/x/src/App.jsx:12:4: ERROR: Expected ...  (esbuild / vite)
+ *   at Object.<anonymous> (/tmp/x/server.js:10:5) (node stack traces)
+ *   Could not resolve "./Foo" from "src/App.jsx"  (rollup)
+ */
+
+const { builtinModules } = require('module');
+
+const MAX_ERRORS = 20;
+const MAX_MESSAGE_LENGTH = 500;
+const TAIL_LINES = 15;
+const MAX_TAIL_CHARS = 2000;
+
+// eslint-disable-next-line no-control-regex
+const ANSI_PATTERN = /\u001b\[[0-9;]*[A-Za-z]/g;
+
+const SOURCE_EXT = '(?:[cm]?[jt]sx?|json|css|scss|vue|svelte|html)';
+
+// path:line[:col] or path(line,col)
+const LOCATION_PATTERN = new RegExp(
+  `([\\w@.\\/\\\\-]+\\.${SOURCE_EXT})(?::(\\d+)(?::(\\d+))?|\\((\\d+),(\\d+)\\))`,
+  'g'
+);
+
+// Messages that name a file without a line number
+const FILE_REFERENCE_PATTERNS = [
+  /Could not resolve ["']([^"']+)["'] from ["']([^"']+)["']/,
+  /failed to resolve import ["']([^"']+)["'] from ["']([^"']+)["']/i,
+];
+
+const STACK_FRAME_PATTERN = /^\s*at\s/;
+
+// Deploy failures that logs describe without pointing at a project file
+const MISSING_MODULE_PATTERNS = [
+  /Cannot find (?:module|package) ['"]([^'"]+)['"]/,
+  /Module not found: .*Can't resolve ['"]([^'"]+)['"]/,
+  /npm ERR! 404\s+['"](@?[^@\s'"]+)/,
+];
+const PORT_PATTERN = /EADDRINUSE|address already in use|Application failed to respond|failed to bind|no open ports? (?:was |were )?detected/i;
+const SYNTAX_PATTERN = /SyntaxError\b|Unexpected token|Expected ".*" but found/;
+
+// WORKDIR of the Dockerfiles dockerfileGenerator writes
+const CONTAINER_ROOT = '/app';
+
+// Files a server app boots from, in order of preference
+const SERVER_ENTRY_FILES = [
+  'server.js', 'server.ts', 'index.js', 'app.js',
+  'src/server.js', 'src/server.ts', 'src/index.js', 'src/index.ts', 'src/app.js',
+  'main.py', 'app.py',
+];
+
+/**
+ * Parse tool output into fixable errors.
+ *
+ * @param {string} output - Combined stdout/stderr of the failed command
+ * @param {Object} options
+ * @param {string} options.type - Error type to tag results with (e.g. 'build', 'test')
+ * @param {string} [options.rootDir] - Absolute directory the project was written to; stripped from paths
+ * @param {Set<string>|Array<string>} [options.knownFiles] - Project file paths; locations outside it are ignored
+ * @param {string} [options.fallbackFile='package.json'] - File to blame when nothing in the output points at a file
+ * @returns {Array<{file: string, line: number|null, column?: number, message: string, type: string}>}
+ */
+function parseBuildOutput(output, options) {
+  const { type, rootDir, fallbackFile = 'package.json' } = options;
+  const knownFiles = options.knownFiles ? new Set(options.knownFiles) : null;
+
+  const lines = stripAnsi(output || '').split(/\r?\n/);
+  const errors = [];
+  const seen = new Set();
+
+  const add = (error) => {
+    const key = `${error.file}:${error.line}:${error.message}`;
+    if (seen.has(key) || errors.length >= MAX_ERRORS) return;
+    seen.add(key);
+    errors.push(error);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    for (const pattern of FILE_REFERENCE_PATTERNS) {
+      const match = line.match(pattern);
+      if (!match) continue;
+      const file = normalizePath(match[2], rootDir, knownFiles);
+      if (file) add({ file, line: null, message: truncate(line.trim()), type });
+    }
+
+    LOCATION_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = LOCATION_PATTERN.exec(line)) !== null) {
+      const file = normalizePath(match[1], rootDir, knownFiles);
+      if (!file) continue;
+
+      const lineNo = parseInt(match[2] || match[4], 10);
+      const column = parseInt(match[3] || match[5], 10);
+      const isStackFrame = STACK_FRAME_PATTERN.test(line);
+
+      const error = {
+        file,
+        line: lineNo,
+        message: truncate(isStackFrame ? findStackMessage(lines, i) : describeLocation(lines, i, match)),
+        type,
+      };
+      if (!Number.isNaN(column)) error.column = column;
+      add(error);
+
+      // Only the innermost project frame of a stack trace is interesting
+      if (isStackFrame) {
+        while (i + 1 < lines.length && STACK_FRAME_PATTERN.test(lines[i + 1])) i++;
+      }
+    }
+  }
+
+  if (errors.length === 0) {
+    errors.push({ file: fallbackFile, line: null, message: tail(lines), type });
+  }
+
+  return errors;
+}
+
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '');
+}
+
+/**
+ * Map a path from tool output to a project-relative path, or null when it
+ * is outside the project (node_modules, node internals, unknown files).
+ */
+function normalizePath(rawPath, rootDir, knownFiles) {
+  let p = rawPath.replace(/\\/g, '/');
+
+  if (rootDir) {
+    const root = rootDir.replace(/\\/g, '/').replace(/\/$/, '');
+    const idx = p.indexOf(`${root}/`);
+    if (idx !== -1) p = p.slice(idx + root.length + 1);
+  }
+
+  p = p.replace(/^\.\//, '').replace(/^\/+/, '');
+  if (!p || p.split('/').includes('node_modules')) return null;
+  if (knownFiles && !knownFiles.has(p)) return null;
+  return p;
+}
+
+/**
+ * Message for a `path:line` location: the rest of the line when it carries
+ * one (tsc, esbuild), otherwise the next non-empty line (vite, Next.js).
+ */
+function describeLocation(lines, index, match) {
+  const line = lines[index];
+  const rest = line.slice(match.index + match[0].length).replace(/^[\s:\-–]+/, '').trim();
+  if (rest) return rest;
+
+  const before = line.slice(0, match.index).replace(/[\s:[\]]+$/, '').trim();
+  const following = lines
+    .slice(index + 1, index + 5)
+    .map((l) => l.trim())
+    .filter((l) => l && !/^\d+\s*\|/.test(l) && !/^[|^~\s]+$/.test(l));
+  // Node prints the offending source line before the error itself
+  const next = following.find(isErrorLine) || following[0];
+  if (next) return before ? `${before}: ${next}` : next;
+  return before || line.trim();
+}
+
+/**
+ * Message for a stack frame: the nearest preceding line that looks like an
+ * error (`TypeError: ...`, `Error: Cannot find module ...`).
+ */
+function findStackMessage(lines, index) {
+  for (let j = index - 1; j >= Math.max(0, index - 10); j--) {
+    const text = lines[j].trim();
+    if (!text || STACK_FRAME_PATTERN.test(lines[j])) continue;
+    if (isErrorLine(text)) return text;
+  }
+  return lines[index].trim();
+}
+
+function isErrorLine(text) {
+  return /(?:Error|Exception)\b.*:/.test(text) || /^\w*Error\b/.test(text);
+}
+
+function truncate(text) {
+  return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}...` : text;
+}
+
+function tail(lines) {
+  const text = lines.filter((l) => l.trim()).slice(-TAIL_LINES).join('\n');
+  return text.length > MAX_TAIL_CHARS ? text.slice(-MAX_TAIL_CHARS) : text || 'Command failed with no output';
+}
+
+/**
+ * Parse Railway build and boot logs from a failed deployment into fixable
+ * errors. On top of parseBuildOutput's located errors, recognises missing
+ * dependencies (blamed on package.json) and apps that do not listen on the
+ * port Railway assigns (blamed on the server entry file). Each error gets a
+ * `kind`: missing_module, syntax, port or other.
+ *
+ * @param {string} output - Build logs followed by deployment logs
+ * @param {Object} [options]
+ * @param {Set<string>|Array<string>} [options.knownFiles] - Project file paths
+ * @returns {Array<{file: string, line: number|null, message: string, type: 'deploy', kind: string}>}
+ */
+function parseDeployLogs(output, { knownFiles } = {}) {
+  const files = knownFiles ? new Set(knownFiles) : null;
+  const lines = stripAnsi(output || '').split(/\r?\n/);
+  const errors = [];
+
+  const located = parseBuildOutput(output, { type: 'deploy', rootDir: CONTAINER_ROOT, knownFiles: files, fallbackFile: null })
+    .filter((e) => e.file);
+  for (const error of located) {
+    errors.push({ ...error, kind: classifyDeployError(error.message) });
+  }
+
+  const missing = new Set();
+  for (const line of lines) {
+    for (const pattern of MISSING_MODULE_PATTERNS) {
+      const match = line.match(pattern);
+      const pkg = match && packageName(match[1]);
+      if (!pkg || missing.has(pkg)) continue;
+      missing.add(pkg);
+      errors.push({
+        file: 'package.json',
+        line: null,
+        message: truncate(`Missing dependency "${pkg}" (${line.trim()}). Add it to package.json dependencies.`),
+        type: 'deploy',
+        kind: 'missing_module',
+      });
+    }
+  }
+
+  const portLine = lines.find((l) => PORT_PATTERN.test(l));
+  if (portLine) {
+    errors.push({
+      file: serverEntryFile(files),
+      line: null,
+      message: truncate(`The app is not reachable on the port Railway assigns (${portLine.trim()}). `
+        + 'It must listen on process.env.PORT and bind to 0.0.0.0.'),
+      type: 'deploy',
+      kind: 'port',
+    });
+  }
+
+  if (errors.length === 0) {
+    errors.push({ file: serverEntryFile(files), line: null, message: tail(lines), type: 'deploy', kind: 'other' });
+  }
+
+  return errors.slice(0, MAX_ERRORS);
+}
+
+function classifyDeployError(message) {
+  if (MISSING_MODULE_PATTERNS.some((p) => p.test(message)) || FILE_REFERENCE_PATTERNS.some((p) => p.test(message))) {
+    return 'missing_module';
+  }
+  if (SYNTAX_PATTERN.test(message)) return 'syntax';
+  if (PORT_PATTERN.test(message)) return 'port';
+  return 'other';
+}
+
+/**
+ * npm package a bare import specifier belongs to, or null for relative
+ * paths and node builtins (those are code errors, not missing dependencies).
+ */
+function packageName(specifier) {
+  if (!specifier || /^[./]/.test(specifier) || specifier.startsWith('node:')) return null;
+  const parts = specifier.split('/');
+  const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  return builtinModules.includes(name) ? null : name;
+}
+
+function serverEntryFile(knownFiles) {
+  if (!knownFiles) return 'package.json';
+  return SERVER_ENTRY_FILES.find((f) => knownFiles.has(f))
+    || (knownFiles.has('Dockerfile') ? 'Dockerfile' : 'package.json');
+}
+
+module.exports = {
+  parseBuildOutput,
+  parseDeployLogs,
+  stripAnsi,
+};
@@ -4,6 +4,19 @@ function generateContentHash(content) {
   return crypto.createHash('sha256').update(content).digest('hex');
 }
 
+/**
+ * The SHA git gives a blob with this content, to compare project files
+ * against GitHub trees without downloading them.
+ */
+function gitBlobSha(content) {
+  const body = Buffer.from(content, 'utf8');
+  return crypto
+    .createHash('sha1')
+    .update(`blob ${body.length}\0`)
+    .update(body)
+    .digest('hex');
+}
+
 function generateCacheKey(prefix, content) {
   const hash = generateContentHash(content);
   return `v1:${prefix}:${hash}`;
@@ -19,6 +32,7 @@ function projectCacheKey(projectId) {
 
 module.exports = {
   generateContentHash,
+  gitBlobSha,
   generateCacheKey,
   llmCacheKey,
   projectCacheKey,
@@ -5,35 +5,66 @@ const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16;
 const AUTH_TAG_LENGTH = 16;
 
-function getKey() {
-  const key = config.secretsEncryptionKey;
-  if (!key) {
-    throw new Error('SECRETS_ENCRYPTION_KEY is not set');
+// Values written before key versioning carry no prefix and used key 1
+const LEGACY_KEY_VERSION = 1;
+
+function currentKeyVersion() {
+  return config.secretsEncryptionKeyVersion || LEGACY_KEY_VERSION;
+}
+
+function getKey(version = currentKeyVersion()) {
+  if (version === currentKeyVersion()) {
+    const key = config.secretsEncryptionKey;
+    if (!key) {
+      throw new Error('SECRETS_ENCRYPTION_KEY is not set');
+    }
+    // Accept hex-encoded 32-byte key
+    return Buffer.from(key, 'hex');
+  }
+
+  // Retired keys, as "version:hexkey" pairs
+  for (const pair of (config.secretsPreviousKeys || '').split(',')) {
+    const [v, key] = pair.trim().split(':');
+    if (key && parseInt(v, 10) === version) {
+      return Buffer.from(key, 'hex');
+    }
   }
-  // Accept hex-encoded 32-byte key
-  return Buffer.from(key, 'hex');
+  throw new Error(`No encryption key for version ${version} (set SECRETS_PREVIOUS_KEYS)`);
+}
+
+/**
+ * Version of the key a value was encrypted with.
+ * @param {string} encryptedText
+ * @returns {number}
+ */
+function keyVersion(encryptedText) {
+  const match = /^v(\d+):/.exec(encryptedText);
+  return match ? parseInt(match[1], 10) : LEGACY_KEY_VERSION;
 }
 
 function encrypt(plaintext) {
-  const key = getKey();
+  const version = currentKeyVersion();
+  const key = getKey(version);
   const iv = crypto.randomBytes(IV_LENGTH);
-  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
 
   let encrypted = cipher.update(plaintext, 'utf8', 'hex');
   encrypted += cipher.final('hex');
   const authTag = cipher.getAuthTag();
 
-  // iv:authTag:ciphertext
-  return `${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+  // vN:iv:authTag:ciphertext
+  return `v${version}:${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
 }
 
 function decrypt(encryptedText) {
-  const key = getKey();
-  const [ivHex, authTagHex, ciphertext] = encryptedText.split(':');
+  const parts = encryptedText.split(':');
+  const version = keyVersion(encryptedText);
+  const [ivHex, authTagHex, ciphertext] = parts.length === 4 ? parts.slice(1) : parts;
+  const key = getKey(version);
 
   const iv = Buffer.from(ivHex, 'hex');
   const authTag = Buffer.from(authTagHex, 'hex');
-  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
   decipher.setAuthTag(authTag);
 
   let decrypted = decipher.update(ciphertext, 'hex', 'utf8');
@@ -41,4 +72,17 @@ function decrypt(encryptedText) {
   return decrypted;
 }
 
-module.exports = { encrypt, decrypt };
+/**
+ * Re-encrypt a value with the current key. Values already on it are
+ * returned unchanged.
+ * @param {string} encryptedText
+ * @returns {string}
+ */
+function reencrypt(encryptedText) {
+  if (keyVersion(encryptedText) === currentKeyVersion() && encryptedText.startsWith('v')) {
+    return encryptedText;
+  }
+  return encrypt(decrypt(encryptedText));
+}
+
+module.exports = { encrypt, decrypt, reencrypt, keyVersion, currentKeyVersion };
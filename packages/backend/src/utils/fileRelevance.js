@@ -0,0 +1,233 @@
+/**
+ * Rank project files by how relevant they are to a user's request, for
+ * packing into a limited context window (see services/contextBuilder).
+ *
+ * Signals, strongest first:
+ *   1. Import-graph distance from the files the message mentions (by path,
+ *      file name or component name). Imports and importers both count, so a
+ *      component's parent page is as close as the hooks it uses.
+ *   2. Recent edits: files changed since the project was generated or
+ *      imported, most recent first.
+ *   3. Manifests (package.json) that most changes need to see.
+ *
+ * Imports are found with patterns rather than a parser so that ranking a
+ * large repo stays cheap and tolerates files that do not parse.
+ */
+
+// import x from 'y', import 'y', export { x } from 'y', require('y'), import('y'), CSS @import
+const IMPORT_PATTERNS = [
+  /\bimport\s+(?:[\w*{}\s,$]+?\s+from\s+)?['"]([^'"\n]+)['"]/g,
+  /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s+from\s+['"]([^'"\n]+)['"]/g,
+  /\b(?:require|import)\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g,
+  /@import\s+(?:url\()?['"]([^'"\n]+)['"]/g,
+];
+
+const SCRIPT_OR_STYLE = /\.(?:[cm]?[jt]sx?|vue|svelte|css|scss|sass|less)$/;
+
+// Score by import-graph distance from a mentioned file
+const DISTANCE_SCORES = [100, 60, 35, 20, 10];
+const MAX_DISTANCE = DISTANCE_SCORES.length - 1;
+
+const RECENT_EDIT_LIMIT = 10;
+const RECENT_EDIT_SCORE = 25;
+const MANIFEST_SCORE = 15;
+
+// Stems too common in prose to count as a mention on their own
+const GENERIC_STEMS = new Set([
+  'index', 'main', 'app', 'utils', 'util', 'types', 'style', 'styles', 'config',
+  'test', 'constants', 'helpers', 'readme', 'package', 'server', 'client', 'api',
+]);
+
+// Entry points used as the starting set when the message mentions no file
+const ENTRY_PATTERN = /^(?:src\/)?(?:main|index|App)\.[cm]?[jt]sx?$|^(?:server|app|index)\.[cm]?[jt]s$|^(?:src\/)?app\/(?:page|layout)\.[jt]sx?$|^(?:src\/)?pages\/(?:index|_app)\.[jt]sx?$|^index\.html$/;
+
+/**
+ * Import specifiers referenced by a file's source.
+ *
+ * @param {string} content
+ * @returns {Array<string>}
+ */
+function extractImportSpecifiers(content) {
+  const specifiers = new Set();
+  for (const pattern of IMPORT_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      specifiers.add(match[1]);
+    }
+  }
+  return [...specifiers];
+}
+
+/**
+ * Undirected import graph over project files.
+ *
+ * @param {Array<{path: string, content: string}>} files
+ * @param {function(string, string): (string|null)} resolve - (fromFile, specifier) => project path
+ * @returns {Map<string, Set<string>>} path → neighbouring paths
+ */
+function buildImportGraph(files, resolve) {
+  const graph = new Map(files.map((f) => [f.path, new Set()]));
+
+  for (const file of files) {
+    if (!SCRIPT_OR_STYLE.test(file.path) || !file.content) continue;
+
+    for (const specifier of extractImportSpecifiers(file.content)) {
+      const target = resolve(file.path, specifier);
+      if (!target || target === file.path || !graph.has(target)) continue;
+      graph.get(file.path).add(target);
+      graph.get(target).add(file.path);
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Files a message refers to by full path, file name, or a component-style
+ * name (`TodoList`, "todo list", `todo-list` all match `TodoList.jsx`).
+ *
+ * @param {string} message
+ * @param {Array<string>} paths
+ * @returns {Array<string>}
+ */
+function findMentionedFiles(message, paths) {
+  if (!message) return [];
+  const lower = message.toLowerCase();
+
+  return paths.filter((filePath) => {
+    const p = filePath.toLowerCase();
+    if (lower.includes(p)) return true;
+
+    const base = p.split('/').pop();
+    if (base.includes('.') && new RegExp(`(^|[^\\w.-])${escapeRegExp(base)}($|[^\\w-])`).test(lower)) return true;
+
+    const stem = filePath.split('/').pop().replace(/\.[^.]+$/, '');
+    if (stem.length < 3 || GENERIC_STEMS.has(stem.toLowerCase())) return false;
+
+    const words = stem
+      .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+      .split(/[\s_.-]+/)
+      .filter(Boolean)
+      .map((w) => escapeRegExp(w.toLowerCase()));
+    return new RegExp(`\\b${words.join('[\\s_-]?')}s?\\b`).test(lower);
+  });
+}
+
+/**
+ * Rank files by relevance to a message, most relevant first.
+ *
+ * @param {Array<{path: string, content: string, updatedAt?: Date|string}>} files
+ * @param {Object} options
+ * @param {string} options.message - The user's request
+ * @param {function(string, string): (string|null)} options.resolve - Import resolver
+ * @returns {Array<{path: string, score: number, distance: number|null, mentioned: boolean, recentRank: number|null}>}
+ */
+function rankFiles(files, { message, resolve }) {
+  const paths = files.map((f) => f.path);
+  const graph = buildImportGraph(files, resolve);
+
+  const mentioned = new Set(findMentionedFiles(message, paths));
+  // Without a mention, start from the entry points one step removed
+  const seeds = mentioned.size > 0 ? [...mentioned] : paths.filter((p) => ENTRY_PATTERN.test(p));
+  const seedDistance = mentioned.size > 0 ? 0 : 1;
+  const distances = bfs(graph, seeds, seedDistance);
+
+  const recentRanks = rankRecentEdits(files);
+  const sizes = new Map(files.map((f) => [f.path, (f.content || '').length]));
+
+  const ranked = paths.map((p) => {
+    const distance = distances.has(p) ? distances.get(p) : null;
+    const recentRank = recentRanks.has(p) ? recentRanks.get(p) : null;
+
+    let score = distance !== null ? DISTANCE_SCORES[distance] : 0;
+    if (recentRank !== null) score += RECENT_EDIT_SCORE * (1 - recentRank / RECENT_EDIT_LIMIT);
+    if (p.split('/').pop() === 'package.json') score += MANIFEST_SCORE;
+
+    return { path: p, score, distance, mentioned: mentioned.has(p), recentRank };
+  });
+
+  return ranked.sort((a, b) => b.score - a.score || sizes.get(a.path) - sizes.get(b.path) || a.path.localeCompare(b.path));
+}
+
+/**
+ * One-line description of a file for when its content does not fit:
+ * size, exported names and its leading comment.
+ *
+ * @param {{path: string, content: string}} file
+ * @returns {string}
+ */
+function summarizeFile(file) {
+  const content = file.content || '';
+  const parts = [`${content.split('\n').length} lines`];
+
+  const exports = new Set();
+  const exportPattern = /\bexport\s+(?:default\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([\w$]+)/g;
+  let match;
+  while ((match = exportPattern.exec(content)) !== null && exports.size < 8) exports.add(match[1]);
+  if (/\bexport\s+default\b/.test(content) && exports.size === 0) exports.add('default');
+  const cjs = content.match(/module\.exports\s*=\s*\{([^}]{0,300})\}/);
+  if (cjs) {
+    for (const name of cjs[1].split(',').map((s) => s.split(':')[0].trim()).filter((s) => /^[\w$]+$/.test(s))) {
+      if (exports.size < 8) exports.add(name);
+    }
+  }
+  if (exports.size > 0) parts.push(`exports ${[...exports].join(', ')}`);
+
+  const comment = content.match(/^\s*(?:\/\*\*?\s*\n?\s*\*?\s*|\/\/\s*|#\s*)([^\n*]{8,})/);
+  if (comment) parts.push(comment[1].trim().slice(0, 100));
+
+  return parts.join(' — ');
+}
+
+function bfs(graph, seeds, startDistance) {
+  const distances = new Map();
+  let frontier = seeds.filter((s) => graph.has(s));
+  for (const seed of frontier) distances.set(seed, startDistance);
+
+  for (let d = startDistance + 1; d <= MAX_DISTANCE && frontier.length > 0; d++) {
+    const next = [];
+    for (const node of frontier) {
+      for (const neighbour of graph.get(node)) {
+        if (distances.has(neighbour)) continue;
+        distances.set(neighbour, d);
+        next.push(neighbour);
+      }
+    }
+    frontier = next;
+  }
+
+  return distances;
+}
+
+/**
+ * Rank files edited after the project's oldest file, most recent first.
+ * When every file has the same timestamp (a fresh import) nothing ranks.
+ */
+function rankRecentEdits(files) {
+  const times = files
+    .filter((f) => f.updatedAt)
+    .map((f) => ({ path: f.path, time: new Date(f.updatedAt).getTime() }))
+    .filter((f) => !Number.isNaN(f.time));
+  if (times.length === 0) return new Map();
+
+  const oldest = Math.min(...times.map((f) => f.time));
+  const edited = times
+    .filter((f) => f.time - oldest > 1000)
+    .sort((a, b) => b.time - a.time)
+    .slice(0, RECENT_EDIT_LIMIT);
+
+  return new Map(edited.map((f, i) => [f.path, i]));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  extractImportSpecifiers,
+  buildImportGraph,
+  findMentionedFiles,
+  rankFiles,
+  summarizeFile,
+};
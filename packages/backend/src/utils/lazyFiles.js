@@ -0,0 +1,116 @@
+/**
+ * Which files of a GitHub repo are stored with their content at import and
+ * which are only recorded (path, blob SHA, size) and fetched when first
+ * read. Binary files are recognised by extension so they are never
+ * downloaded.
+ */
+
+// Files stored with their content at import, by priority
+const MAX_EAGER_FILES = 200;
+// Larger files are fetched on demand
+const MAX_EAGER_SIZE = 100000;
+
+const BINARY_EXTENSIONS = new Set([
+  // Images
+  'png', 'jpg', 'jpeg', 'gif', 'webp', 'avif', 'bmp', 'ico', 'icns', 'tif', 'tiff', 'heic', 'psd',
+  // Fonts
+  'woff', 'woff2', 'ttf', 'otf', 'eot',
+  // Audio and video
+  'mp3', 'mp4', 'm4a', 'wav', 'ogg', 'oga', 'flac', 'webm', 'mov', 'avi', 'mkv',
+  // Archives and documents
+  'zip', 'gz', 'tgz', 'tar', 'rar', '7z', 'bz2', 'xz', 'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx',
+  // Compiled and data files
+  'exe', 'dll', 'so', 'dylib', 'bin', 'class', 'jar', 'wasm', 'pyc', 'o', 'a', 'node', 'sqlite', 'db',
+]);
+
+// Read by the build and the import validator, so always stored when small
+const CONFIG_FILE = /(^|\/)(package\.json|tsconfig[^/]*\.json|jsconfig\.json|pnpm-workspace\.yaml|index\.html|Dockerfile|\.env\.example|(vite|next|tailwind|postcss)\.config\.[cm]?[jt]s)$/;
+
+// Generated or vendored: never worth a place in the LLM's context
+const GENERATED_FILE = /(^|\/)(node_modules|dist|build|vendor|\.next|coverage)\/|\.min\.(js|css)$|\.map$|(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml)$/;
+
+// Generated, but builds install from it
+const LOCKFILE = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml)$/;
+
+/**
+ * Whether a path names a binary file.
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isBinaryPath(path) {
+  const name = path.split('/').pop();
+  const dot = name.lastIndexOf('.');
+  return dot > 0 && BINARY_EXTENSIONS.has(name.slice(dot + 1).toLowerCase());
+}
+
+/**
+ * Whether a build or deploy needs a file: binary files can't be fetched
+ * and generated or vendored ones are rebuilt, except lockfiles.
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isBuildInput(path) {
+  return !isBinaryPath(path) && (!GENERATED_FILE.test(path) || LOCKFILE.test(path));
+}
+
+/**
+ * Import priority of a path, lower first. Frontend files come first so
+ * monorepos don't fill the eager budget with backend scripts.
+ * @param {string} path
+ * @returns {number}
+ */
+function importPriority(path) {
+  const p = path.toLowerCase();
+  if (GENERATED_FILE.test(p)) return 5;
+  // Frontend dirs first
+  if (/\/(src|pages|components|hooks|app)\//i.test(p)) return 0;
+  if (/(front|client|web|ui)\//i.test(p)) return 1;
+  // Key config files
+  if (/package\.json$/.test(p) || /index\.html$/.test(p)) return 2;
+  if (/\.(jsx|tsx)$/.test(p)) return 3;
+  // Everything else
+  return 4;
+}
+
+/**
+ * Split a repo tree into files stored now and files fetched on demand.
+ * Small config files and the highest-priority small text files are eager;
+ * everything else, including every binary file, is lazy.
+ *
+ * @param {Array<{path: string, sha: string, size: number}>} blobs - Tree entries of type blob
+ * @param {Object} [options]
+ * @param {number} [options.maxEagerFiles]
+ * @param {number} [options.maxEagerSize]
+ * @returns {{eager: Array<{path: string, sha: string, size: number}>, lazy: Array<{path: string, sha: string, size: number, binary: boolean}>}}
+ */
+function planImport(blobs, { maxEagerFiles = MAX_EAGER_FILES, maxEagerSize = MAX_EAGER_SIZE } = {}) {
+  const eager = [];
+  const lazy = [];
+  const candidates = [];
+
+  for (const blob of blobs) {
+    const binary = isBinaryPath(blob.path);
+    if (binary || blob.size > maxEagerSize || GENERATED_FILE.test(blob.path)) {
+      lazy.push({ ...blob, binary });
+    } else if (CONFIG_FILE.test(blob.path)) {
+      eager.push(blob);
+    } else {
+      candidates.push(blob);
+    }
+  }
+
+  const ranked = [...candidates].sort((a, b) => importPriority(a.path) - importPriority(b.path));
+  const room = Math.max(0, maxEagerFiles - eager.length);
+  eager.push(...ranked.slice(0, room));
+  lazy.push(...ranked.slice(room).map((blob) => ({ ...blob, binary: false })));
+
+  return { eager, lazy };
+}
+
+module.exports = {
+  MAX_EAGER_SIZE,
+  isBinaryPath,
+  isBuildInput,
+  importPriority,
+  planImport,
+};
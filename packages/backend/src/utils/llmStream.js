@@ -0,0 +1,178 @@
+/**
+ * Streaming helpers shared by llmRouter and the LLM provider services.
+ *
+ * A stream channel carries deltas from whichever provider attempt is
+ * currently running to the caller's `onDelta` callback:
+ *
+ *   { type: 'reset' }                        an attempt began or failed; discard uncommitted output
+ *   { type: 'text', text }                   assistant text
+ *   { type: 'tool_call', id, name }          the model started a tool call
+ *   { type: 'end', provider, fallbackUsed }  the call succeeded; its output is final
+ *
+ * Every retry and fallback begins a new attempt, so partial output from a
+ * stream that fails mid-way is discarded rather than spliced together with
+ * the next attempt's. Events from a superseded attempt (e.g. one the circuit
+ * breaker already timed out) are dropped.
+ */
+
+const logger = require('../config/logger');
+
+/**
+ * @param {function} onDelta - Receives each delta
+ * @returns {{begin: function(): function, end: function(Object=): void, fail: function(): void}}
+ */
+function createStreamChannel(onDelta) {
+  let current = 0;
+
+  const send = (delta) => {
+    try {
+      onDelta(delta);
+    } catch (err) {
+      // A broken consumer must not fail the generation
+      logger.warn('Stream delta callback failed', { error: err.message });
+    }
+  };
+
+  return {
+    /**
+     * Start a new attempt. Returns its emit function; `emit.superseded()`
+     * reports whether a newer attempt (or the end of the call) replaced it.
+     */
+    begin() {
+      const id = ++current;
+      send({ type: 'reset' });
+      const emit = (delta) => {
+        if (id === current) send(delta);
+      };
+      emit.superseded = () => id !== current;
+      return emit;
+    },
+
+    end(meta = {}) {
+      current++;
+      send({ type: 'end', ...meta });
+    },
+
+    fail() {
+      current++;
+      send({ type: 'reset' });
+    },
+  };
+}
+
+/**
+ * Replay a cached completion on a channel as a single text delta.
+ */
+function replayContent(stream, content) {
+  const emit = stream.begin();
+  if (content) emit({ type: 'text', text: content });
+}
+
+/**
+ * Parse a server-sent events body into JSON payloads, stopping at `[DONE]`.
+ *
+ * @param {AsyncIterable<Buffer|string>} readable
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* parseSseStream(readable) {
+  let buffer = '';
+
+  for await (const chunk of readable) {
+    buffer += chunk.toString();
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+
+      try {
+        yield JSON.parse(data);
+      } catch {
+        throw new Error(`Malformed stream chunk: ${data.slice(0, 100)}`);
+      }
+    }
+  }
+}
+
+/**
+ * Consume OpenAI-format chat completion chunks, emitting deltas, and
+ * assemble them into the shape of a non-streamed completion response so
+ * the providers' existing normalization applies unchanged.
+ *
+ * @param {AsyncIterable<Object>} chunks
+ * @param {function} emit - Attempt emit function from `createStreamChannel().begin()`
+ * @returns {Promise<{choices: Array, usage: Object}>}
+ */
+async function collectChatCompletion(chunks, emit) {
+  let role = 'assistant';
+  let content = '';
+  let finishReason = null;
+  let usage = {};
+  const toolCalls = [];
+
+  for await (const chunk of chunks) {
+    if (emit.superseded()) {
+      throw new Error('Stream superseded by a newer attempt');
+    }
+    if (chunk.error) {
+      throw new Error(chunk.error.message || 'Stream returned an error');
+    }
+    if (chunk.usage) usage = chunk.usage;
+
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+
+    const delta = choice.delta || {};
+    if (delta.role) role = delta.role;
+
+    if (delta.content) {
+      content += delta.content;
+      emit({ type: 'text', text: delta.content });
+    }
+
+    for (const tc of delta.tool_calls || []) {
+      const index = tc.index ?? toolCalls.length;
+      if (!toolCalls[index]) {
+        toolCalls[index] = { id: tc.id, type: 'function', function: { name: '', arguments: '' }, announced: false };
+      }
+
+      const call = toolCalls[index];
+      if (tc.id) call.id = tc.id;
+      if (tc.function?.name) call.function.name = tc.function.name;
+      if (tc.function?.arguments) call.function.arguments += tc.function.arguments;
+
+      if (!call.announced && call.function.name) {
+        call.announced = true;
+        emit({ type: 'tool_call', id: call.id, name: call.function.name });
+      }
+    }
+
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  }
+
+  const message = { role, content };
+  const completedCalls = toolCalls.filter(Boolean);
+  if (completedCalls.length > 0) {
+    message.tool_calls = completedCalls.map(({ id, type, function: fn }) => ({
+      id,
+      type,
+      function: { name: fn.name, arguments: fn.arguments || '{}' },
+    }));
+  }
+
+  return {
+    choices: [{ message, finish_reason: finishReason }],
+    usage,
+  };
+}
+
+module.exports = {
+  createStreamChannel,
+  replayContent,
+  parseSseStream,
+  collectChatCompletion,
+};
@@ -0,0 +1,151 @@
+/**
+ * What pulling a GitHub branch does to an Imagia project: a three-way
+ * comparison of each path between the merge base, the project files
+ * (ours) and the branch head (theirs), using git blob SHAs so files whose
+ * content was never loaded are compared without fetching them.
+ *
+ * Every path of an imported repo has a project_files row, so a path that
+ * is in the merge base but has no row was deleted in Imagia.
+ */
+
+const { gitBlobSha } = require('./contentHash');
+const { mergeText } = require('./threeWayMerge');
+const { isBinaryPath, MAX_EAGER_SIZE } = require('./lazyFiles');
+
+/**
+ * Git blob SHA of a project file, loaded or not.
+ * @param {{content: string|null, blob_sha: string|null}} file
+ * @returns {string|null}
+ */
+function localBlobSha(file) {
+  return file.content === null ? file.blob_sha : gitBlobSha(file.content);
+}
+
+/**
+ * Decide what a pull does to each file. Only blobs that are needed are
+ * read, so an unchanged repo costs two tree requests. Files taken from
+ * GitHub that would not be loaded at import (binary, large, or not loaded
+ * yet in Imagia) are written without content, at GitHub's blob.
+ *
+ * @param {Object} params
+ * @param {Map<string, {sha: string, size: number}>} params.baseTree - Merge base
+ * @param {Map<string, {sha: string, size: number}>} params.headTree - GitHub branch head
+ * @param {Array<{file_path: string, content: string|null, blob_sha: string|null, is_binary: boolean}>} params.projectFiles
+ * @param {function(string): Promise<string|null>} params.readBlob - Text of a blob, null if binary
+ * @param {Object<string, string|null>} params.resolutions
+ * @param {string} params.theirsLabel
+ * @returns {Promise<{writes: Array, deletes: string[], conflicts: Array, ahead: boolean}>}
+ */
+async function planMerge({ baseTree, headTree, projectFiles, readBlob, resolutions, theirsLabel }) {
+  const local = new Map(projectFiles.map((f) => [f.file_path, f]));
+  const writes = [];
+  const deletes = [];
+  const conflicts = [];
+  // Whether Imagia ends up with changes GitHub doesn't have
+  let ahead = projectFiles.some((f) => !baseTree.has(f.file_path) && !headTree.has(f.file_path));
+
+  for (const path of new Set([...baseTree.keys(), ...headTree.keys()])) {
+    const base = baseTree.get(path);
+    const theirs = headTree.get(path);
+    const file = local.get(path);
+    const ours = file ? localBlobSha(file) : null;
+    const deletedHere = !file && Boolean(base);
+
+    // Unchanged on GitHub
+    if (base?.sha === theirs?.sha) {
+      if (file ? ours !== theirs?.sha : deletedHere) ahead = true;
+      continue;
+    }
+
+    // Unchanged in Imagia
+    if (file ? ours === base?.sha : !deletedHere) {
+      if (!theirs) {
+        if (file) deletes.push(path);
+        continue;
+      }
+      const lazy = (file && file.content === null) || isBinaryPath(path) || theirs.size > MAX_EAGER_SIZE;
+      const content = lazy ? null : await readBlob(theirs.sha);
+      writes.push({
+        file_path: path,
+        content,
+        blob_sha: theirs.sha,
+        is_binary: content === null && (!lazy || isBinaryPath(path) || Boolean(file?.is_binary)),
+        size: theirs.size,
+      });
+      continue;
+    }
+
+    // Same change on both sides, including deleting the file
+    if (file ? ours === theirs?.sha : !theirs) continue;
+
+    // Changed on both sides
+    if (Object.prototype.hasOwnProperty.call(resolutions, path)) {
+      const resolved = resolutions[path];
+      if (resolved === null) {
+        if (file) deletes.push(path);
+        if (theirs) ahead = true;
+      } else {
+        writes.push({ file_path: path, content: resolved });
+        if (!theirs || gitBlobSha(resolved) !== theirs.sha) ahead = true;
+      }
+      continue;
+    }
+
+    const oursContent = file ? file.content ?? (file.is_binary ? null : await readBlob(file.blob_sha)) : null;
+    const theirsContent = theirs ? await readBlob(theirs.sha) : null;
+    if ((file && oursContent === null) || (theirs && theirsContent === null)) {
+      // Binary on either side; keep the Imagia version
+      ahead = true;
+      continue;
+    }
+    const baseContent = base ? (await readBlob(base.sha)) ?? '' : '';
+
+    if (!file) {
+      // Deleted in Imagia, edited on GitHub
+      conflicts.push({
+        file_path: path,
+        base: baseContent,
+        ours: null,
+        theirs: theirsContent,
+        merged: theirsContent,
+        conflicts: 1,
+      });
+      continue;
+    }
+
+    if (!theirs) {
+      // Deleted on GitHub, edited in Imagia
+      conflicts.push({
+        file_path: path,
+        base: baseContent,
+        ours: oursContent,
+        theirs: null,
+        merged: oursContent,
+        conflicts: 1,
+      });
+      continue;
+    }
+
+    const merged = mergeText(baseContent, oursContent, theirsContent, { ours: 'Imagia', theirs: theirsLabel });
+    if (merged.conflicts === 0) {
+      writes.push({ file_path: path, content: merged.content });
+      if (merged.content !== theirsContent) ahead = true;
+    } else {
+      conflicts.push({
+        file_path: path,
+        base: baseContent,
+        ours: oursContent,
+        theirs: theirsContent,
+        merged: merged.content,
+        conflicts: merged.conflicts,
+      });
+    }
+  }
+
+  return { writes, deletes, conflicts, ahead };
+}
+
+module.exports = {
+  localBlobSha,
+  planMerge,
+};
@@ -0,0 +1,327 @@
+/**
+ * ESTree helpers for the semantic checks in codeValidatorService: what a
+ * module imports and exports, which JSX components it references without a
+ * binding in scope, and which imports it never uses.
+ *
+ * Works on ASTs from acorn (JS/JSX) and Babel's `estree` plugin (TS/TSX).
+ */
+
+// Keys that never lead to child nodes worth visiting
+const SKIP_KEYS = new Set(['type', 'loc', 'start', 'end', 'range', 'extra', 'comments', 'leadingComments', 'trailingComments']);
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+const BLOCK_SCOPE_TYPES = new Set([
+  'BlockStatement', 'StaticBlock', 'ForStatement', 'ForInStatement', 'ForOfStatement',
+  'SwitchStatement', 'CatchClause',
+]);
+
+/**
+ * Depth-first walk calling `visit(node, parent, key)` for every node.
+ * Returning `false` from `visit` skips that node's children.
+ */
+function walk(node, visit, parent = null, key = null) {
+  if (!node || typeof node.type !== 'string') return;
+  if (visit(node, parent, key) === false) return;
+
+  for (const childKey of Object.keys(node)) {
+    if (SKIP_KEYS.has(childKey)) continue;
+    const child = node[childKey];
+    if (Array.isArray(child)) {
+      for (const item of child) {
+        if (item && typeof item.type === 'string') walk(item, visit, node, childKey);
+      }
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit, node, childKey);
+    }
+  }
+}
+
+/**
+ * Names bound by a declaration pattern (`a`, `{ a, b: c }`, `[a, ...rest]`).
+ */
+function patternNames(pattern, names = []) {
+  if (!pattern) return names;
+  switch (pattern.type) {
+    case 'Identifier':
+      names.push(pattern.name);
+      break;
+    case 'ObjectPattern':
+      for (const prop of pattern.properties) {
+        patternNames(prop.type === 'RestElement' ? prop.argument : prop.value, names);
+      }
+      break;
+    case 'ArrayPattern':
+      for (const el of pattern.elements) patternNames(el, names);
+      break;
+    case 'AssignmentPattern':
+      patternNames(pattern.left, names);
+      break;
+    case 'RestElement':
+      patternNames(pattern.argument, names);
+      break;
+    case 'TSParameterProperty':
+      patternNames(pattern.parameter, names);
+      break;
+    default:
+      break;
+  }
+  return names;
+}
+
+function exportedName(node) {
+  return node.type === 'Identifier' ? node.name : node.value;
+}
+
+/**
+ * Describe a module's exports.
+ *
+ * @param {Object} ast - Program node
+ * @returns {{named: Set<string>, hasDefault: boolean, hasExportAll: boolean, isCommonJs: boolean}}
+ *   `hasExportAll` means `export * from` re-exports names we did not follow;
+ *   `isCommonJs` means the module has no ESM exports but assigns to
+ *   `module.exports`/`exports` (or uses TS `export =`), so bundler interop applies.
+ */
+function collectExports(ast) {
+  const named = new Set();
+  let hasDefault = false;
+  let hasExportAll = false;
+  let hasEsmExport = false;
+  let hasExportAssignment = false;
+
+  for (const node of ast.body) {
+    switch (node.type) {
+      case 'ExportNamedDeclaration': {
+        hasEsmExport = true;
+        const decl = node.declaration;
+        if (decl) {
+          if (decl.type === 'VariableDeclaration') {
+            for (const d of decl.declarations) patternNames(d.id, []).forEach((n) => named.add(n));
+          } else if (decl.id && decl.id.type === 'Identifier') {
+            named.add(decl.id.name);
+          }
+        }
+        for (const spec of node.specifiers || []) {
+          const name = exportedName(spec.exported);
+          if (name === 'default') hasDefault = true;
+          else named.add(name);
+        }
+        break;
+      }
+      case 'ExportDefaultDeclaration':
+        hasEsmExport = true;
+        hasDefault = true;
+        break;
+      case 'ExportAllDeclaration':
+        hasEsmExport = true;
+        if (node.exported) named.add(exportedName(node.exported));
+        else hasExportAll = true;
+        break;
+      case 'TSExportAssignment':
+        hasExportAssignment = true;
+        break;
+      default:
+        break;
+    }
+  }
+
+  let isCommonJs = hasExportAssignment;
+  if (!hasEsmExport && !isCommonJs) {
+    walk(ast, (node) => {
+      if (isCommonJs) return false;
+      if (node.type === 'AssignmentExpression' && isCommonJsTarget(node.left)) {
+        isCommonJs = true;
+        return false;
+      }
+      return undefined;
+    });
+  }
+
+  return { named, hasDefault, hasExportAll, isCommonJs };
+}
+
+function isCommonJsTarget(node) {
+  if (node.type !== 'MemberExpression') return false;
+  let root = node;
+  while (root.type === 'MemberExpression') {
+    if (root.object.type === 'Identifier' && root.object.name === 'module' &&
+        !root.computed && root.property.name === 'exports') return true;
+    root = root.object;
+  }
+  return root.type === 'Identifier' && root.name === 'exports';
+}
+
+/**
+ * List a module's import declarations.
+ *
+ * @param {Object} ast - Program node
+ * @returns {Array<{source: string, line: number|null, specifiers: Array<{kind: 'default'|'named'|'namespace', imported: string|null, local: string, line: number|null, typeOnly: boolean}>}>}
+ */
+function collectImports(ast) {
+  const imports = [];
+
+  for (const node of ast.body) {
+    if (node.type !== 'ImportDeclaration') continue;
+
+    const declTypeOnly = node.importKind === 'type' || node.importKind === 'typeof';
+    imports.push({
+      source: node.source.value,
+      line: node.loc?.start.line || null,
+      specifiers: node.specifiers.map((spec) => ({
+        kind: spec.type === 'ImportDefaultSpecifier' ? 'default'
+          : spec.type === 'ImportNamespaceSpecifier' ? 'namespace'
+            : 'named',
+        imported: spec.type === 'ImportSpecifier' ? exportedName(spec.imported) : null,
+        local: spec.local.name,
+        line: spec.loc?.start.line || null,
+        typeOnly: declTypeOnly || spec.importKind === 'type' || spec.importKind === 'typeof',
+      })),
+    });
+  }
+
+  return imports;
+}
+
+/**
+ * Find JSX elements whose component (`<Foo>`, or the `motion` in
+ * `<motion.div>`) has no binding in any enclosing scope.
+ *
+ * @param {Object} ast - Program node
+ * @returns {Array<{name: string, element: string, line: number|null}>}
+ */
+function findUndefinedJsxComponents(ast) {
+  const references = [];
+  const scopeOf = new Map();
+
+  const newScope = (parent, isFunction) => ({ names: new Set(), parent, isFunction });
+  const functionScope = (scope) => {
+    let s = scope;
+    while (!s.isFunction) s = s.parent;
+    return s;
+  };
+
+  const programScope = newScope(null, true);
+  scopeOf.set(ast, programScope);
+
+  // Pass 1: build scopes, record declarations and JSX references. Every
+  // declaration is known before any reference is checked, so hoisting and
+  // declaration order do not matter.
+  walk(ast, (node, parent) => {
+    let scope = parent ? scopeOf.get(parent) : programScope;
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      // A function declaration's name belongs to the enclosing scope;
+      // a named function expression's name is visible only inside it
+      if (node.type === 'FunctionDeclaration' && node.id) scope.names.add(node.id.name);
+      const inner = newScope(scope, true);
+      if (node.type === 'FunctionExpression' && node.id) inner.names.add(node.id.name);
+      for (const param of node.params) patternNames(param, []).forEach((n) => inner.names.add(n));
+      scope = inner;
+    } else if (BLOCK_SCOPE_TYPES.has(node.type)) {
+      scope = newScope(scope, false);
+      if (node.type === 'CatchClause' && node.param) {
+        patternNames(node.param, []).forEach((n) => scope.names.add(n));
+      }
+    } else if (node.type === 'ClassDeclaration' && node.id) {
+      scope.names.add(node.id.name);
+    } else if (node.type === 'ClassExpression' && node.id) {
+      scope = newScope(scope, false);
+      scope.names.add(node.id.name);
+    } else if (node.type === 'VariableDeclaration') {
+      const target = node.kind === 'var' ? functionScope(scope) : scope;
+      for (const d of node.declarations) patternNames(d.id, []).forEach((n) => target.names.add(n));
+    } else if (node.type === 'ImportDeclaration') {
+      for (const spec of node.specifiers) programScope.names.add(spec.local.name);
+    } else if (
+      (node.type === 'TSEnumDeclaration' || node.type === 'TSModuleDeclaration' ||
+        node.type === 'TSImportEqualsDeclaration' || node.type === 'TSDeclareFunction') &&
+      node.id && node.id.type === 'Identifier'
+    ) {
+      scope.names.add(node.id.name);
+    } else if (node.type === 'JSXOpeningElement') {
+      const ref = jsxComponentRoot(node.name);
+      if (ref) references.push({ ...ref, line: node.loc?.start.line || null, scope });
+    }
+
+    scopeOf.set(node, scope);
+    return undefined;
+  });
+
+  // Pass 2: resolve each reference through its scope chain
+  const undefinedRefs = [];
+  for (const ref of references) {
+    let s = ref.scope;
+    while (s && !s.names.has(ref.name)) s = s.parent;
+    if (!s) undefinedRefs.push({ name: ref.name, element: ref.element, line: ref.line });
+  }
+
+  return undefinedRefs;
+}
+
+/**
+ * The identifier a JSX element name depends on, or null for intrinsic
+ * elements (`<div>`) and namespaced names (`<svg:rect>`).
+ */
+function jsxComponentRoot(nameNode) {
+  if (nameNode.type === 'JSXIdentifier') {
+    return /^[A-Z]/.test(nameNode.name) ? { name: nameNode.name, element: nameNode.name } : null;
+  }
+  if (nameNode.type === 'JSXMemberExpression') {
+    const parts = [];
+    let root = nameNode;
+    while (root.type === 'JSXMemberExpression') {
+      parts.unshift(root.property.name);
+      root = root.object;
+    }
+    if (root.type !== 'JSXIdentifier' || root.name === 'this') return null;
+    return { name: root.name, element: [root.name, ...parts].join('.') };
+  }
+  return null;
+}
+
+/**
+ * Find imported bindings that are never referenced. A default `React`
+ * import counts as used when the file contains JSX (classic runtime).
+ *
+ * @param {Object} ast - Program node
+ * @returns {Array<{local: string, source: string, line: number|null}>}
+ */
+function findUnusedImports(ast) {
+  const referenced = new Set();
+  let hasJsx = false;
+
+  walk(ast, (node, parent, key) => {
+    if (node.type === 'ImportDeclaration') return false;
+
+    if (node.type === 'JSXElement' || node.type === 'JSXFragment') hasJsx = true;
+
+    if (node.type === 'Identifier' || node.type === 'JSXIdentifier') {
+      // Property names are not references to bindings
+      if (parent && !parent.computed && key === 'property' &&
+          (parent.type === 'MemberExpression' || parent.type === 'JSXMemberExpression')) return undefined;
+      if (parent && !parent.computed && !parent.shorthand && key === 'key' &&
+          ['Property', 'MethodDefinition', 'PropertyDefinition', 'TSPropertySignature'].includes(parent.type)) return undefined;
+      if (parent && parent.type === 'JSXAttribute' && key === 'name') return undefined;
+      referenced.add(node.name);
+    }
+    return undefined;
+  });
+
+  const unused = [];
+  for (const imp of collectImports(ast)) {
+    for (const spec of imp.specifiers) {
+      if (referenced.has(spec.local)) continue;
+      if (spec.local === 'React' && hasJsx) continue;
+      unused.push({ local: spec.local, source: imp.source, line: spec.line });
+    }
+  }
+
+  return unused;
+}
+
+module.exports = {
+  collectExports,
+  collectImports,
+  findUndefinedJsxComponents,
+  findUnusedImports,
+};
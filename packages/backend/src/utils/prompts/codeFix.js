@@ -12,6 +12,8 @@ Rules:
 - Return the FULL corrected content for each file that needs a fix.
 - If an error is about a missing import, add the import. If about a syntax error, fix the syntax.
 - If a file imports a module that doesn't exist and you can't determine what it should be, remove the import.
+- If an error is about a package missing from package.json, add the suggested entry to that package.json instead of removing the import.
+- Errors of type install, build, test or boot come from actually running the app; the message is the tool's own output. Fix the root cause in the named file.
 - Do NOT change files that have no errors.
 - Your response MUST be valid JSON. No markdown fences. No commentary.`;
 
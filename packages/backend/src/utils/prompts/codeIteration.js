@@ -27,11 +27,16 @@ Rules you MUST follow:
  * @param {Array}    currentFiles  - Array of { path, content } for ALL current project files.
  * @param {Object}   requirements  - The parsed project requirements JSON from stage 1.
  * @param {string}   [contextMd]   - Optional project context markdown.
+ * @param {Object}   [fileContext] - Files already ranked and packed to the model's
+ *                                   budget (see services/contextBuilder). Without it,
+ *                                   currentFiles are truncated to a fixed budget.
  * @returns {{ systemMessage: string, prompt: string, maxTokens: number, temperature: number }}
  */
-function buildIterationPrompt(userMessage, currentFiles, requirements, contextMd) {
+function buildIterationPrompt(userMessage, currentFiles, requirements, contextMd, fileContext) {
   const reqSummary = _buildRequirementsSummary(requirements);
-  const currentFilesSection = _buildCurrentFilesSection(currentFiles);
+  const currentFilesSection = fileContext
+    ? _buildPackedFilesSection(fileContext, currentFiles.length)
+    : _buildCurrentFilesSection(currentFiles);
 
   let prompt = `The user wants to modify an existing project. Apply their requested changes.
 
@@ -231,6 +236,40 @@ function _buildCurrentFilesSection(currentFiles) {
   return sections.join('\n\n');
 }
 
+/**
+ * Render files packed by contextBuilder: the most relevant in full, then
+ * summaries, then the remaining paths.
+ * @private
+ */
+function _buildPackedFilesSection(fileContext, totalCount) {
+  const { full, summaries, paths, omittedCount } = fileContext;
+  if (full.length + summaries.length + paths.length + omittedCount === 0) {
+    return '(no files in project)';
+  }
+
+  const sections = full.map((f) => `=== ${f.path} ===\n${f.content || '(empty file)'}`);
+
+  if (summaries.length > 0) {
+    sections.push(
+      'OTHER FILES (summaries only, content not shown):\n' +
+      summaries.map((s) => `- ${s.path}: ${s.summary}`).join('\n')
+    );
+  }
+
+  if (paths.length > 0) {
+    sections.push(`MORE FILES (names only):\n${paths.join('\n')}`);
+  }
+
+  if (summaries.length > 0 || paths.length > 0 || omittedCount > 0) {
+    let note = `[Note: ${totalCount} total files in project, ${full.length} shown in full.`;
+    if (omittedCount > 0) note += ` ${omittedCount} file(s) not listed.`;
+    note += ' Only modify files you can see in full above; you may create new files.]';
+    sections.push(note);
+  }
+
+  return sections.join('\n\n');
+}
+
 module.exports = {
   buildIterationPrompt,
 };
@@ -0,0 +1,123 @@
+/**
+ * Pull request helpers for projects that push to GitHub through a branch:
+ * the title and body describing an Imagia iteration, and the overall review
+ * state of a pull request.
+ */
+
+// GitHub rejects bodies over 65536 characters
+const MAX_BODY_LENGTH = 60000;
+const MAX_TITLE_LENGTH = 72;
+
+/**
+ * @private
+ */
+function firstLine(text, max) {
+  const line = String(text || '').trim().split('\n')[0].trim();
+  return line.length > max ? `${line.slice(0, max - 3)}...` : line;
+}
+
+/**
+ * A pull request title from the newest version's request.
+ *
+ * @param {Array<{prompt_summary?: string}>} versions - Oldest first
+ * @param {string} projectName
+ * @returns {string}
+ */
+function buildPullRequestTitle(versions, projectName) {
+  const latest = versions[versions.length - 1];
+  return firstLine(latest?.prompt_summary, MAX_TITLE_LENGTH) || `Update ${projectName} from Imagia`;
+}
+
+/**
+ * Markdown body listing each version's change summary, the files changed
+ * and as many per-file patches as fit.
+ *
+ * @param {Object} params
+ * @param {Array<{version_number: number, prompt_summary?: string, diff_summary?: string}>} params.versions - Oldest first
+ * @param {Object|null} params.diff - versionService.diffVersions result for the whole range
+ * @param {string} [params.projectUrl]
+ * @returns {string}
+ */
+function buildPullRequestBody({ versions, diff, projectUrl }) {
+  const sections = [];
+
+  if (versions.length > 0) {
+    const lines = versions.map((v) => {
+      const summary = firstLine(v.diff_summary || v.prompt_summary, 300) || 'No summary';
+      const request = v.diff_summary && v.prompt_summary ? `\n  > ${firstLine(v.prompt_summary, 200)}` : '';
+      return `- **v${v.version_number}**: ${summary}${request}`;
+    });
+    sections.push(`## Summary\n\n${lines.join('\n')}`);
+  }
+
+  const files = diff?.files || [];
+  if (files.length > 0) {
+    const rows = files.map((f) => {
+      const counts = f.additions == null ? '' : `+${f.additions} -${f.deletions}`;
+      return `| \`${f.path}\` | ${f.status} | ${counts} |`;
+    });
+    sections.push(
+      '## Files changed\n\n' +
+      `| File | Change | Lines |\n|---|---|---|\n${rows.join('\n')}\n\n` +
+      `**${files.length} file${files.length === 1 ? '' : 's'}**, +${diff.stats.additions} -${diff.stats.deletions}`
+    );
+  }
+
+  const footer = `---\n_Pushed from ${projectUrl ? `[Imagia](${projectUrl})` : 'Imagia'}_`;
+
+  // Patches go in last and only while they fit
+  let budget = MAX_BODY_LENGTH - sections.join('\n\n').length - footer.length - 200;
+  const patches = [];
+  let omitted = 0;
+  for (const f of files) {
+    if (!f.diff) continue;
+    const block = `<details><summary><code>${f.path}</code></summary>\n\n\`\`\`diff\n${f.diff}\n\`\`\`\n</details>`;
+    if (block.length > budget) {
+      omitted++;
+      continue;
+    }
+    patches.push(block);
+    budget -= block.length + 1;
+  }
+  if (patches.length > 0 || omitted > 0) {
+    const note = omitted > 0 ? `\n\n${omitted} more diff${omitted === 1 ? '' : 's'} too large to include; see the Files changed tab.` : '';
+    sections.push(`## Diff\n\n${patches.join('\n')}${note}`);
+  }
+
+  sections.push(footer);
+  return sections.join('\n\n');
+}
+
+/**
+ * Overall review state from a pull request's reviews: each reviewer's latest
+ * decision counts, and a request for changes outweighs approvals.
+ *
+ * @param {Array<{user?: {login: string}, state: string}>} reviews - In submission order
+ * @returns {'pending'|'commented'|'approved'|'changes_requested'}
+ */
+function summarizeReviews(reviews) {
+  const latest = new Map();
+  for (const review of reviews) {
+    if (review.state === 'PENDING') continue;
+    const reviewer = review.user?.login || 'unknown';
+    if (review.state === 'DISMISSED') {
+      latest.delete(reviewer);
+      continue;
+    }
+    // A comment after an approval doesn't withdraw it
+    if (review.state === 'COMMENTED' && latest.has(reviewer)) continue;
+    latest.set(reviewer, review.state);
+  }
+
+  const states = [...latest.values()];
+  if (states.includes('CHANGES_REQUESTED')) return 'changes_requested';
+  if (states.includes('APPROVED')) return 'approved';
+  if (states.length > 0) return 'commented';
+  return 'pending';
+}
+
+module.exports = {
+  buildPullRequestTitle,
+  buildPullRequestBody,
+  summarizeReviews,
+};
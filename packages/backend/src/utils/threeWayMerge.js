@@ -0,0 +1,162 @@
+/**
+ * Line-based three-way merge (diff3) of text files.
+ *
+ * Each side's changes against the common base are computed as hunks over
+ * base line ranges. Hunks from one side only are applied as-is; where the
+ * two sides' hunks overlap or touch, the region is a conflict unless both
+ * sides made the same change. Conflicts are written with git-style markers.
+ */
+
+const { diffArrays } = require('diff');
+
+const CONFLICT_START = '<<<<<<<';
+const CONFLICT_SEPARATOR = '=======';
+const CONFLICT_END = '>>>>>>>';
+
+/**
+ * Split text into lines, keeping each line's terminator.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (!text) return [];
+  return text.match(/[^\n]*\n|[^\n]+$/g);
+}
+
+/**
+ * The edits that turn `base` into `side`, as `{ start, end, lines }` where
+ * base lines [start, end) are replaced by `lines`.
+ * @param {string[]} base
+ * @param {string[]} side
+ * @returns {Array<{start: number, end: number, lines: string[]}>}
+ */
+function computeHunks(base, side) {
+  const hunks = [];
+  let index = 0;
+  let current = null;
+
+  for (const part of diffArrays(base, side)) {
+    if (!part.added && !part.removed) {
+      if (current) hunks.push(current);
+      current = null;
+      index += part.count;
+      continue;
+    }
+
+    if (!current) current = { start: index, end: index, lines: [] };
+    if (part.removed) {
+      index += part.count;
+      current.end = index;
+    } else {
+      current.lines.push(...part.value);
+    }
+  }
+  if (current) hunks.push(current);
+
+  return hunks;
+}
+
+/**
+ * Apply one side's hunks to base lines [start, end).
+ * @private
+ */
+function applyHunks(base, start, end, hunks) {
+  const out = [];
+  let index = start;
+  for (const hunk of hunks) {
+    out.push(...base.slice(index, hunk.start), ...hunk.lines);
+    index = hunk.end;
+  }
+  out.push(...base.slice(index, end));
+  return out;
+}
+
+/**
+ * @private
+ */
+function withTrailingNewline(lines) {
+  if (lines.length === 0 || lines[lines.length - 1].endsWith('\n')) return lines;
+  return [...lines.slice(0, -1), `${lines[lines.length - 1]}\n`];
+}
+
+/**
+ * Merge two edited versions of a text against their common base.
+ *
+ * @param {string} base - Common ancestor ('' when the file is new on both sides)
+ * @param {string} ours
+ * @param {string} theirs
+ * @param {Object} [labels]
+ * @param {string} [labels.ours='ours']
+ * @param {string} [labels.theirs='theirs']
+ * @returns {{content: string, conflicts: number}} `content` holds conflict markers when `conflicts` > 0
+ */
+function mergeText(base, ours, theirs, { ours: oursLabel = 'ours', theirs: theirsLabel = 'theirs' } = {}) {
+  if (ours === theirs || theirs === base) return { content: ours, conflicts: 0 };
+  if (ours === base) return { content: theirs, conflicts: 0 };
+
+  const baseLines = splitLines(base);
+  const tagged = [
+    ...computeHunks(baseLines, splitLines(ours)).map((h) => ({ ...h, side: 'ours' })),
+    ...computeHunks(baseLines, splitLines(theirs)).map((h) => ({ ...h, side: 'theirs' })),
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // Group hunks whose base ranges overlap or touch
+  const groups = [];
+  for (const hunk of tagged) {
+    const group = groups[groups.length - 1];
+    if (group && hunk.start <= group.end) {
+      group.hunks.push(hunk);
+      group.end = Math.max(group.end, hunk.end);
+    } else {
+      groups.push({ start: hunk.start, end: hunk.end, hunks: [hunk] });
+    }
+  }
+
+  const out = [];
+  let index = 0;
+  let conflicts = 0;
+
+  for (const group of groups) {
+    out.push(...baseLines.slice(index, group.start));
+    index = group.end;
+
+    const oursHunks = group.hunks.filter((h) => h.side === 'ours');
+    const theirsHunks = group.hunks.filter((h) => h.side === 'theirs');
+    const oursLines = applyHunks(baseLines, group.start, group.end, oursHunks);
+    const theirsLines = applyHunks(baseLines, group.start, group.end, theirsHunks);
+
+    if (theirsHunks.length === 0 || oursLines.join('') === theirsLines.join('')) {
+      out.push(...oursLines);
+    } else if (oursHunks.length === 0) {
+      out.push(...theirsLines);
+    } else {
+      conflicts++;
+      out.push(
+        `${CONFLICT_START} ${oursLabel}\n`,
+        ...withTrailingNewline(oursLines),
+        `${CONFLICT_SEPARATOR}\n`,
+        ...withTrailingNewline(theirsLines),
+        `${CONFLICT_END} ${theirsLabel}\n`
+      );
+    }
+  }
+  out.push(...baseLines.slice(index));
+
+  return { content: out.join(''), conflicts };
+}
+
+/**
+ * Whether text still contains unresolved conflict markers.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasConflictMarkers(text) {
+  return new RegExp(`^${CONFLICT_START} .*\\n[\\s\\S]*^${CONFLICT_SEPARATOR}$[\\s\\S]*^${CONFLICT_END} `, 'm').test(text || '');
+}
+
+module.exports = {
+  mergeText,
+  hasConflictMarkers,
+  splitLines,
+  computeHunks,
+};
@@ -25,6 +25,59 @@ const TOOL_DEFINITIONS = [
       },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'list_files',
+      description:
+        'List project files with their sizes, optionally filtered by a glob pattern (e.g. "src/**/*.jsx"). ' +
+        'Use this to discover files before reading them. Results are capped; narrow the pattern if truncated.',
+      parameters: {
+        type: 'object',
+        properties: {
+          pattern: {
+            type: 'string',
+            description: 'Glob pattern relative to project root (default: all files)',
+          },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'grep_files',
+      description:
+        'Search file contents with a regular expression. Returns matching lines with line numbers and ' +
+        'surrounding context. Use this to find where something is defined or used. Results are capped; ' +
+        'narrow the pattern or glob if truncated.',
+      parameters: {
+        type: 'object',
+        properties: {
+          pattern: {
+            type: 'string',
+            description: 'JavaScript regular expression to search for (without slashes). Patterns over 200 ' +
+              'characters are searched as plain text',
+          },
+          glob: {
+            type: 'string',
+            description: 'Only search files matching this glob pattern (optional)',
+          },
+          case_sensitive: {
+            type: 'boolean',
+            description: 'Match case exactly (default false)',
+          },
+          context_lines: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 5,
+            description: 'Lines of context before and after each match (default 2)',
+          },
+        },
+        required: ['pattern'],
+      },
+    },
+  },
   {
     type: 'function',
     function: {
@@ -68,6 +121,45 @@ const TOOL_DEFINITIONS = [
       },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'edit_file',
+      description:
+        'Make targeted edits to one existing file without resending its full content. ' +
+        'Provide either search/replace edits or a unified diff. Each search string (or diff hunk) must match ' +
+        'the current file exactly, including whitespace, and must match only once — include enough surrounding ' +
+        'lines to make it unique. If any edit fails, no edits are applied and the error explains why. ' +
+        'Prefer this over apply_changes for small changes to large files.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'File path relative to project root' },
+          edits: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                search: { type: 'string', description: 'Exact text to find (must occur exactly once)' },
+                replace: { type: 'string', description: 'Text to replace it with' },
+              },
+              required: ['search', 'replace'],
+            },
+            description: 'Search/replace edits, applied in order',
+          },
+          diff: {
+            type: 'string',
+            description: 'Unified diff against the current file (alternative to edits)',
+          },
+          summary: {
+            type: 'string',
+            description: 'Brief summary of what this edit does',
+          },
+        },
+        required: ['path'],
+      },
+    },
+  },
 ];
 
 /**
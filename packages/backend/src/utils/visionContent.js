@@ -0,0 +1,120 @@
+/**
+ * Image inputs for vision-capable models.
+ *
+ * Images travel through llmRouter as `images: [{ mimeType, data, filename }]`
+ * (base64 data, no data: prefix) on generate calls, or as OpenAI-style
+ * `image_url` content parts inside tool-calling messages. These helpers build
+ * each provider's message content from them.
+ */
+
+const { generateContentHash } = require('./contentHash');
+
+// Rough input cost of one image, for context budgeting
+const IMAGE_INPUT_TOKENS = 1600;
+
+/**
+ * OpenAI-format user content (also used by Fireworks): the text, then each
+ * image labelled with its file name.
+ *
+ * @param {string} text
+ * @param {Array<{mimeType: string, data: string, filename?: string}>} images
+ * @returns {Array<Object>}
+ */
+function toOpenAIContent(text, images) {
+  const parts = [{ type: 'text', text }];
+  for (const image of images) {
+    if (image.filename) parts.push({ type: 'text', text: `Attached image: ${image.filename}` });
+    parts.push({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } });
+  }
+  return parts;
+}
+
+/**
+ * Anthropic-format user content blocks for a text prompt and images.
+ *
+ * @param {string} text
+ * @param {Array<{mimeType: string, data: string, filename?: string}>} images
+ * @returns {Array<Object>}
+ */
+function toAnthropicContent(text, images) {
+  return openAIPartsToAnthropic(toOpenAIContent(text, images));
+}
+
+/**
+ * Convert OpenAI content parts (text and data-URL image_url) to Anthropic
+ * content blocks. Remote image URLs are passed as URL sources.
+ *
+ * @param {Array<Object>} parts
+ * @returns {Array<Object>}
+ */
+function openAIPartsToAnthropic(parts) {
+  return parts.map((part) => {
+    if (part.type !== 'image_url') return part.type === 'text' ? { type: 'text', text: part.text } : part;
+
+    const url = part.image_url?.url || '';
+    const match = url.match(/^data:([^;]+);base64,(.*)$/s);
+    return match
+      ? { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } }
+      : { type: 'image', source: { type: 'url', url } };
+  });
+}
+
+/**
+ * Whether a routing call carries image input, either as `images` or as
+ * image parts in its messages.
+ *
+ * @param {Object} options - llmRouter call options
+ * @returns {boolean}
+ */
+function hasImageInput(options) {
+  if (options.images && options.images.length > 0) return true;
+  return (options.messages || []).some(
+    (msg) => Array.isArray(msg.content) && msg.content.some((part) => part.type === 'image_url')
+  );
+}
+
+/**
+ * The same call options with every image removed, for when no model that
+ * can see them is available.
+ *
+ * @param {Object} options - llmRouter call options
+ * @returns {Object}
+ */
+function stripImageInput(options) {
+  const { images, ...rest } = options;
+  if (!rest.messages) return rest;
+
+  return {
+    ...rest,
+    messages: rest.messages.map((msg) => {
+      if (!Array.isArray(msg.content) || !msg.content.some((part) => part.type === 'image_url')) return msg;
+      const text = msg.content
+        .filter((part) => part.type === 'text' && !part.text.startsWith('Attached image: '))
+        .map((part) => part.text)
+        .join('\n');
+      return { ...msg, content: text };
+    }),
+  };
+}
+
+/**
+ * Cache-key suffix identifying a set of images, so cached completions are
+ * never shared between different attachments.
+ *
+ * @param {Array<{data: string}>} [images]
+ * @returns {string}
+ */
+function imagesCacheKey(images) {
+  if (!images || images.length === 0) return '';
+  return images.map((image) => generateContentHash(image.data).slice(0, 16)).join(',');
+}
+
+module.exports = {
+  IMAGE_INPUT_TOKENS,
+  toOpenAIContent,
+  toAnthropicContent,
+  openAIPartsToAnthropic,
+  hasImageInput,
+  stripImageInput,
+  imagesCacheKey,
+};
@@ -0,0 +1,160 @@
+/**
+ * Pixel diffs of app screenshots and the routes to capture them for
+ * (see services/visualDiffService).
+ */
+
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+// React Router: <Route path="/about" ...> and route objects { path: '/about' }
+const JSX_ROUTE_PATTERN = /<Route\b[^>]*?\bpath\s*=\s*\{?\s*['"`]([^'"`]+)['"`]/g;
+const OBJECT_ROUTE_PATTERN = /\bpath\s*:\s*['"`](\/[^'"`]*)['"`]/g;
+const ROUTER_IMPORT = /react-router|createBrowserRouter|@tanstack\/react-router/;
+
+// Next.js file-system routes: pages/about.jsx, app/about/page.tsx
+const NEXT_PAGES_FILE = /^(?:src\/)?pages\/(.+)\.[jt]sx?$/;
+const NEXT_APP_FILE = /^(?:src\/)?app\/(?:(.+)\/)?page\.[jt]sx?$/;
+
+// Page file names that render the root route
+const ROOT_STEMS = new Set(['home', 'index', 'landing', 'app']);
+const PAGE_SUFFIX = /(page|view|screen|route)$/;
+const ROUTE_DIRS = new Set(['src', 'pages', 'app', 'routes', 'views', 'screens']);
+
+/**
+ * Static routes an app declares, root first. Dynamic segments (`:id`,
+ * `[slug]`) and wildcards are skipped since there is no URL to visit.
+ *
+ * @param {Array<{path: string, content: string}>} files
+ * @param {number} [limit=5]
+ * @returns {string[]}
+ */
+function extractRoutes(files, limit = 5) {
+  const routes = new Set(['/']);
+  const isNext = files.some((f) => /^next\.config\.[cm]?[jt]s$/.test(f.path)
+    || (f.path === 'package.json' && /"next"\s*:/.test(f.content || '')));
+
+  for (const file of files) {
+    const nextRoute = isNext ? nextRouteForFile(file.path) : null;
+    if (nextRoute) routes.add(nextRoute);
+
+    if (!/\.[jt]sx?$/.test(file.path) || !file.content || !ROUTER_IMPORT.test(file.content)) continue;
+
+    for (const pattern of [JSX_ROUTE_PATTERN, OBJECT_ROUTE_PATTERN]) {
+      for (const match of file.content.matchAll(pattern)) {
+        if (match[1].startsWith('/')) routes.add(normalizeRoute(match[1]));
+      }
+    }
+  }
+
+  return [...routes].filter(isStaticRoute).slice(0, limit);
+}
+
+/**
+ * Whether a changed file is the page that renders `route`, judged by file
+ * name: `/pricing` matches `src/pages/Pricing.jsx` or `app/pricing/page.tsx`,
+ * `/` matches Home, Index, Landing or App.
+ *
+ * @param {string} route
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function fileMatchesRoute(route, filePath) {
+  const segments = filePath.replace(/\.[^./]+$/, '').split('/');
+  let stem = normalizeStem(segments[segments.length - 1]);
+
+  // pages/about/index.jsx, app/about/page.tsx
+  if ((stem === 'index' || stem === 'page') && segments.length > 1 && !ROUTE_DIRS.has(segments[segments.length - 2])) {
+    stem = normalizeStem(segments[segments.length - 2]);
+  }
+
+  const routeSegments = route.split('/').filter(Boolean);
+  if (routeSegments.length === 0) return ROOT_STEMS.has(stem);
+  return stem === normalizeStem(routeSegments[routeSegments.length - 1]);
+}
+
+/**
+ * Compare two PNG screenshots. Images of different sizes are compared where
+ * they overlap, and the rest of the larger one (e.g. added page height)
+ * counts as changed.
+ *
+ * @param {Buffer} beforePng
+ * @param {Buffer} afterPng
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.1] - Per-pixel colour distance (0-1) below which pixels match
+ * @returns {{diffPng: Buffer, changedPixels: number, totalPixels: number, ratio: number, width: number, height: number}}
+ */
+function comparePngs(beforePng, afterPng, { threshold = 0.1 } = {}) {
+  const before = PNG.sync.read(beforePng);
+  const after = PNG.sync.read(afterPng);
+
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const overlapWidth = Math.min(before.width, after.width);
+  const overlapHeight = Math.min(before.height, after.height);
+
+  const overlapDiff = new PNG({ width: overlapWidth, height: overlapHeight });
+  const overlapChanged = pixelmatch(
+    cropTo(before, overlapWidth, overlapHeight).data,
+    cropTo(after, overlapWidth, overlapHeight).data,
+    overlapDiff.data,
+    overlapWidth,
+    overlapHeight,
+    { threshold }
+  );
+
+  // Outside the overlap every pixel is a change, drawn in pixelmatch's diff colour
+  const diff = new PNG({ width, height });
+  for (let i = 0; i < diff.data.length; i += 4) {
+    diff.data[i] = 255;
+    diff.data[i + 3] = 255;
+  }
+  PNG.bitblt(overlapDiff, diff, 0, 0, overlapWidth, overlapHeight, 0, 0);
+
+  const totalPixels = width * height;
+  const changedPixels = overlapChanged + totalPixels - overlapWidth * overlapHeight;
+
+  return {
+    diffPng: PNG.sync.write(diff),
+    changedPixels,
+    totalPixels,
+    ratio: totalPixels > 0 ? changedPixels / totalPixels : 0,
+    width,
+    height,
+  };
+}
+
+function cropTo(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+  const cropped = new PNG({ width, height });
+  PNG.bitblt(image, cropped, 0, 0, width, height, 0, 0);
+  return cropped;
+}
+
+function nextRouteForFile(filePath) {
+  const app = filePath.match(NEXT_APP_FILE);
+  if (app) return normalizeRoute(`/${(app[1] || '').split('/').filter((s) => !/^\(.*\)$/.test(s)).join('/')}`);
+
+  const pages = filePath.match(NEXT_PAGES_FILE);
+  if (!pages || pages[1].startsWith('api/') || /(^|\/)_/.test(pages[1])) return null;
+  return normalizeRoute(`/${pages[1].replace(/(^|\/)index$/, '')}`);
+}
+
+function normalizeRoute(route) {
+  const trimmed = route.split(/[?#]/)[0].replace(/\/+$/, '');
+  return trimmed || '/';
+}
+
+function isStaticRoute(route) {
+  return !/[:*[\]]/.test(route);
+}
+
+function normalizeStem(name) {
+  const stem = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return stem.length > 4 ? stem.replace(PAGE_SUFFIX, '') : stem;
+}
+
+module.exports = {
+  extractRoutes,
+  fileMatchesRoute,
+  comparePngs,
+};
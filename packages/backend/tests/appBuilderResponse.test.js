@@ -1,7 +1,8 @@
 /**
  * Tests for appBuilderService response handling in iterateFromMessage.
  * Focuses on how the agent's text response flows through to the user
- * for both code-change and question/research/summary scenarios.
+ * for both code-change and question/research/summary scenarios, and on
+ * model output being streamed to the chat on every generation path.
  */
 
 // Mock all external dependencies
@@ -31,11 +32,18 @@ jest.mock('../src/services/cacheService', () => ({
 }));
 
 jest.mock('../src/services/promptTracker', () => ({
-  track: jest.fn(() => Promise.resolve()),
+  track: jest.fn(({ callFn }) => callFn()),
 }));
 
 jest.mock('../src/services/codeValidatorService', () => ({
   validateChanges: jest.fn(() => ({ valid: true, errors: [], warnings: [] })),
+  createImportResolver: jest.fn(() => () => null),
+}));
+
+// Not in the catalog: context budgets use the default window
+jest.mock('../src/services/modelRegistry', () => ({
+  getModelById: jest.fn(() => Promise.resolve(null)),
+  resolveTaskRoute: jest.fn(() => Promise.resolve(null)),
 }));
 
 jest.mock('../src/services/llmRouter', () => ({
@@ -49,8 +57,13 @@ jest.mock('../src/services/contextService', () => ({
   buildContextFromHistory: jest.fn(() => Promise.resolve()),
 }));
 
+jest.mock('../src/services/attachmentService', () => ({
+  loadImageInputs: jest.fn(() => Promise.resolve([])),
+}));
+
 jest.mock('../src/queues/progressEmitter', () => ({
   emit: jest.fn(() => Promise.resolve()),
+  createStreamForwarder: jest.fn(() => jest.fn()),
 }));
 
 jest.mock('../src/utils/contentHash', () => ({
@@ -227,4 +240,47 @@ describe('AppBuilderService - iterateFromMessage response handling', () => {
     expect(storedMessages).toHaveLength(1);
     expect(storedMessages[0].message).not.toContain('no file changes were needed');
   });
+
+  it('streams the monolithic iteration to the chat', async () => {
+    appBuilder._supportsToolCalling = jest.fn(() => false);
+    require('../src/utils/prompts/codeIteration').buildIterationPrompt.mockReturnValue({
+      systemMessage: 'system',
+      prompt: 'prompt',
+      maxTokens: 8192,
+    });
+    llmRouter.route.mockResolvedValueOnce({
+      content: JSON.stringify({ files: [{ path: 'src/App.jsx', content: 'updated content' }], summary: 'Updated App' }),
+    });
+
+    await appBuilder.iterateFromMessage({
+      projectId: 'test-project',
+      conversationId: 'test-conv',
+      messageId: 'test-msg',
+      userId: 'test-user',
+      correlationId: 'test-corr',
+    });
+
+    const forwarder = progressEmitter.createStreamForwarder.mock.results[0].value;
+    expect(progressEmitter.createStreamForwarder).toHaveBeenCalledWith('test-project');
+    expect(llmRouter.route).toHaveBeenCalledWith('code-iteration', expect.objectContaining({ onDelta: forwarder }));
+  });
+
+  it('streams first-build generation to the chat', async () => {
+    require('../src/utils/prompts/appScaffold').buildRequirementsPrompt.mockReturnValue({
+      systemMessage: 'system',
+      prompt: 'prompt',
+    });
+    llmRouter.route.mockRejectedValueOnce(new Error('Provider unavailable'));
+
+    await appBuilder.buildFromMessage({
+      projectId: 'test-project',
+      conversationId: 'test-conv',
+      messageId: 'test-msg',
+      userId: 'test-user',
+      correlationId: 'test-corr',
+    }).catch(() => {});
+
+    const forwarder = progressEmitter.createStreamForwarder.mock.results[0].value;
+    expect(llmRouter.route).toHaveBeenCalledWith('code-generation', expect.objectContaining({ onDelta: forwarder }));
+  });
 });
@@ -0,0 +1,141 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { mockQuery } = require('./helpers/knexMock');
+
+const mockTables = {};
+jest.mock('../src/config/database', () => {
+  const db = jest.fn((table) => mockTables[table]());
+  db.fn = { now: jest.fn(() => new Date()) };
+  return { db };
+});
+
+jest.mock('../src/services/costTracker', () => ({ getSpend: jest.fn() }));
+jest.mock('../src/queues/progressEmitter', () => ({ emit: jest.fn(() => Promise.resolve()) }));
+jest.mock('../src/services/emailService', () => ({
+  sendMail: jest.fn(() => Promise.resolve()),
+  escapeHtml: jest.requireActual('../src/services/emailService').escapeHtml,
+}));
+
+const costTracker = require('../src/services/costTracker');
+const progressEmitter = require('../src/queues/progressEmitter');
+const { sendMail } = require('../src/services/emailService');
+const budgetService = require('../src/services/budgetService');
+
+const USER_ID = 'user-1';
+const PROJECT_ID = 'project-1';
+
+function budget(overrides = {}) {
+  return {
+    id: 'budget-1',
+    user_id: USER_ID,
+    project_id: PROJECT_ID,
+    period: 'daily',
+    limit_usd: '10.0000',
+    warn_threshold: '0.800',
+    hard_stop: true,
+    override_until: null,
+    warned_period: null,
+    blocked_period: null,
+    ...overrides,
+  };
+}
+
+function setBudgets(rows, { notificationClaimed = true } = {}) {
+  let call = 0;
+  // First query lists the budgets; later ones claim notifications
+  mockTables.budgets = () => (call++ === 0 ? mockQuery(rows) : mockQuery(null, notificationClaimed ? 1 : 0));
+  mockTables.users = () => mockQuery({ email: 'owner@example.com' });
+  mockTables.projects = () => mockQuery({ name: 'My App', user_id: USER_ID });
+}
+
+describe('budgetService.assertWithinBudget', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('does nothing when no budgets apply', async () => {
+    setBudgets([]);
+
+    await expect(budgetService.assertWithinBudget({ userId: USER_ID, projectId: PROJECT_ID })).resolves.toBeUndefined();
+    expect(costTracker.getSpend).not.toHaveBeenCalled();
+  });
+
+  it('blocks with a 402 once a hard-stop budget is exhausted and notifies the user', async () => {
+    setBudgets([budget()]);
+    costTracker.getSpend.mockResolvedValue({ total: 10.5 });
+
+    await expect(budgetService.assertWithinBudget({ userId: USER_ID, projectId: PROJECT_ID })).rejects.toMatchObject({
+      statusCode: 402,
+      code: 'BUDGET_EXCEEDED',
+      budget: { period: 'daily', scope: 'project', limit: 10, spent: 10.5 },
+    });
+
+    expect(costTracker.getSpend).toHaveBeenCalledWith({ projectId: PROJECT_ID }, expect.any(Date));
+    expect(progressEmitter.emit).toHaveBeenCalledWith(PROJECT_ID, {
+      budget: expect.objectContaining({ level: 'exceeded', blocked: true }),
+    });
+    expect(sendMail).toHaveBeenCalledWith('owner@example.com', expect.stringContaining('budget reached'), expect.any(String));
+  });
+
+  it('escapes the project name in the email', async () => {
+    setBudgets([budget()]);
+    mockTables.projects = () => mockQuery({ name: '<img src=x onerror=alert(1)> & co', user_id: USER_ID });
+    costTracker.getSpend.mockResolvedValue({ total: 10.5 });
+
+    await expect(budgetService.assertWithinBudget({ userId: USER_ID, projectId: PROJECT_ID })).rejects.toThrow();
+
+    const html = sendMail.mock.calls[0][2];
+    expect(html).toContain('<strong>Project:</strong> &lt;img src=x onerror=alert(1)&gt; &amp; co');
+    expect(html).not.toContain('<img');
+  });
+
+  it('allows spending past the limit while an admin override is active', async () => {
+    const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    setBudgets([budget({ override_until: until })]);
+    costTracker.getSpend.mockResolvedValue({ total: 50 });
+
+    await expect(budgetService.assertWithinBudget({ userId: USER_ID, projectId: PROJECT_ID })).resolves.toBeUndefined();
+    expect(progressEmitter.emit).toHaveBeenCalledWith(PROJECT_ID, {
+      budget: expect.objectContaining({ level: 'exceeded', blocked: false }),
+    });
+  });
+
+  it('only warns for soft budgets', async () => {
+    setBudgets([budget({ project_id: null, period: 'monthly', hard_stop: false })]);
+    costTracker.getSpend.mockResolvedValue({ total: 12 });
+
+    await expect(budgetService.assertWithinBudget({ userId: USER_ID, projectId: PROJECT_ID })).resolves.toBeUndefined();
+    expect(costTracker.getSpend).toHaveBeenCalledWith({ userId: USER_ID }, expect.any(Date));
+  });
+
+  it('sends a warning past the threshold, once per period', async () => {
+    setBudgets([budget()]);
+    costTracker.getSpend.mockResolvedValue({ total: 8.5 });
+
+    await budgetService.assertWithinBudget({ userId: USER_ID, projectId: PROJECT_ID });
+    expect(progressEmitter.emit).toHaveBeenCalledWith(PROJECT_ID, {
+      budget: expect.objectContaining({ level: 'warning', spent: 8.5, limit: 10 }),
+    });
+
+    jest.clearAllMocks();
+    setBudgets([budget()], { notificationClaimed: false });
+
+    await budgetService.assertWithinBudget({ userId: USER_ID, projectId: PROJECT_ID });
+    expect(progressEmitter.emit).not.toHaveBeenCalled();
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  it('looks up the project owner when only a project is given', async () => {
+    setBudgets([]);
+
+    await budgetService.assertWithinBudget({ projectId: PROJECT_ID });
+    const { db } = require('../src/config/database');
+    expect(db).toHaveBeenCalledWith('projects');
+    expect(db).toHaveBeenCalledWith('budgets');
+  });
+});
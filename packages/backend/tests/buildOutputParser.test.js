@@ -0,0 +1,129 @@
+const { parseBuildOutput, parseDeployLogs } = require('../src/utils/buildOutputParser');
+
+const ROOT = '/tmp/imagia-verify-abc12345-XyZ';
+const KNOWN = ['package.json', 'server.js', 'src/App.jsx', 'src/App.tsx', 'src/api.js'];
+
+describe('parseBuildOutput', () => {
+  it('parses tsc diagnostics in both formats', () => {
+    const output = [
+      'src/App.tsx(12,5): error TS2322: Type \'string\' is not assignable to type \'number\'.',
+      'src/api.js:3:10 - error TS2304: Cannot find name \'fetcher\'.',
+    ].join('\n');
+
+    const errors = parseBuildOutput(output, { type: 'build', rootDir: ROOT, knownFiles: KNOWN });
+    expect(errors).toEqual([
+      { file: 'src/App.tsx', line: 12, column: 5, message: 'error TS2322: Type \'string\' is not assignable to type \'number\'.', type: 'build' },
+      { file: 'src/api.js', line: 3, column: 10, message: 'error TS2304: Cannot find name \'fetcher\'.', type: 'build' },
+    ]);
+  });
+
+  it('strips the temp dir and ANSI codes from esbuild errors', () => {
+    const output = `\u001b[31mX [ERROR]\u001b[0m Transform failed with 1 error:\n${ROOT}/src/App.jsx:12:4: ERROR: Expected ";" but found "x"`;
+
+    const errors = parseBuildOutput(output, { type: 'build', rootDir: ROOT, knownFiles: KNOWN });
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ file: 'src/App.jsx', line: 12, column: 4, message: 'ERROR: Expected ";" but found "x"' });
+  });
+
+  it('uses the following line when the location stands alone', () => {
+    const output = './src/App.jsx:7:1\nModule not found: Can\'t resolve \'./Header\'';
+
+    const errors = parseBuildOutput(output, { type: 'build', rootDir: ROOT, knownFiles: KNOWN });
+    expect(errors[0]).toMatchObject({ file: 'src/App.jsx', line: 7, message: 'Module not found: Can\'t resolve \'./Header\'' });
+  });
+
+  it('reports rollup resolution failures against the importing file', () => {
+    const output = `[vite]: Rollup failed to resolve import "axios" from "${ROOT}/src/api.js".`;
+
+    const errors = parseBuildOutput(output, { type: 'build', rootDir: ROOT, knownFiles: KNOWN });
+    expect(errors[0]).toMatchObject({ file: 'src/api.js', line: null, type: 'build' });
+    expect(errors[0].message).toContain('failed to resolve import "axios"');
+  });
+
+  it('attributes runtime crashes to the innermost project stack frame', () => {
+    const output = [
+      `${ROOT}/server.js:4`,
+      'app.lisen(3000);',
+      '    ^',
+      'TypeError: app.lisen is not a function',
+      `    at Object.<anonymous> (${ROOT}/server.js:4:5)`,
+      '    at Module._compile (node:internal/modules/cjs/loader:1364:14)',
+      `    at ${ROOT}/node_modules/express/lib/router.js:10:3`,
+    ].join('\n');
+
+    const errors = parseBuildOutput(output, { type: 'boot', rootDir: ROOT, knownFiles: KNOWN });
+    // The `server.js:4` header and the stack frame collapse into one error
+    expect(errors).toEqual([
+      { file: 'server.js', line: 4, message: 'TypeError: app.lisen is not a function', type: 'boot' },
+    ]);
+  });
+
+  it('ignores paths that are not project files', () => {
+    const output = `${ROOT}/node_modules/vite/dist/node/chunks/dep.js:123:45: something broke\nlib/other.js:1:1: nope`;
+
+    const errors = parseBuildOutput(output, { type: 'build', rootDir: ROOT, knownFiles: KNOWN });
+    expect(errors).toHaveLength(1);
+    expect(errors[0].file).toBe('package.json');
+  });
+
+  it('falls back to the tail of the output when nothing is located', () => {
+    const output = 'npm ERR! code E404\nnpm ERR! 404 Not Found - GET http://localhost:4873/left-padd - no such package available';
+
+    const errors = parseBuildOutput(output, { type: 'install', rootDir: ROOT, knownFiles: KNOWN });
+    expect(errors).toEqual([{ file: 'package.json', line: null, message: output, type: 'install' }]);
+  });
+
+  it('deduplicates repeated diagnostics', () => {
+    const line = 'src/App.tsx(1,1): error TS1005: \';\' expected.';
+
+    const errors = parseBuildOutput(`${line}\n${line}`, { type: 'build', knownFiles: KNOWN });
+    expect(errors).toHaveLength(1);
+  });
+});
+
+describe('parseDeployLogs', () => {
+  it('blames a missing dependency on package.json', () => {
+    const output = [
+      'Starting Container',
+      "Error: Cannot find module 'express'",
+      'Require stack:',
+      '- /app/server.js',
+      '    at Module._resolveFilename (node:internal/modules/cjs/loader:1145:15)',
+      '    at Object.<anonymous> (/app/server.js:1:17)',
+    ].join('\n');
+
+    const errors = parseDeployLogs(output, { knownFiles: KNOWN });
+    expect(errors).toEqual([
+      { file: 'server.js', line: 1, column: 17, message: "Error: Cannot find module 'express'", type: 'deploy', kind: 'missing_module' },
+      expect.objectContaining({ file: 'package.json', line: null, kind: 'missing_module' }),
+    ]);
+    expect(errors[1].message).toMatch(/^Missing dependency "express"/);
+  });
+
+  it('leaves relative and builtin modules to the located error', () => {
+    const output = "Error: Cannot find module './routes'\nError: Cannot find module 'node:fs/promises'";
+
+    expect(parseDeployLogs(output, { knownFiles: KNOWN }).some((e) => e.kind === 'missing_module')).toBe(false);
+  });
+
+  it('tags syntax errors with their location', () => {
+    const output = '/app/src/api.js:3\nconst x = ;\n          ^\nSyntaxError: Unexpected token \';\'';
+
+    const [error] = parseDeployLogs(output, { knownFiles: KNOWN });
+    expect(error).toMatchObject({ file: 'src/api.js', line: 3, kind: 'syntax' });
+  });
+
+  it('blames port binding problems on the server entry file', () => {
+    const output = 'Server listening on http://localhost:3000\nApplication failed to respond';
+
+    const errors = parseDeployLogs(output, { knownFiles: KNOWN });
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ file: 'server.js', kind: 'port' });
+    expect(errors[0].message).toContain('process.env.PORT');
+  });
+
+  it('falls back to the log tail', () => {
+    const errors = parseDeployLogs('Build failed: exit code 137', { knownFiles: ['package.json', 'Dockerfile'] });
+    expect(errors).toEqual([{ file: 'Dockerfile', line: null, message: 'Build failed: exit code 137', type: 'deploy', kind: 'other' }]);
+  });
+});
@@ -0,0 +1,193 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+let mockFiles = [];
+jest.mock('../src/services/githubService', () => ({ readFilesForBuild: jest.fn(() => Promise.resolve(mockFiles)) }));
+
+const config = require('../src/config/environment');
+const buildRunnerService = require('../src/services/buildRunnerService');
+
+const PROJECT_ID = '11111111-2222-3333-4444-555555555555';
+
+const passed = { exitCode: 0, timedOut: false, survived: false, durationMs: 5, output: '' };
+
+function packageJson(scripts) {
+  return { file_path: 'package.json', content: JSON.stringify({ name: 'app', scripts }) };
+}
+
+describe('buildRunnerService', () => {
+  const originalSandbox = config.buildSandboxCommand;
+
+  beforeEach(() => {
+    config.buildSandboxCommand = 'env';
+    mockFiles = [];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    config.buildSandboxCommand = originalSandbox;
+  });
+
+  describe('verify', () => {
+    it('reports builds unverified when no sandbox is configured', async () => {
+      config.buildSandboxCommand = '';
+      mockFiles = [packageJson({ build: 'vite build' })];
+      const run = jest.spyOn(buildRunnerService, '_runCommand');
+
+      const result = await buildRunnerService.verify(PROJECT_ID);
+
+      expect(result).toMatchObject({ success: true, skipped: true });
+      expect(result.reason).toMatch(/No build sandbox configured/);
+      expect(run).not.toHaveBeenCalled();
+    });
+
+    it('reports builds unverified when the sandbox cannot start', async () => {
+      mockFiles = [packageJson({ build: 'vite build' })];
+      jest.spyOn(buildRunnerService, '_runCommand').mockResolvedValue({
+        ...passed,
+        exitCode: 1,
+        output: 'firejail: permission denied\n',
+      });
+
+      const result = await buildRunnerService.verify(PROJECT_ID);
+
+      expect(result).toMatchObject({ success: true, skipped: true });
+      expect(result.reason).toBe('Build sandbox failed to start: firejail: permission denied');
+    });
+
+    it('runs install, build and test, giving only install the network', async () => {
+      mockFiles = [packageJson({ build: 'vite build', test: 'vitest run' }), { file_path: 'src/main.jsx', content: 'x' }];
+      const run = jest.spyOn(buildRunnerService, '_runCommand').mockResolvedValue(passed);
+
+      const result = await buildRunnerService.verify(PROJECT_ID);
+
+      expect(result).toMatchObject({ success: true, skipped: false });
+      expect(result.stages.map((s) => s.name)).toEqual(['install', 'build', 'test']);
+      // Two sandbox checks, then the stages
+      const stageCalls = run.mock.calls.slice(2);
+      expect(stageCalls.map(([, args, opts]) => [args[0], !!opts.network])).toEqual([
+        ['install', true],
+        ['run', false],
+        ['test', false],
+      ]);
+    });
+
+    it('stops at the first failing stage and parses its errors', async () => {
+      mockFiles = [packageJson({ build: 'vite build', test: 'vitest run' }), { file_path: 'src/App.jsx', content: 'x' }];
+      jest.spyOn(buildRunnerService, '_runCommand')
+        .mockResolvedValueOnce(passed)
+        .mockResolvedValueOnce(passed)
+        .mockResolvedValueOnce(passed)
+        .mockResolvedValueOnce({ ...passed, exitCode: 1, output: 'src/App.jsx:3:5: ERROR: Expected ";" but found "}"\n' });
+
+      const result = await buildRunnerService.verify(PROJECT_ID);
+
+      expect(result).toMatchObject({ success: false, skipped: false, failedStage: 'build' });
+      expect(result.stages.map((s) => s.name)).toEqual(['install', 'build']);
+      expect(result.errors[0]).toMatchObject({ file: 'src/App.jsx', line: 3, type: 'build' });
+    });
+
+    it('boot-checks servers that have no build step', async () => {
+      mockFiles = [packageJson({ start: 'node server.js' })];
+      jest.spyOn(buildRunnerService, '_runCommand')
+        .mockResolvedValueOnce(passed)
+        .mockResolvedValueOnce(passed)
+        .mockResolvedValueOnce(passed)
+        .mockResolvedValueOnce({ ...passed, exitCode: 1, survived: false, output: 'Error: Cannot find module' });
+
+      const result = await buildRunnerService.verify(PROJECT_ID);
+
+      expect(result).toMatchObject({ success: false, failedStage: 'boot' });
+    });
+
+    it('skips projects without a root package.json', async () => {
+      mockFiles = [{ file_path: 'index.html', content: '<h1>hi</h1>' }];
+
+      const result = await buildRunnerService.verify(PROJECT_ID);
+
+      expect(result).toMatchObject({ success: true, skipped: true, reason: 'No package.json at the project root' });
+    });
+  });
+
+  describe('_sandboxArgv', () => {
+    it('wraps the sandbox in OS-level CPU, memory, wall-clock and namespace limits', () => {
+      config.buildSandboxCommand = 'firejail --quiet';
+
+      const argv = buildRunnerService._sandboxArgv('npm', ['run', 'build'], { timeoutMs: 60000, network: false });
+
+      expect(argv.slice(0, 4)).toEqual([
+        'prlimit',
+        `--cpu=${config.buildCpuLimitSeconds}`,
+        `--as=${config.buildAddressSpaceLimitMb * 1024 * 1024}`,
+        '--',
+      ]);
+      expect(argv.slice(4, 7)).toEqual(['timeout', '--signal=KILL', '90s']);
+      expect(argv).toEqual(expect.arrayContaining(['unshare', '--pid', '--net']));
+      expect(argv.slice(-5)).toEqual(['firejail', '--quiet', 'npm', 'run', 'build']);
+    });
+
+    it('keeps the network namespace only when asked to', () => {
+      const argv = buildRunnerService._sandboxArgv('npm', ['install'], { timeoutMs: 1000, network: true });
+
+      expect(argv).toContain('unshare');
+      expect(argv).not.toContain('--net');
+    });
+  });
+
+  describe('_runCommand', () => {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    let tmpDir;
+
+    beforeAll(async () => {
+      tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'imagia-runner-test-'));
+    });
+
+    afterAll(async () => {
+      await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    function env() {
+      return buildRunnerService._buildEnv(tmpDir);
+    }
+
+    it('hides the worker\'s processes and blocks the network', async () => {
+      const script = [
+        "const fs = require('fs');",
+        "const pids = fs.readdirSync('/proc').filter((p) => /^\\d+$/.test(p));",
+        'console.log(`pids:${pids.length}`);',
+        "require('net').connect(443, '1.1.1.1').on('error', (e) => console.log(`net:${e.code}`)).on('connect', () => console.log('net:open'));",
+      ].join('\n');
+
+      const result = await buildRunnerService._runCommand('node', ['-e', script], {
+        cwd: tmpDir,
+        env: env(),
+        timeoutMs: 20000,
+      });
+
+      expect(result.exitCode).toBe(0);
+      expect(result.output).not.toContain('net:open');
+      expect(result.output).toMatch(/net:E[A-Z]+/);
+      // Only the sandboxed command itself and its own children
+      expect(parseInt(result.output.match(/pids:(\d+)/)[1], 10)).toBeLessThan(5);
+    });
+
+    it('kills commands that run past their timeout', async () => {
+      const result = await buildRunnerService._runCommand('node', ['-e', 'setInterval(() => {}, 1000)'], {
+        cwd: tmpDir,
+        env: env(),
+        timeoutMs: 500,
+      });
+
+      expect(result.timedOut).toBe(true);
+    });
+  });
+});
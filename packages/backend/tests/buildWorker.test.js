@@ -0,0 +1,136 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// Every query resolves to the same project row / file count
+const mockInserts = [];
+jest.mock('../src/config/database', () => {
+  const query = {};
+  for (const method of ['where', 'count', 'increment']) {
+    query[method] = jest.fn(() => query);
+  }
+  query.first = jest.fn(() => Promise.resolve({ id: 'project-1', user_id: 'user-1', count: '3' }));
+  query.update = jest.fn(() => Promise.resolve(1));
+  query.insert = jest.fn((row) => {
+    mockInserts.push(row);
+    return Promise.resolve([row]);
+  });
+  query.then = (resolve, reject) => Promise.resolve(1).then(resolve, reject);
+  const db = jest.fn(() => query);
+  db.fn = { now: () => 'now()' };
+  return { db };
+});
+
+jest.mock('../src/queues/buildQueue', () => ({ process: jest.fn(), on: jest.fn(), close: jest.fn() }));
+jest.mock('../src/queues/progressEmitter', () => ({ emit: jest.fn(() => Promise.resolve()) }));
+jest.mock('../src/services/appBuilderService', () => ({
+  iterateFromMessage: jest.fn(() => Promise.resolve({ filesWritten: 2 })),
+  buildFromMessage: jest.fn(),
+  fixBuildErrors: jest.fn(),
+}));
+jest.mock('../src/services/buildRunnerService', () => ({ verify: jest.fn() }));
+
+const config = require('../src/config/environment');
+const buildQueue = require('../src/queues/buildQueue');
+const progressEmitter = require('../src/queues/progressEmitter');
+const appBuilderService = require('../src/services/appBuilderService');
+const buildRunnerService = require('../src/services/buildRunnerService');
+require('../src/queues/workers/buildWorker');
+
+const processJob = buildQueue.process.mock.calls[0][0];
+const job = { id: 'job-1', data: { projectId: 'project-1', conversationId: 'conv-1', messageId: 'msg-1' }, attemptsMade: 0 };
+
+const failure = {
+  success: false,
+  skipped: false,
+  failedStage: 'build',
+  stages: [{ name: 'build' }],
+  errors: [{ file: 'src/App.jsx', line: 3, message: 'Unexpected token', type: 'build' }],
+  log: '',
+};
+
+function completeMessage() {
+  const calls = progressEmitter.emit.mock.calls.filter(([, update]) => update.stage === 'complete');
+  return calls[calls.length - 1][1].message;
+}
+
+describe('build verification', () => {
+  const original = { enabled: config.buildVerificationEnabled, attempts: config.buildMaxFixAttempts };
+
+  beforeEach(() => {
+    config.buildVerificationEnabled = true;
+    config.buildMaxFixAttempts = 2;
+    mockInserts.length = 0;
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    config.buildVerificationEnabled = original.enabled;
+    config.buildMaxFixAttempts = original.attempts;
+  });
+
+  it('fixes failed builds and re-verifies them', async () => {
+    buildRunnerService.verify
+      .mockResolvedValueOnce(failure)
+      .mockResolvedValueOnce({ success: true, skipped: false, stages: [], errors: [], log: '' });
+    appBuilderService.fixBuildErrors.mockResolvedValue({ fixedCount: 1 });
+
+    const result = await processJob(job);
+
+    expect(appBuilderService.fixBuildErrors).toHaveBeenCalledWith('project-1', failure.errors, expect.any(Object));
+    expect(buildRunnerService.verify).toHaveBeenCalledTimes(2);
+    expect(result.verified).toBe(true);
+    expect(completeMessage()).toBe('Changes applied successfully!');
+  });
+
+  it('reports builds that still fail in the conversation', async () => {
+    buildRunnerService.verify.mockResolvedValue(failure);
+    appBuilderService.fixBuildErrors.mockResolvedValue({ fixedCount: 1 });
+
+    const result = await processJob(job);
+
+    expect(buildRunnerService.verify).toHaveBeenCalledTimes(3);
+    expect(result.verified).toBe(false);
+    const message = mockInserts.find((row) => row.role === 'assistant');
+    expect(message.content).toContain('`build` still fails');
+    expect(message.content).toContain('src/App.jsx:3: Unexpected token');
+    expect(completeMessage()).toMatch(/still fails to build or start/);
+  });
+
+  it('stops fixing when the fixer changes nothing', async () => {
+    buildRunnerService.verify.mockResolvedValue(failure);
+    appBuilderService.fixBuildErrors.mockResolvedValue({ fixedCount: 0 });
+
+    await processJob(job);
+
+    expect(buildRunnerService.verify).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports skipped verification as unverified, not passed', async () => {
+    buildRunnerService.verify.mockResolvedValue({
+      success: true,
+      skipped: true,
+      reason: 'No build sandbox configured (BUILD_SANDBOX_COMMAND)',
+      stages: [],
+      errors: [],
+      log: '',
+    });
+
+    const result = await processJob(job);
+
+    expect(result.verified).toBe(false);
+    expect(appBuilderService.fixBuildErrors).not.toHaveBeenCalled();
+    expect(completeMessage()).toBe('Changes applied successfully! (unverified: No build sandbox configured (BUILD_SANDBOX_COMMAND))');
+  });
+
+  it('keeps the build when verification itself errors', async () => {
+    buildRunnerService.verify.mockRejectedValue(new Error('spawn prlimit ENOENT'));
+
+    const result = await processJob(job);
+
+    expect(result).toMatchObject({ success: true, verified: null });
+  });
+});
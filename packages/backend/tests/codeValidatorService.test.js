@@ -0,0 +1,318 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const codeValidatorService = require('../src/services/codeValidatorService');
+
+describe('codeValidatorService', () => {
+  describe('TypeScript syntax', () => {
+    it('accepts valid TS and TSX', () => {
+      const files = [
+        { path: 'src/util.ts', content: 'export interface User { id: string }\nexport const greet = (u: User): string => u.id;' },
+        { path: 'src/App.tsx', content: 'import { greet } from "./util";\nexport default function App(): JSX.Element { return <div>{greet({ id: "1" })}</div>; }' },
+      ];
+
+      const result = codeValidatorService.validateChanges(files, files);
+      expect(result.valid).toBe(true);
+    });
+
+    it('reports TS syntax errors in the standard error shape', () => {
+      const file = { path: 'src/broken.ts', content: 'const a: number = 1;\nconst b: = 2;' };
+
+      const result = codeValidatorService.validateChanges([file], [file]);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0]).toMatchObject({ file: 'src/broken.ts', line: 2, type: 'syntax' });
+      expect(result.errors[0].message).toEqual(expect.any(String));
+    });
+
+    it('rejects JSX in .ts files', () => {
+      const file = { path: 'src/view.ts', content: 'export const view = <div />;' };
+
+      const result = codeValidatorService.validateChanges([file], [file]);
+      expect(result.errors[0].type).toBe('syntax');
+    });
+
+    it('accepts ambient declarations in .d.ts files', () => {
+      const file = { path: 'src/env.d.ts', content: 'declare module "*.svg" { const src: string; export default src; }' };
+
+      const result = codeValidatorService.validateChanges([file], [file]);
+      expect(result.valid).toBe(true);
+    });
+  });
+
+  describe('TypeScript import resolution', () => {
+    it('resolves .js specifiers to .ts sources', () => {
+      const files = [
+        { path: 'src/lib/math.ts', content: 'export const add = (a: number, b: number) => a + b;' },
+        { path: 'src/index.ts', content: 'import { add } from "./lib/math.js";\nadd(1, 2);' },
+      ];
+
+      const result = codeValidatorService.validateChanges([files[1]], files);
+      expect(result.valid).toBe(true);
+    });
+
+    it('resolves tsconfig path aliases, including inherited ones', () => {
+      const files = [
+        { path: 'tsconfig.json', content: '{\n  // app config\n  "extends": "./tsconfig.base.json",\n  "compilerOptions": { "strict": true, },\n}' },
+        { path: 'tsconfig.base.json', content: '{ "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["src/*"] } } }' },
+        { path: 'src/components/Button.tsx', content: 'export const Button = () => <button />;' },
+        { path: 'src/App.tsx', content: 'import { Button } from "@/components/Button";\nimport React from "react";\nexport default () => <Button />;' },
+      ];
+
+      const result = codeValidatorService.validateChanges([files[3]], files);
+      expect(result.valid).toBe(true);
+    });
+
+    it('reports aliased imports that do not resolve', () => {
+      const files = [
+        { path: 'tsconfig.json', content: '{ "compilerOptions": { "paths": { "~lib/*": ["./src/lib/*"] } } }' },
+        { path: 'src/main.ts', content: 'import { x } from "~lib/missing";\nconsole.log(x);' },
+      ];
+
+      const result = codeValidatorService.validateChanges([files[1]], files);
+      expect(result.errors).toEqual([{
+        file: 'src/main.ts',
+        line: 1,
+        message: expect.stringContaining("path alias '~lib/*' in tsconfig.json"),
+        type: 'import',
+      }]);
+    });
+
+    it('uses the nearest config for files in nested packages', () => {
+      const files = [
+        { path: 'tsconfig.json', content: '{ "compilerOptions": { "paths": { "@/*": ["./src/*"] } } }' },
+        { path: 'packages/web/tsconfig.json', content: '{ "compilerOptions": { "baseUrl": "./app" } }' },
+        { path: 'packages/web/app/store.ts', content: 'export const store = {};' },
+        { path: 'packages/web/app/index.ts', content: 'import { store } from "store";\nimport "@/not-an-alias-here";\nexport default store;' },
+      ];
+
+      const result = codeValidatorService.validateChanges([files[3]], files);
+      expect(result.valid).toBe(true);
+    });
+  });
+
+  describe('semantic checks', () => {
+    const button = { path: 'src/components/Button.jsx', content: 'export function Button() { return <button />; }\nexport const SIZES = [];' };
+    const header = { path: 'src/components/Header.jsx', content: 'export default function Header() { return <header />; }' };
+
+    const validate = (file, others = []) => {
+      const all = [file, button, header, ...others];
+      return codeValidatorService.validateChanges([file], all);
+    };
+
+    it('accepts imports that match the target exports', () => {
+      const app = {
+        path: 'src/App.jsx',
+        content: 'import Header from "./components/Header";\nimport { Button, SIZES } from "./components/Button";\n' +
+          'export default function App() { return <><Header /><Button size={SIZES[0]} /></>; }',
+      };
+
+      const result = validate(app);
+      expect(result.errors).toEqual([]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('reports named imports the target does not export', () => {
+      const app = {
+        path: 'src/App.jsx',
+        content: 'import { Button, Card } from "./components/Button";\nexport default () => <Button><Card /></Button>;',
+      };
+
+      const result = validate(app);
+      expect(result.errors).toEqual([{
+        file: 'src/App.jsx',
+        line: 1,
+        message: "'./components/Button' does not export 'Card' (available: Button, SIZES)",
+        type: 'missing-export',
+      }]);
+    });
+
+    it('reports default/named export mismatches in both directions', () => {
+      const app = {
+        path: 'src/App.jsx',
+        content: 'import Button from "./components/Button";\nimport { Header } from "./components/Header";\n' +
+          'export default () => <Header><Button /></Header>;',
+      };
+
+      const result = validate(app);
+      expect(result.errors.map(e => e.type)).toEqual(['export-mismatch', 'export-mismatch']);
+      expect(result.errors[0].message).toContain("use import { Button } from './components/Button'");
+      expect(result.errors[1].message).toContain("use import Header from './components/Header'");
+    });
+
+    it('does not check named imports from CommonJS modules or export * barrels', () => {
+      const cjs = { path: 'src/legacy.js', content: 'module.exports = { helper() {} };' };
+      const barrel = { path: 'src/components/index.js', content: 'export * from "./Button";' };
+      const app = {
+        path: 'src/App.jsx',
+        content: 'import { helper } from "./legacy";\nimport { Anything } from "./components";\nhelper();\nexport default () => <Anything />;',
+      };
+
+      const result = validate(app, [cjs, barrel]);
+      expect(result.errors).toEqual([]);
+    });
+
+    it('reports JSX components that are not defined or imported', () => {
+      const app = {
+        path: 'src/App.jsx',
+        content: [
+          'import { Button } from "./components/Button";',
+          'function Local() { return <span />; }',
+          'export default function App({ Slot }) {',
+          '  const Item = () => <li />;',
+          '  return <div><Button /><Local /><Slot /><Item /><Modal /><motion.div /></div>;',
+          '}',
+        ].join('\n'),
+      };
+
+      const result = validate(app);
+      expect(result.errors).toEqual([
+        { file: 'src/App.jsx', line: 5, message: "<Modal> is used but 'Modal' is not defined or imported", type: 'undefined-component' },
+        { file: 'src/App.jsx', line: 5, message: "<motion.div> is used but 'motion' is not defined or imported", type: 'undefined-component' },
+      ]);
+    });
+
+    it('respects block scope when resolving JSX components', () => {
+      const app = {
+        path: 'src/App.jsx',
+        content: 'export default function App() {\n  if (true) { const Inner = () => null; }\n  return <Inner />;\n}',
+      };
+
+      const result = validate(app);
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0].message).toContain("'Inner'");
+    });
+
+    it('warns about unused imports without failing validation', () => {
+      const app = {
+        path: 'src/App.tsx',
+        content: 'import React, { useState } from "react";\nimport type { FC } from "react";\n' +
+          'import { Button, SIZES } from "./components/Button";\nconst App: FC = () => <Button />;\nexport default App;',
+      };
+
+      const result = validate(app);
+      expect(result.valid).toBe(true);
+      expect(result.warnings.map(w => w.message)).toEqual([
+        "'useState' is imported from 'react' but never used",
+        "'SIZES' is imported from './components/Button' but never used",
+      ]);
+      expect(result.warnings[0]).toMatchObject({ file: 'src/App.tsx', line: 1, type: 'unused-import' });
+    });
+
+    it('reports unchanged importers when a changed file drops an export', () => {
+      const app = { path: 'src/App.jsx', content: 'import { Button } from "./components/Button";\nexport default () => <Button />;' };
+      const renamed = { path: 'src/components/Button.jsx', content: 'export function PrimaryButton() { return <button />; }' };
+
+      const result = codeValidatorService.validateChanges([renamed], [app, renamed]);
+      expect(result.errors).toEqual([expect.objectContaining({
+        file: 'src/App.jsx',
+        line: 1,
+        type: 'missing-export',
+        message: expect.stringContaining("does not export 'Button'"),
+      })]);
+    });
+  });
+
+  describe('dependency checks', () => {
+    const manifest = {
+      path: 'package.json',
+      content: JSON.stringify({ name: 'my-app', dependencies: { react: '^18.3.1' }, devDependencies: { vite: '^5.4.0' } }),
+    };
+
+    it('accepts declared packages, subpaths, builtins and self-references', () => {
+      const file = {
+        path: 'src/main.jsx',
+        content: 'import React from "react";\nimport { jsx } from "react/jsx-runtime";\nimport fs from "node:fs";\n' +
+          'import path from "path";\nimport { x } from "my-app/utils";\nconsole.log(React, jsx, fs, path, x);',
+      };
+
+      const result = codeValidatorService.validateChanges([file], [manifest, file]);
+      expect(result.errors).toEqual([]);
+    });
+
+    it('does not treat ~ aliases as packages', () => {
+      const file = { path: 'src/main.jsx', content: 'import Button from "~/components/Button";\nexport default Button;' };
+
+      const result = codeValidatorService.validateChanges([file], [manifest, file]);
+      expect(result.errors.filter(e => e.type === 'dependency')).toEqual([]);
+    });
+
+    it('reports undeclared packages once per file with a suggested entry', () => {
+      const file = {
+        path: 'src/api.js',
+        content: 'import axios from "axios";\nimport { format } from "date-fns/format";\nconst again = require("axios");\n' +
+          'import "@acme/ui/styles.css";\nexport { axios, format, again };',
+      };
+
+      const result = codeValidatorService.validateChanges([file], [manifest, file]);
+      expect(result.errors).toHaveLength(3);
+      expect(result.errors[0]).toEqual({
+        file: 'src/api.js',
+        line: 1,
+        message: 'Package \'axios\' is imported but not listed in package.json. Add "axios": "^1.7.9" to "dependencies" in package.json.',
+        type: 'dependency',
+        suggestion: { packageJson: 'package.json', section: 'dependencies', name: 'axios', version: '^1.7.9' },
+      });
+      expect(result.errors.map(e => e.suggestion.name)).toEqual(['axios', 'date-fns', '@acme/ui']);
+      expect(result.errors[2].suggestion.version).toBe('latest');
+    });
+
+    it('suggests devDependencies for config and test files', () => {
+      const file = { path: 'vite.config.js', content: 'import react from "@vitejs/plugin-react";\nexport default { plugins: [react()] };' };
+
+      const result = codeValidatorService.validateChanges([file], [manifest, file]);
+      expect(result.errors[0].suggestion).toEqual({
+        packageJson: 'package.json', section: 'devDependencies', name: '@vitejs/plugin-react', version: '^4.3.1',
+      });
+    });
+
+    it('passes once the dependency is added in the same change set', () => {
+      const file = { path: 'src/api.js', content: 'import axios from "axios";\nexport default axios;' };
+      const updated = { path: 'package.json', content: JSON.stringify({ dependencies: { axios: '^1.7.9' } }), action: 'modify' };
+
+      const result = codeValidatorService.validateChanges([file, updated], [manifest, file]);
+      expect(result.errors).toEqual([]);
+    });
+
+    it('skips the check when no package.json covers the file', () => {
+      const file = { path: 'src/api.js', content: 'import axios from "axios";\nexport default axios;' };
+
+      const result = codeValidatorService.validateChanges([file], [file]);
+      expect(result.errors).toEqual([]);
+    });
+
+    it('uses the nearest package.json and resolves workspace packages', () => {
+      const files = [
+        { path: 'package.json', content: JSON.stringify({ private: true, workspaces: ['packages/*'], devDependencies: { eslint: '^9.0.0' } }) },
+        { path: 'packages/shared/package.json', content: JSON.stringify({ name: '@acme/shared' }) },
+        { path: 'packages/web/package.json', content: JSON.stringify({ name: '@acme/web', dependencies: { react: '^18.3.1' } }) },
+        {
+          path: 'packages/web/src/App.jsx',
+          content: 'import React from "react";\nimport { util } from "@acme/shared";\nimport lint from "eslint";\nimport { Chart } from "recharts";\n' +
+            'export default () => <Chart data={[util, lint]} />;',
+        },
+      ];
+
+      const result = codeValidatorService.validateChanges([files[3]], files);
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0].message).toContain("Package 'recharts' is imported but not listed in packages/web/package.json");
+      expect(result.errors[0].suggestion.packageJson).toBe('packages/web/package.json');
+    });
+
+    it('reads workspace globs from pnpm-workspace.yaml', () => {
+      const files = [
+        { path: 'pnpm-workspace.yaml', content: 'packages:\n  - "apps/*"\n  - libs/*\n' },
+        { path: 'libs/core/package.json', content: JSON.stringify({ name: 'core' }) },
+        { path: 'apps/site/package.json', content: JSON.stringify({ name: 'site' }) },
+        { path: 'apps/site/index.js', content: 'import core from "core";\nexport default core;' },
+      ];
+
+      const result = codeValidatorService.validateChanges([files[3]], files);
+      expect(result.errors).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../src/services/modelRegistry', () => ({
+  getModelById: jest.fn(),
+  resolveTaskRoute: jest.fn(),
+}));
+
+const contextBuilder = require('../src/services/contextBuilder');
+const modelRegistry = require('../src/services/modelRegistry');
+const codeValidatorService = require('../src/services/codeValidatorService');
+const { extractImportSpecifiers, findMentionedFiles, rankFiles, summarizeFile } = require('../src/utils/fileRelevance');
+
+const FILES = [
+  { path: 'package.json', content: '{ "name": "todo" }' },
+  { path: 'src/main.jsx', content: "import App from './App';\nrender(<App />);" },
+  { path: 'src/App.jsx', content: "import TodoList from './components/TodoList';\nexport default function App() { return <TodoList />; }" },
+  { path: 'src/components/TodoList.jsx', content: "import TodoItem from './TodoItem';\nimport { useTodos } from '../hooks/useTodos';\nexport default function TodoList() {}" },
+  { path: 'src/components/TodoItem.jsx', content: 'export default function TodoItem() {}' },
+  { path: 'src/hooks/useTodos.js', content: "import { api } from '@/lib/api';\nexport function useTodos() {}" },
+  { path: 'src/lib/api.js', content: '// Thin fetch wrapper for the todo API\nexport const api = {};' },
+  { path: 'src/components/Footer.jsx', content: 'export default function Footer() {}' },
+  { path: 'jsconfig.json', content: '{ "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["src/*"] } } }' },
+];
+
+function rank(message, files = FILES) {
+  return rankFiles(files, { message, resolve: codeValidatorService.createImportResolver(files) });
+}
+
+describe('fileRelevance', () => {
+  it('extracts ES, CommonJS, dynamic and CSS imports', () => {
+    const content = [
+      "import a from './a';",
+      "import './side-effect.css';",
+      "export { b } from './b';",
+      "const c = require('./c');",
+      "const D = lazy(() => import('./D'));",
+      "@import url('./theme.css');",
+    ].join('\n');
+
+    expect(extractImportSpecifiers(content).sort()).toEqual(
+      ['./D', './a', './b', './c', './side-effect.css', './theme.css']
+    );
+  });
+
+  it('matches files by path, file name and component name', () => {
+    const paths = FILES.map((f) => f.path);
+
+    expect(findMentionedFiles('fix src/lib/api.js please', paths)).toEqual(['src/lib/api.js']);
+    expect(findMentionedFiles('the todo list should be sortable', paths)).toEqual(['src/components/TodoList.jsx']);
+    expect(findMentionedFiles('TodoItem.jsx has a bug', paths)).toEqual(['src/components/TodoItem.jsx']);
+    // Generic names alone are not mentions
+    expect(findMentionedFiles('the app is slow', paths)).toEqual([]);
+  });
+
+  it('ranks by import distance from mentioned files, across aliases', () => {
+    const ranked = rank('make the todo list sortable');
+    const distance = Object.fromEntries(ranked.map((r) => [r.path, r.distance]));
+
+    expect(ranked[0].path).toBe('src/components/TodoList.jsx');
+    expect(distance['src/components/TodoItem.jsx']).toBe(1);
+    expect(distance['src/App.jsx']).toBe(1);
+    expect(distance['src/lib/api.js']).toBe(2);
+    expect(distance['src/components/Footer.jsx']).toBeNull();
+
+    const order = ranked.map((r) => r.path);
+    expect(order.indexOf('src/lib/api.js')).toBeLessThan(order.indexOf('src/components/Footer.jsx'));
+  });
+
+  it('boosts recently edited files', () => {
+    const base = new Date('2026-01-01T00:00:00Z');
+    const files = FILES.map((f) => ({
+      ...f,
+      updatedAt: f.path === 'src/components/Footer.jsx' ? new Date(base.getTime() + 60000) : base,
+    }));
+
+    const ranked = rank('change the colours', files);
+    const footer = ranked.find((r) => r.path === 'src/components/Footer.jsx');
+    expect(footer.recentRank).toBe(0);
+    expect(footer.score).toBeGreaterThan(0);
+  });
+
+  it('summarizes a file by size, exports and leading comment', () => {
+    const summary = summarizeFile(FILES.find((f) => f.path === 'src/lib/api.js'));
+    expect(summary).toBe('2 lines — exports api — Thin fetch wrapper for the todo API');
+  });
+});
+
+describe('contextBuilder', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    modelRegistry.resolveTaskRoute.mockResolvedValue([{ provider: 'openai', modelId: 'gpt-4o' }]);
+    modelRegistry.getModelById.mockResolvedValue({ model_id: 'gpt-4o', context_window: 128000 });
+  });
+
+  it('uses the context window of the routed model', async () => {
+    const result = await contextBuilder.resolveContextWindow({ taskType: 'code-iteration' });
+
+    expect(modelRegistry.getModelById).toHaveBeenCalledWith('gpt-4o');
+    expect(result).toEqual({ model: 'gpt-4o', contextWindow: 128000 });
+  });
+
+  it('prefers the user-selected model and defaults unknown windows', async () => {
+    modelRegistry.getModelById.mockResolvedValue(null);
+
+    const result = await contextBuilder.resolveContextWindow({ model: 'custom-model', taskType: 'code-iteration' });
+    expect(modelRegistry.resolveTaskRoute).not.toHaveBeenCalled();
+    expect(result).toEqual({ model: 'custom-model', contextWindow: 128000 });
+  });
+
+  it('includes everything in full when the project fits', async () => {
+    const context = await contextBuilder.buildFileContext(FILES, { userMessage: 'make the todo list sortable' });
+
+    expect(context.full).toHaveLength(FILES.length);
+    expect(context.summaries).toEqual([]);
+    expect(context.full[0].path).toBe('src/components/TodoList.jsx');
+    expect(context.usedTokens).toBeLessThanOrEqual(context.budgetTokens);
+  });
+
+  it('summarizes and lists the least relevant files when over budget', async () => {
+    const big = 'x'.repeat(3500 * 4); // ~4k tokens each
+    const files = [
+      { path: 'src/components/Cart.jsx', content: `import { price } from '../lib/price';\n${big}` },
+      { path: 'src/lib/price.js', content: `export const price = 1;\n${big}` },
+      ...Array.from({ length: 20 }, (_, i) => ({ path: `src/pages/Page${i}.jsx`, content: big })),
+    ];
+    modelRegistry.getModelById.mockResolvedValue({ model_id: 'gpt-4o', context_window: 32000 });
+
+    const context = await contextBuilder.buildFileContext(files, {
+      userMessage: 'add a discount to the cart',
+      maxOutputTokens: 4000,
+    });
+
+    expect(context.budgetTokens).toBe(Math.floor(32000 * 0.95) - 4000);
+    expect(context.full.map((f) => f.path).slice(0, 2)).toEqual(['src/components/Cart.jsx', 'src/lib/price.js']);
+    expect(context.full.length).toBeLessThan(files.length);
+    expect(context.summaries.length + context.paths.length + context.omittedCount)
+      .toBe(files.length - context.full.length);
+    expect(context.usedTokens).toBeLessThanOrEqual(context.budgetTokens);
+
+    const record = contextBuilder.describe(context);
+    expect(record.full).toEqual(context.full.map((f) => f.path));
+    expect(record.contextWindow).toBe(32000);
+  });
+
+  it('lists files not loaded from GitHub by path and leaves out binary files', async () => {
+    const files = [
+      ...FILES,
+      { path: 'src/components/TodoStats.jsx', content: null, blobSha: 'abc' },
+      { path: 'public/logo.png', content: null, blobSha: 'def', binary: true },
+    ];
+
+    const context = await contextBuilder.buildFileContext(files, { userMessage: 'show todo stats' });
+
+    expect(context.full.map((f) => f.path)).not.toContain('src/components/TodoStats.jsx');
+    expect(context.paths).toContain('src/components/TodoStats.jsx');
+    expect([...context.full.map((f) => f.path), ...context.paths]).not.toContain('public/logo.png');
+  });
+
+  it('caps the file budget at maxShare of the window', async () => {
+    const context = await contextBuilder.buildFileContext(FILES, { userMessage: '', maxShare: 0.3 });
+    expect(context.budgetTokens).toBe(Math.floor(128000 * 0.3));
+  });
+});
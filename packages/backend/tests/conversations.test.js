@@ -0,0 +1,87 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { mockQuery } = require('./helpers/knexMock');
+
+const mockQueries = [];
+jest.mock('../src/config/database', () => ({ db: jest.fn(() => mockQueries.shift()) }));
+jest.mock('../src/middleware/auth', () => ({ requireUser: (req, res, next) => next() }));
+jest.mock('../src/queues/buildQueue', () => ({ add: jest.fn() }));
+jest.mock('../src/services/secretService', () => ({ setSecret: jest.fn() }));
+jest.mock('../src/services/transcriptionService', () => ({
+  transcribeAttachments: jest.fn(() => Promise.resolve([])),
+  mergeTranscripts: jest.fn(() => ''),
+}));
+
+const transcriptionService = require('../src/services/transcriptionService');
+const router = require('../src/routes/conversations');
+
+const CONVERSATION_ID = '2c5ea4f4-3f3c-4f55-9d3c-1a8f0b6c9e01';
+const ATTACHMENT_ID = '7d1b2a9e-6c4f-4a8e-b1d2-3e4f5a6b7c8d';
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+// Runs the POST /:id/messages middleware chain (validation, then the handler)
+async function sendMessage(body) {
+  const layer = router.stack.find((l) => l.route?.path === '/:id/messages' && l.route.methods.post);
+  const req = { params: { id: CONVERSATION_ID }, body, user: { id: 'user-1' } };
+  const res = mockResponse();
+  for (const { handle } of layer.route.stack) {
+    let proceed = false;
+    await handle(req, res, () => { proceed = true; });
+    if (!proceed) break;
+  }
+  return res;
+}
+
+function mockConversationWithAttachments(attachments) {
+  mockQueries.push(
+    mockQuery({ id: CONVERSATION_ID, project_id: 'project-1' }),
+    mockQuery({ id: 'project-1', user_id: 'user-1' }),
+    mockQuery(attachments)
+  );
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockQueries.length = 0;
+});
+
+describe('POST /conversations/:id/messages', () => {
+  it('requires content when no attachment is sent', async () => {
+    const res = await sendMessage({ content: '  ' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Validation Error' }));
+  });
+
+  it('requires content for an image-only message', async () => {
+    mockConversationWithAttachments([{ id: ATTACHMENT_ID, category: 'image' }]);
+
+    const res = await sendMessage({ content: '', attachment_ids: [ATTACHMENT_ID] });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'content is required' });
+    expect(transcriptionService.transcribeAttachments).not.toHaveBeenCalled();
+  });
+
+  it('lets a voice note carry the request', async () => {
+    const attachments = [{ id: ATTACHMENT_ID, category: 'audio' }];
+    mockConversationWithAttachments(attachments);
+
+    const res = await sendMessage({ content: '', attachment_ids: [ATTACHMENT_ID] });
+
+    expect(transcriptionService.transcribeAttachments).toHaveBeenCalledWith(attachments);
+    // The mocked transcription comes back empty
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+});
@@ -0,0 +1,184 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// Deployment rows by id, and the rows other tables return
+const mockDeployments = new Map();
+const mockRows = {};
+function mockDefaultRows() {
+  Object.keys(mockRows).forEach((table) => delete mockRows[table]);
+  Object.assign(mockRows, {
+    projects: { id: 'project-1', user_id: 'user-1', name: 'Todo', deployment_url: 'https://todo.imagia.net' },
+    project_versions: { id: 'version-9', version_number: 3 },
+  });
+}
+mockDefaultRows();
+jest.mock('../src/config/database', () => {
+  const db = jest.fn((table) => {
+    const conditions = {};
+    const query = {};
+    for (const method of ['orderBy', 'max', 'whereNot', 'whereNotNull']) {
+      query[method] = jest.fn(() => query);
+    }
+    query.where = jest.fn((where) => {
+      Object.assign(conditions, where);
+      return query;
+    });
+    query.first = jest.fn(() => {
+      if (table === 'deployments' && conditions.id === 'deployment-old') return Promise.resolve({ version_id: 'version-1' });
+      // The production deployment before this one
+      if (table === 'deployments' && conditions.environment) return Promise.resolve(mockRows.previousDeployment);
+      if (table === 'deployments') return Promise.resolve(mockDeployments.get(conditions.id));
+      return Promise.resolve(mockRows[table]);
+    });
+    query.insert = jest.fn((row) => {
+      const inserted = { id: `deployment-${mockDeployments.size + 1}`, created_at: Date.now(), ...row };
+      mockDeployments.set(inserted.id, inserted);
+      query.returning = jest.fn(() => Promise.resolve([inserted]));
+      return query;
+    });
+    query.update = jest.fn((changes) => {
+      if (table === 'deployments' && mockDeployments.has(conditions.id)) {
+        Object.assign(mockDeployments.get(conditions.id), changes);
+      }
+      return Promise.resolve(1);
+    });
+    return query;
+  });
+  db.fn = { now: () => 'now()' };
+  return { db };
+});
+
+jest.mock('../src/queues/deployQueue', () => ({ process: jest.fn(), on: jest.fn(), close: jest.fn() }));
+jest.mock('../src/queues/marketingQueue', () => ({ add: jest.fn() }));
+jest.mock('../src/queues/progressEmitter', () => ({ emit: jest.fn(() => Promise.resolve()) }));
+jest.mock('../src/services/railwayService', () => ({
+  createProject: jest.fn(() => Promise.reject(new Error('Railway is down'))),
+  getEnvironmentId: jest.fn(() => Promise.resolve('env-1')),
+  setEnvironmentVariables: jest.fn(() => Promise.resolve()),
+  waitForDeployment: jest.fn(() => Promise.resolve({ status: 'SUCCESS', deploymentId: 'rw-new', url: null })),
+}));
+jest.mock('../src/services/railwayCliService', () => ({ deploy: jest.fn(() => Promise.resolve()) }));
+jest.mock('../src/services/githubService', () => ({ pushToGitHub: jest.fn(() => Promise.resolve()) }));
+jest.mock('../src/services/cloudflareService', () => ({}));
+jest.mock('../src/services/costTracker', () => ({ trackDeploymentCost: jest.fn(() => Promise.resolve()) }));
+jest.mock('../src/services/budgetService', () => ({ assertWithinBudget: jest.fn(() => Promise.resolve()) }));
+jest.mock('../src/services/visualDiffService', () => ({ captureDeployment: jest.fn(() => Promise.resolve()) }));
+jest.mock('../src/services/smokeTestService', () => ({}));
+jest.mock('../src/services/appBuilderService', () => ({}));
+jest.mock('../src/services/secretService', () => ({ readForDeploy: jest.fn(() => Promise.resolve({})) }));
+jest.mock('../src/services/versionService', () => ({
+  restoreVersion: jest.fn(() => Promise.resolve({ version: { id: 'version-10', version_number: 10 } })),
+}));
+
+const config = require('../src/config/environment');
+const deployQueue = require('../src/queues/deployQueue');
+const railwayService = require('../src/services/railwayService');
+const railwayCliService = require('../src/services/railwayCliService');
+const githubService = require('../src/services/githubService');
+const versionService = require('../src/services/versionService');
+require('../src/queues/workers/deployWorker');
+
+const processJob = deployQueue.process.mock.calls[0][0];
+
+function bullJob(data) {
+  const job = { id: 'job-1', data, discard: jest.fn() };
+  job.update = jest.fn((next) => {
+    job.data = next;
+    return Promise.resolve();
+  });
+  return job;
+}
+
+describe('deploy worker rollbacks', () => {
+  beforeEach(() => {
+    mockDeployments.clear();
+    jest.clearAllMocks();
+  });
+
+  it('restores the rolled-back version once across job retries', async () => {
+    const job = bullJob({ projectId: 'project-1', userId: 'user-1', rollbackOf: 'deployment-old' });
+
+    await expect(processJob(job)).rejects.toThrow('Railway is down');
+    await expect(processJob(job)).rejects.toThrow('Railway is down');
+
+    expect(versionService.restoreVersion).toHaveBeenCalledTimes(1);
+    expect(versionService.restoreVersion).toHaveBeenCalledWith('project-1', 3);
+    expect(mockDeployments.size).toBe(1);
+    expect(mockDeployments.get(job.data.deploymentId)).toMatchObject({
+      version_id: 'version-10',
+      rollback_of_deployment_id: 'deployment-old',
+      status: 'failed',
+    });
+  });
+
+  it('restores again for a new rollback job', async () => {
+    await expect(processJob(bullJob({ projectId: 'project-1', rollbackOf: 'deployment-old' }))).rejects.toThrow();
+    await expect(processJob(bullJob({ projectId: 'project-1', rollbackOf: 'deployment-old' }))).rejects.toThrow();
+
+    expect(versionService.restoreVersion).toHaveBeenCalledTimes(2);
+    expect(mockDeployments.size).toBe(2);
+  });
+});
+
+describe('deploy worker with a GitHub repo', () => {
+  const smokeTestEnabled = config.smokeTestEnabled;
+
+  beforeEach(() => {
+    mockDeployments.clear();
+    jest.clearAllMocks();
+    config.smokeTestEnabled = false;
+    Object.assign(mockRows, {
+      projects: {
+        ...mockRows.projects,
+        railway_project_id: 'rw-project',
+        railway_service_id: 'rw-service',
+        app_type: 'react',
+      },
+      project_files: { id: 'file-1', file_path: 'Dockerfile' },
+      project_domains: { id: 'domain-1', domain: 'todo.imagia.net', target_url: 'https://todo.imagia.net' },
+      previousDeployment: { railway_deployment_id: 'rw-previous' },
+    });
+  });
+
+  afterEach(() => {
+    mockDefaultRows();
+    config.smokeTestEnabled = smokeTestEnabled;
+  });
+
+  it('uploads the files in pull-request mode, since its commits never reach the deployed branch', async () => {
+    mockRows.github_connections = { repo_full_name: 'me/todo', default_branch: 'main', push_mode: 'pull_request' };
+    const job = bullJob({ projectId: 'project-1', userId: 'user-1', rollbackOf: 'deployment-old' });
+
+    const result = await processJob(job);
+
+    expect(githubService.pushToGitHub).not.toHaveBeenCalled();
+    expect(railwayCliService.deploy).toHaveBeenCalledWith(expect.objectContaining({ railwayServiceId: 'rw-service' }));
+    expect(result).toMatchObject({ success: true });
+    expect(mockDeployments.get(job.data.deploymentId)).toMatchObject({
+      status: 'success',
+      version_id: 'version-10',
+      railway_deployment_id: 'rw-new',
+    });
+  });
+
+  it('pushes to the deployed branch in direct mode', async () => {
+    mockRows.github_connections = { repo_full_name: 'me/todo', default_branch: 'main', push_mode: 'direct' };
+
+    await processJob(bullJob({ projectId: 'project-1', userId: 'user-1' }));
+
+    expect(githubService.pushToGitHub).toHaveBeenCalledWith('user-1', 'project-1', 'Deploy from Imagia');
+    expect(railwayCliService.deploy).not.toHaveBeenCalled();
+  });
+
+  it('does not take the previous deployment\'s status as the result', async () => {
+    mockRows.github_connections = { repo_full_name: 'me/todo', default_branch: 'main', push_mode: 'pull_request' };
+
+    await processJob(bullJob({ projectId: 'project-1', userId: 'user-1' }));
+
+    expect(railwayService.waitForDeployment.mock.calls[0][5]).toEqual({ ignoreDeploymentId: 'rw-previous' });
+  });
+});
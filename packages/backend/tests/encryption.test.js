@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const config = require('../src/config/environment');
+const { encrypt, decrypt, reencrypt, keyVersion } = require('../src/utils/encryption');
+
+const KEY_1 = crypto.randomBytes(32).toString('hex');
+const KEY_2 = crypto.randomBytes(32).toString('hex');
+
+// Format written before key versioning: iv:authTag:ciphertext
+function legacyEncrypt(plaintext, key) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(key, 'hex'), iv);
+  const ciphertext = cipher.update(plaintext, 'utf8', 'hex') + cipher.final('hex');
+  return `${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${ciphertext}`;
+}
+
+describe('encryption', () => {
+  const original = {
+    key: config.secretsEncryptionKey,
+    version: config.secretsEncryptionKeyVersion,
+    previous: config.secretsPreviousKeys,
+  };
+
+  function useKeys(key, version, previous = '') {
+    config.secretsEncryptionKey = key;
+    config.secretsEncryptionKeyVersion = version;
+    config.secretsPreviousKeys = previous;
+  }
+
+  beforeEach(() => useKeys(KEY_1, 1));
+
+  afterAll(() => useKeys(original.key, original.version, original.previous));
+
+  it('tags values with the key version they were encrypted with', () => {
+    const value = encrypt('sk_live_123');
+
+    expect(value.startsWith('v1:')).toBe(true);
+    expect(keyVersion(value)).toBe(1);
+    expect(decrypt(value)).toBe('sk_live_123');
+  });
+
+  it('reads values written before key versioning as key 1', () => {
+    const value = legacyEncrypt('postgres://db', KEY_1);
+
+    expect(keyVersion(value)).toBe(1);
+    expect(decrypt(value)).toBe('postgres://db');
+  });
+
+  it('decrypts with a retired key after rotation', () => {
+    const old = encrypt('sk_live_123');
+    useKeys(KEY_2, 2, `1:${KEY_1}`);
+
+    expect(decrypt(old)).toBe('sk_live_123');
+    expect(keyVersion(encrypt('x'))).toBe(2);
+  });
+
+  it('fails clearly when a retired key is missing', () => {
+    const old = encrypt('sk_live_123');
+    useKeys(KEY_2, 2);
+
+    expect(() => decrypt(old)).toThrow('No encryption key for version 1');
+  });
+
+  it('re-encrypts values onto the current key', () => {
+    const old = encrypt('sk_live_123');
+    const legacy = legacyEncrypt('postgres://db', KEY_1);
+    useKeys(KEY_2, 2, `1:${KEY_1}`);
+
+    const rotated = reencrypt(old);
+    expect(keyVersion(rotated)).toBe(2);
+    expect(reencrypt(rotated)).toBe(rotated);
+    expect(keyVersion(reencrypt(legacy))).toBe(2);
+
+    // Still readable once the old key is retired for good
+    useKeys(KEY_2, 2);
+    expect(decrypt(rotated)).toBe('sk_live_123');
+  });
+
+  it('adds the version prefix to legacy values without changing key', () => {
+    const legacy = legacyEncrypt('postgres://db', KEY_1);
+    const tagged = reencrypt(legacy);
+
+    expect(tagged.startsWith('v1:')).toBe(true);
+    expect(decrypt(tagged)).toBe('postgres://db');
+  });
+});
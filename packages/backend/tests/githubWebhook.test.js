@@ -0,0 +1,89 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const config = require('../src/config/environment');
+const { verifyGitHubWebhook, signPayload } = require('../src/middleware/githubWebhook');
+
+const SECRET = 'whsec-test';
+const payload = { ref: 'refs/heads/main', after: 'abc123', repository: { full_name: 'ana/todo' } };
+
+function webhookRequest(body, headers = {}) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return {
+    body: rawBody,
+    headers: {
+      'x-github-event': 'push',
+      'x-github-delivery': 'delivery-1',
+      'x-hub-signature-256': signPayload(rawBody, SECRET),
+      ...headers,
+    },
+  };
+}
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('verifyGitHubWebhook', () => {
+  const originalSecret = config.githubWebhookSecret;
+
+  beforeEach(() => {
+    config.githubWebhookSecret = SECRET;
+  });
+
+  afterAll(() => {
+    config.githubWebhookSecret = originalSecret;
+  });
+
+  it('parses the payload of a correctly signed delivery', () => {
+    const req = webhookRequest(payload);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    verifyGitHubWebhook(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.body).toEqual(payload);
+  });
+
+  it('rejects a body that does not match its signature', () => {
+    const req = webhookRequest(payload);
+    req.body = Buffer.from(JSON.stringify({ ...payload, after: 'def456' }));
+    const res = mockResponse();
+    const next = jest.fn();
+
+    verifyGitHubWebhook(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid webhook signature' });
+  });
+
+  it('rejects deliveries without a signature', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    verifyGitHubWebhook(webhookRequest(payload, { 'x-hub-signature-256': undefined }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('refuses every delivery when no secret is configured', () => {
+    config.githubWebhookSecret = undefined;
+    const res = mockResponse();
+    const next = jest.fn();
+
+    verifyGitHubWebhook(webhookRequest(payload), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
@@ -0,0 +1,34 @@
+const CHAIN_METHODS = [
+  'where', 'orWhere', 'whereIn', 'whereNot', 'orWhereNot', 'whereNull', 'whereNotNull',
+  'select', 'count', 'max', 'join', 'leftJoin', 'orderBy', 'limit', 'forUpdate',
+];
+
+/**
+ * Chainable stand-in for a knex query that resolves to `result`.
+ * `update()` resolves to `updated` (the affected row count) unless
+ * `.returning()` is chained, which resolves to `[result]`.
+ * @param {*} result
+ * @param {number} [updated=1]
+ */
+function mockQuery(result, updated = 1) {
+  const query = {};
+  for (const method of CHAIN_METHODS) {
+    query[method] = jest.fn((arg) => {
+      if (typeof arg === 'function') arg(query);
+      return query;
+    });
+  }
+  query.first = jest.fn(() => Promise.resolve(Array.isArray(result) ? result[0] : result));
+  query.insert = jest.fn(() => query);
+  query.returning = jest.fn(() => Promise.resolve([result]));
+  query.update = jest.fn(() => ({
+    returning: query.returning,
+    then: (resolve, reject) => Promise.resolve(updated).then(resolve, reject),
+  }));
+  query.del = jest.fn(() => Promise.resolve(1));
+  query.delete = query.del;
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+}
+
+module.exports = { mockQuery };
@@ -22,11 +22,18 @@ jest.mock('../src/services/cacheService', () => ({
 }));
 
 jest.mock('../src/services/promptTracker', () => ({
-  track: jest.fn(() => Promise.resolve()),
+  track: jest.fn(({ callFn }) => callFn()),
 }));
 
 jest.mock('../src/services/codeValidatorService', () => ({
   validateChanges: jest.fn(() => ({ valid: true, errors: [], warnings: [] })),
+  createImportResolver: jest.fn(() => () => null),
+}));
+
+// Not in the catalog: context budgets use the default window
+jest.mock('../src/services/modelRegistry', () => ({
+  getModelById: jest.fn(() => Promise.resolve(null)),
+  resolveTaskRoute: jest.fn(() => Promise.resolve(null)),
 }));
 
 // Mock llmRouter — the key mock
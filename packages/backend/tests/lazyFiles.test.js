@@ -0,0 +1,73 @@
+const { isBinaryPath, isBuildInput, importPriority, planImport } = require('../src/utils/lazyFiles');
+
+const blob = (path, size = 1000) => ({ path, sha: `sha-${path}`, size });
+
+describe('isBinaryPath', () => {
+  it('recognises binary files by extension', () => {
+    expect(isBinaryPath('public/logo.PNG')).toBe(true);
+    expect(isBinaryPath('fonts/Inter.woff2')).toBe(true);
+    expect(isBinaryPath('src/App.jsx')).toBe(false);
+    expect(isBinaryPath('.png')).toBe(false);
+    expect(isBinaryPath('Makefile')).toBe(false);
+  });
+});
+
+describe('isBuildInput', () => {
+  it('leaves out binary, generated and vendored files but keeps lockfiles', () => {
+    expect(isBuildInput('src/App.jsx')).toBe(true);
+    expect(isBuildInput('data/large-fixture.json')).toBe(true);
+    expect(isBuildInput('package-lock.json')).toBe(true);
+    expect(isBuildInput('web/yarn.lock')).toBe(true);
+    expect(isBuildInput('public/logo.png')).toBe(false);
+    expect(isBuildInput('node_modules/react/index.js')).toBe(false);
+    expect(isBuildInput('dist/assets/index.js')).toBe(false);
+    expect(isBuildInput('vendor/jquery.min.js')).toBe(false);
+  });
+});
+
+describe('importPriority', () => {
+  it('puts frontend code first and generated files last', () => {
+    expect(importPriority('web/src/App.jsx')).toBe(0);
+    expect(importPriority('client/main.js')).toBe(1);
+    expect(importPriority('package.json')).toBe(2);
+    expect(importPriority('scripts/seed.py')).toBe(4);
+    expect(importPriority('web/dist/index.js')).toBe(5);
+  });
+});
+
+describe('planImport', () => {
+  it('stores small config files and the highest-priority files eagerly', () => {
+    const blobs = [
+      blob('scripts/seed.py'),
+      blob('web/src/App.jsx'),
+      blob('web/src/main.jsx'),
+      blob('package.json'),
+      blob('web/tsconfig.json'),
+    ];
+
+    const { eager, lazy } = planImport(blobs, { maxEagerFiles: 4 });
+
+    expect(eager.map((f) => f.path)).toEqual(['package.json', 'web/tsconfig.json', 'web/src/App.jsx', 'web/src/main.jsx']);
+    expect(lazy).toEqual([{ ...blob('scripts/seed.py'), binary: false }]);
+  });
+
+  it('leaves binary, large and generated files to be fetched on demand', () => {
+    const blobs = [
+      blob('public/hero.jpg'),
+      blob('src/data/catalog.json', 900000),
+      blob('package-lock.json'),
+      blob('src/vendor/jquery.min.js'),
+      blob('src/App.jsx'),
+    ];
+
+    const { eager, lazy } = planImport(blobs);
+
+    expect(eager.map((f) => f.path)).toEqual(['src/App.jsx']);
+    expect(lazy.map((f) => [f.path, f.binary])).toEqual([
+      ['public/hero.jpg', true],
+      ['src/data/catalog.json', false],
+      ['package-lock.json', false],
+      ['src/vendor/jquery.min.js', false],
+    ]);
+  });
+});
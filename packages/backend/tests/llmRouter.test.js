@@ -0,0 +1,361 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../src/services/claudeService', () => ({ generate: jest.fn(), generateWithTools: jest.fn() }));
+jest.mock('../src/services/fireworksService', () => ({ generate: jest.fn(), generateWithTools: jest.fn() }));
+jest.mock('../src/services/openaiService', () => ({ generate: jest.fn(), generateWithTools: jest.fn() }));
+jest.mock('../src/services/budgetService', () => ({ assertWithinBudget: jest.fn(() => Promise.resolve()) }));
+
+const KIMI = 'accounts/fireworks/models/kimi-k2p5';
+const DEFAULT_ROUTES = {
+  'code-generation': [{ provider: 'fireworks', modelId: KIMI }, { provider: 'openai', modelId: 'gpt-4o' }],
+  'code-iteration': [{ provider: 'fireworks', modelId: KIMI }, { provider: 'openai', modelId: 'gpt-4o' }],
+};
+jest.mock('../src/services/modelRegistry', () => ({
+  resolveTaskRoute: jest.fn(),
+  getProviderForModel: jest.fn(),
+  supportsVision: jest.fn(),
+  getModelsForCapability: jest.fn(),
+}));
+
+const fireworksService = require('../src/services/fireworksService');
+const openaiService = require('../src/services/openaiService');
+const budgetService = require('../src/services/budgetService');
+const modelRegistry = require('../src/services/modelRegistry');
+const claudeService = require('../src/services/claudeService');
+const llmRouter = require('../src/services/llmRouter');
+const { collectChatCompletion, createStreamChannel, parseSseStream } = require('../src/utils/llmStream');
+
+async function* fromArray(items) {
+  for (const item of items) yield item;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  modelRegistry.resolveTaskRoute.mockImplementation(async (taskType) => DEFAULT_ROUTES[taskType] || null);
+  modelRegistry.getProviderForModel.mockResolvedValue(null);
+  modelRegistry.supportsVision.mockResolvedValue(false);
+  modelRegistry.getModelsForCapability.mockResolvedValue([]);
+});
+
+describe('llmRouter streaming', () => {
+
+  it('passes a stream channel to the provider and ends the stream on success', async () => {
+    fireworksService.generate.mockImplementation(async ({ stream }) => {
+      const emit = stream.begin();
+      emit({ type: 'text', text: 'Hel' });
+      emit({ type: 'text', text: 'lo' });
+      return { content: 'Hello', usage: {}, model: 'm' };
+    });
+
+    const deltas = [];
+    const result = await llmRouter.route('code-generation', { prompt: 'hi', onDelta: (d) => deltas.push(d) });
+
+    expect(result.content).toBe('Hello');
+    expect(fireworksService.generate.mock.calls[0][0]).not.toHaveProperty('onDelta');
+    expect(deltas).toEqual([
+      { type: 'reset' },
+      { type: 'text', text: 'Hel' },
+      { type: 'text', text: 'lo' },
+      { type: 'end', provider: 'fireworks', fallbackUsed: false },
+    ]);
+  });
+
+  it('resets partial output when the primary fails mid-stream and the fallback takes over', async () => {
+    let staleEmit;
+    fireworksService.generateWithTools.mockImplementation(async ({ stream }) => {
+      staleEmit = stream.begin();
+      staleEmit({ type: 'text', text: 'partial' });
+      throw new Error('socket hang up');
+    });
+    openaiService.generateWithTools.mockImplementation(async ({ stream }) => {
+      const emit = stream.begin();
+      // Late output from the failed attempt must not leak into the new one
+      staleEmit({ type: 'text', text: 'stale' });
+      emit({ type: 'tool_call', id: 'c1', name: 'read_files' });
+      return { message: { role: 'assistant', content: '', toolCalls: [] }, usage: {}, model: 'gpt-4o', finishReason: 'stop' };
+    });
+
+    const deltas = [];
+    const result = await llmRouter.routeWithTools('code-iteration', {
+      messages: [],
+      tools: [],
+      onDelta: (d) => deltas.push(d),
+    });
+
+    expect(result.fallbackUsed).toBe(true);
+    expect(deltas).toEqual([
+      { type: 'reset' },
+      { type: 'text', text: 'partial' },
+      { type: 'reset' },
+      { type: 'tool_call', id: 'c1', name: 'read_files' },
+      { type: 'end', provider: 'openai', fallbackUsed: true },
+    ]);
+  });
+
+  it('resets the stream when every provider fails', async () => {
+    fireworksService.generate.mockImplementation(async ({ stream }) => {
+      stream.begin()({ type: 'text', text: 'x' });
+      throw new Error('primary down');
+    });
+    openaiService.generate.mockRejectedValue(new Error('fallback down'));
+
+    const deltas = [];
+    await expect(
+      llmRouter.route('code-generation', { prompt: 'hi', onDelta: (d) => deltas.push(d) })
+    ).rejects.toThrow('primary down');
+
+    expect(deltas[deltas.length - 1]).toEqual({ type: 'reset' });
+  });
+
+  it('does not create a stream channel without onDelta', async () => {
+    fireworksService.generate.mockResolvedValue({ content: 'ok', usage: {}, model: 'm' });
+
+    await llmRouter.route('code-generation', { prompt: 'hi' });
+    expect(fireworksService.generate.mock.calls[0][0].stream).toBeUndefined();
+  });
+});
+
+describe('llmRouter routing', () => {
+  it('lists the task types that can be routed', () => {
+    const taskTypes = llmRouter.getTaskTypes();
+
+    expect(taskTypes).toEqual(expect.arrayContaining(['code-generation', 'code-iteration', 'change-planning']));
+    // llm_task_routes.task_type is a varchar(50)
+    expect(taskTypes.every((t) => t.length <= 50)).toBe(true);
+  });
+
+  it('tries each model of the task chain in order', async () => {
+    modelRegistry.resolveTaskRoute.mockResolvedValue([
+      { provider: 'openai', modelId: 'gpt-4o' },
+      { provider: 'fireworks', modelId: KIMI },
+      { provider: 'anthropic', modelId: 'claude-sonnet-4-6' },
+    ]);
+    openaiService.generate.mockRejectedValue(new Error('rate limited'));
+    fireworksService.generate.mockRejectedValue(new Error('overloaded'));
+    claudeService.generate.mockResolvedValue({ content: 'ok', usage: {}, model: 'claude-sonnet-4-6' });
+
+    const result = await llmRouter.route('landing-page', { prompt: 'hi' });
+
+    expect(modelRegistry.resolveTaskRoute).toHaveBeenCalledWith('landing-page');
+    expect(openaiService.generate.mock.calls[0][0].model).toBe('gpt-4o');
+    expect(fireworksService.generate.mock.calls[0][0].model).toBe(KIMI);
+    expect(claudeService.generate.mock.calls[0][0].model).toBe('claude-sonnet-4-6');
+    expect(result).toMatchObject({ content: 'ok', provider: 'anthropic', fallbackUsed: true });
+  });
+
+  it('reports every failure when the whole chain fails', async () => {
+    fireworksService.generate.mockRejectedValue(new Error('primary down'));
+    openaiService.generate.mockRejectedValue(new Error('fallback down'));
+
+    await expect(llmRouter.route('code-generation', { prompt: 'hi' })).rejects.toThrow(
+      /primary down.*fallback down/
+    );
+  });
+
+  it('uses the default route for task types without one', async () => {
+    fireworksService.generate.mockResolvedValue({ content: 'ok', usage: {}, model: KIMI });
+
+    await llmRouter.route('brand-new-task', { prompt: 'hi' });
+
+    expect(modelRegistry.resolveTaskRoute).toHaveBeenCalledWith('code-generation');
+    expect(fireworksService.generate.mock.calls[0][0].model).toBe(KIMI);
+  });
+
+  it("falls back to the providers' default models when no route resolves", async () => {
+    modelRegistry.resolveTaskRoute.mockResolvedValue(null);
+    fireworksService.generate.mockResolvedValue({ content: 'ok', usage: {}, model: KIMI });
+
+    await llmRouter.route('code-generation', { prompt: 'hi' });
+    expect(fireworksService.generate.mock.calls[0][0]).not.toHaveProperty('model');
+  });
+
+  it('routes model overrides to the provider from the catalog', async () => {
+    modelRegistry.getProviderForModel.mockResolvedValue('openai');
+    openaiService.generate.mockResolvedValue({ content: 'ok', usage: {}, model: 'o3-mini' });
+
+    const result = await llmRouter.route('code-generation', { prompt: 'hi', modelOverride: 'o3-mini' });
+
+    expect(openaiService.generate.mock.calls[0][0].model).toBe('o3-mini');
+    expect(fireworksService.generate).not.toHaveBeenCalled();
+    expect(result.provider).toBe('openai');
+  });
+
+  it('falls back from a tool-calling override to the chain on another provider', async () => {
+    modelRegistry.getProviderForModel.mockResolvedValue('fireworks');
+    fireworksService.generateWithTools.mockRejectedValue(new Error('bad request'));
+    openaiService.generateWithTools.mockResolvedValue({ message: { content: '' }, usage: {}, model: 'gpt-4o' });
+
+    const result = await llmRouter.routeWithTools('code-iteration', {
+      messages: [],
+      tools: [],
+      modelOverride: 'accounts/fireworks/models/qwen3-8b',
+    });
+
+    expect(fireworksService.generateWithTools).toHaveBeenCalledTimes(1);
+    expect(openaiService.generateWithTools.mock.calls[0][0].model).toBe('gpt-4o');
+    expect(result).toMatchObject({ provider: 'openai', fallbackUsed: true });
+  });
+});
+
+describe('llmRouter image input', () => {
+  const IMAGE = { mimeType: 'image/png', data: 'iVBORw0KGgo=', filename: 'mockup.png' };
+
+  it('keeps only vision-capable models of the chain', async () => {
+    modelRegistry.supportsVision.mockImplementation(async (modelId) => modelId === 'gpt-4o');
+    openaiService.generate.mockResolvedValue({ content: 'ok', usage: {}, model: 'gpt-4o' });
+
+    const result = await llmRouter.route('code-generation', { prompt: 'make it look like this', images: [IMAGE] });
+
+    expect(fireworksService.generate).not.toHaveBeenCalled();
+    expect(openaiService.generate.mock.calls[0][0]).toMatchObject({ model: 'gpt-4o', images: [IMAGE] });
+    expect(result.provider).toBe('openai');
+  });
+
+  it('routes a non-vision override to the catalog vision models', async () => {
+    modelRegistry.getProviderForModel.mockResolvedValue('fireworks');
+    modelRegistry.getModelsForCapability.mockResolvedValue([
+      { provider: 'anthropic', model_id: 'claude-sonnet-4-6' },
+    ]);
+    claudeService.generateWithTools.mockResolvedValue({
+      message: { role: 'assistant', content: 'done', toolCalls: [] }, usage: {}, model: 'claude-sonnet-4-6', finishReason: 'stop',
+    });
+
+    const messages = [{ role: 'user', content: [{ type: 'text', text: 'copy this' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] }];
+    await llmRouter.routeWithTools('code-iteration', { messages, tools: [], modelOverride: 'accounts/fireworks/models/qwen3-8b' });
+
+    expect(modelRegistry.getModelsForCapability).toHaveBeenCalledWith('vision');
+    expect(fireworksService.generateWithTools).not.toHaveBeenCalled();
+    expect(claudeService.generateWithTools.mock.calls[0][0]).toMatchObject({ model: 'claude-sonnet-4-6', messages });
+  });
+
+  it('sends text only when no model can see images', async () => {
+    fireworksService.generateWithTools.mockResolvedValue({
+      message: { role: 'assistant', content: '', toolCalls: [] }, usage: {}, model: KIMI, finishReason: 'stop',
+    });
+
+    const messages = [{ role: 'user', content: [
+      { type: 'text', text: 'copy this' },
+      { type: 'text', text: 'Attached image: mockup.png' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } },
+    ] }];
+    await llmRouter.routeWithTools('code-iteration', { messages, tools: [] });
+
+    expect(fireworksService.generateWithTools.mock.calls[0][0].messages).toEqual([{ role: 'user', content: 'copy this' }]);
+  });
+
+  it('does not look up vision support for text-only calls', async () => {
+    fireworksService.generate.mockResolvedValue({ content: 'ok', usage: {}, model: KIMI });
+
+    await llmRouter.route('code-generation', { prompt: 'hi', images: [] });
+    expect(modelRegistry.supportsVision).not.toHaveBeenCalled();
+  });
+});
+
+describe('visionContent', () => {
+  const { toOpenAIContent, toAnthropicContent } = require('../src/utils/visionContent');
+
+  it('builds labelled image parts for OpenAI and Anthropic', () => {
+    const images = [{ mimeType: 'image/jpeg', data: 'QUJD', filename: 'home.jpg' }];
+
+    expect(toOpenAIContent('Match this', images)).toEqual([
+      { type: 'text', text: 'Match this' },
+      { type: 'text', text: 'Attached image: home.jpg' },
+      { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,QUJD' } },
+    ]);
+    expect(toAnthropicContent('Match this', images)[2]).toEqual(
+      { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: 'QUJD' } }
+    );
+  });
+});
+
+describe('llmRouter budgets', () => {
+
+  it('checks budgets for the billed user and project without passing them to the provider', async () => {
+    fireworksService.generate.mockResolvedValue({ content: 'ok', usage: {}, model: 'm' });
+
+    await llmRouter.route('code-generation', { prompt: 'hi', userId: 'u1', projectId: 'p1' });
+
+    expect(budgetService.assertWithinBudget).toHaveBeenCalledWith({ userId: 'u1', projectId: 'p1' });
+    const providerOptions = fireworksService.generate.mock.calls[0][0];
+    expect(providerOptions).not.toHaveProperty('userId');
+    expect(providerOptions).not.toHaveProperty('projectId');
+  });
+
+  it('stops before calling any provider when a budget is exhausted', async () => {
+    const err = Object.assign(new Error('Project daily budget of $5.00 reached'), { statusCode: 402, code: 'BUDGET_EXCEEDED' });
+    budgetService.assertWithinBudget.mockRejectedValueOnce(err);
+
+    await expect(
+      llmRouter.routeWithTools('code-iteration', { messages: [], tools: [], projectId: 'p1' })
+    ).rejects.toBe(err);
+    expect(fireworksService.generateWithTools).not.toHaveBeenCalled();
+    expect(openaiService.generateWithTools).not.toHaveBeenCalled();
+  });
+
+  it('lets the call through when the budget lookup itself fails', async () => {
+    budgetService.assertWithinBudget.mockRejectedValueOnce(new Error('connection refused'));
+    fireworksService.generate.mockResolvedValue({ content: 'ok', usage: {}, model: 'm' });
+
+    const result = await llmRouter.route('code-generation', { prompt: 'hi', userId: 'u1' });
+    expect(result.content).toBe('ok');
+  });
+});
+
+describe('llmStream', () => {
+  it('assembles OpenAI-format chunks into a completion response', async () => {
+    const deltas = [];
+    const emit = createStreamChannel((d) => deltas.push(d)).begin();
+
+    const response = await collectChatCompletion(fromArray([
+      { choices: [{ delta: { role: 'assistant', content: 'Let me ' } }] },
+      { choices: [{ delta: { content: 'look.' } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'read_files', arguments: '{"paths":' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '["a.js"]}' } }] } }] },
+      { choices: [{ delta: {}, finish_reason: 'tool_calls' }] },
+      { choices: [], usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } },
+    ]), emit);
+
+    expect(response).toEqual({
+      choices: [{
+        message: {
+          role: 'assistant',
+          content: 'Let me look.',
+          tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read_files', arguments: '{"paths":["a.js"]}' } }],
+        },
+        finish_reason: 'tool_calls',
+      }],
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+    });
+    expect(deltas).toEqual([
+      { type: 'reset' },
+      { type: 'text', text: 'Let me ' },
+      { type: 'text', text: 'look.' },
+      { type: 'tool_call', id: 'call_1', name: 'read_files' },
+    ]);
+  });
+
+  it('fails on an error chunk so the router can fall back', async () => {
+    const emit = createStreamChannel(() => {}).begin();
+
+    await expect(collectChatCompletion(fromArray([
+      { choices: [{ delta: { content: 'a' } }] },
+      { error: { message: 'overloaded' } },
+    ]), emit)).rejects.toThrow('overloaded');
+  });
+
+  it('parses SSE bodies split across chunks', async () => {
+    const body = fromArray([
+      'data: {"choices":[{"delta":{"content":"a"}}]}\n\ndata: {"cho',
+      'ices":[{"delta":{"content":"b"}}]}\n\n: keep-alive\n\ndata: [DONE]\n\n',
+    ]);
+
+    const chunks = [];
+    for await (const chunk of parseSseStream(body)) chunks.push(chunk);
+    expect(chunks.map((c) => c.choices[0].delta.content)).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../src/services/railwayService', () => ({
+  getBuildLogs: jest.fn(),
+  getDeploymentLogs: jest.fn(),
+}));
+
+const railwayService = require('../src/services/railwayService');
+const logStreamService = require('../src/services/logStreamService');
+
+describe('logStreamService.normalize', () => {
+  it('reads error lines logged at info severity as errors', () => {
+    const entry = logStreamService.normalize({
+      message: 'TypeError: Cannot read properties of undefined\n',
+      severity: 'info',
+      timestamp: '2026-01-01T00:00:00Z',
+    }, 'runtime');
+
+    expect(entry).toEqual({
+      source: 'runtime',
+      level: 'error',
+      message: 'TypeError: Cannot read properties of undefined',
+      timestamp: '2026-01-01T00:00:00Z',
+    });
+    expect(logStreamService.normalize({ message: '    at render (src/App.jsx:3:5)' }, 'runtime').level).toBe('error');
+    expect(logStreamService.normalize({ message: 'Listening on 3000', severity: 'info' }, 'runtime').level).toBe('info');
+  });
+});
+
+describe('logStreamService.matches', () => {
+  const entry = { level: 'warn', message: 'Deprecated API used in /api/Users' };
+
+  it('filters by minimum level and case-insensitive search', () => {
+    expect(logStreamService.matches(entry, { level: 'info' })).toBe(true);
+    expect(logStreamService.matches(entry, { level: 'error' })).toBe(false);
+    expect(logStreamService.matches(entry, { search: 'api/users' })).toBe(true);
+    expect(logStreamService.matches(entry, { search: 'orders' })).toBe(false);
+  });
+});
+
+describe('logStreamService.tail', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('sends each line once and polls from the newest timestamp', async () => {
+    const first = { message: 'Server started', severity: 'info', timestamp: '2026-01-01T00:00:01Z' };
+    const second = { message: 'Error: boom', severity: 'error', timestamp: '2026-01-01T00:00:02Z' };
+    railwayService.getBuildLogs.mockResolvedValue([]);
+    railwayService.getDeploymentLogs
+      .mockResolvedValueOnce([first])
+      .mockResolvedValueOnce([first, second]);
+    const onLogs = jest.fn();
+
+    const stop = logStreamService.tail('rw-deploy-1', { onLogs, intervalMs: 1000 });
+    await jest.advanceTimersByTimeAsync(1000);
+    stop();
+
+    expect(onLogs).toHaveBeenCalledTimes(2);
+    expect(onLogs.mock.calls[0][0].map((l) => l.message)).toEqual(['Server started']);
+    expect(onLogs.mock.calls[1][0].map((l) => l.message)).toEqual(['Error: boom']);
+    expect(railwayService.getDeploymentLogs).toHaveBeenLastCalledWith('rw-deploy-1', {
+      limit: 500,
+      startDate: '2026-01-01T00:00:01Z',
+    });
+  });
+
+  it('applies the level filter to the stream', async () => {
+    railwayService.getBuildLogs.mockResolvedValue([{ message: 'Compiling...', severity: 'info', timestamp: '2026-01-01T00:00:01Z' }]);
+    railwayService.getDeploymentLogs.mockResolvedValue([{ message: 'Uncaught exception', timestamp: '2026-01-01T00:00:02Z' }]);
+    const onLogs = jest.fn();
+
+    const stop = logStreamService.tail('rw-deploy-1', { onLogs, level: 'error' });
+    await jest.advanceTimersByTimeAsync(0);
+    stop();
+
+    expect(onLogs).toHaveBeenCalledWith([expect.objectContaining({ source: 'runtime', level: 'error' })]);
+  });
+});
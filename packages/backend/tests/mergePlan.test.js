@@ -0,0 +1,147 @@
+const { gitBlobSha } = require('../src/utils/contentHash');
+const { planMerge, localBlobSha } = require('../src/utils/mergePlan');
+
+// Blob store standing in for GitHub: sha -> text
+function repo(files) {
+  const blobs = new Map();
+  const tree = new Map();
+  for (const [path, content] of Object.entries(files)) {
+    const sha = gitBlobSha(content);
+    blobs.set(sha, content);
+    tree.set(path, { sha, size: content.length });
+  }
+  return { tree, blobs };
+}
+
+function plan({ base, theirs, ours, resolutions = {} }) {
+  const baseRepo = repo(base);
+  const headRepo = repo(theirs);
+  const blobs = new Map([...baseRepo.blobs, ...headRepo.blobs]);
+  const readBlob = jest.fn((sha) => Promise.resolve(blobs.has(sha) ? blobs.get(sha) : null));
+  const projectFiles = Object.entries(ours).map(([path, content]) => ({
+    file_path: path,
+    content,
+    blob_sha: null,
+    is_binary: false,
+  }));
+  return planMerge({
+    baseTree: baseRepo.tree,
+    headTree: headRepo.tree,
+    projectFiles,
+    readBlob,
+    resolutions,
+    theirsLabel: 'GitHub abc1234',
+  });
+}
+
+const app = 'export default function App() {\n  return null;\n}\n';
+const appEdited = 'export default function App() {\n  return <h1>Hi</h1>;\n}\n';
+const readme = '# Todo\n';
+
+describe('localBlobSha', () => {
+  it('uses the stored blob for files that were never loaded', () => {
+    expect(localBlobSha({ content: null, blob_sha: 'abc' })).toBe('abc');
+    expect(localBlobSha({ content: readme, blob_sha: 'stale' })).toBe(gitBlobSha(readme));
+  });
+});
+
+describe('planMerge', () => {
+  it('takes GitHub changes to files unchanged in Imagia', async () => {
+    const result = await plan({
+      base: { 'src/App.jsx': app },
+      theirs: { 'src/App.jsx': appEdited, 'README.md': readme },
+      ours: { 'src/App.jsx': app },
+    });
+
+    expect(result.writes.map((w) => [w.file_path, w.content])).toEqual([
+      ['src/App.jsx', appEdited],
+      ['README.md', readme],
+    ]);
+    expect(result).toMatchObject({ deletes: [], conflicts: [], ahead: false });
+  });
+
+  it('raises a conflict for a file deleted in Imagia and edited on GitHub', async () => {
+    const result = await plan({
+      base: { 'src/App.jsx': app, 'README.md': readme },
+      theirs: { 'src/App.jsx': appEdited, 'README.md': readme },
+      ours: { 'README.md': readme },
+    });
+
+    expect(result.writes).toEqual([]);
+    expect(result.conflicts).toEqual([{
+      file_path: 'src/App.jsx',
+      base: app,
+      ours: null,
+      theirs: appEdited,
+      merged: appEdited,
+      conflicts: 1,
+    }]);
+  });
+
+  it('keeps a file deleted in Imagia and unchanged on GitHub deleted, and marks Imagia ahead', async () => {
+    const result = await plan({
+      base: { 'src/App.jsx': app, 'README.md': readme },
+      theirs: { 'src/App.jsx': app, 'README.md': readme },
+      ours: { 'README.md': readme },
+    });
+
+    expect(result).toEqual({ writes: [], deletes: [], conflicts: [], ahead: true });
+  });
+
+  it('treats a file deleted on both sides as merged', async () => {
+    const result = await plan({
+      base: { 'src/App.jsx': app, 'README.md': readme },
+      theirs: { 'README.md': readme },
+      ours: { 'README.md': readme },
+    });
+
+    expect(result).toEqual({ writes: [], deletes: [], conflicts: [], ahead: false });
+  });
+
+  it('resolves a deleted-in-Imagia conflict by keeping the deletion or the GitHub version', async () => {
+    const scenario = {
+      base: { 'src/App.jsx': app },
+      theirs: { 'src/App.jsx': appEdited },
+      ours: {},
+    };
+
+    const keepDeleted = await plan({ ...scenario, resolutions: { 'src/App.jsx': null } });
+    expect(keepDeleted).toMatchObject({ writes: [], deletes: [], conflicts: [], ahead: true });
+
+    const restored = await plan({ ...scenario, resolutions: { 'src/App.jsx': appEdited } });
+    expect(restored.writes).toEqual([{ file_path: 'src/App.jsx', content: appEdited }]);
+    expect(restored.ahead).toBe(false);
+  });
+
+  it('raises a conflict for a file edited in Imagia and deleted on GitHub', async () => {
+    const result = await plan({
+      base: { 'src/App.jsx': app },
+      theirs: {},
+      ours: { 'src/App.jsx': appEdited },
+    });
+
+    expect(result.conflicts).toEqual([expect.objectContaining({ file_path: 'src/App.jsx', ours: appEdited, theirs: null })]);
+  });
+
+  it('deletes files GitHub deleted that Imagia left alone', async () => {
+    const result = await plan({
+      base: { 'src/App.jsx': app },
+      theirs: {},
+      ours: { 'src/App.jsx': app },
+    });
+
+    expect(result).toMatchObject({ writes: [], deletes: ['src/App.jsx'], conflicts: [] });
+  });
+
+  it('merges edits to different parts of a file', async () => {
+    const base = 'a\nb\nc\nd\ne\n';
+    const result = await plan({
+      base: { 'notes.txt': base },
+      theirs: { 'notes.txt': 'A\nb\nc\nd\ne\n' },
+      ours: { 'notes.txt': 'a\nb\nc\nd\nE\n' },
+    });
+
+    expect(result.writes).toEqual([{ file_path: 'notes.txt', content: 'A\nb\nc\nd\nE\n' }]);
+    expect(result.ahead).toBe(true);
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { mockQuery } = require('./helpers/knexMock');
+
+const mockQueries = [];
+jest.mock('../src/config/database', () => {
+  const db = jest.fn(() => mockQueries.shift());
+  db.fn = { now: jest.fn(() => new Date()) };
+  return { db };
+});
+
+jest.mock('../src/services/railwayService', () => ({ deleteService: jest.fn(() => Promise.resolve(true)) }));
+jest.mock('../src/services/cloudflareService', () => ({ deleteKvEntry: jest.fn(() => Promise.resolve()) }));
+jest.mock('../src/services/costTracker', () => ({ trackComputeCost: jest.fn(() => Promise.resolve(0.01)) }));
+
+const config = require('../src/config/environment');
+const railwayService = require('../src/services/railwayService');
+const cloudflareService = require('../src/services/cloudflareService');
+const costTracker = require('../src/services/costTracker');
+const previewService = require('../src/services/previewService');
+
+const HOUR = 60 * 60 * 1000;
+const project = { id: 'project-1', name: 'My App' };
+
+function preview(overrides = {}) {
+  return {
+    id: 'preview-1',
+    project_id: project.id,
+    number: 1,
+    status: 'active',
+    railway_service_id: 'svc-1',
+    subdomain_slug: 'my-app-preview-1',
+    last_deployment_id: 'deploy-1',
+    created_at: new Date(Date.now() - 100 * HOUR),
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockQueries.length = 0;
+  config.previewTtlHours = 48;
+  config.previewMaxPerProject = 3;
+  config.previewDeployStaleMinutes = 60;
+});
+
+describe('previewService.getOrCreatePreview', () => {
+  it('reuses the conversation\'s live preview', async () => {
+    const existing = preview();
+    mockQueries.push(mockQuery(existing));
+
+    await expect(previewService.getOrCreatePreview(project, { conversationId: 'conv-1' })).resolves.toBe(existing);
+  });
+
+  it('refuses to redeploy a preview that is deploying', async () => {
+    mockQueries.push(mockQuery(preview({ status: 'deploying', updated_at: new Date() })));
+
+    await expect(previewService.getOrCreatePreview(project, { conversationId: 'conv-1' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('marks a deploy stuck past the cutoff failed so the preview can be redeployed', async () => {
+    const markFailed = mockQuery(1);
+    mockQueries.push(mockQuery(preview({ status: 'deploying', updated_at: new Date(Date.now() - 2 * HOUR) })), markFailed);
+
+    const result = await previewService.getOrCreatePreview(project, { conversationId: 'conv-1' });
+
+    expect(result).toMatchObject({ id: 'preview-1', status: 'failed' });
+    expect(markFailed.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      error_message: 'Deploy did not finish within 60 minutes',
+    }));
+  });
+
+  it('refuses a new preview once the project has the maximum', async () => {
+    mockQueries.push(mockQuery(undefined), mockQuery({ count: '3' }));
+
+    await expect(previewService.getOrCreatePreview(project, { conversationId: 'conv-2' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('numbers a new preview after the previous ones and slugs it next to production', async () => {
+    const insert = mockQuery({ id: 'preview-5' });
+    mockQueries.push(
+      mockQuery(undefined),
+      mockQuery({ count: '1' }),
+      mockQuery({ max_number: 4 }),
+      insert,
+      mockQuery({ subdomain_slug: 'my-app' })
+    );
+
+    await previewService.getOrCreatePreview(project, { conversationId: 'conv-2' });
+
+    expect(insert.insert).toHaveBeenCalledWith(expect.objectContaining({
+      number: 5,
+      service_name: 'My App-preview-5',
+      subdomain_slug: 'my-app-preview-5',
+    }));
+  });
+});
+
+describe('previewService.runMaintenance', () => {
+  it('tears down previews not redeployed within the TTL and bills the rest', async () => {
+    const stale = preview({ last_deployed_at: new Date(Date.now() - 72 * HOUR), compute_tracked_at: new Date(Date.now() - HOUR) });
+    const fresh = preview({ id: 'preview-2', last_deployed_at: new Date(Date.now() - 2 * HOUR), compute_tracked_at: new Date(Date.now() - HOUR) });
+    const markDeleted = mockQuery(1);
+    mockQueries.push(
+      mockQuery([stale, fresh]),
+      mockQuery(1), // stale: compute tracked
+      markDeleted,
+      mockQuery(1) // fresh: compute tracked
+    );
+
+    const result = await previewService.runMaintenance();
+
+    expect(result).toEqual({ tracked: 1, removed: 1 });
+    expect(railwayService.deleteService).toHaveBeenCalledWith('svc-1');
+    expect(cloudflareService.deleteKvEntry).toHaveBeenCalledWith('my-app-preview-1');
+    expect(markDeleted.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'deleted' }));
+    expect(costTracker.trackComputeCost).toHaveBeenCalledTimes(2);
+    expect(costTracker.trackComputeCost.mock.calls[0][3]).toEqual({ category: 'preview' });
+  });
+
+  it('never removes a preview that is deploying', async () => {
+    mockQueries.push(mockQuery([preview({ status: 'deploying', last_deployed_at: null, updated_at: new Date() })]));
+
+    const result = await previewService.runMaintenance();
+
+    expect(result).toEqual({ tracked: 1, removed: 0 });
+    expect(railwayService.deleteService).not.toHaveBeenCalled();
+  });
+
+  it('fails a deploy stuck past the cutoff and expires the preview', async () => {
+    const stuck = preview({ status: 'deploying', last_deployed_at: null, updated_at: new Date(Date.now() - 2 * HOUR) });
+    const markFailed = mockQuery(1);
+    const markDeleted = mockQuery(1);
+    mockQueries.push(mockQuery([stuck]), markFailed, markDeleted);
+
+    const result = await previewService.runMaintenance();
+
+    expect(result).toEqual({ tracked: 0, removed: 1 });
+    expect(markFailed.where).toHaveBeenCalledWith({ id: 'preview-1', status: 'deploying' });
+    expect(markFailed.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed' }));
+    expect(railwayService.deleteService).toHaveBeenCalledWith('svc-1');
+    expect(markDeleted.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'deleted' }));
+  });
+});
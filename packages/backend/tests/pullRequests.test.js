@@ -0,0 +1,57 @@
+const { buildPullRequestTitle, buildPullRequestBody, summarizeReviews } = require('../src/utils/pullRequests');
+
+const versions = [
+  { version_number: 4, prompt_summary: 'Add a dark mode toggle', diff_summary: 'Added ThemeToggle and dark styles' },
+  { version_number: 5, prompt_summary: 'Make the header sticky\nand shorter', diff_summary: null },
+];
+
+const diff = {
+  files: [
+    { path: 'src/App.jsx', status: 'modified', diff: '@@ -1 +1 @@\n-a\n+b\n', additions: 1, deletions: 1 },
+    { path: 'src/ThemeToggle.jsx', status: 'added', diff: '@@ -0,0 +1 @@\n+x\n', additions: 1, deletions: 0 },
+  ],
+  stats: { additions: 2, deletions: 1 },
+};
+
+describe('buildPullRequestTitle', () => {
+  it('uses the first line of the newest request', () => {
+    expect(buildPullRequestTitle(versions, 'Todo')).toBe('Make the header sticky');
+    expect(buildPullRequestTitle([], 'Todo')).toBe('Update Todo from Imagia');
+    expect(buildPullRequestTitle([{ prompt_summary: 'x'.repeat(100) }], 'Todo')).toHaveLength(72);
+  });
+});
+
+describe('buildPullRequestBody', () => {
+  it('lists version summaries, changed files and their diffs', () => {
+    const body = buildPullRequestBody({ versions, diff, projectUrl: 'https://imagia.net/project/p1' });
+
+    expect(body).toContain('- **v4**: Added ThemeToggle and dark styles\n  > Add a dark mode toggle');
+    expect(body).toContain('- **v5**: Make the header sticky');
+    expect(body).toContain('| `src/ThemeToggle.jsx` | added | +1 -0 |');
+    expect(body).toContain('**2 files**, +2 -1');
+    expect(body).toContain('```diff\n@@ -1 +1 @@\n-a\n+b\n');
+    expect(body.endsWith('_Pushed from [Imagia](https://imagia.net/project/p1)_')).toBe(true);
+  });
+
+  it('leaves out diffs that would push the body past GitHub\'s limit', () => {
+    const huge = { ...diff.files[0], diff: 'x'.repeat(70000) };
+    const body = buildPullRequestBody({ versions, diff: { ...diff, files: [huge, diff.files[1]] } });
+
+    expect(body.length).toBeLessThan(65536);
+    expect(body).toContain('<code>src/ThemeToggle.jsx</code>');
+    expect(body).toContain('1 more diff too large to include');
+  });
+});
+
+describe('summarizeReviews', () => {
+  const review = (login, state) => ({ user: { login }, state });
+
+  it('uses each reviewer\'s latest decision', () => {
+    expect(summarizeReviews([])).toBe('pending');
+    expect(summarizeReviews([review('ana', 'COMMENTED')])).toBe('commented');
+    expect(summarizeReviews([review('ana', 'CHANGES_REQUESTED'), review('ana', 'APPROVED')])).toBe('approved');
+    expect(summarizeReviews([review('ana', 'APPROVED'), review('ana', 'COMMENTED')])).toBe('approved');
+    expect(summarizeReviews([review('ana', 'APPROVED'), review('ben', 'CHANGES_REQUESTED')])).toBe('changes_requested');
+    expect(summarizeReviews([review('ben', 'CHANGES_REQUESTED'), review('ben', 'DISMISSED')])).toBe('pending');
+  });
+});
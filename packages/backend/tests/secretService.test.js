@@ -0,0 +1,224 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { mockQuery } = require('./helpers/knexMock');
+
+const mockQueries = [];
+const mockTables = [];
+jest.mock('../src/config/database', () => {
+  const db = jest.fn((table) => {
+    mockTables.push(table);
+    return mockQueries.shift();
+  });
+  db.fn = { now: () => 'now()' };
+  db.transaction = jest.fn((fn) => fn(db));
+  return { db };
+});
+
+jest.mock('../src/queues/deployQueue', () => ({ add: jest.fn(() => Promise.resolve({ id: 'job-1' })) }));
+
+const crypto = require('crypto');
+const config = require('../src/config/environment');
+const deployQueue = require('../src/queues/deployQueue');
+const { encrypt, decrypt, keyVersion } = require('../src/utils/encryption');
+const secretService = require('../src/services/secretService');
+
+const stored = (overrides = {}) => ({
+  id: 'secret-1',
+  project_id: 'project-1',
+  key: 'STRIPE_KEY',
+  type: 'api_key',
+  description: null,
+  version: 3,
+  encrypted_value: encrypt('sk_old'),
+  ...overrides,
+});
+
+beforeAll(() => {
+  config.secretsEncryptionKey = crypto.randomBytes(32).toString('hex');
+  config.secretsEncryptionKeyVersion = 1;
+  config.secretsPreviousKeys = '';
+});
+
+beforeEach(() => {
+  mockQueries.length = 0;
+  mockTables.length = 0;
+  jest.clearAllMocks();
+});
+
+describe('setSecret', () => {
+  it('stores a new value as the next version and audits the rotation', async () => {
+    const existing = stored();
+    const updated = stored({ version: 4, encrypted_value: encrypt('sk_new') });
+    const update = mockQuery(updated);
+    const version = mockQuery(null);
+    const audit = mockQuery(null);
+    mockQueries.push(mockQuery(existing), update, version, audit);
+
+    const result = await secretService.setSecret('project-1', { key: 'STRIPE_KEY', value: 'sk_new' }, { actorId: 'user-1' });
+
+    expect(result).toMatchObject({ created: false, rotated: true });
+    expect(result.secret.encrypted_value).toBeUndefined();
+    const changes = update.update.mock.calls[0][0];
+    expect(changes.version).toBe(4);
+    expect(decrypt(changes.encrypted_value)).toBe('sk_new');
+    expect(mockTables).toEqual(['project_secrets', 'project_secrets', 'project_secret_versions', 'secret_audit_log']);
+    expect(version.insert).toHaveBeenCalledWith(expect.objectContaining({ secret_id: 'secret-1', version: 4, created_by: 'user-1' }));
+    expect(audit.insert).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'update',
+      version: 4,
+      actor_id: 'user-1',
+      source: 'api',
+      metadata: JSON.stringify({ previous_version: 3 }),
+    }));
+  });
+
+  it('keeps the version when the value is unchanged', async () => {
+    const existing = stored();
+    const update = mockQuery(existing);
+    mockQueries.push(mockQuery(existing), update, mockQuery(null));
+
+    const result = await secretService.setSecret('project-1', { key: 'STRIPE_KEY', value: 'sk_old', description: 'Stripe' });
+
+    expect(result.rotated).toBe(false);
+    expect(update.update.mock.calls[0][0]).not.toHaveProperty('version');
+    expect(update.update.mock.calls[0][0].description).toBe('Stripe');
+    expect(mockTables).not.toContain('project_secret_versions');
+  });
+
+  it('creates version 1 of a new secret', async () => {
+    const created = stored({ version: 1 });
+    const insert = mockQuery(created);
+    const audit = mockQuery(null);
+    mockQueries.push(mockQuery(undefined), insert, mockQuery(null), audit);
+
+    const result = await secretService.setSecret('project-1', { key: 'STRIPE_KEY', value: 'sk_old' }, { source: 'chat' });
+
+    expect(result).toMatchObject({ created: true, rotated: false });
+    expect(insert.insert).toHaveBeenCalledWith(expect.objectContaining({ version: 1, type: 'custom' }));
+    expect(audit.insert).toHaveBeenCalledWith(expect.objectContaining({ action: 'create', source: 'chat' }));
+  });
+});
+
+describe('rollback', () => {
+  it('copies the old value into a new version', async () => {
+    const old = encrypt('sk_first');
+    const update = mockQuery(stored({ version: 4, encrypted_value: old }));
+    const audit = mockQuery(null);
+    mockQueries.push(mockQuery(stored()), mockQuery({ version: 1, encrypted_value: old }), update, mockQuery(null), audit);
+
+    const result = await secretService.rollback('project-1', 'secret-1', 1, { actorId: 'user-1' });
+
+    expect(result.rotated).toBe(true);
+    expect(update.update).toHaveBeenCalledWith(expect.objectContaining({ encrypted_value: old, version: 4 }));
+    expect(audit.insert).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'update',
+      metadata: JSON.stringify({ previous_version: 3, rolled_back_to: 1 }),
+    }));
+  });
+
+  it('rejects versions the secret never had', async () => {
+    mockQueries.push(mockQuery(stored()), mockQuery(undefined));
+
+    await expect(secretService.rollback('project-1', 'secret-1', 9)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('readForDeploy', () => {
+  it('decrypts every secret and audits each read', async () => {
+    const audit = mockQuery(null);
+    mockQueries.push(
+      mockQuery([stored(), stored({ id: 'secret-2', key: 'BROKEN', encrypted_value: 'v1:00:00:00' })]),
+      audit
+    );
+
+    const envVars = await secretService.readForDeploy('project-1', { deploymentId: 'deploy-1', actorId: 'user-1' });
+
+    expect(envVars).toEqual({ STRIPE_KEY: 'sk_old' });
+    expect(audit.insert).toHaveBeenCalledWith([expect.objectContaining({
+      secret_id: 'secret-1',
+      action: 'read',
+      source: 'deploy',
+      metadata: JSON.stringify({ deployment_id: 'deploy-1' }),
+    })]);
+  });
+});
+
+describe('queueRedeploy', () => {
+  it('redeploys live projects that are not already deploying', async () => {
+    const live = { id: 'project-1', deployment_url: 'https://app.imagia.net', status: 'ready' };
+
+    expect(await secretService.queueRedeploy(live, 'user-1')).toBe('job-1');
+    expect(deployQueue.add).toHaveBeenCalledWith({ projectId: 'project-1', userId: 'user-1' });
+    expect(await secretService.queueRedeploy({ ...live, status: 'deploying' }, 'user-1')).toBeNull();
+    expect(await secretService.queueRedeploy({ ...live, deployment_url: null }, 'user-1')).toBeNull();
+  });
+});
+
+describe('reencryptAll', () => {
+  let previousKey;
+
+  beforeEach(() => {
+    previousKey = config.secretsEncryptionKey;
+    config.secretsEncryptionKey = crypto.randomBytes(32).toString('hex');
+    config.secretsEncryptionKeyVersion = 2;
+    config.secretsPreviousKeys = `1:${previousKey}`;
+  });
+
+  afterEach(() => {
+    config.secretsEncryptionKey = previousKey;
+    config.secretsEncryptionKeyVersion = 1;
+    config.secretsPreviousKeys = '';
+  });
+
+  function encryptWithPreviousKey(value) {
+    const current = config.secretsEncryptionKey;
+    config.secretsEncryptionKey = previousKey;
+    config.secretsEncryptionKeyVersion = 1;
+    try {
+      return encrypt(value);
+    } finally {
+      config.secretsEncryptionKey = current;
+      config.secretsEncryptionKeyVersion = 2;
+    }
+  }
+
+  it('moves values on a retired key to the current one', async () => {
+    const old = encryptWithPreviousKey('sk_old');
+    const update = mockQuery(null);
+    mockQueries.push(mockQuery([{ id: 'secret-1', encrypted_value: old }]), update, mockQuery([]));
+    for (let i = 0; i < 3; i++) mockQueries.push(mockQuery([]));
+
+    const result = await secretService.reencryptAll();
+
+    expect(result).toEqual({ keyVersion: 2, updated: 1, skipped: 0, failed: 0 });
+    expect(update.where).toHaveBeenCalledWith({ id: 'secret-1', encrypted_value: old });
+    const value = update.update.mock.calls[0][0].encrypted_value;
+    expect(keyVersion(value)).toBe(2);
+    expect(decrypt(value)).toBe('sk_old');
+  });
+
+  it('skips values rewritten since they were read', async () => {
+    const old = encryptWithPreviousKey('sk_old');
+    mockQueries.push(mockQuery([{ id: 'secret-1', encrypted_value: old }]), mockQuery(null, 0), mockQuery([]));
+    for (let i = 0; i < 3; i++) mockQueries.push(mockQuery([]));
+
+    const result = await secretService.reencryptAll();
+
+    expect(result).toEqual({ keyVersion: 2, updated: 0, skipped: 1, failed: 0 });
+  });
+
+  it('counts values whose key is missing as failed', async () => {
+    const update = mockQuery(null);
+    mockQueries.push(mockQuery([{ id: 'secret-1', encrypted_value: 'v7:00:00:00' }]), update, mockQuery([]));
+    for (let i = 0; i < 3; i++) mockQueries.push(mockQuery([]));
+
+    const result = await secretService.reencryptAll();
+
+    expect(result).toEqual({ keyVersion: 2, updated: 0, skipped: 0, failed: 1 });
+  });
+});
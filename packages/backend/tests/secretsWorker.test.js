@@ -0,0 +1,44 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockFailedJob = { isFailed: jest.fn(() => Promise.resolve(true)), retry: jest.fn(() => Promise.resolve()) };
+jest.mock('../src/queues/secretsQueue', () => ({
+  process: jest.fn(),
+  add: jest.fn(() => Promise.resolve()),
+  getJob: jest.fn(() => Promise.resolve(mockFailedJob)),
+  on: jest.fn(),
+  close: jest.fn(),
+}));
+jest.mock('../src/services/secretService', () => ({ reencryptAll: jest.fn() }));
+
+const secretsQueue = require('../src/queues/secretsQueue');
+const secretService = require('../src/services/secretService');
+require('../src/queues/workers/secretsWorker');
+
+const processJob = secretsQueue.process.mock.calls[0][2];
+
+describe('secrets worker', () => {
+  it('retries a failed re-encryption job for the current key instead of queueing a new one', async () => {
+    await new Promise(setImmediate);
+
+    expect(mockFailedJob.retry).toHaveBeenCalled();
+    expect(secretsQueue.add).not.toHaveBeenCalled();
+  });
+
+  it('fails the job when values could not be re-encrypted', async () => {
+    secretService.reencryptAll.mockResolvedValueOnce({ keyVersion: 2, updated: 4, skipped: 0, failed: 1 });
+
+    await expect(processJob({})).rejects.toThrow('1 value(s) could not be re-encrypted to key v2');
+  });
+
+  it('completes the job when every value was handled', async () => {
+    const result = { keyVersion: 2, updated: 4, skipped: 1, failed: 0 };
+    secretService.reencryptAll.mockResolvedValueOnce(result);
+
+    await expect(processJob({})).resolves.toEqual(result);
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../src/services/screenshotService', () => ({
+  newPage: jest.fn(),
+}));
+
+const screenshotService = require('../src/services/screenshotService');
+const smokeTestService = require('../src/services/smokeTestService');
+
+const files = [
+  { path: 'package.json' },
+  { path: 'src/App.jsx' },
+  { path: 'src/pages/Contact.jsx' },
+  { path: 'src/api/client.js' },
+];
+
+describe('smokeTestService.toFixableErrors', () => {
+  it('blames the file a stack trace points at', () => {
+    const report = {
+      failures: [{
+        kind: 'exception',
+        route: '/',
+        message: "TypeError: Cannot read properties of undefined (reading 'map')\n    at render (src/api/client.js:14:9)",
+      }],
+    };
+
+    const [error] = smokeTestService.toFixableErrors(report, files);
+
+    expect(error).toMatchObject({ file: 'src/api/client.js', line: 14, type: 'smoke' });
+    expect(error.message).toContain('Cannot read properties of undefined');
+  });
+
+  it("falls back to the route's page, then the app entry file", () => {
+    const report = {
+      failures: [
+        { kind: 'http', route: '/contact', message: 'POST https://app.example.com/api/contact returned 500' },
+        { kind: 'console', route: '/', message: 'Warning: something broke' },
+      ],
+    };
+
+    const errors = smokeTestService.toFixableErrors(report, files);
+
+    expect(errors.map((e) => e.file)).toEqual(['src/pages/Contact.jsx', 'src/App.jsx']);
+    expect(errors[0].message).toBe('Smoke test on /contact (http): POST https://app.example.com/api/contact returned 500');
+  });
+
+  it('reports an error repeated on every page once', () => {
+    const failure = { kind: 'console', message: 'Uncaught ReferenceError: foo is not defined' };
+    const report = { failures: [{ ...failure, route: '/' }, { ...failure, route: '/about' }] };
+
+    expect(smokeTestService.toFixableErrors(report, files)).toHaveLength(1);
+  });
+});
+
+describe('smokeTestService.run', () => {
+  it('reports an error instead of throwing when the browser is unavailable', async () => {
+    screenshotService.newPage.mockRejectedValueOnce(new Error('Screenshot service unavailable: Playwright not installed'));
+
+    const report = await smokeTestService.run('https://app.example.com');
+
+    expect(report.status).toBe('error');
+    expect(report.error).toMatch(/Playwright not installed/);
+    expect(report.summary.pagesVisited).toBe(0);
+  });
+});
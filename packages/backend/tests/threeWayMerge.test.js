@@ -0,0 +1,66 @@
+const { mergeText, hasConflictMarkers, splitLines } = require('../src/utils/threeWayMerge');
+
+const base = 'import React from "react";\n\nfunction App() {\n  return <h1>Hello</h1>;\n}\n\nexport default App;\n';
+
+describe('splitLines', () => {
+  it('keeps line terminators and a final unterminated line', () => {
+    expect(splitLines('a\nb')).toEqual(['a\n', 'b']);
+    expect(splitLines('a\n\n')).toEqual(['a\n', '\n']);
+    expect(splitLines('')).toEqual([]);
+  });
+});
+
+describe('mergeText', () => {
+  it('takes whichever side changed when the other did not', () => {
+    const changed = base.replace('Hello', 'Hi');
+    expect(mergeText(base, base, changed)).toEqual({ content: changed, conflicts: 0 });
+    expect(mergeText(base, changed, base)).toEqual({ content: changed, conflicts: 0 });
+  });
+
+  it('combines edits to separate parts of the file', () => {
+    const ours = base.replace('import React from "react";', 'import React, { useState } from "react";');
+    const theirs = base.replace('export default App;', 'export default App;\nexport { App };');
+
+    expect(mergeText(base, ours, theirs)).toEqual({
+      content: 'import React, { useState } from "react";\n\nfunction App() {\n  return <h1>Hello</h1>;\n}\n\nexport default App;\nexport { App };\n',
+      conflicts: 0,
+    });
+  });
+
+  it('accepts the same edit made on both sides', () => {
+    const edited = base.replace('Hello', 'Hi');
+    const ours = `${edited}// ours\n`;
+    expect(mergeText(base, ours, edited).content).toBe(ours);
+  });
+
+  it('marks overlapping edits as conflicts', () => {
+    const ours = base.replace('Hello', 'Hello from Imagia');
+    const theirs = base.replace('Hello', 'Hello from GitHub');
+
+    const result = mergeText(base, ours, theirs, { ours: 'Imagia', theirs: 'GitHub abc1234' });
+
+    expect(result.conflicts).toBe(1);
+    expect(result.content).toBe(
+      'import React from "react";\n\nfunction App() {\n'
+      + '<<<<<<< Imagia\n  return <h1>Hello from Imagia</h1>;\n'
+      + '=======\n  return <h1>Hello from GitHub</h1>;\n'
+      + '>>>>>>> GitHub abc1234\n'
+      + '}\n\nexport default App;\n'
+    );
+    expect(hasConflictMarkers(result.content)).toBe(true);
+  });
+
+  it('treats a file added differently on both sides as one conflict', () => {
+    const result = mergeText('', 'ours', 'theirs');
+
+    expect(result.conflicts).toBe(1);
+    expect(result.content).toBe('<<<<<<< ours\nours\n=======\ntheirs\n>>>>>>> theirs\n');
+  });
+});
+
+describe('hasConflictMarkers', () => {
+  it('ignores a lone separator line such as a markdown rule', () => {
+    expect(hasConflictMarkers('Title\n=======\n\nBody\n')).toBe(false);
+    expect(hasConflictMarkers(base)).toBe(false);
+  });
+});
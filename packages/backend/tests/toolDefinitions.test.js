@@ -2,9 +2,9 @@ const { TOOL_DEFINITIONS, toAnthropicTools } = require('../src/utils/toolDefinit
 
 describe('toolDefinitions', () => {
   describe('TOOL_DEFINITIONS', () => {
-    it('exports an array of 2 tool definitions', () => {
+    it('exports an array of 5 tool definitions', () => {
       expect(Array.isArray(TOOL_DEFINITIONS)).toBe(true);
-      expect(TOOL_DEFINITIONS).toHaveLength(2);
+      expect(TOOL_DEFINITIONS).toHaveLength(5);
     });
 
     it('has read_files tool with correct schema', () => {
@@ -27,13 +27,36 @@ describe('toolDefinitions', () => {
       expect(fileProps.path).toBeDefined();
       expect(fileProps.action.enum).toEqual(['create', 'modify', 'delete']);
     });
+
+    it('has list_files and grep_files tools with correct schemas', () => {
+      const listFiles = TOOL_DEFINITIONS.find(t => t.function.name === 'list_files');
+      expect(listFiles).toBeDefined();
+      expect(listFiles.function.parameters.properties.pattern.type).toBe('string');
+
+      const grepFiles = TOOL_DEFINITIONS.find(t => t.function.name === 'grep_files');
+      expect(grepFiles).toBeDefined();
+      expect(grepFiles.function.parameters.required).toEqual(['pattern']);
+      expect(grepFiles.function.parameters.properties.context_lines.maximum).toBe(5);
+    });
+
+    it('has edit_file tool with correct schema', () => {
+      const editFile = TOOL_DEFINITIONS.find(t => t.function.name === 'edit_file');
+      expect(editFile).toBeDefined();
+      expect(editFile.type).toBe('function');
+      expect(editFile.function.parameters.required).toEqual(['path']);
+
+      const props = editFile.function.parameters.properties;
+      expect(props.edits.type).toBe('array');
+      expect(props.edits.items.required).toEqual(['search', 'replace']);
+      expect(props.diff.type).toBe('string');
+    });
   });
 
   describe('toAnthropicTools', () => {
     it('converts OpenAI format to Anthropic format', () => {
       const anthropicTools = toAnthropicTools(TOOL_DEFINITIONS);
 
-      expect(anthropicTools).toHaveLength(2);
+      expect(anthropicTools).toHaveLength(5);
       expect(anthropicTools[0]).toHaveProperty('name', 'read_files');
       expect(anthropicTools[0]).toHaveProperty('description');
       expect(anthropicTools[0]).toHaveProperty('input_schema');
@@ -84,6 +84,108 @@ describe('ToolExecutor', () => {
     });
   });
 
+  describe('execute - list_files', () => {
+    it('lists all files with sizes when no pattern is given', () => {
+      const parsed = JSON.parse(executor.execute('list_files', {}).result);
+      expect(parsed.total).toBe(3);
+      expect(parsed.files.map(f => f.path)).toEqual(['package.json', 'src/App.jsx', 'src/index.js']);
+      expect(parsed.files[0]).toEqual({ path: 'package.json', size: 33, lines: 1 });
+      expect(parsed.truncated).toBeUndefined();
+    });
+
+    it('filters by glob pattern', () => {
+      const parsed = JSON.parse(executor.execute('list_files', { pattern: 'src/**/*.jsx' }).result);
+      expect(parsed.files.map(f => f.path)).toEqual(['src/App.jsx']);
+    });
+
+    it('caps the number of listed files', () => {
+      const many = Array.from({ length: 350 }, (_, i) => ({ path: `src/f${i}.js`, content: 'x' }));
+      executor = new ToolExecutor(many);
+
+      const parsed = JSON.parse(executor.execute('list_files', {}).result);
+      expect(parsed.total).toBe(350);
+      expect(parsed.files).toHaveLength(300);
+      expect(parsed.truncated).toBe(true);
+    });
+  });
+
+  describe('execute - grep_files', () => {
+    it('returns matching lines with line numbers and context', () => {
+      const parsed = JSON.parse(executor.execute('grep_files', { pattern: 'reactdom\\.render' }).result);
+      expect(parsed.totalMatches).toBe(1);
+      expect(parsed.matches[0]).toEqual({
+        path: 'src/index.js',
+        line: 2,
+        text: 'ReactDOM.render(<App />, root);',
+        before: ['import App from "./App";'],
+        after: [],
+      });
+    });
+
+    it('respects case_sensitive and glob filters', () => {
+      const caseSensitive = JSON.parse(executor.execute('grep_files', { pattern: 'app', case_sensitive: true }).result);
+      expect(caseSensitive.totalMatches).toBe(0);
+
+      const globbed = JSON.parse(executor.execute('grep_files', { pattern: 'App', glob: '**/*.jsx' }).result);
+      expect(globbed.matches.map(m => m.path)).toEqual(['src/App.jsx']);
+    });
+
+    it('searches in-memory changes made earlier in the session', () => {
+      executor.execute('apply_changes', {
+        files: [{ path: 'src/utils.js', content: 'export const TOKEN_LIMIT = 10;', action: 'create' }],
+        summary: 'Added utils',
+      });
+
+      const parsed = JSON.parse(executor.execute('grep_files', { pattern: 'TOKEN_LIMIT', context_lines: 0 }).result);
+      expect(parsed.matches).toEqual([{ path: 'src/utils.js', line: 1, text: 'export const TOKEN_LIMIT = 10;' }]);
+    });
+
+    it('caps matches and reports truncation', () => {
+      const content = Array.from({ length: 80 }, (_, i) => `const value${i} = ${i};`).join('\n');
+      executor = new ToolExecutor([{ path: 'src/big.js', content }]);
+
+      const parsed = JSON.parse(executor.execute('grep_files', { pattern: 'value' }).result);
+      expect(parsed.totalMatches).toBe(80);
+      expect(parsed.matches).toHaveLength(50);
+      expect(parsed.truncated).toBe(true);
+    });
+
+    it('returns error for an invalid regex', () => {
+      const parsed = JSON.parse(executor.execute('grep_files', { pattern: '(unclosed' }).result);
+      expect(parsed.error).toContain('Invalid regular expression');
+    });
+
+    it('searches overlong patterns as plain text', () => {
+      executor = new ToolExecutor([{ path: 'src/a.js', content: `const s = '${'a'.repeat(40)}!';` }]);
+
+      const parsed = JSON.parse(executor.execute('grep_files', { pattern: `${'a'.repeat(250)}` }).result);
+      expect(parsed).toMatchObject({ totalMatches: 0, literal: true });
+    });
+
+    it('stops a search that backtracks catastrophically', () => {
+      executor = new ToolExecutor([
+        { path: 'src/a.js', content: `const s = '${'a'.repeat(30)}b';` },
+        { path: 'src/b.js', content: 'aaaa' },
+      ]);
+
+      const started = Date.now();
+      const parsed = JSON.parse(executor.execute('grep_files', { pattern: '(a|a)*$' }).result);
+      expect(parsed.error).toMatch(/took longer than/);
+      expect(Date.now() - started).toBeLessThan(10000);
+
+      const nested = JSON.parse(executor.execute('grep_files', { pattern: '(a+)+$', glob: 'src/b.js' }).result);
+      expect(nested).toMatchObject({ totalMatches: 1 });
+      expect(nested.literal).toBeUndefined();
+    });
+
+    it('only searches the start of very long lines', () => {
+      executor = new ToolExecutor([{ path: 'dist/app.min.js', content: `${'x'.repeat(5000)}needle` }]);
+
+      const parsed = JSON.parse(executor.execute('grep_files', { pattern: 'needle' }).result);
+      expect(parsed.totalMatches).toBe(0);
+    });
+  });
+
   describe('execute - apply_changes', () => {
     it('modifies existing files', () => {
       const newContent = 'export default function App() { return <div>Updated</div>; }';
@@ -196,6 +298,187 @@ describe('ToolExecutor', () => {
     });
   });
 
+  describe('execute - edit_file', () => {
+    const component = [
+      'export default function Button({ label }) {',
+      '  return (',
+      '    <button className="btn">',
+      '      {label}',
+      '    </button>',
+      '  );',
+      '}',
+      '',
+    ].join('\n');
+
+    beforeEach(() => {
+      executor = new ToolExecutor([...sampleFiles, { path: 'src/Button.jsx', content: component, language: 'jsx' }]);
+    });
+
+    const readButton = () => JSON.parse(executor.execute('read_files', { paths: ['src/Button.jsx'] }).result)['src/Button.jsx'];
+
+    it('applies search/replace edits in order', () => {
+      const { result } = executor.execute('edit_file', {
+        path: 'src/Button.jsx',
+        edits: [
+          { search: 'className="btn"', replace: 'className="btn btn-primary"' },
+          { search: 'btn-primary', replace: 'btn-secondary' },
+        ],
+        summary: 'Restyled button',
+      });
+
+      const parsed = JSON.parse(result);
+      expect(parsed.applied).toBe(2);
+      expect(parsed.validation.valid).toBe(true);
+      expect(readButton()).toContain('className="btn btn-secondary"');
+      expect(executor.getResults().summary).toBe('Restyled button');
+    });
+
+    it('tracks the edited file as a modify change and validates it', () => {
+      executor.execute('edit_file', {
+        path: 'src/Button.jsx',
+        edits: [{ search: '{label}', replace: '{label.toUpperCase()}' }],
+      });
+
+      const changed = executor.getResults().changedFiles;
+      expect(changed).toHaveLength(1);
+      expect(changed[0]).toMatchObject({ path: 'src/Button.jsx', action: 'modify', language: 'jsx' });
+      expect(codeValidatorService.validateChanges).toHaveBeenCalledWith(
+        [expect.objectContaining({ path: 'src/Button.jsx' })],
+        expect.any(Array),
+      );
+    });
+
+    it('rejects a search that matches more than once and leaves the file untouched', () => {
+      const { result } = executor.execute('edit_file', {
+        path: 'src/Button.jsx',
+        edits: [
+          { search: 'label }', replace: 'text }' },
+          { search: 'button', replace: 'a' },
+        ],
+      });
+
+      const parsed = JSON.parse(result);
+      expect(parsed.error).toMatch(/Edit 2: search text matches 2 locations .*lines 3, 5/);
+      expect(readButton()).toBe(component);
+      expect(executor.getResults().changedFiles).toHaveLength(0);
+    });
+
+    it('rejects a search that does not match and hints at whitespace differences', () => {
+      const { result } = executor.execute('edit_file', {
+        path: 'src/Button.jsx',
+        edits: [{ search: '<button className="btn">\n{label}', replace: '<button>' }],
+      });
+
+      const parsed = JSON.parse(result);
+      expect(parsed.error).toContain('Edit 1: search text not found in src/Button.jsx');
+      expect(parsed.error).toContain('whitespace');
+    });
+
+    it('applies a unified diff', () => {
+      const diff = [
+        '--- a/src/Button.jsx',
+        '+++ b/src/Button.jsx',
+        '@@ -3,3 +3,3 @@',
+        '     <button className="btn">',
+        '-      {label}',
+        '+      <span>{label}</span>',
+        '     </button>',
+      ].join('\n');
+
+      const parsed = JSON.parse(executor.execute('edit_file', { path: 'src/Button.jsx', diff }).result);
+      expect(parsed.applied).toBe(1);
+      expect(readButton()).toBe(component.replace('      {label}', '      <span>{label}</span>'));
+    });
+
+    it('rejects a diff hunk whose context does not match', () => {
+      const diff = [
+        '@@ -4,1 +4,1 @@',
+        '-      {title}',
+        '+      {label}',
+      ].join('\n');
+
+      const parsed = JSON.parse(executor.execute('edit_file', { path: 'src/Button.jsx', diff }).result);
+      expect(parsed.error).toContain('Hunk 1 (@@ -4,1 +4,1 @@): context and removed lines do not match src/Button.jsx');
+      expect(readButton()).toBe(component);
+    });
+
+    it('uses the hunk header line to choose between identical matches', () => {
+      const diff = [
+        '@@ -5,1 +5,1 @@',
+        '-    </button>',
+        '+    </button>{/* end */}',
+      ].join('\n');
+      executor = new ToolExecutor([{ path: 'src/Button.jsx', content: component.replace('<button className="btn">', '</button>'), language: 'jsx' }]);
+
+      const parsed = JSON.parse(executor.execute('edit_file', { path: 'src/Button.jsx', diff }).result);
+      expect(parsed.applied).toBe(1);
+      expect(readButton().split('\n')[2]).toBe('    </button>');
+      expect(readButton().split('\n')[4]).toBe('    </button>{/* end */}');
+    });
+
+    it('returns error for unknown files', () => {
+      const parsed = JSON.parse(executor.execute('edit_file', {
+        path: 'src/Missing.jsx',
+        edits: [{ search: 'a', replace: 'b' }],
+      }).result);
+      expect(parsed.error).toContain('File not found');
+    });
+
+    it('returns error when neither edits nor diff is given', () => {
+      const parsed = JSON.parse(executor.execute('edit_file', { path: 'src/Button.jsx' }).result);
+      expect(parsed.error).toBeDefined();
+    });
+  });
+
+  describe('files not loaded from GitHub', () => {
+    const lazyFiles = [
+      ...sampleFiles,
+      { path: 'src/utils/format.js', content: null, size: 120 },
+      { path: 'public/logo.png', content: null, binary: true, size: 2048 },
+    ];
+
+    it('loads files before read_files reads them', async () => {
+      const loadFiles = jest.fn(async () => new Map([['src/utils/format.js', 'export const format = (x) => x;']]));
+      executor = new ToolExecutor(lazyFiles, { loadFiles });
+
+      const args = { paths: ['src/utils/format.js', 'src/App.jsx', 'public/logo.png'] };
+      await executor.prepare('read_files', args);
+      const parsed = JSON.parse(executor.execute('read_files', args).result);
+
+      expect(loadFiles).toHaveBeenCalledWith(['src/utils/format.js']);
+      expect(parsed['src/utils/format.js']).toBe('export const format = (x) => x;');
+      expect(parsed['public/logo.png']).toContain('binary file');
+    });
+
+    it('lists them with their GitHub size and skips them in grep', () => {
+      executor = new ToolExecutor(lazyFiles);
+
+      const listed = JSON.parse(executor.execute('list_files', {}).result);
+      expect(listed.files).toContainEqual({ path: 'src/utils/format.js', size: 120, lines: null });
+      expect(listed.files).toContainEqual({ path: 'public/logo.png', size: 2048, binary: true });
+
+      const grep = JSON.parse(executor.execute('grep_files', { pattern: 'format' }).result);
+      expect(grep.totalMatches).toBe(0);
+      expect(grep.unsearched).toBe(1);
+    });
+
+    it('refuses to write binary files', () => {
+      executor = new ToolExecutor(lazyFiles);
+
+      const applied = JSON.parse(executor.execute('apply_changes', {
+        files: [{ path: 'public/logo.png', content: 'not an image', action: 'modify' }],
+      }).result);
+      const edited = JSON.parse(executor.execute('edit_file', {
+        path: 'public/logo.png',
+        edits: [{ search: 'a', replace: 'b' }],
+      }).result);
+
+      expect(applied.error).toContain('public/logo.png');
+      expect(edited.error).toContain('binary');
+      expect(executor.getResults().changedFiles).toEqual([]);
+    });
+  });
+
   describe('execute - unknown tool', () => {
     it('returns error for unknown tool name', () => {
       const { result } = executor.execute('unknown_tool', {});
@@ -0,0 +1,110 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockUpdates = [];
+jest.mock('../src/config/database', () => {
+  const db = jest.fn(() => ({
+    where: jest.fn((where) => ({
+      update: jest.fn((fields) => {
+        mockUpdates.push({ where, fields });
+        return Promise.resolve(1);
+      }),
+    })),
+  }));
+  db.fn = { now: jest.fn(() => 'now()') };
+  return { db };
+});
+
+const config = require('../src/config/environment');
+const transcriptionService = require('../src/services/transcriptionService');
+
+function attachment(overrides = {}) {
+  return {
+    id: 'att-1',
+    category: 'audio',
+    filename: 'feature-request.m4a',
+    mime_type: 'audio/mp4',
+    file_size: 48000,
+    storage_url: '/uploads/0b1c.m4a',
+    transcript: null,
+    ...overrides,
+  };
+}
+
+describe('transcriptionService', () => {
+  const originalProvider = config.transcriptionProvider;
+
+  beforeEach(() => {
+    mockUpdates.length = 0;
+    config.transcriptionProvider = 'stub';
+  });
+
+  afterAll(() => {
+    config.transcriptionProvider = originalProvider;
+  });
+
+  it('transcribes audio attachments and stores the transcript on the row', async () => {
+    const transcripts = await transcriptionService.transcribeAttachments([
+      attachment(),
+      attachment({ id: 'att-2', category: 'image', filename: 'mockup.png' }),
+    ]);
+
+    expect(transcripts).toEqual([
+      { attachmentId: 'att-1', filename: 'feature-request.m4a', transcript: 'Transcript of feature-request.m4a' },
+    ]);
+    expect(mockUpdates).toHaveLength(1);
+    expect(mockUpdates[0].where).toEqual({ id: 'att-1' });
+    expect(mockUpdates[0].fields).toMatchObject({
+      transcript: 'Transcript of feature-request.m4a',
+      transcription_provider: 'stub',
+      transcription_error: null,
+    });
+  });
+
+  it('reuses existing transcripts', async () => {
+    const transcripts = await transcriptionService.transcribeAttachments([attachment({ transcript: 'Add dark mode' })]);
+
+    expect(transcripts[0].transcript).toBe('Add dark mode');
+    expect(mockUpdates).toHaveLength(0);
+  });
+
+  it('records a failure without throwing', async () => {
+    transcriptionService.registerProvider('failing', {
+      transcribe: jest.fn(() => Promise.reject(new Error('provider unavailable'))),
+    });
+    config.transcriptionProvider = 'failing';
+
+    const transcripts = await transcriptionService.transcribeAttachments([attachment()]);
+
+    expect(transcripts).toEqual([]);
+    expect(mockUpdates[0].fields).toMatchObject({ transcription_provider: 'failing', transcription_error: 'provider unavailable' });
+  });
+
+  it('rejects files outside the uploads directory', async () => {
+    const provider = { transcribe: jest.fn() };
+    transcriptionService.registerProvider('spy', provider);
+    config.transcriptionProvider = 'spy';
+
+    await transcriptionService.transcribeAttachments([attachment({ storage_url: '/uploads/../.env' })]);
+
+    expect(provider.transcribe).not.toHaveBeenCalled();
+    expect(mockUpdates[0].fields.transcription_error).toMatch(/uploads directory/);
+  });
+
+  it('rejects providers without transcribe()', () => {
+    expect(() => transcriptionService.registerProvider('broken', {})).toThrow('must implement transcribe()');
+  });
+
+  it('merges transcripts into the typed message', () => {
+    const note = { filename: 'a.m4a', transcript: 'Make the header sticky' };
+
+    expect(transcriptionService.mergeTranscripts('', [note])).toBe('Make the header sticky');
+    expect(transcriptionService.mergeTranscripts('See voice note', [note]))
+      .toBe('See voice note\n\n[Voice note: a.m4a]\nMake the header sticky');
+    expect(transcriptionService.mergeTranscripts('  Just text ', [])).toBe('Just text');
+  });
+});
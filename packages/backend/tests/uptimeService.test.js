@@ -0,0 +1,146 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { mockQuery } = require('./helpers/knexMock');
+
+const mockQueries = [];
+jest.mock('../src/config/database', () => ({ db: jest.fn(() => mockQueries.shift()) }));
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+jest.mock('../src/services/emailService', () => ({
+  sendMail: jest.fn(() => Promise.resolve(null)),
+  escapeHtml: jest.requireActual('../src/services/emailService').escapeHtml,
+}));
+
+const axios = require('axios');
+const config = require('../src/config/environment');
+const { sendMail } = require('../src/services/emailService');
+const uptimeService = require('../src/services/uptimeService');
+
+const owner = { email: 'owner@example.com', name: 'Owner' };
+
+function project(overrides = {}) {
+  return {
+    id: 'project-1',
+    name: 'My App',
+    user_id: 'user-1',
+    deployment_url: 'https://my-app.imagia.net/',
+    health_check_path: '/',
+    uptime_status: 'up',
+    uptime_failures: 0,
+    uptime_alerted_at: null,
+    ...overrides,
+  };
+}
+
+function respond(status) {
+  axios.get.mockResolvedValueOnce({ status, data: { destroy: jest.fn() } });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockQueries.length = 0;
+  config.uptimeAlertAfterFailures = 3;
+});
+
+describe('uptimeService.ping', () => {
+  it('counts 2xx and 3xx as up and anything else as down', async () => {
+    respond(200);
+    await expect(uptimeService.ping('https://a.test')).resolves.toMatchObject({ is_up: true, status_code: 200, error_message: null });
+
+    respond(301);
+    await expect(uptimeService.ping('https://a.test')).resolves.toMatchObject({ is_up: true });
+
+    respond(502);
+    await expect(uptimeService.ping('https://a.test')).resolves.toMatchObject({ is_up: false, status_code: 502, error_message: 'HTTP 502' });
+  });
+
+  it('reports timeouts and connection errors as down', async () => {
+    axios.get.mockRejectedValueOnce(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+    await expect(uptimeService.ping('https://a.test')).resolves.toMatchObject({
+      is_up: false,
+      status_code: null,
+      error_message: expect.stringMatching(/^Timed out/),
+    });
+
+    axios.get.mockRejectedValueOnce(new Error('getaddrinfo ENOTFOUND a.test'));
+    await expect(uptimeService.ping('https://a.test')).resolves.toMatchObject({ error_message: 'getaddrinfo ENOTFOUND a.test' });
+  });
+});
+
+describe('uptimeService.healthUrl', () => {
+  it('joins the deployment URL and health check path', () => {
+    expect(uptimeService.healthUrl(project())).toBe('https://my-app.imagia.net/');
+    expect(uptimeService.healthUrl(project({ health_check_path: '/api/health' }))).toBe('https://my-app.imagia.net/api/health');
+    expect(uptimeService.healthUrl(project({ health_check_path: 'health' }))).toBe('https://my-app.imagia.net/health');
+  });
+});
+
+describe('uptimeService.checkProject', () => {
+  it('counts consecutive failures without alerting below the threshold', async () => {
+    respond(500);
+    const update = mockQuery();
+    mockQueries.push(mockQuery({ id: 'check-1' }), update);
+
+    await uptimeService.checkProject(project({ uptime_failures: 1 }));
+
+    expect(sendMail).not.toHaveBeenCalled();
+    expect(update.update).toHaveBeenCalledWith({ uptime_status: 'down', uptime_failures: 2 });
+  });
+
+  it('emails the owner once failures reach the threshold', async () => {
+    respond(503);
+    const update = mockQuery();
+    mockQueries.push(mockQuery({ id: 'check-1' }), mockQuery(owner), update);
+
+    await uptimeService.checkProject(project({ uptime_failures: 2 }));
+
+    expect(sendMail).toHaveBeenCalledWith('owner@example.com', 'My App is down', expect.stringContaining('HTTP 503'));
+    expect(update.update).toHaveBeenCalledWith({
+      uptime_status: 'down',
+      uptime_failures: 3,
+      uptime_alerted_at: expect.any(Date),
+    });
+  });
+
+  it('escapes the project name, URL and error in the alert email', async () => {
+    axios.get.mockRejectedValueOnce(new Error('<b>refused</b>'));
+    mockQueries.push(mockQuery({ id: 'check-1' }), mockQuery(owner), mockQuery());
+
+    await uptimeService.checkProject(project({
+      name: '<img src=x>',
+      health_check_path: '/health?a=<script>',
+      uptime_failures: 2,
+    }));
+
+    const html = sendMail.mock.calls[0][2];
+    expect(html).toContain('&lt;img src=x&gt; is down');
+    expect(html).toContain('/health?a=&lt;script&gt;');
+    expect(html).toContain('&lt;b&gt;refused&lt;/b&gt;');
+    expect(html).not.toMatch(/<img|<script|<b>/);
+  });
+
+  it('does not alert again while the project stays down', async () => {
+    respond(503);
+    mockQueries.push(mockQuery({ id: 'check-1' }), mockQuery());
+
+    await uptimeService.checkProject(project({ uptime_failures: 5, uptime_alerted_at: new Date() }));
+
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  it('emails a recovery notice and clears the alert', async () => {
+    respond(200);
+    const update = mockQuery();
+    mockQueries.push(mockQuery({ id: 'check-1' }), mockQuery(owner), update);
+
+    await uptimeService.checkProject(project({ uptime_status: 'down', uptime_failures: 4, uptime_alerted_at: new Date() }));
+
+    expect(sendMail).toHaveBeenCalledWith('owner@example.com', 'My App is back up', expect.any(String));
+    expect(update.update).toHaveBeenCalledWith({ uptime_status: 'up', uptime_failures: 0, uptime_alerted_at: null });
+  });
+});
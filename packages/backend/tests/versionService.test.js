@@ -0,0 +1,169 @@
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { mockQuery } = require('./helpers/knexMock');
+
+const mockQueries = [];
+const mockTables = [];
+jest.mock('../src/config/database', () => {
+  const db = jest.fn((table) => {
+    mockTables.push(table);
+    return mockQueries.shift();
+  });
+  db.fn = { now: () => 'now()' };
+  db.transaction = jest.fn((fn) => fn(db));
+  return { db };
+});
+
+const versionService = require('../src/services/versionService');
+
+function version(number, files, overrides = {}) {
+  return {
+    id: `version-${number}`,
+    project_id: 'project-1',
+    version_number: number,
+    prompt_summary: `Change ${number}`,
+    snapshot: JSON.stringify(versionService.buildSnapshot(files)),
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  mockQueries.length = 0;
+  mockTables.length = 0;
+  jest.clearAllMocks();
+});
+
+describe('diffVersions', () => {
+  it('reports added, removed and modified files with line counts', async () => {
+    mockQueries.push(
+      mockQuery(version(1, [
+        { path: 'src/App.jsx', content: 'a\nb\nc\n' },
+        { path: 'old.js', content: 'x\n' },
+      ])),
+      mockQuery(version(2, [
+        { path: 'src/App.jsx', content: 'a\nB\nc\nd\n' },
+        { path: 'new.js', content: 'y\nz\n' },
+      ]))
+    );
+
+    const result = await versionService.diffVersions('project-1', 1, 2);
+
+    expect(result.files.map((f) => [f.path, f.status, f.additions, f.deletions])).toEqual([
+      ['new.js', 'added', 2, 0],
+      ['old.js', 'removed', 0, 1],
+      ['src/App.jsx', 'modified', 2, 1],
+    ]);
+    expect(result.stats).toEqual({ added: 1, removed: 1, modified: 1, additions: 4, deletions: 2 });
+    expect(result.files[2].diff).toContain('--- a/src/App.jsx\tv1');
+    expect(result.to).not.toHaveProperty('snapshot');
+  });
+
+  it('counts content lines that look like patch headers', async () => {
+    mockQueries.push(
+      mockQuery(version(1, [{ path: 'notes.md', content: 'title\n---\nbody\n' }])),
+      mockQuery(version(2, [{ path: 'notes.md', content: 'title\n+++\nbody\n' }]))
+    );
+
+    const result = await versionService.diffVersions('project-1', 1, 2);
+
+    expect(result.files[0]).toMatchObject({ additions: 1, deletions: 1 });
+  });
+
+  it('reports files not loaded from GitHub without a patch', async () => {
+    mockQueries.push(
+      mockQuery(version(1, [{ path: 'logo.png', content: null, blobSha: 'aaa', binary: true }])),
+      mockQuery(version(2, [{ path: 'logo.png', content: null, blobSha: 'bbb', binary: true }]))
+    );
+
+    const result = await versionService.diffVersions('project-1', 1, 2);
+
+    expect(result.files).toEqual([
+      { path: 'logo.png', status: 'modified', diff: null, additions: null, deletions: null, contentAvailable: false },
+    ]);
+  });
+
+  it('rejects versions that do not exist', async () => {
+    mockQueries.push(mockQuery(version(1, [])), mockQuery(undefined));
+
+    await expect(versionService.diffVersions('project-1', 1, 7)).rejects.toMatchObject({
+      statusCode: 404,
+      message: 'Version 7 not found',
+    });
+  });
+});
+
+describe('restoreVersion', () => {
+  it('rewrites the files, records a new version and notes the restore in the context', async () => {
+    const target = version(2, [
+      { path: 'src/App.jsx', content: 'a\n' },
+      { path: 'logo.png', content: null, blobSha: 'aaa', binary: true, size: 10 },
+    ]);
+    const insertFiles = mockQuery(null);
+    const insertVersion = mockQuery({ ...version(6, []), snapshot: target.snapshot });
+    const updateProject = mockQuery(null);
+    mockQueries.push(
+      mockQuery(target),
+      mockQuery(null), // delete files
+      insertFiles,
+      mockQuery({ max_version: 5 }),
+      insertVersion,
+      mockQuery({ context_md: '# Todo' }),
+      updateProject
+    );
+
+    const result = await versionService.restoreVersion('project-1', 2);
+
+    expect(result).toMatchObject({ restoredFrom: 2, fileCount: 2, version: { version_number: 6 } });
+    expect(insertFiles.insert).toHaveBeenCalledWith([
+      expect.objectContaining({ file_path: 'src/App.jsx', content: 'a\n', file_size: 2 }),
+      expect.objectContaining({ file_path: 'logo.png', content: null, blob_sha: 'aaa', is_binary: true, file_size: 10 }),
+    ]);
+    expect(insertVersion.insert).toHaveBeenCalledWith(expect.objectContaining({
+      version_number: 6,
+      prompt_summary: 'Restored version 2',
+    }));
+    expect(updateProject.update.mock.calls[0][0].context_md).toMatch(/^# Todo\n\n## Restored Version\nVersion 6 restored/);
+  });
+
+  it('refuses versions saved without file contents', async () => {
+    mockQueries.push(mockQuery(version(1, [], { snapshot: JSON.stringify([{ path: 'a.js', checksum: 'abc' }]) })));
+
+    await expect(versionService.restoreVersion('project-1', 1)).rejects.toMatchObject({ statusCode: 422 });
+    expect(mockTables).toEqual(['project_versions']);
+  });
+
+  it('rejects versions that do not exist', async () => {
+    mockQueries.push(mockQuery(undefined));
+
+    await expect(versionService.restoreVersion('project-1', 9)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('_withRestoreNote', () => {
+  const target = { version_number: 3, prompt_summary: 'Add login' };
+
+  it('starts the context with the note when it is empty', () => {
+    expect(versionService._withRestoreNote('', target, 8)).toBe(
+      '## Restored Version\nVersion 8 restored the project files to version 3 ("Add login"). ' +
+      'Changes made after that version were reverted; do not assume they still exist.'
+    );
+  });
+
+  it('replaces an earlier restore note and keeps the sections after it', () => {
+    const earlier = versionService._withRestoreNote('# App\n\n## Stack\nReact', { version_number: 1 }, 4);
+    const context = `${earlier}\n\n## Routes\n/login`;
+
+    const result = versionService._withRestoreNote(context, target, 8);
+
+    expect(result.match(/## Restored Version/g)).toHaveLength(1);
+    expect(result).toContain('Version 8 restored the project files to version 3');
+    expect(result).not.toContain('Version 4 restored');
+    expect(result.startsWith('# App\n\n## Stack\nReact\n\n## Restored Version')).toBe(true);
+    expect(result.endsWith('\n\n## Routes\n/login')).toBe(true);
+  });
+});
@@ -0,0 +1,108 @@
+const { PNG } = require('pngjs');
+const { extractRoutes, fileMatchesRoute, comparePngs } = require('../src/utils/visualDiff');
+
+function solidPng(width, height, [r, g, b], paint) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const color = paint?.(x, y) || [r, g, b];
+      png.data[i] = color[0];
+      png.data[i + 1] = color[1];
+      png.data[i + 2] = color[2];
+      png.data[i + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+describe('comparePngs', () => {
+  it('reports no change for identical images', () => {
+    const png = solidPng(10, 10, [255, 255, 255]);
+
+    const result = comparePngs(png, png);
+
+    expect(result.changedPixels).toBe(0);
+    expect(result.ratio).toBe(0);
+    expect(result.totalPixels).toBe(100);
+  });
+
+  it('counts changed pixels and writes a diff image', () => {
+    const before = solidPng(10, 10, [255, 255, 255]);
+    const after = solidPng(10, 10, [255, 255, 255], (x, y) => (y < 2 ? [0, 0, 0] : null));
+
+    const result = comparePngs(before, after);
+
+    expect(result.changedPixels).toBe(20);
+    expect(result.ratio).toBeCloseTo(0.2);
+    expect(PNG.sync.read(result.diffPng).width).toBe(10);
+  });
+
+  it('ignores colour shifts below the threshold', () => {
+    const before = solidPng(4, 4, [200, 200, 200]);
+    const after = solidPng(4, 4, [203, 203, 203]);
+
+    expect(comparePngs(before, after, { threshold: 0.1 }).changedPixels).toBe(0);
+    expect(comparePngs(before, after, { threshold: 0 }).changedPixels).toBe(16);
+  });
+
+  it('counts added height as changed', () => {
+    const before = solidPng(10, 10, [255, 255, 255]);
+    const after = solidPng(10, 15, [255, 255, 255]);
+
+    const result = comparePngs(before, after);
+
+    expect(result.height).toBe(15);
+    expect(result.changedPixels).toBe(50);
+  });
+});
+
+describe('extractRoutes', () => {
+  it('finds static React Router routes, root first', () => {
+    const files = [
+      {
+        path: 'src/App.jsx',
+        content: `import { Routes, Route } from 'react-router-dom';
+          <Route path="/pricing" element={<Pricing />} />
+          <Route path="/posts/:id" element={<Post />} />
+          <Route path="*" element={<NotFound />} />
+          <Route path="/about/" element={<About />} />`,
+      },
+    ];
+
+    expect(extractRoutes(files)).toEqual(['/', '/pricing', '/about']);
+  });
+
+  it('maps Next.js pages and app directories to routes', () => {
+    const files = [
+      { path: 'package.json', content: '{"dependencies": {"next": "14.0.0"}}' },
+      { path: 'pages/index.tsx', content: '' },
+      { path: 'pages/blog/index.tsx', content: '' },
+      { path: 'pages/_app.tsx', content: '' },
+      { path: 'pages/api/hello.ts', content: '' },
+      { path: 'app/(marketing)/contact/page.tsx', content: '' },
+    ];
+
+    expect(extractRoutes(files)).toEqual(['/', '/blog', '/contact']);
+  });
+
+  it('does not treat a Vite app pages folder as file-system routes', () => {
+    expect(extractRoutes([{ path: 'src/pages/Settings.jsx', content: '' }])).toEqual(['/']);
+  });
+
+  it('caps the number of routes', () => {
+    const content = `import 'react-router-dom';\n${['/a', '/b', '/c'].map((p) => `<Route path="${p}" />`).join('\n')}`;
+    expect(extractRoutes([{ path: 'src/App.jsx', content }], 2)).toEqual(['/', '/a']);
+  });
+});
+
+describe('fileMatchesRoute', () => {
+  it('matches page files to routes by name', () => {
+    expect(fileMatchesRoute('/pricing', 'src/pages/PricingPage.jsx')).toBe(true);
+    expect(fileMatchesRoute('/about-us', 'src/pages/AboutUs.tsx')).toBe(true);
+    expect(fileMatchesRoute('/contact', 'app/contact/page.tsx')).toBe(true);
+    expect(fileMatchesRoute('/', 'src/pages/Home.jsx')).toBe(true);
+    expect(fileMatchesRoute('/pricing', 'src/components/Navbar.jsx')).toBe(false);
+    expect(fileMatchesRoute('/', 'src/pages/Pricing.jsx')).toBe(false);
+  });
+});
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
   getConversations,
   createConversation,
@@ -9,6 +9,50 @@ import {
   uploadFiles as apiUploadFiles,
 } from '../services/api';
 
+const EMPTY_STREAM = { committed: [], draft: [] };
+
+function appendText(items, text) {
+  const last = items[items.length - 1];
+  if (last && last.kind === 'text') {
+    return [...items.slice(0, -1), { ...last, text: last.text + text }];
+  }
+  return [...items, { kind: 'text', text }];
+}
+
+/**
+ * Apply one streamed delta from the server (see backend utils/llmStream).
+ * Output of the LLM call in flight stays in `draft` until its `end`, so a
+ * `reset` (retry or provider fallback) can discard it; tool results arrive
+ * after the call ended and update the committed step.
+ */
+function applyStreamDelta(state, delta) {
+  switch (delta.type) {
+    case 'reset':
+      return { ...state, draft: [] };
+    case 'text':
+      return { ...state, draft: appendText(state.draft, delta.text) };
+    case 'tool_call':
+      return {
+        ...state,
+        draft: [...state.draft, { kind: 'tool', id: delta.id, name: delta.name, detail: null, done: false }],
+      };
+    case 'end':
+      return { committed: [...state.committed, ...state.draft], draft: [] };
+    case 'tool_result': {
+      const step = { kind: 'tool', id: delta.id, name: delta.name, detail: delta.detail, done: true };
+      const exists = state.committed.some((item) => item.kind === 'tool' && item.id === delta.id);
+      return {
+        ...state,
+        committed: exists
+          ? state.committed.map((item) => (item.kind === 'tool' && item.id === delta.id ? step : item))
+          : [...state.committed, step],
+      };
+    }
+    default:
+      return state;
+  }
+}
+
 /**
  * Custom hook that encapsulates all chat state and operations for a project.
  *
@@ -19,6 +63,8 @@ import {
  * - Detected secrets flow (pause, collect values, save, retry)
  * - Refreshing messages from the server
  * - Polling fallback when SSE drops
+ * - The in-progress assistant reply streamed over SSE (feed `handleStreamEvent`
+ *   to useProgress's `onStream`)
  *
  * @param {string} projectId - UUID of the current project
  */
@@ -32,6 +78,7 @@ export default function useChat(projectId) {
   const [error, setError] = useState(null);
   const [pendingAttachments, setPendingAttachments] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
+  const [stream, setStream] = useState(EMPTY_STREAM);
 
   // Keep a ref to the latest pending message so the secrets flow can retry it.
   const pendingMessageRef = useRef(null);
@@ -90,6 +137,7 @@ export default function useChat(projectId) {
         const lastMsg = msgList[msgList.length - 1];
         if (lastMsg && lastMsg.role === 'assistant') {
           setMessages(msgList);
+          setStream(EMPTY_STREAM);
           clearInterval(pollingRef.current);
           pollingRef.current = null;
         }
@@ -176,7 +224,8 @@ export default function useChat(projectId) {
   // ---- Send a message ---------------------------------------------------------
   const sendMessage = useCallback(
     async (content, secrets, selectedModel) => {
-      if (!conversationId || !content.trim()) {
+      // A voice note or screenshot alone is a valid message
+      if (!conversationId || (!content.trim() && pendingAttachments.length === 0)) {
         return null;
       }
 
@@ -198,6 +247,7 @@ export default function useChat(projectId) {
         attachments: optimisticAttachments,
       };
       setMessages((prev) => [...prev, optimisticMsg]);
+      setStream(EMPTY_STREAM);
       setIsSending(true);
       setError(null);
 
@@ -227,6 +277,14 @@ export default function useChat(projectId) {
 
         const response = await apiSendMessage(conversationId, payload);
 
+        // Voice notes are transcribed into the stored message; show what was heard
+        const storedContent = response.message?.content;
+        if (storedContent && storedContent !== content) {
+          setMessages((prev) =>
+            prev.map((m) => (m.id === optimisticMsg.id ? { ...m, content: storedContent } : m))
+          );
+        }
+
         // If URLs were extracted, update the optimistic message with extraction info
         if (response.extracted_urls && response.extracted_urls.length > 0) {
           setMessages((prev) =>
@@ -241,7 +299,9 @@ export default function useChat(projectId) {
         // If the server detected missing secrets, pause and surface them
         if (response.detected_secrets && response.detected_secrets.length > 0) {
           setDetectedSecrets(response.detected_secrets);
-          pendingMessageRef.current = content;
+          // Re-send the stored text: it includes voice note transcripts, and
+          // the attachments are already linked to the first message
+          pendingMessageRef.current = storedContent || content;
           pendingAttachmentIdsRef.current = attachmentIds;
           setIsSending(false);
           return null;
@@ -350,6 +410,8 @@ export default function useChat(projectId) {
         ? msgsResponse
         : msgsResponse.messages || [];
       setMessages(msgList);
+      // The stored assistant message replaces the streamed preview
+      setStream(EMPTY_STREAM);
 
       // Stop polling — SSE-triggered refresh succeeded
       if (pollingRef.current) {
@@ -361,6 +423,16 @@ export default function useChat(projectId) {
     }
   }, [conversationId]);
 
+  // ---- Streamed assistant output ---------------------------------------------
+  const handleStreamEvent = useCallback((delta) => {
+    setStream((prev) => applyStreamDelta(prev, delta));
+  }, []);
+
+  const streamingMessage = useMemo(() => {
+    const items = [...stream.committed, ...stream.draft];
+    return items.length > 0 ? { id: 'streaming', role: 'assistant', items } : null;
+  }, [stream]);
+
   // ---- Dismiss detected secrets (user cancels) --------------------------------
   const dismissSecrets = useCallback(() => {
     setDetectedSecrets(null);
@@ -376,10 +448,12 @@ export default function useChat(projectId) {
     isUploading,
     detectedSecrets,
     pendingAttachments,
+    streamingMessage,
     error,
     sendMessage,
     saveSecretsAndRetry,
     refreshMessages,
+    handleStreamEvent,
     dismissSecrets,
     addAttachments,
     removeAttachment,
@@ -0,0 +1,124 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+
+const MAX_LINES = 1000;
+
+/**
+ * Tail a project's deployment logs (build + runtime) over SSE.
+ * Changing the filters reconnects, which reloads the recent lines. The
+ * server ends the stream when there is no deployment to tail yet.
+ *
+ * @param {string} projectId
+ * @param {Object} [options]
+ * @param {string} [options.level] - Minimum level: debug, info, warn or error
+ * @param {string} [options.search] - Case-insensitive substring filter
+ * @param {*} [options.refreshKey] - Reconnects when it changes (e.g. after a deploy)
+ */
+export default function useLogStream(projectId, { level, search, refreshKey } = {}) {
+  const [logs, setLogs] = useState([]);
+  const [deployment, setDeployment] = useState(null);
+  const [isConnected, setIsConnected] = useState(false);
+  const [error, setError] = useState(null);
+  const eventSourceRef = useRef(null);
+  const reconnectTimerRef = useRef(null);
+  const cancelledRef = useRef(false);
+  const { getToken } = useAuth();
+
+  const connect = useCallback(async () => {
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
+      eventSourceRef.current = null;
+    }
+
+    if (cancelledRef.current || !projectId) return;
+
+    try {
+      // Always get a fresh token on each connection attempt
+      const token = await getToken();
+      if (cancelledRef.current) return;
+
+      const params = new URLSearchParams();
+      if (token) params.set('token', token);
+      if (level) params.set('level', level);
+      if (search) params.set('search', search);
+
+      const es = new EventSource(`/api/deployments/${projectId}/logs/stream?${params}`);
+      eventSourceRef.current = es;
+
+      es.onopen = () => {
+        if (!cancelledRef.current) {
+          setIsConnected(true);
+          setError(null);
+        }
+      };
+
+      es.onmessage = (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          if (data.type === 'connected') {
+            setDeployment(data.deployment);
+            setLogs([]);
+          } else if (data.type === 'logs') {
+            setLogs((prev) => [...prev, ...data.logs].slice(-MAX_LINES));
+          } else if (data.type === 'error') {
+            setError(data.message);
+          } else if (data.type === 'end') {
+            // Nothing to tail; stay closed until refreshKey changes
+            es.close();
+            eventSourceRef.current = null;
+            setIsConnected(false);
+          }
+        } catch {
+          // Non-JSON message; ignore
+        }
+      };
+
+      es.onerror = () => {
+        if (cancelledRef.current) return;
+
+        // Reconnect ourselves so the retry carries a fresh token
+        es.close();
+        eventSourceRef.current = null;
+        setIsConnected(false);
+        setError('Connection lost. Reconnecting...');
+
+        if (!reconnectTimerRef.current) {
+          reconnectTimerRef.current = setTimeout(() => {
+            reconnectTimerRef.current = null;
+            connect();
+          }, 3000);
+        }
+      };
+    } catch {
+      if (!cancelledRef.current) {
+        setError('Failed to connect to log stream');
+        if (!reconnectTimerRef.current) {
+          reconnectTimerRef.current = setTimeout(() => {
+            reconnectTimerRef.current = null;
+            connect();
+          }, 5000);
+        }
+      }
+    }
+  }, [projectId, level, search, getToken]);
+
+  useEffect(() => {
+    cancelledRef.current = false;
+    connect();
+
+    return () => {
+      cancelledRef.current = true;
+      if (eventSourceRef.current) {
+        eventSourceRef.current.close();
+        eventSourceRef.current = null;
+      }
+      if (reconnectTimerRef.current) {
+        clearTimeout(reconnectTimerRef.current);
+        reconnectTimerRef.current = null;
+      }
+      setIsConnected(false);
+    };
+  }, [connect, refreshKey]);
+
+  return { logs, deployment, isConnected, error };
+}
@@ -1,7 +1,16 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useAuth } from '@clerk/clerk-react';
 
-export default function useProgress(projectId) {
+/**
+ * Subscribe to a project's build progress over SSE.
+ *
+ * @param {string} projectId
+ * @param {Object} [options]
+ * @param {function} [options.onStream] - Receives streamed LLM deltas (`{ stream }` events)
+ * @param {function} [options.onBudget] - Receives spending budget warnings (`{ budget }` events)
+ * @param {function} [options.onGitHub] - Receives pushes to the connected repo (`{ github }` events)
+ */
+export default function useProgress(projectId, { onStream, onBudget, onGitHub } = {}) {
   const [progress, setProgress] = useState(0);
   const [stage, setStage] = useState('');
   const [message, setMessage] = useState('');
@@ -10,8 +19,24 @@ export default function useProgress(projectId) {
   const eventSourceRef = useRef(null);
   const reconnectTimerRef = useRef(null);
   const cancelledRef = useRef(false);
+  const onStreamRef = useRef(onStream);
+  const onBudgetRef = useRef(onBudget);
+  const onGitHubRef = useRef(onGitHub);
   const { getToken } = useAuth();
 
+  // Keep the latest callback without reconnecting the EventSource
+  useEffect(() => {
+    onStreamRef.current = onStream;
+  }, [onStream]);
+
+  useEffect(() => {
+    onBudgetRef.current = onBudget;
+  }, [onBudget]);
+
+  useEffect(() => {
+    onGitHubRef.current = onGitHub;
+  }, [onGitHub]);
+
   // Stable connect function that always gets a fresh token
   const connect = useCallback(async () => {
     // Close any existing connection
@@ -44,6 +69,18 @@ export default function useProgress(projectId) {
       es.onmessage = (event) => {
         try {
           const data = JSON.parse(event.data);
+          if (data.stream) {
+            if (onStreamRef.current) onStreamRef.current(data.stream);
+            return;
+          }
+          if (data.budget) {
+            if (onBudgetRef.current) onBudgetRef.current(data.budget);
+            return;
+          }
+          if (data.github) {
+            if (onGitHubRef.current) onGitHubRef.current(data.github);
+            return;
+          }
           if (data.progress !== undefined) setProgress(data.progress);
           if (data.stage !== undefined) setStage(data.stage);
           if (data.message !== undefined) setMessage(data.message);
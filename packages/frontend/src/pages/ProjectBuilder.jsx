@@ -3,20 +3,35 @@ import { useParams, Link, useNavigate } from 'react-router-dom';
 import useProgress from '../hooks/useProgress';
 import useChat from '../hooks/useChat';
 import useIsMobile from '../hooks/useIsMobile';
+import useLogStream from '../hooks/useLogStream';
 import { buildPreview } from '../utils/previewEngines/index.js';
 import {
   getProject,
   getProjectFiles,
+  getProjectFileContent,
   getProjectSecrets,
   addSecret,
   deleteSecret,
+  getSecretVersions,
+  rollbackSecret,
+  getSecretAudit,
   detectSecrets,
   deployProject,
   getDeploymentStatus,
+  getDeploymentHistory,
+  rollbackDeployment,
+  getPreviews,
+  createPreview,
+  promotePreview,
+  deletePreview,
   githubPush,
   githubPull,
   githubSyncStatus,
   githubCreateRepo,
+  githubGetMerge,
+  githubAbortMerge,
+  githubUpdateConnection,
+  githubGetPullRequest,
   getAvailableModels,
   getProjectDomains,
   addCustomDomain,
@@ -24,6 +39,12 @@ import {
   getDomainStatus,
   updateProject,
   deleteProject,
+  getProjectVersions,
+  getVersionDiff,
+  getVisualDiff,
+  restoreVersion,
+  getUptime,
+  updateHealthCheckPath,
 } from '../services/api';
 
 // ---------------------------------------------------------------------------
@@ -240,7 +261,6 @@ function buildFileTree(files) {
 export default function ProjectBuilder() {
   const { id: projectId } = useParams();
   const navigate = useNavigate();
-  const { progress, stage, message: progressMessage, isConnected } = useProgress(projectId);
   const {
     messages,
     isLoading: chatLoading,
@@ -248,14 +268,21 @@ export default function ProjectBuilder() {
     isUploading,
     detectedSecrets,
     pendingAttachments,
+    streamingMessage,
     sendMessage,
     saveSecretsAndRetry,
     refreshMessages,
+    handleStreamEvent,
     dismissSecrets,
     addAttachments,
     removeAttachment,
     conversationId,
   } = useChat(projectId);
+  const { progress, stage, message: progressMessage, isConnected } = useProgress(projectId, {
+    onStream: handleStreamEvent,
+    onBudget: (budget) => showToast(budget.level === 'warning' ? 'info' : 'error', budget.message),
+    onGitHub: handleGitHubPush,
+  });
 
   const fileInputRef = useRef(null);
 
@@ -286,7 +313,9 @@ export default function ProjectBuilder() {
   const [files, setFiles] = useState([]);
   const [selectedFile, setSelectedFile] = useState(null);
   const [secrets, setSecrets] = useState([]);
-  const [newSecret, setNewSecret] = useState({ key: '', value: '', type: 'api_key' });
+  const [newSecret, setNewSecret] = useState({ key: '', value: '', type: 'api_key', redeploy: false });
+  // Bumped after every secret change so the secrets audit log reloads
+  const [secretsRevision, setSecretsRevision] = useState(0);
   const [domains, setDomains] = useState([]);
   const [collapsedFolders, setCollapsedFolders] = useState(new Set());
   const [chatWidth, setChatWidth] = useState(38); // percentage, default 38%
@@ -295,6 +324,7 @@ export default function ProjectBuilder() {
 
   // -- Deploy + GitHub state ---
   const [isDeploying, setIsDeploying] = useState(false);
+  const rollingBack = useRef(false);
   const [deployStatus, setDeployStatus] = useState(null);
   const [githubStatus, setGithubStatus] = useState(null);
   const [showGitHubModal, setShowGitHubModal] = useState(false);
@@ -317,6 +347,7 @@ export default function ProjectBuilder() {
   const [gitPushing, setGitPushing] = useState(false);
   const [gitPulling, setGitPulling] = useState(false);
   const [gitMenuOpen, setGitMenuOpen] = useState(false);
+  const [mergeConflicts, setMergeConflicts] = useState(null); // { head_sha, conflicts } while a pull is unresolved
 
   // ---- Load project on mount ------------------------------------------------
   useEffect(() => {
@@ -420,7 +451,7 @@ export default function ProjectBuilder() {
     } else {
       messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
     }
-  }, [messages, detectedSecrets, isSending, progressMessage]);
+  }, [messages, streamingMessage, detectedSecrets, isSending, progressMessage]);
 
   // ---- Initialize secret values when detected --------------------------------
   useEffect(() => {
@@ -437,7 +468,7 @@ export default function ProjectBuilder() {
 
   async function handleSend(e) {
     e?.preventDefault();
-    if (!prompt.trim() || isSending || isBuilding) return;
+    if ((!prompt.trim() && pendingAttachments.length === 0) || isSending || isBuilding) return;
     const content = prompt;
     setPrompt('');
     await sendMessage(content, null, selectedModel);
@@ -466,8 +497,7 @@ export default function ProjectBuilder() {
     }));
     await saveSecretsAndRetry(entries);
     // Refresh the secrets list in the right panel
-    const data = await getProjectSecrets(projectId).catch(() => []);
-    setSecrets(Array.isArray(data) ? data : data.secrets || []);
+    await refreshSecrets().catch(() => {});
   }
 
   async function handleAddSecret(e) {
@@ -475,9 +505,8 @@ export default function ProjectBuilder() {
     if (!newSecret.key.trim() || !newSecret.value.trim()) return;
     try {
       await addSecret(projectId, newSecret);
-      const data = await getProjectSecrets(projectId);
-      setSecrets(Array.isArray(data) ? data : data.secrets || []);
-      setNewSecret({ key: '', value: '', type: 'api_key' });
+      await refreshSecrets();
+      setNewSecret({ key: '', value: '', type: 'api_key', redeploy: newSecret.redeploy });
     } catch (err) {
       console.error('Failed to add secret:', err);
     }
@@ -487,11 +516,18 @@ export default function ProjectBuilder() {
     try {
       await deleteSecret(projectId, secretId);
       setSecrets((prev) => prev.filter((s) => s.id !== secretId));
+      setSecretsRevision((r) => r + 1);
     } catch (err) {
       console.error('Failed to delete secret:', err);
     }
   }
 
+  async function refreshSecrets() {
+    const data = await getProjectSecrets(projectId);
+    setSecrets(Array.isArray(data) ? data : data.secrets || []);
+    setSecretsRevision((r) => r + 1);
+  }
+
   // -- Secret detection from files --
   const [fileDetectedSecrets, setFileDetectedSecrets] = useState(null);
   const [detecting, setDetecting] = useState(false);
@@ -509,7 +545,7 @@ export default function ProjectBuilder() {
   }
 
   function handleAddDetectedSecret(secret) {
-    setNewSecret({ key: secret.key, value: '', type: secret.type || 'api_key' });
+    setNewSecret((prev) => ({ ...prev, key: secret.key, value: '', type: secret.type || 'api_key' }));
     // Remove from detected list
     setFileDetectedSecrets((prev) => prev?.filter((s) => s.key !== secret.key) || null);
   }
@@ -548,6 +584,20 @@ export default function ProjectBuilder() {
     }
   }
 
+  // -- Version restore handler --
+  async function handleVersionRestored(result) {
+    showToast('success', `Restored version ${result.restored_from}`, `Saved as version ${result.version?.version_number}`);
+    const fileData = await getProjectFiles(projectId).catch(() => []);
+    setFiles(Array.isArray(fileData) ? fileData : fileData.files || []);
+    setSelectedFile(null);
+  }
+
+  // -- Logs "fix this" handler: pre-fill the chat with the selected lines --
+  function handleFixLogs(text) {
+    setPrompt(text);
+    showToast('info', 'Log lines added to the chat', 'Review the message and send it to fix the error.');
+  }
+
   // -- Deploy handler --
   async function handleDeploy() {
     if (isDeploying) return;
@@ -561,12 +611,62 @@ export default function ProjectBuilder() {
     }
   }
 
+  // -- Rollback handler --
+  async function handleRollback(deployment) {
+    if (isDeploying) return;
+    const label = deployment.version_number ? `version ${deployment.version_number}` : 'this deployment';
+    if (!window.confirm(`Roll production back to ${label}? Your project files will be restored to it and redeployed.`)) return;
+    try {
+      setIsDeploying(true);
+      rollingBack.current = true;
+      const result = await rollbackDeployment(projectId, deployment.id);
+      showToast('info', `Rolling back to version ${result.version_number}`);
+    } catch (err) {
+      rollingBack.current = false;
+      setIsDeploying(false);
+      showToast('error', 'Rollback failed', err.response?.data?.error);
+    }
+  }
+
+  // -- Preview handlers --
+  async function handleDeployPreview() {
+    if (isDeploying) return;
+    try {
+      setIsDeploying(true);
+      const result = await createPreview(projectId, conversationId);
+      showToast('info', `Deploying preview ${result.preview.number}`);
+    } catch (err) {
+      setIsDeploying(false);
+      showToast('error', 'Preview failed', err.response?.data?.error);
+    }
+  }
+
+  async function handlePromotePreview(preview) {
+    if (isDeploying) return;
+    const label = preview.version_number ? `version ${preview.version_number}` : `preview ${preview.number}`;
+    if (!window.confirm(`Promote ${label} to production? Your project files will be restored to it and redeployed.`)) return;
+    try {
+      setIsDeploying(true);
+      rollingBack.current = true;
+      await promotePreview(projectId, preview.id);
+      showToast('info', `Promoting preview ${preview.number} to production`);
+    } catch (err) {
+      rollingBack.current = false;
+      setIsDeploying(false);
+      showToast('error', 'Promotion failed', err.response?.data?.error);
+    }
+  }
+
   // -- GitHub handlers --
   async function handleGitHubPush() {
     setGitPushing(true);
     try {
       const result = await githubPush(projectId, 'Update from Imagia');
-      showToast('success', 'Pushed to GitHub', `Commit ${result.commit_sha?.slice(0, 7) || ''}`);
+      if (result.pull_request) {
+        showToast('success', result.message, result.pull_request.url);
+      } else {
+        showToast('success', 'Pushed to GitHub', `Commit ${result.commit_sha?.slice(0, 7) || ''}`);
+      }
       refreshGitHubStatus();
     } catch (err) {
       showToast('error', 'Push failed', err.response?.data?.error || err.message);
@@ -575,20 +675,133 @@ export default function ProjectBuilder() {
     }
   }
 
-  async function handleGitHubPull() {
+  // Files imported from GitHub may not be loaded yet; fetch them when opened
+  async function handleSelectFile(file) {
+    setSelectedFile(file);
+    if (!file || file.content != null || file.is_binary) return;
+    try {
+      const { file: loaded } = await getProjectFileContent(projectId, file.file_path);
+      setFiles((prev) => prev.map((f) => (f.file_path === loaded.file_path ? loaded : f)));
+      setSelectedFile((current) => (current?.file_path === loaded.file_path ? loaded : current));
+    } catch (err) {
+      showToast('error', 'Could not load file', err.response?.data?.error || err.message);
+    }
+  }
+
+  async function reloadFiles() {
+    const fileData = await getProjectFiles(projectId).catch(() => []);
+    setFiles(Array.isArray(fileData) ? fileData : fileData.files || []);
+  }
+
+  async function handleGitHubPull(resolutions) {
     setGitPulling(true);
     try {
-      const result = await githubPull(projectId);
-      showToast('success', 'Pulled from GitHub', `${result.file_count} files updated`);
-      const fileData = await getProjectFiles(projectId).catch(() => []);
-      setFiles(Array.isArray(fileData) ? fileData : fileData.files || []);
+      const result = await githubPull(projectId, resolutions);
+      if (result.status === 'conflicted') {
+        setMergeConflicts({ head_sha: result.commit_sha, conflicts: result.conflicts });
+        showToast('info', 'Merge conflicts', result.message);
+      } else {
+        setMergeConflicts(null);
+        showToast('success', result.status === 'up_to_date' ? 'Already up to date' : 'Pulled from GitHub', `${result.file_count} files updated`);
+        await reloadFiles();
+      }
+      refreshGitHubStatus();
+      return result;
     } catch (err) {
       showToast('error', 'Pull failed', err.response?.data?.error || err.message);
+      return null;
     } finally {
       setGitPulling(false);
     }
   }
 
+  async function handleTogglePushMode() {
+    const pushMode = githubStatus?.push_mode === 'pull_request' ? 'direct' : 'pull_request';
+    try {
+      await githubUpdateConnection(projectId, { push_mode: pushMode });
+      setGithubStatus((prev) => prev && { ...prev, push_mode: pushMode });
+    } catch (err) {
+      showToast('error', 'Could not change push mode', err.response?.data?.error || err.message);
+    }
+  }
+
+  async function handleToggleAutoPull() {
+    const autoPull = !githubStatus?.auto_pull;
+    try {
+      await githubUpdateConnection(projectId, { auto_pull: autoPull });
+      setGithubStatus((prev) => prev && { ...prev, auto_pull: autoPull });
+    } catch (err) {
+      showToast('error', 'Could not change auto-pull', err.response?.data?.error || err.message);
+    }
+  }
+
+  // Someone pushed to the connected branch on GitHub
+  async function handleGitHubPush(event) {
+    const from = event.pusher ? ` by ${event.pusher}` : '';
+    if (event.pulled) {
+      if (event.file_count > 0) await reloadFiles();
+      showToast(
+        'success',
+        `Pulled ${event.commits} commit${event.commits === 1 ? '' : 's'} from GitHub${from}`,
+        event.version_number ? `Saved as version ${event.version_number}.` : `${event.file_count} files updated`
+      );
+    } else if (event.status === 'behind' || event.status === 'diverged') {
+      showToast('info', `New commits on GitHub${from}`, 'Pull to bring them into this project.');
+    }
+    refreshGitHubStatus();
+  }
+
+  // Review status changes on GitHub; refresh it whenever the menu opens
+  async function handleOpenGitMenu() {
+    setGitMenuOpen(true);
+    if (!githubStatus?.pull_request) return;
+    try {
+      const { pull_request: pr } = await githubGetPullRequest(projectId);
+      if (pr?.state === 'merged') {
+        showToast('success', `Pull request #${pr.number} merged`, 'Project files updated from GitHub.');
+        await reloadFiles();
+        refreshGitHubStatus();
+      } else if (pr?.state === 'closed') {
+        showToast('info', `Pull request #${pr.number} was closed`, 'Your next push opens a new pull request.');
+        refreshGitHubStatus();
+      } else {
+        setGithubStatus((prev) => prev && { ...prev, pull_request: pr });
+      }
+    } catch {
+      // keep the last known status
+    }
+  }
+
+  async function handleOpenMerge() {
+    try {
+      const data = await githubGetMerge(projectId);
+      if (data.merge) setMergeConflicts(data.merge);
+    } catch (err) {
+      showToast('error', 'Could not load conflicts', err.response?.data?.error || err.message);
+    }
+  }
+
+  async function handleAbortMerge() {
+    try {
+      await githubAbortMerge(projectId);
+      setMergeConflicts(null);
+      refreshGitHubStatus();
+    } catch (err) {
+      showToast('error', 'Abort failed', err.response?.data?.error || err.message);
+    }
+  }
+
+  // Write the conflicted files with their markers and ask the agent to fix them
+  async function handleAgentResolve(conflicts) {
+    const resolutions = Object.fromEntries(conflicts.map((c) => [c.file_path, c.merged]));
+    const result = await handleGitHubPull(resolutions);
+    if (result && result.status !== 'conflicted') {
+      const list = conflicts.map((c) => `- ${c.file_path}`).join('\n');
+      setPrompt(`Resolve the merge conflicts from GitHub in these files. Each conflict is between <<<<<<< Imagia and >>>>>>> markers; keep the intent of both sides and remove the markers:\n\n${list}`);
+      showToast('info', 'Conflicts handed to the agent', 'Review the message and send it to resolve them.');
+    }
+  }
+
   async function handleCreateRepo(e) {
     e.preventDefault();
     if (!gitRepoName.trim()) return;
@@ -634,6 +847,13 @@ export default function ProjectBuilder() {
       getDeploymentStatus(projectId).then(setDeployStatus).catch(() => {});
       // Refresh domains — a new subdomain may have been assigned
       getProjectDomains(projectId).then((data) => setDomains(data.domains || [])).catch(() => {});
+      // A rollback or promotion restored other files
+      if (rollingBack.current) {
+        rollingBack.current = false;
+        getProjectFiles(projectId)
+          .then((fileData) => setFiles(Array.isArray(fileData) ? fileData : fileData.files || []))
+          .catch(() => {});
+      }
     }
   }, [progress, projectId]);
 
@@ -728,6 +948,9 @@ export default function ProjectBuilder() {
             <div className="flex gap-2 overflow-x-auto border-t border-gray-100 px-3 py-2">
               <button onClick={() => { setMobileActionsOpen(false); handleGitHubPush(); }} disabled={gitPushing} className="flex-shrink-0 rounded-lg border border-gray-200 px-3 py-2 text-xs font-medium text-gray-600 disabled:opacity-50">{gitPushing ? 'Pushing...' : 'Push'}</button>
               <button onClick={() => { setMobileActionsOpen(false); handleGitHubPull(); }} disabled={gitPulling} className="flex-shrink-0 rounded-lg border border-gray-200 px-3 py-2 text-xs font-medium text-gray-600 disabled:opacity-50">{gitPulling ? 'Pulling...' : 'Pull'}</button>
+              {githubStatus?.status === 'conflicted' && (
+                <button onClick={() => { setMobileActionsOpen(false); handleOpenMerge(); }} className="flex-shrink-0 rounded-lg border border-red-200 px-3 py-2 text-xs font-medium text-red-600">Resolve</button>
+              )}
               {githubStatus?.status && githubStatus.status !== 'not_connected' && (
                 <span className={`flex-shrink-0 rounded-full px-2.5 py-2 text-[10px] font-medium ${githubStatus.status === 'synced' ? 'bg-green-50 text-green-600' : 'bg-yellow-50 text-yellow-600'}`}>{githubStatus.status}</span>
               )}
@@ -784,6 +1007,7 @@ export default function ProjectBuilder() {
                   {timeline.recentMessages.map((msg, i) => (
                     <MessageBubble key={msg.id || i} message={msg} />
                   ))}
+                  {streamingMessage && <StreamingBubble message={streamingMessage} />}
                   {detectedSecrets && detectedSecrets.length > 0 && (
                     <SecretsDetectionCard detectedSecrets={detectedSecrets} secretValues={secretValues} onSecretChange={setSecretValues} onSubmit={handleSubmitSecrets} onDismiss={dismissSecrets} isSaving={isSending} />
                   )}
@@ -842,7 +1066,7 @@ export default function ProjectBuilder() {
                       onInput={(e) => { e.target.style.height = 'auto'; e.target.style.height = Math.min(e.target.scrollHeight, 120) + 'px'; }}
                     />
                   </div>
-                  <button type="submit" disabled={!prompt.trim() || isSending || isBuilding} className="flex h-11 w-11 flex-shrink-0 items-center justify-center rounded-xl bg-indigo-600 text-white disabled:opacity-40">
+                  <button type="submit" disabled={(!prompt.trim() && pendingAttachments.length === 0) || isSending || isBuilding} className="flex h-11 w-11 flex-shrink-0 items-center justify-center rounded-xl bg-indigo-600 text-white disabled:opacity-40">
                     <svg className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 12L3.269 3.126A59.768 59.768 0 0121.485 12 59.77 59.77 0 013.27 20.876L5.999 12zm0 0h7.5" />
                     </svg>
@@ -853,10 +1077,10 @@ export default function ProjectBuilder() {
           )}
           {mobilePanel === 'preview' && <PreviewTab project={project} files={files} />}
           {mobilePanel === 'files' && (
-            <FilesTab files={files} selectedFile={selectedFile} onSelectFile={setSelectedFile} collapsedFolders={collapsedFolders} onToggleFolder={toggleFolder} mobileMode />
+            <FilesTab files={files} selectedFile={selectedFile} onSelectFile={handleSelectFile} collapsedFolders={collapsedFolders} onToggleFolder={toggleFolder} mobileMode />
           )}
           {mobilePanel === 'secrets' && (
-            <SecretsTab secrets={secrets} newSecret={newSecret} onNewSecretChange={setNewSecret} onAddSecret={handleAddSecret} onDeleteSecret={handleDeleteSecret} onDetect={handleDetectSecrets} detecting={detecting} detectedSecrets={fileDetectedSecrets} onAddDetected={handleAddDetectedSecret} />
+            <SecretsTab projectId={projectId} secrets={secrets} secretsRevision={secretsRevision} newSecret={newSecret} onNewSecretChange={setNewSecret} onAddSecret={handleAddSecret} onDeleteSecret={handleDeleteSecret} onSecretsChanged={refreshSecrets} onDetect={handleDetectSecrets} detecting={detecting} detectedSecrets={fileDetectedSecrets} onAddDetected={handleAddDetectedSecret} />
           )}
           {mobilePanel === 'domains' && (
             <DomainsTab domains={domains} onAddDomain={handleAddDomain} onRemoveDomain={handleRemoveDomain} onRefreshStatus={handleRefreshDomainStatus} deploymentUrl={project?.deployment_url} />
@@ -870,6 +1094,19 @@ export default function ProjectBuilder() {
         {showGitHubModal && (
           <GitHubModal onClose={() => setShowGitHubModal(false)} onCreateRepo={handleCreateRepo} onConnectGitHub={handleConnectGitHub} repoName={gitRepoName} onRepoNameChange={setGitRepoName} isPrivate={gitIsPrivate} onPrivateChange={setGitIsPrivate} projectName={project?.name} />
         )}
+
+        {mergeConflicts && (
+          <MergeConflictsModal
+            key={mergeConflicts.head_sha}
+            conflicts={mergeConflicts.conflicts}
+            headSha={mergeConflicts.head_sha}
+            busy={gitPulling}
+            onClose={() => setMergeConflicts(null)}
+            onResolve={handleGitHubPull}
+            onAgentResolve={handleAgentResolve}
+            onAbort={handleAbortMerge}
+          />
+        )}
       </div>
     );
   }
@@ -898,7 +1135,7 @@ export default function ProjectBuilder() {
             {project?.github_repo_url ? (
               <div className="relative">
                 <button
-                  onClick={() => setGitMenuOpen(!gitMenuOpen)}
+                  onClick={() => (gitMenuOpen ? setGitMenuOpen(false) : handleOpenGitMenu())}
                   className="flex items-center gap-1.5 rounded-lg border border-gray-200 px-2.5 py-1.5 text-xs font-medium text-gray-600 transition-colors hover:bg-gray-50"
                 >
                   <svg className="h-3.5 w-3.5" viewBox="0 0 24 24" fill="currentColor">
@@ -910,14 +1147,14 @@ export default function ProjectBuilder() {
                 {gitMenuOpen && (
                   <>
                     <div className="fixed inset-0 z-10" onClick={() => setGitMenuOpen(false)} />
-                    <div className="absolute right-0 z-20 mt-1 w-44 rounded-lg border border-gray-200 bg-white py-1 shadow-lg">
+                    <div className="absolute right-0 z-20 mt-1 w-52 rounded-lg border border-gray-200 bg-white py-1 shadow-lg">
                       <button
                         onClick={() => { setGitMenuOpen(false); handleGitHubPush(); }}
                         disabled={gitPushing}
                         className="flex w-full items-center gap-2 px-3 py-2 text-xs text-gray-700 hover:bg-gray-50 disabled:opacity-50"
                       >
                         <svg className="h-3.5 w-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.5 10.5L12 3m0 0l7.5 7.5M12 3v18" /></svg>
-                        {gitPushing ? 'Pushing...' : 'Push to GitHub'}
+                        {gitPushing ? 'Pushing...' : githubStatus?.push_mode !== 'pull_request' ? 'Push to GitHub' : githubStatus?.pull_request ? 'Update pull request' : 'Open pull request'}
                       </button>
                       <button
                         onClick={() => { setGitMenuOpen(false); handleGitHubPull(); }}
@@ -927,10 +1164,54 @@ export default function ProjectBuilder() {
                         <svg className="h-3.5 w-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19.5 13.5L12 21m0 0l-7.5-7.5M12 21V3" /></svg>
                         {gitPulling ? 'Pulling...' : 'Pull from GitHub'}
                       </button>
+                      {githubStatus?.pull_request && (
+                        <a
+                          href={githubStatus.pull_request.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="flex w-full items-center justify-between gap-2 px-3 py-2 text-xs text-gray-700 hover:bg-gray-50"
+                        >
+                          <span className="truncate">PR #{githubStatus.pull_request.number}</span>
+                          <span className={`flex-shrink-0 rounded-full px-1.5 py-0.5 text-[10px] font-medium ${
+                            githubStatus.pull_request.review_status === 'approved' ? 'bg-green-50 text-green-600'
+                              : githubStatus.pull_request.review_status === 'changes_requested' ? 'bg-red-50 text-red-600'
+                                : 'bg-gray-100 text-gray-500'
+                          }`}>
+                            {githubStatus.pull_request.review_status.replace('_', ' ')}
+                          </span>
+                        </a>
+                      )}
+                      <label className="flex w-full cursor-pointer items-center gap-2 px-3 py-2 text-xs text-gray-700 hover:bg-gray-50">
+                        <input
+                          type="checkbox"
+                          checked={githubStatus?.push_mode === 'pull_request'}
+                          onChange={handleTogglePushMode}
+                          className="h-3.5 w-3.5 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                        />
+                        Push via pull request
+                      </label>
+                      <label className="flex w-full cursor-pointer items-center gap-2 px-3 py-2 text-xs text-gray-700 hover:bg-gray-50">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(githubStatus?.auto_pull)}
+                          onChange={handleToggleAutoPull}
+                          className="h-3.5 w-3.5 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                        />
+                        Auto-pull GitHub changes
+                      </label>
+                      {githubStatus?.status === 'conflicted' && (
+                        <button
+                          onClick={() => { setGitMenuOpen(false); handleOpenMerge(); }}
+                          className="flex w-full items-center gap-2 px-3 py-2 text-xs text-red-600 hover:bg-red-50"
+                        >
+                          <svg className="h-3.5 w-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v3.75m0 3.75h.007M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>
+                          Resolve conflicts
+                        </button>
+                      )}
                       {githubStatus?.status && githubStatus.status !== 'not_connected' && (
                         <div className="border-t border-gray-100 px-3 py-1.5">
                           <span className={`text-[10px] font-medium ${
-                            githubStatus.status === 'synced' ? 'text-green-600' : githubStatus.status === 'diverged' ? 'text-yellow-600' : 'text-gray-500'
+                            githubStatus.status === 'synced' ? 'text-green-600' : githubStatus.status === 'conflicted' ? 'text-red-600' : githubStatus.status === 'diverged' ? 'text-yellow-600' : 'text-gray-500'
                           }`}>
                             {githubStatus.status}
                           </span>
@@ -1035,6 +1316,9 @@ export default function ProjectBuilder() {
               <MessageBubble key={msg.id || i} message={msg} />
             ))}
 
+            {/* Assistant reply streaming in */}
+            {streamingMessage && <StreamingBubble message={streamingMessage} />}
+
             {/* Secrets detection card */}
             {detectedSecrets && detectedSecrets.length > 0 && (
               <SecretsDetectionCard
@@ -1143,7 +1427,7 @@ export default function ProjectBuilder() {
             </div>
             <button
               type="submit"
-              disabled={!prompt.trim() || isSending || isBuilding}
+              disabled={(!prompt.trim() && pendingAttachments.length === 0) || isSending || isBuilding}
               className="flex h-11 w-11 flex-shrink-0 items-center justify-center rounded-xl bg-indigo-600 text-white shadow-sm transition-all hover:bg-indigo-700 hover:shadow-md disabled:cursor-not-allowed disabled:opacity-40 disabled:hover:shadow-sm"
             >
               {isUploading ? (
@@ -1186,6 +1470,8 @@ export default function ProjectBuilder() {
           {[
             { key: 'preview', label: 'Preview' },
             { key: 'files', label: 'Files' },
+            { key: 'history', label: 'History' },
+            { key: 'logs', label: 'Logs' },
             { key: 'secrets', label: 'Secrets' },
             { key: 'settings', label: 'Settings' },
           ].map(({ key, label }) => (
@@ -1223,18 +1509,36 @@ export default function ProjectBuilder() {
             <FilesTab
               files={files}
               selectedFile={selectedFile}
-              onSelectFile={setSelectedFile}
+              onSelectFile={handleSelectFile}
               collapsedFolders={collapsedFolders}
               onToggleFolder={toggleFolder}
             />
           )}
+          {activeTab === 'history' && (
+            <HistoryTab
+              projectId={projectId}
+              isBuilding={isBuilding}
+              refreshKey={buildSuccess}
+              onRestored={handleVersionRestored}
+              isDeploying={isDeploying}
+              onRollback={handleRollback}
+              onDeployPreview={handleDeployPreview}
+              onPromotePreview={handlePromotePreview}
+            />
+          )}
+          {activeTab === 'logs' && (
+            <LogsTab projectId={projectId} files={files} isDeploying={isDeploying} onFixThis={handleFixLogs} />
+          )}
           {activeTab === 'secrets' && (
             <SecretsTab
+              projectId={projectId}
               secrets={secrets}
+              secretsRevision={secretsRevision}
               newSecret={newSecret}
               onNewSecretChange={setNewSecret}
               onAddSecret={handleAddSecret}
               onDeleteSecret={handleDeleteSecret}
+              onSecretsChanged={refreshSecrets}
               onDetect={handleDetectSecrets}
               detecting={detecting}
               detectedSecrets={fileDetectedSecrets}
@@ -1275,6 +1579,20 @@ export default function ProjectBuilder() {
         />
       )}
 
+      {/* Merge conflicts from a GitHub pull */}
+      {mergeConflicts && (
+        <MergeConflictsModal
+          key={mergeConflicts.head_sha}
+          conflicts={mergeConflicts.conflicts}
+          headSha={mergeConflicts.head_sha}
+          busy={gitPulling}
+          onClose={() => setMergeConflicts(null)}
+          onResolve={handleGitHubPull}
+          onAgentResolve={handleAgentResolve}
+          onAbort={handleAbortMerge}
+        />
+      )}
+
       {/* Toast notification */}
       {toast && (
         <div className="fixed bottom-4 right-4 z-50 animate-in slide-in-from-bottom-4 fade-in duration-200">
@@ -1458,6 +1776,59 @@ function MessageBubble({ message }) {
 
 // ---------- Timeline Checkpoint (collapsible older messages) ------------------
 
+const TOOL_STEP_LABELS = {
+  read_files: 'Reading files',
+  list_files: 'Listing files',
+  grep_files: 'Searching code',
+  edit_file: 'Editing file',
+  apply_changes: 'Applying changes',
+};
+
+function StreamingBubble({ message }) {
+  return (
+    <div className="flex justify-start">
+      <div className="flex max-w-[85%] flex-col items-start">
+        <div className="rounded-2xl rounded-bl-md bg-gray-100 px-4 py-3 text-sm leading-relaxed text-gray-800">
+          {message.items.map((item, i) =>
+            item.kind === 'tool' ? (
+              <div key={item.id || i} className="my-1 flex items-center gap-2 text-xs text-gray-500 first:mt-0 last:mb-0">
+                {item.done ? (
+                  <svg className="h-3.5 w-3.5 text-green-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                  </svg>
+                ) : (
+                  <svg className="h-3.5 w-3.5 animate-spin text-indigo-500" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+                  </svg>
+                )}
+                <span>{item.detail || `${TOOL_STEP_LABELS[item.name] || item.name}...`}</span>
+              </div>
+            ) : (
+              <StreamingText key={i} text={item.text} />
+            ),
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function StreamingText({ text }) {
+  const parts = useMemo(() => parseContent(text), [text]);
+  return parts.map((part, i) =>
+    part.type === 'code' ? (
+      <pre key={i} className="my-2 overflow-x-auto rounded-lg bg-gray-900 p-3 text-xs leading-relaxed text-gray-100 first:mt-0 last:mb-0">
+        <code>{part.value}</code>
+      </pre>
+    ) : (
+      <p key={i} className="whitespace-pre-wrap">
+        {part.value}
+      </p>
+    ),
+  );
+}
+
 function TimelineCheckpoint({ checkpoint }) {
   const [expanded, setExpanded] = useState(false);
 
@@ -1820,131 +2191,754 @@ function PreviewTab({ project, files }) {
   );
 }
 
-// ---------- Files Tab ---------------------------------------------------------
+// ---------- History Tab -------------------------------------------------------
+
+function HistoryTab({
+  projectId,
+  isBuilding,
+  refreshKey,
+  onRestored,
+  isDeploying,
+  onRollback,
+  onDeployPreview,
+  onPromotePreview,
+}) {
+  const [versions, setVersions] = useState([]);
+  const [deployments, setDeployments] = useState([]);
+  const [previews, setPreviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedVersion, setExpandedVersion] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [diffError, setDiffError] = useState(null);
+  const [visualDiff, setVisualDiff] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+
+  const loadVersions = useCallback(() => {
+    getProjectVersions(projectId)
+      .then((data) => setVersions(data.versions || []))
+      .catch(() => setVersions([]))
+      .finally(() => setLoading(false));
+  }, [projectId]);
 
-function FilesTab({ files, selectedFile, onSelectFile, collapsedFolders, onToggleFolder, mobileMode }) {
-  const fileList = Array.isArray(files) ? files : [];
-  const tree = useMemo(() => buildFileTree(fileList), [fileList]);
-  const [showTree, setShowTree] = useState(true);
+  // A rollback adds a version, so reload when deploys start and finish too
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions, refreshKey, isDeploying]);
 
-  const handleSelectFile = (file) => {
-    onSelectFile(file);
-    if (mobileMode) setShowTree(false);
+  useEffect(() => {
+    getDeploymentHistory(projectId)
+      .then((data) => setDeployments(data.deployments || []))
+      .catch(() => setDeployments([]));
+  }, [projectId, isDeploying]);
+
+  const loadPreviews = useCallback(() => {
+    getPreviews(projectId)
+      .then((data) => setPreviews(data.previews || []))
+      .catch(() => setPreviews([]));
+  }, [projectId]);
+
+  useEffect(() => {
+    loadPreviews();
+  }, [loadPreviews, isDeploying]);
+
+  const handleDeletePreview = async (preview) => {
+    if (!window.confirm(`Delete preview ${preview.number}? Its URL will stop working.`)) return;
+    try {
+      await deletePreview(projectId, preview.id);
+      loadPreviews();
+    } catch (err) {
+      window.alert(err.response?.data?.error || 'Failed to delete preview');
+    }
   };
 
-  // Code viewer (shared between mobile and desktop)
-  const codeViewer = selectedFile ? (
-    <>
-      <div className="flex items-center gap-2 border-b border-gray-200 bg-gray-50 px-4 py-2.5">
-        {mobileMode && (
-          <button onClick={() => { setShowTree(true); onSelectFile(null); }} className="mr-1 flex-shrink-0 rounded p-1 text-gray-400 hover:text-gray-600">
-            <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
-            </svg>
-          </button>
-        )}
-        <span className="truncate text-xs font-medium text-gray-600">
-          {selectedFile.file_path || selectedFile.path}
-        </span>
-        {(() => {
-          const lang = selectedFile.language || detectLanguage(selectedFile.file_path || selectedFile.path);
-          if (!lang) return null;
-          const colorClass = LANG_COLORS[lang] || 'bg-gray-200 text-gray-600';
-          return (
-            <span className={`ml-auto flex-shrink-0 rounded px-2 py-0.5 text-[10px] font-semibold uppercase ${colorClass}`}>
-              {lang}
-            </span>
-          );
-        })()}
-      </div>
-      <div className="flex-1 overflow-auto bg-gray-950 p-4">
-        <pre className="text-xs leading-relaxed text-gray-100">
-          <code>{selectedFile.content || '// No content available'}</code>
-        </pre>
-      </div>
-    </>
-  ) : (
-    <div className="flex h-full flex-col items-center justify-center text-center">
-      <svg className="mb-3 h-8 w-8 text-gray-300" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M19.5 14.25v-2.625a3.375 3.375 0 00-3.375-3.375h-1.5A1.125 1.125 0 0113.5 7.125v-1.5a3.375 3.375 0 00-3.375-3.375H8.25m0 12.75h7.5m-7.5 3H12M10.5 2.25H5.625c-.621 0-1.125.504-1.125 1.125v17.25c0 .621.504 1.125 1.125 1.125h12.75c.621 0 1.125-.504 1.125-1.125V11.25a9 9 0 00-9-9z" />
-      </svg>
-      <p className="text-xs text-gray-400">Select a file to view its contents</p>
-    </div>
-  );
+  const toggleDiff = async (versionNumber) => {
+    if (expandedVersion === versionNumber) {
+      setExpandedVersion(null);
+      return;
+    }
+    setExpandedVersion(versionNumber);
+    setDiff(null);
+    setDiffError(null);
+    setVisualDiff(null);
+    setDiffLoading(true);
+    // Screenshots exist only for deployed versions; missing ones are not an error
+    getVisualDiff(projectId, versionNumber)
+      .then(setVisualDiff)
+      .catch(() => setVisualDiff(null));
+    try {
+      setDiff(await getVersionDiff(projectId, versionNumber - 1, versionNumber));
+    } catch (err) {
+      setDiffError(err.response?.data?.error || 'Failed to load diff');
+    } finally {
+      setDiffLoading(false);
+    }
+  };
 
-  const fileTree = fileList.length === 0 ? (
-    <div className="px-4 py-8 text-center">
-      <svg className="mx-auto mb-2 h-6 w-6 text-gray-300" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M2.25 12.75V12A2.25 2.25 0 014.5 9.75h15A2.25 2.25 0 0121.75 12v.75m-8.69-6.44l-2.12-2.12a1.5 1.5 0 00-1.061-.44H4.5A2.25 2.25 0 002.25 6v12a2.25 2.25 0 002.25 2.25h15A2.25 2.25 0 0021.75 18V9a2.25 2.25 0 00-2.25-2.25h-5.379a1.5 1.5 0 01-1.06-.44z" />
-      </svg>
-      <p className="text-xs text-gray-400">No files generated yet</p>
-    </div>
-  ) : (
-    <div className="pb-4">
-      <FileTreeNode
-        node={tree}
-        path=""
-        selectedPath={selectedFile?.file_path || selectedFile?.path}
-        onSelectFile={handleSelectFile}
-        collapsedFolders={collapsedFolders}
-        onToggleFolder={onToggleFolder}
-        isRoot
-      />
-    </div>
-  );
+  const handleRestore = async (versionNumber) => {
+    if (!window.confirm(`Restore project files to version ${versionNumber}? Your current files will be saved as part of the history.`)) return;
+    setRestoring(versionNumber);
+    try {
+      const result = await restoreVersion(projectId, versionNumber);
+      setExpandedVersion(null);
+      loadVersions();
+      onRestored(result);
+    } catch (err) {
+      window.alert(err.response?.data?.error || 'Failed to restore version');
+    } finally {
+      setRestoring(null);
+    }
+  };
 
-  // Mobile: stacked vertical layout
-  if (mobileMode) {
+  if (loading) {
     return (
-      <div className="flex h-full flex-col">
-        {showTree || !selectedFile ? (
-          <div className="flex-1 overflow-y-auto bg-gray-50/50">
-            <div className="flex items-center justify-between px-4 py-3">
-              <span className="text-[10px] font-semibold uppercase tracking-widest text-gray-400">Files</span>
-              {fileList.length > 0 && (
-                <span className="rounded-full bg-gray-200 px-2 py-0.5 text-[10px] font-medium text-gray-500">{fileList.length}</span>
-              )}
-            </div>
-            {fileTree}
-          </div>
-        ) : (
-          <div className="flex flex-1 flex-col overflow-hidden">{codeViewer}</div>
-        )}
+      <div className="flex h-full items-center justify-center">
+        <div className="h-5 w-5 animate-spin rounded-full border-2 border-indigo-500 border-t-transparent" />
       </div>
     );
   }
 
-  // Desktop: side-by-side
+  const latestNumber = versions[0]?.version_number;
+
   return (
-    <div className="flex h-full">
-      <div className="w-56 flex-shrink-0 overflow-y-auto border-r border-gray-200 bg-gray-50/50">
-        <div className="flex items-center justify-between px-4 py-3">
-          <span className="text-[10px] font-semibold uppercase tracking-widest text-gray-400">Files</span>
-          {fileList.length > 0 && (
-            <span className="rounded-full bg-gray-200 px-2 py-0.5 text-[10px] font-medium text-gray-500">{fileList.length}</span>
-          )}
-        </div>
-        {fileTree}
+    <div className="h-full overflow-y-auto p-5">
+      {/* Header */}
+      <div className="mb-4 flex items-center gap-2">
+        <svg className="h-5 w-5 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 6v6h4.5m4.5 0a9 9 0 11-18 0 9 9 0 0118 0z" />
+        </svg>
+        <h3 className="text-sm font-semibold text-gray-900">Version History</h3>
       </div>
-      <div className="flex flex-1 flex-col overflow-hidden">{codeViewer}</div>
-    </div>
-  );
-}
 
-// ---------- File Tree Node (recursive) ----------------------------------------
+      <PreviewEnvironments
+        previews={previews}
+        isBusy={isDeploying || isBuilding}
+        onDeploy={onDeployPreview}
+        onPromote={onPromotePreview}
+        onDelete={handleDeletePreview}
+      />
 
-function FileTreeNode({ node, path, selectedPath, onSelectFile, collapsedFolders, onToggleFolder, isRoot }) {
-  const folderNames = Object.keys(node.children).sort();
-  const fileItems = [...node.files].sort((a, b) =>
-    (a.displayName || '').localeCompare(b.displayName || ''),
-  );
+      {deployments.length > 0 && (
+        <DeploymentHistory deployments={deployments} isBusy={isDeploying || isBuilding} onRollback={onRollback} />
+      )}
 
-  return (
-    <div className={isRoot ? 'px-2' : 'pl-3'}>
-      {/* Folders */}
-      {folderNames.map((name) => {
-        const folderPath = path ? `${path}/${name}` : name;
-        const isCollapsed = collapsedFolders.has(folderPath);
+      {versions.length === 0 ? (
+        <div className="rounded-lg border border-dashed border-gray-200 p-6 text-center">
+          <p className="text-xs text-gray-400">No versions yet. Each build creates a new version.</p>
+        </div>
+      ) : (
+        <ol className="relative space-y-3 border-l border-gray-200 pl-5">
+          {versions.map((v) => {
+            const isLatest = v.version_number === latestNumber;
+            const isExpanded = expandedVersion === v.version_number;
+            return (
+              <li key={v.id} className="relative">
+                <span className={`absolute -left-[26px] top-3 h-2.5 w-2.5 rounded-full ring-4 ring-white ${isLatest ? 'bg-indigo-500' : 'bg-gray-300'}`} />
+                <div className="rounded-xl border border-gray-200 bg-white p-3 shadow-sm">
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0 flex-1">
+                      <div className="flex items-center gap-2">
+                        <span className="text-xs font-semibold text-gray-900">v{v.version_number}</span>
+                        {isLatest && (
+                          <span className="rounded bg-indigo-50 px-1.5 py-0.5 text-[10px] font-medium text-indigo-600">Current</span>
+                        )}
+                        {v.visual_changes > 0 && (
+                          <span className="rounded bg-amber-50 px-1.5 py-0.5 text-[10px] font-medium text-amber-700">
+                            {v.visual_changes} visual change{v.visual_changes !== 1 ? 's' : ''}
+                          </span>
+                        )}
+                        <span className="text-[10px] text-gray-400">
+                          {fmtDateLabel(v.created_at)} {fmtTime(v.created_at)}
+                        </span>
+                      </div>
+                      <p className="mt-1 truncate text-xs text-gray-600" title={v.prompt_summary || ''}>
+                        {v.prompt_summary || 'No description'}
+                      </p>
+                      {v.file_count != null && (
+                        <p className="mt-0.5 text-[10px] text-gray-400">{v.file_count} file{Number(v.file_count) !== 1 ? 's' : ''}</p>
+                      )}
+                    </div>
+                    <div className="flex flex-shrink-0 items-center gap-1.5">
+                      {v.version_number > 1 && (
+                        <button
+                          onClick={() => toggleDiff(v.version_number)}
+                          className="rounded-md border border-gray-200 px-2 py-1 text-[11px] font-medium text-gray-600 transition-colors hover:bg-gray-50"
+                        >
+                          {isExpanded ? 'Hide changes' : 'Changes'}
+                        </button>
+                      )}
+                      {!isLatest && (
+                        <button
+                          onClick={() => handleRestore(v.version_number)}
+                          disabled={isBuilding || restoring !== null}
+                          title={isBuilding ? 'Wait for the current build to finish' : undefined}
+                          className="rounded-md bg-indigo-600 px-2 py-1 text-[11px] font-medium text-white transition-colors hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                          {restoring === v.version_number ? 'Restoring...' : 'Restore'}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {isExpanded && (
+                    <div className="mt-3 border-t border-gray-100 pt-3">
+                      {diffLoading && <p className="text-xs text-gray-400">Loading changes...</p>}
+                      {diffError && <p className="text-xs text-red-500">{diffError}</p>}
+                      {visualDiff?.diffs.length > 0 && <VisualDiff result={visualDiff} />}
+                      {diff && <VersionDiff diff={diff} />}
+                    </div>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+// ---------- Deployment History ------------------------------------------------
+
+const DEPLOYMENT_STATUS_STYLES = {
+  success: 'bg-green-50 text-green-700',
+  failed: 'bg-red-50 text-red-700',
+};
+
+function DeploymentHistory({ deployments, isBusy, onRollback }) {
+  const [expandedId, setExpandedId] = useState(null);
+  // The newest successful production deployment is what production is serving
+  const liveId = deployments.find((d) => d.status === 'success' && d.environment !== 'preview')?.id;
+
+  return (
+    <div className="mb-5">
+      <p className="mb-2 text-[11px] font-semibold uppercase tracking-wide text-gray-400">Deployments</p>
+      <ul className="divide-y divide-gray-100 rounded-xl border border-gray-200 bg-white">
+        {deployments.slice(0, 8).map((d) => (
+          <li key={d.id} className="px-3 py-2">
+            <div className="flex items-center gap-2">
+              <span className={`rounded px-1.5 py-0.5 text-[10px] font-medium ${DEPLOYMENT_STATUS_STYLES[d.status] || 'bg-gray-100 text-gray-600'}`}>
+                {d.status}
+              </span>
+              <span className="text-xs font-medium text-gray-800">
+                {d.version_number ? `v${d.version_number}` : 'Unknown version'}
+              </span>
+              {d.rollback_of_deployment_id && <span className="text-[10px] text-gray-400">rollback</span>}
+              {d.promoted_from_preview_id && <span className="text-[10px] text-gray-400">promoted</span>}
+              {d.environment === 'preview' && (
+                <span className="rounded bg-sky-50 px-1.5 py-0.5 text-[10px] font-medium text-sky-700">preview</span>
+              )}
+              {d.attempts?.length > 1 && (
+                <button
+                  onClick={() => setExpandedId(expandedId === d.id ? null : d.id)}
+                  className="rounded bg-amber-50 px-1.5 py-0.5 text-[10px] font-medium text-amber-700 hover:bg-amber-100"
+                >
+                  {d.status === 'success' ? 'self-healed' : 'auto-fix failed'} · {d.attempts.length} attempts
+                </button>
+              )}
+              {d.id === liveId && (
+                <span className="rounded bg-indigo-50 px-1.5 py-0.5 text-[10px] font-medium text-indigo-600">Live</span>
+              )}
+              <span className="ml-auto text-[10px] text-gray-400">
+                {fmtDateLabel(d.created_at)} {fmtTime(d.created_at)}
+              </span>
+              {d.status === 'success' && d.environment !== 'preview' && d.id !== liveId && d.version_id && (
+                <button
+                  onClick={() => onRollback(d)}
+                  disabled={isBusy}
+                  title={isBusy ? 'Wait for the current build or deployment to finish' : `Redeploy v${d.version_number}`}
+                  className="rounded-md border border-gray-200 px-2 py-1 text-[11px] font-medium text-gray-600 transition-colors hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Roll back
+                </button>
+              )}
+            </div>
+            {expandedId === d.id && <DeployAttempts attempts={d.attempts} />}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function DeployAttempts({ attempts }) {
+  return (
+    <ol className="mt-2 space-y-1.5 border-l border-gray-200 pl-3">
+      {attempts.map((a) => (
+        <li key={a.attempt} className="text-[11px] text-gray-600">
+          <span className="font-medium text-gray-800">Attempt {a.attempt}</span>{' '}
+          <span className={a.status === 'success' ? 'text-green-700' : 'text-red-600'}>{a.status}</span>
+          {a.errors?.length > 0 && (
+            <ul className="mt-0.5 space-y-0.5 text-[10px] text-gray-500">
+              {a.errors.slice(0, 3).map((e, i) => (
+                <li key={i} className="truncate" title={e.message}>
+                  {e.file}{e.line ? `:${e.line}` : ''} · {e.message.split('\n')[0]}
+                </li>
+              ))}
+            </ul>
+          )}
+          {a.fixed_count > 0 && (
+            <p className="text-[10px] text-gray-500">
+              Fixed {a.fixed_count} file{a.fixed_count !== 1 ? 's' : ''}{a.version_number ? ` (saved as v${a.version_number})` : ''}
+            </p>
+          )}
+          {a.status === 'failed' && !a.fixed_count && (
+            <p className="text-[10px] text-gray-500">{a.fix_error ? `Fix failed: ${a.fix_error}` : 'No fix found'}</p>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// ---------- Preview Environments ----------------------------------------------
+
+const PREVIEW_STATUS_STYLES = {
+  active: 'bg-green-50 text-green-700',
+  deploying: 'bg-amber-50 text-amber-700',
+  failed: 'bg-red-50 text-red-700',
+};
+
+function PreviewEnvironments({ previews, isBusy, onDeploy, onPromote, onDelete }) {
+  return (
+    <div className="mb-5">
+      <div className="mb-2 flex items-center justify-between">
+        <p className="text-[11px] font-semibold uppercase tracking-wide text-gray-400">Previews</p>
+        <button
+          onClick={onDeploy}
+          disabled={isBusy}
+          title={isBusy ? 'Wait for the current build or deployment to finish' : 'Deploy the current files for this conversation without touching production'}
+          className="rounded-md border border-gray-200 px-2 py-1 text-[11px] font-medium text-gray-600 transition-colors hover:bg-gray-50 disabled:opacity-50"
+        >
+          Deploy preview
+        </button>
+      </div>
+      {previews.length === 0 ? (
+        <p className="text-[11px] text-gray-400">No previews. A preview is deleted after it goes unused for a while.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 rounded-xl border border-gray-200 bg-white">
+          {previews.map((p) => (
+            <li key={p.id} className="flex items-center gap-2 px-3 py-2">
+              <span className={`rounded px-1.5 py-0.5 text-[10px] font-medium ${PREVIEW_STATUS_STYLES[p.status] || 'bg-gray-100 text-gray-600'}`}>
+                {p.status}
+              </span>
+              <span className="text-xs font-medium text-gray-800">
+                #{p.number}{p.version_number ? ` · v${p.version_number}` : ''}
+              </span>
+              {p.promoted_at && <span className="text-[10px] text-gray-400">promoted</span>}
+              {p.url && p.status === 'active' && (
+                <a href={p.url} target="_blank" rel="noopener noreferrer" className="truncate text-[11px] text-indigo-600 hover:underline">
+                  {p.url.replace(/^https?:\/\//, '')}
+                </a>
+              )}
+              {p.status === 'failed' && p.error_message && (
+                <span className="truncate text-[10px] text-red-500" title={p.error_message}>{p.error_message}</span>
+              )}
+              <span className="ml-auto flex flex-shrink-0 items-center gap-1.5">
+                {p.status === 'active' && p.version_id && (
+                  <button
+                    onClick={() => onPromote(p)}
+                    disabled={isBusy}
+                    className="rounded-md bg-indigo-600 px-2 py-1 text-[11px] font-medium text-white transition-colors hover:bg-indigo-700 disabled:opacity-50"
+                  >
+                    Promote
+                  </button>
+                )}
+                <button
+                  onClick={() => onDelete(p)}
+                  disabled={p.status === 'deploying'}
+                  className="rounded-md border border-gray-200 px-2 py-1 text-[11px] font-medium text-gray-600 transition-colors hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Delete
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ---------- Logs --------------------------------------------------------------
+
+const LOG_LEVEL_STYLES = {
+  error: 'text-red-300',
+  warn: 'text-amber-300',
+  info: 'text-gray-300',
+  debug: 'text-gray-500',
+};
+
+const logKey = (l) => `${l.source}|${l.timestamp}|${l.message}`;
+
+/** Chat message asking to fix the selected log lines, naming the project files they mention. */
+function buildFixMessage(lines, files) {
+  const text = lines.map((l) => l.message).join('\n');
+  const referenced = files
+    .map((f) => f.file_path || f.path || '')
+    .filter((path) => path && text.includes(path));
+
+  let message = `Fix this error from the deployed app's logs:\n\n\`\`\`\n${text}\n\`\`\``;
+  if (referenced.length > 0) {
+    message += `\n\nFiles referenced: ${referenced.map((p) => `\`${p}\``).join(', ')}`;
+  }
+  return message;
+}
+
+function LogsTab({ projectId, files, isDeploying, onFixThis }) {
+  const [level, setLevel] = useState('');
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState(() => new Set());
+  const [follow, setFollow] = useState(true);
+  const bottomRef = useRef(null);
+  const { logs, deployment, isConnected, error } = useLogStream(projectId, {
+    level,
+    search,
+    refreshKey: isDeploying,
+  });
+
+  // Debounce search so typing doesn't reconnect on every key
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), 400);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // A new stream starts a new selection
+  useEffect(() => {
+    setSelected(new Set());
+  }, [deployment?.id, level, search]);
+
+  useEffect(() => {
+    if (follow) bottomRef.current?.scrollIntoView({ block: 'end' });
+  }, [logs, follow]);
+
+  const toggleLine = (line) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      const key = logKey(line);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const selectedLines = logs.filter((l) => selected.has(logKey(l)));
+
+  return (
+    <div className="flex h-full flex-col">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-2 border-b border-gray-200 px-4 py-2">
+        <select
+          value={level}
+          onChange={(e) => setLevel(e.target.value)}
+          className="rounded-md border border-gray-200 bg-white px-2 py-1 text-xs text-gray-700 focus:border-indigo-400 focus:outline-none"
+        >
+          <option value="">All levels</option>
+          <option value="info">Info and above</option>
+          <option value="warn">Warnings and errors</option>
+          <option value="error">Errors only</option>
+        </select>
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Search logs..."
+          className="min-w-0 flex-1 rounded-md border border-gray-200 bg-white px-2 py-1 text-xs text-gray-700 placeholder-gray-400 focus:border-indigo-400 focus:outline-none"
+        />
+        <label className="flex items-center gap-1 text-[11px] text-gray-500">
+          <input type="checkbox" checked={follow} onChange={(e) => setFollow(e.target.checked)} />
+          Follow
+        </label>
+        <span className={`h-2 w-2 rounded-full ${isConnected ? 'bg-green-500' : 'bg-gray-300'}`} title={isConnected ? 'Live' : 'Disconnected'} />
+      </div>
+
+      {error && <p className="border-b border-gray-100 px-4 py-1.5 text-[11px] text-red-500">{error}</p>}
+
+      {/* Lines */}
+      <div className="flex-1 overflow-y-auto bg-gray-950 py-2 font-mono text-[11px] leading-relaxed">
+        {!deployment ? (
+          <p className="px-4 text-gray-500">No deployment logs yet. Deploy the project to see its build and runtime logs here.</p>
+        ) : logs.length === 0 ? (
+          <p className="px-4 text-gray-500">{level || search ? 'No log lines match the filters.' : 'Waiting for log lines...'}</p>
+        ) : (
+          logs.map((l, i) => {
+            const isSelected = selected.has(logKey(l));
+            return (
+              <div
+                key={`${logKey(l)}|${i}`}
+                onClick={() => toggleLine(l)}
+                className={`flex cursor-pointer gap-2 px-4 hover:bg-white/5 ${isSelected ? 'bg-indigo-900/50' : ''}`}
+              >
+                <span className="flex-shrink-0 text-gray-600">{fmtTime(l.timestamp)}</span>
+                <span className="w-12 flex-shrink-0 text-gray-600">{l.source}</span>
+                <span className={`whitespace-pre-wrap break-all ${LOG_LEVEL_STYLES[l.level] || 'text-gray-300'}`}>{l.message}</span>
+              </div>
+            );
+          })
+        )}
+        <div ref={bottomRef} />
+      </div>
+
+      {/* Selection actions */}
+      {selectedLines.length > 0 && (
+        <div className="flex items-center gap-2 border-t border-gray-200 px-4 py-2">
+          <span className="text-xs text-gray-500">
+            {selectedLines.length} line{selectedLines.length !== 1 ? 's' : ''} selected
+          </span>
+          <button
+            onClick={() => setSelected(new Set())}
+            className="rounded-md border border-gray-200 px-2 py-1 text-[11px] font-medium text-gray-600 transition-colors hover:bg-gray-50"
+          >
+            Clear
+          </button>
+          <button
+            onClick={() => {
+              onFixThis(buildFixMessage(selectedLines, files));
+              setSelected(new Set());
+            }}
+            className="ml-auto rounded-md bg-indigo-600 px-2.5 py-1 text-[11px] font-medium text-white transition-colors hover:bg-indigo-700"
+          >
+            Fix this
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------- Version Diff ------------------------------------------------------
+
+const DIFF_STATUS_STYLES = {
+  added: 'bg-green-50 text-green-700',
+  removed: 'bg-red-50 text-red-700',
+  modified: 'bg-amber-50 text-amber-700',
+};
+
+/** Strip the file header lines so only hunks are rendered. */
+function patchBodyLines(patch) {
+  const lines = patch.replace(/\n$/, '').split('\n');
+  const firstHunk = lines.findIndex((l) => l.startsWith('@@'));
+  return firstHunk === -1 ? [] : lines.slice(firstHunk);
+}
+
+function VersionDiff({ diff }) {
+  if (diff.files.length === 0) {
+    return <p className="text-xs text-gray-400">No file changes in this version.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-[11px] text-gray-500">
+        {diff.files.length} file{diff.files.length !== 1 ? 's' : ''} changed
+        <span className="ml-2 text-green-600">+{diff.stats.additions}</span>
+        <span className="ml-1 text-red-600">-{diff.stats.deletions}</span>
+      </p>
+      {diff.files.map((f) => (
+        <div key={f.path} className="overflow-hidden rounded-lg border border-gray-200">
+          <div className="flex items-center gap-2 border-b border-gray-200 bg-gray-50 px-3 py-1.5">
+            <span className={`rounded px-1.5 py-0.5 text-[10px] font-semibold uppercase ${DIFF_STATUS_STYLES[f.status]}`}>
+              {f.status}
+            </span>
+            <span className="truncate text-xs font-medium text-gray-700">{f.path}</span>
+            {f.contentAvailable && (
+              <span className="ml-auto flex-shrink-0 text-[10px]">
+                <span className="text-green-600">+{f.additions}</span>
+                <span className="ml-1 text-red-600">-{f.deletions}</span>
+              </span>
+            )}
+          </div>
+          {f.contentAvailable ? (
+            <pre className="max-h-80 overflow-auto bg-gray-950 py-2 text-[11px] leading-relaxed">
+              {patchBodyLines(f.diff).map((line, i) => {
+                let cls = 'text-gray-300';
+                if (line.startsWith('+')) cls = 'bg-green-900/40 text-green-300';
+                else if (line.startsWith('-')) cls = 'bg-red-900/40 text-red-300';
+                else if (line.startsWith('@@')) cls = 'text-indigo-300';
+                return <div key={i} className={`px-3 ${cls}`}>{line || ' '}</div>;
+              })}
+            </pre>
+          ) : (
+            <p className="px-3 py-2 text-[11px] text-gray-400">Contents were not recorded for this version.</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ---------- Visual Diff -------------------------------------------------------
+
+function VisualDiff({ result }) {
+  const changed = result.diffs.filter((d) => d.changed_pixels > 0);
+  const unchangedCount = result.diffs.length - changed.length;
+
+  return (
+    <div className="mb-4 space-y-3">
+      <p className="text-[11px] font-semibold text-gray-700">
+        What changed visually
+        {result.base_version_number && <span className="ml-1 font-normal text-gray-400">since v{result.base_version_number}</span>}
+      </p>
+      {changed.map((d) => (
+        <div key={d.id} className="overflow-hidden rounded-lg border border-gray-200">
+          <div className="flex items-center gap-2 border-b border-gray-200 bg-gray-50 px-3 py-1.5">
+            <span className="truncate text-xs font-medium text-gray-700">{d.route}</span>
+            <span className="text-[10px] text-gray-400">{d.viewport}</span>
+            {d.significant && !d.expected && (
+              <span className="rounded bg-red-50 px-1.5 py-0.5 text-[10px] font-semibold uppercase text-red-700">Unexpected</span>
+            )}
+            <span className="ml-auto flex-shrink-0 text-[10px] text-gray-500">{(d.diff_ratio * 100).toFixed(1)}% changed</span>
+          </div>
+          <div className="grid grid-cols-3 gap-2 p-2">
+            {[['Before', d.before_url], ['After', d.after_url], ['Diff', d.diff_url]].map(([label, url]) => (
+              <a key={label} href={url} target="_blank" rel="noopener noreferrer" className="block">
+                <p className="mb-1 text-[10px] text-gray-400">{label}</p>
+                <img src={url} alt={`${label}: ${d.route} (${d.viewport})`} className="max-h-48 w-full rounded border border-gray-100 object-cover object-top" />
+              </a>
+            ))}
+          </div>
+        </div>
+      ))}
+      {unchangedCount > 0 && (
+        <p className="text-[11px] text-gray-400">
+          {unchangedCount} screenshot{unchangedCount !== 1 ? 's' : ''} unchanged
+        </p>
+      )}
+    </div>
+  );
+}
+
+// ---------- Files Tab ---------------------------------------------------------
+
+function FilesTab({ files, selectedFile, onSelectFile, collapsedFolders, onToggleFolder, mobileMode }) {
+  const fileList = Array.isArray(files) ? files : [];
+  const tree = useMemo(() => buildFileTree(fileList), [fileList]);
+  const [showTree, setShowTree] = useState(true);
+
+  const handleSelectFile = (file) => {
+    onSelectFile(file);
+    if (mobileMode) setShowTree(false);
+  };
+
+  // Code viewer (shared between mobile and desktop)
+  const codeViewer = selectedFile ? (
+    <>
+      <div className="flex items-center gap-2 border-b border-gray-200 bg-gray-50 px-4 py-2.5">
+        {mobileMode && (
+          <button onClick={() => { setShowTree(true); onSelectFile(null); }} className="mr-1 flex-shrink-0 rounded p-1 text-gray-400 hover:text-gray-600">
+            <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+        )}
+        <span className="truncate text-xs font-medium text-gray-600">
+          {selectedFile.file_path || selectedFile.path}
+        </span>
+        {(() => {
+          const lang = selectedFile.language || detectLanguage(selectedFile.file_path || selectedFile.path);
+          if (!lang) return null;
+          const colorClass = LANG_COLORS[lang] || 'bg-gray-200 text-gray-600';
+          return (
+            <span className={`ml-auto flex-shrink-0 rounded px-2 py-0.5 text-[10px] font-semibold uppercase ${colorClass}`}>
+              {lang}
+            </span>
+          );
+        })()}
+      </div>
+      <div className="flex-1 overflow-auto bg-gray-950 p-4">
+        <pre className="text-xs leading-relaxed text-gray-100">
+          <code>
+            {selectedFile.is_binary
+              ? '// Binary file, not shown'
+              : selectedFile.content === null
+                ? '// Loading from GitHub...'
+                : selectedFile.content || '// No content available'}
+          </code>
+        </pre>
+      </div>
+    </>
+  ) : (
+    <div className="flex h-full flex-col items-center justify-center text-center">
+      <svg className="mb-3 h-8 w-8 text-gray-300" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M19.5 14.25v-2.625a3.375 3.375 0 00-3.375-3.375h-1.5A1.125 1.125 0 0113.5 7.125v-1.5a3.375 3.375 0 00-3.375-3.375H8.25m0 12.75h7.5m-7.5 3H12M10.5 2.25H5.625c-.621 0-1.125.504-1.125 1.125v17.25c0 .621.504 1.125 1.125 1.125h12.75c.621 0 1.125-.504 1.125-1.125V11.25a9 9 0 00-9-9z" />
+      </svg>
+      <p className="text-xs text-gray-400">Select a file to view its contents</p>
+    </div>
+  );
+
+  const fileTree = fileList.length === 0 ? (
+    <div className="px-4 py-8 text-center">
+      <svg className="mx-auto mb-2 h-6 w-6 text-gray-300" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M2.25 12.75V12A2.25 2.25 0 014.5 9.75h15A2.25 2.25 0 0121.75 12v.75m-8.69-6.44l-2.12-2.12a1.5 1.5 0 00-1.061-.44H4.5A2.25 2.25 0 002.25 6v12a2.25 2.25 0 002.25 2.25h15A2.25 2.25 0 0021.75 18V9a2.25 2.25 0 00-2.25-2.25h-5.379a1.5 1.5 0 01-1.06-.44z" />
+      </svg>
+      <p className="text-xs text-gray-400">No files generated yet</p>
+    </div>
+  ) : (
+    <div className="pb-4">
+      <FileTreeNode
+        node={tree}
+        path=""
+        selectedPath={selectedFile?.file_path || selectedFile?.path}
+        onSelectFile={handleSelectFile}
+        collapsedFolders={collapsedFolders}
+        onToggleFolder={onToggleFolder}
+        isRoot
+      />
+    </div>
+  );
+
+  // Mobile: stacked vertical layout
+  if (mobileMode) {
+    return (
+      <div className="flex h-full flex-col">
+        {showTree || !selectedFile ? (
+          <div className="flex-1 overflow-y-auto bg-gray-50/50">
+            <div className="flex items-center justify-between px-4 py-3">
+              <span className="text-[10px] font-semibold uppercase tracking-widest text-gray-400">Files</span>
+              {fileList.length > 0 && (
+                <span className="rounded-full bg-gray-200 px-2 py-0.5 text-[10px] font-medium text-gray-500">{fileList.length}</span>
+              )}
+            </div>
+            {fileTree}
+          </div>
+        ) : (
+          <div className="flex flex-1 flex-col overflow-hidden">{codeViewer}</div>
+        )}
+      </div>
+    );
+  }
+
+  // Desktop: side-by-side
+  return (
+    <div className="flex h-full">
+      <div className="w-56 flex-shrink-0 overflow-y-auto border-r border-gray-200 bg-gray-50/50">
+        <div className="flex items-center justify-between px-4 py-3">
+          <span className="text-[10px] font-semibold uppercase tracking-widest text-gray-400">Files</span>
+          {fileList.length > 0 && (
+            <span className="rounded-full bg-gray-200 px-2 py-0.5 text-[10px] font-medium text-gray-500">{fileList.length}</span>
+          )}
+        </div>
+        {fileTree}
+      </div>
+      <div className="flex flex-1 flex-col overflow-hidden">{codeViewer}</div>
+    </div>
+  );
+}
+
+// ---------- File Tree Node (recursive) ----------------------------------------
+
+function FileTreeNode({ node, path, selectedPath, onSelectFile, collapsedFolders, onToggleFolder, isRoot }) {
+  const folderNames = Object.keys(node.children).sort();
+  const fileItems = [...node.files].sort((a, b) =>
+    (a.displayName || '').localeCompare(b.displayName || ''),
+  );
+
+  return (
+    <div className={isRoot ? 'px-2' : 'pl-3'}>
+      {/* Folders */}
+      {folderNames.map((name) => {
+        const folderPath = path ? `${path}/${name}` : name;
+        const isCollapsed = collapsedFolders.has(folderPath);
         const child = node.children[name];
         return (
           <div key={folderPath}>
@@ -2228,9 +3222,153 @@ function GitHubModal({
   );
 }
 
+// ---------- Merge Conflicts Modal ---------------------------------------------
+
+const MERGE_CHOICES = [
+  { id: 'ours', label: 'Keep Imagia' },
+  { id: 'theirs', label: 'Take GitHub' },
+  { id: 'edit', label: 'Edit' },
+];
+
+function MergeConflictsModal({ conflicts, headSha, busy, onClose, onResolve, onAgentResolve, onAbort }) {
+  const [selected, setSelected] = useState(0);
+  // file_path -> { choice, content }
+  const [resolutions, setResolutions] = useState(() =>
+    Object.fromEntries(conflicts.map((c) => [c.file_path, { choice: null, content: c.merged }]))
+  );
+
+  const conflict = conflicts[selected];
+  const current = resolutions[conflict.file_path];
+  const resolvedCount = Object.values(resolutions).filter((r) => r.choice).length;
+
+  function choose(choice) {
+    setResolutions((prev) => ({
+      ...prev,
+      [conflict.file_path]: {
+        choice,
+        content: choice === 'ours' ? conflict.ours : choice === 'theirs' ? conflict.theirs : prev[conflict.file_path].content,
+      },
+    }));
+  }
+
+  function handleComplete() {
+    onResolve(Object.fromEntries(
+      Object.entries(resolutions).map(([path, r]) => [path, r.content])
+    ));
+  }
+
+  const preview = current.choice === 'ours' ? conflict.ours : current.choice === 'theirs' ? conflict.theirs : conflict.merged;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div className="flex h-[80vh] w-full max-w-4xl flex-col rounded-2xl bg-white shadow-xl">
+        <div className="flex items-center justify-between border-b border-gray-200 px-6 py-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Merge conflicts</h3>
+            <p className="text-xs text-gray-400">
+              {conflicts.length} file{conflicts.length === 1 ? '' : 's'} changed both in Imagia and on GitHub ({headSha?.slice(0, 7)})
+            </p>
+          </div>
+          <button onClick={onClose} className="rounded-lg p-1 text-gray-400 hover:bg-gray-100 hover:text-gray-600">
+            <svg className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex min-h-0 flex-1">
+          {/* File list */}
+          <ul className="w-56 flex-shrink-0 overflow-y-auto border-r border-gray-200 py-2">
+            {conflicts.map((c, i) => (
+              <li key={c.file_path}>
+                <button
+                  onClick={() => setSelected(i)}
+                  className={`flex w-full items-center gap-2 px-4 py-2 text-left text-xs ${i === selected ? 'bg-indigo-50 text-indigo-700' : 'text-gray-600 hover:bg-gray-50'}`}
+                >
+                  <span className={`h-1.5 w-1.5 flex-shrink-0 rounded-full ${resolutions[c.file_path].choice ? 'bg-emerald-500' : 'bg-red-500'}`} />
+                  <span className="truncate font-mono">{c.file_path}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {/* Selected file */}
+          <div className="flex min-w-0 flex-1 flex-col p-4">
+            <div className="mb-3 flex items-center justify-between gap-2">
+              <p className="truncate font-mono text-xs text-gray-700">
+                {conflict.file_path}
+                {conflict.theirs === null && <span className="ml-2 font-sans text-red-500">deleted on GitHub</span>}
+                {conflict.ours === null && <span className="ml-2 font-sans text-red-500">deleted in Imagia</span>}
+              </p>
+              <div className="flex flex-shrink-0 rounded-lg border border-gray-200 p-0.5">
+                {MERGE_CHOICES.map((c) => (
+                  <button
+                    key={c.id}
+                    onClick={() => choose(c.id)}
+                    className={`rounded-md px-2.5 py-1 text-[11px] font-medium transition-colors ${current.choice === c.id ? 'bg-indigo-600 text-white' : 'text-gray-500 hover:bg-gray-100'}`}
+                  >
+                    {conflict[c.id] === null ? 'Delete file' : c.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {current.choice === 'edit' ? (
+              <textarea
+                value={current.content ?? ''}
+                onChange={(e) => setResolutions((prev) => ({ ...prev, [conflict.file_path]: { choice: 'edit', content: e.target.value } }))}
+                spellCheck={false}
+                className="min-h-0 flex-1 resize-none rounded-lg border border-gray-200 bg-gray-50 p-3 font-mono text-xs text-gray-800 focus:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-100"
+              />
+            ) : (
+              <pre className="min-h-0 flex-1 overflow-auto rounded-lg border border-gray-200 bg-gray-50 p-3 font-mono text-xs text-gray-800">
+                {preview === null
+                  ? 'This file will be deleted.'
+                  : preview.split('\n').map((line, i) => (
+                    <div
+                      key={i}
+                      className={/^(<<<<<<<|=======$|>>>>>>>)/.test(line) ? 'bg-amber-100 text-amber-800' : undefined}
+                    >
+                      {line || ' '}
+                    </div>
+                  ))}
+              </pre>
+            )}
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between gap-3 border-t border-gray-200 px-6 py-4">
+          <button onClick={onAbort} disabled={busy} className="text-xs font-medium text-gray-500 hover:text-red-600 disabled:opacity-40">
+            Abort merge
+          </button>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => onAgentResolve(conflicts)}
+              disabled={busy}
+              className="rounded-lg border border-gray-200 px-4 py-2 text-sm font-medium text-gray-700 transition-colors hover:bg-gray-50 disabled:opacity-40"
+            >
+              Let the agent resolve
+            </button>
+            <button
+              onClick={handleComplete}
+              disabled={busy || resolvedCount < conflicts.length}
+              className="rounded-lg bg-indigo-600 px-4 py-2 text-sm font-medium text-white shadow-sm transition-all hover:bg-indigo-700 disabled:cursor-not-allowed disabled:opacity-40"
+            >
+              {busy ? 'Merging...' : `Complete merge (${resolvedCount}/${conflicts.length})`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // ---------- Secrets Tab -------------------------------------------------------
 
-function SecretsTab({ secrets, newSecret, onNewSecretChange, onAddSecret, onDeleteSecret, onDetect, detecting, detectedSecrets, onAddDetected }) {
+function SecretsTab({ projectId, secrets, secretsRevision, newSecret, onNewSecretChange, onAddSecret, onDeleteSecret, onSecretsChanged, onDetect, detecting, detectedSecrets, onAddDetected }) {
+  const [historyFor, setHistoryFor] = useState(null);
+  const isRotation = secrets.some((s) => s.key === newSecret.key.trim());
+
   return (
     <div className="h-full overflow-y-auto p-5">
       {/* Header */}
@@ -2323,30 +3461,51 @@ function SecretsTab({ secrets, newSecret, onNewSecretChange, onAddSecret, onDele
           {secrets.map((secret) => (
             <li
               key={secret.id}
-              className="group flex items-center justify-between rounded-lg border border-gray-200 bg-white px-4 py-3 transition-colors hover:border-gray-300"
+              className="group rounded-lg border border-gray-200 bg-white transition-colors hover:border-gray-300"
             >
-              <div className="flex items-center gap-3">
-                <div className="flex h-8 w-8 items-center justify-center rounded-md bg-gray-100">
-                  <svg className="h-4 w-4 text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M15.75 5.25a3 3 0 013 3m3 0a6 6 0 01-7.029 5.912c-.563-.097-1.159.026-1.563.43L10.5 17.25H8.25v2.25H6v2.25H2.25v-2.818c0-.597.237-1.17.659-1.591l6.499-6.499c.404-.404.527-1 .43-1.563A6 6 0 1121.75 8.25z" />
-                  </svg>
+              <div className="flex items-center justify-between px-4 py-3">
+                <div className="flex items-center gap-3">
+                  <div className="flex h-8 w-8 items-center justify-center rounded-md bg-gray-100">
+                    <svg className="h-4 w-4 text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M15.75 5.25a3 3 0 013 3m3 0a6 6 0 01-7.029 5.912c-.563-.097-1.159.026-1.563.43L10.5 17.25H8.25v2.25H6v2.25H2.25v-2.818c0-.597.237-1.17.659-1.591l6.499-6.499c.404-.404.527-1 .43-1.563A6 6 0 1121.75 8.25z" />
+                    </svg>
+                  </div>
+                  <div>
+                    <p className="text-sm font-medium text-gray-800">{secret.key}</p>
+                    <div className="mt-0.5 flex items-center gap-1.5">
+                      <span className="inline-block rounded bg-gray-100 px-1.5 py-0.5 text-[10px] font-medium text-gray-500">
+                        {(secret.type || 'api_key').replace(/_/g, ' ')}
+                      </span>
+                      {secret.version > 1 && (
+                        <span className="text-[10px] text-gray-400">v{secret.version}</span>
+                      )}
+                    </div>
+                  </div>
                 </div>
-                <div>
-                  <p className="text-sm font-medium text-gray-800">{secret.key}</p>
-                  <span className="mt-0.5 inline-block rounded bg-gray-100 px-1.5 py-0.5 text-[10px] font-medium text-gray-500">
-                    {(secret.type || 'api_key').replace(/_/g, ' ')}
-                  </span>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => setHistoryFor(historyFor === secret.id ? null : secret.id)}
+                    className={`rounded-md px-2 py-1 text-[11px] font-medium transition-all hover:bg-gray-100 hover:text-gray-700 ${
+                      historyFor === secret.id ? 'text-gray-700' : 'text-gray-400 opacity-0 group-hover:opacity-100'
+                    }`}
+                    title="Value history"
+                  >
+                    History
+                  </button>
+                  <button
+                    onClick={() => onDeleteSecret(secret.id)}
+                    className="rounded-md p-1.5 text-gray-300 opacity-0 transition-all hover:bg-red-50 hover:text-red-500 group-hover:opacity-100"
+                    title="Delete secret"
+                  >
+                    <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                    </svg>
+                  </button>
                 </div>
               </div>
-              <button
-                onClick={() => onDeleteSecret(secret.id)}
-                className="rounded-md p-1.5 text-gray-300 opacity-0 transition-all hover:bg-red-50 hover:text-red-500 group-hover:opacity-100"
-                title="Delete secret"
-              >
-                <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                </svg>
-              </button>
+              {historyFor === secret.id && (
+                <SecretHistory projectId={projectId} secret={secret} onRolledBack={onSecretsChanged} />
+              )}
             </li>
           ))}
         </ul>
@@ -2381,15 +3540,341 @@ function SecretsTab({ secrets, newSecret, onNewSecretChange, onAddSecret, onDele
               </option>
             ))}
           </select>
+          {isRotation && (
+            <label className="flex items-center gap-2 text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={!!newSecret.redeploy}
+                onChange={(e) => onNewSecretChange({ ...newSecret, redeploy: e.target.checked })}
+                className="h-3.5 w-3.5 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              Redeploy the live app with the new value
+            </label>
+          )}
           <button
             type="submit"
             disabled={!newSecret.key.trim() || !newSecret.value.trim()}
             className="w-full rounded-lg bg-indigo-600 px-4 py-2.5 text-sm font-medium text-white shadow-sm transition-all hover:bg-indigo-700 hover:shadow-md disabled:cursor-not-allowed disabled:opacity-40"
           >
-            Add Secret
+            {isRotation ? 'Rotate Secret' : 'Add Secret'}
           </button>
         </div>
       </form>
+
+      <SecretAuditLog projectId={projectId} revision={secretsRevision} />
+    </div>
+  );
+}
+
+// Earlier values of a secret, each of which can be made current again
+function SecretHistory({ projectId, secret, onRolledBack }) {
+  const [versions, setVersions] = useState(null);
+  const [redeploy, setRedeploy] = useState(false);
+  const [rollingBack, setRollingBack] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getSecretVersions(projectId, secret.id)
+      .then((data) => { if (!cancelled) setVersions(data.versions || []); })
+      .catch(() => { if (!cancelled) setVersions([]); });
+    return () => { cancelled = true; };
+  }, [projectId, secret.id, secret.version]);
+
+  async function handleRollback(version) {
+    setRollingBack(version);
+    setError('');
+    try {
+      await rollbackSecret(projectId, secret.id, { version, redeploy });
+      await onRolledBack();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Rollback failed');
+    } finally {
+      setRollingBack(null);
+    }
+  }
+
+  if (!versions) {
+    return <p className="border-t border-gray-100 px-4 py-2 text-[11px] text-gray-400">Loading history...</p>;
+  }
+
+  return (
+    <div className="border-t border-gray-100 px-4 py-2">
+      <ul className="space-y-1">
+        {versions.map((v) => (
+          <li key={v.version} className="flex items-center justify-between text-[11px]">
+            <span className="text-gray-600">
+              v{v.version}
+              <span className="ml-1.5 text-gray-400">
+                {new Date(v.created_at).toLocaleString()}
+                {v.created_by_email ? ` by ${v.created_by_email}` : ''}
+              </span>
+            </span>
+            {v.current ? (
+              <span className="text-[10px] font-medium text-green-600">current</span>
+            ) : (
+              <button
+                onClick={() => handleRollback(v.version)}
+                disabled={rollingBack !== null}
+                className="rounded px-1.5 py-0.5 font-medium text-indigo-600 hover:bg-indigo-50 disabled:opacity-40"
+              >
+                {rollingBack === v.version ? 'Restoring...' : 'Restore'}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {versions.length > 1 && (
+        <label className="mt-2 flex items-center gap-2 text-[11px] text-gray-500">
+          <input
+            type="checkbox"
+            checked={redeploy}
+            onChange={(e) => setRedeploy(e.target.checked)}
+            className="h-3 w-3 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          Redeploy after restoring
+        </label>
+      )}
+      {error && <p className="mt-1 text-[11px] text-red-500">{error}</p>}
+    </div>
+  );
+}
+
+const SECRET_AUDIT_LABELS = {
+  create: 'created',
+  read: 'read',
+  update: 'updated',
+  delete: 'deleted',
+};
+
+// Who created, read, updated or deleted the project's secrets
+function SecretAuditLog({ projectId, revision }) {
+  const [open, setOpen] = useState(false);
+  const [entries, setEntries] = useState(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    getSecretAudit(projectId, { limit: 50 })
+      .then((data) => { if (!cancelled) setEntries(data.entries || []); })
+      .catch(() => { if (!cancelled) setEntries([]); });
+    return () => { cancelled = true; };
+  }, [projectId, open, revision]);
+
+  return (
+    <div className="mt-5">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className="flex items-center gap-1 text-xs font-semibold text-gray-600 hover:text-gray-800"
+      >
+        <svg className={`h-3 w-3 transition-transform ${open ? 'rotate-90' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+        </svg>
+        Activity
+      </button>
+      {open && (
+        entries === null ? (
+          <p className="mt-2 text-[11px] text-gray-400">Loading activity...</p>
+        ) : entries.length === 0 ? (
+          <p className="mt-2 text-[11px] text-gray-400">No activity yet</p>
+        ) : (
+          <ul className="mt-2 space-y-1.5">
+            {entries.map((entry) => (
+              <li key={entry.id} className="text-[11px] text-gray-600">
+                <span className="font-medium text-gray-800">{entry.secret_key}</span>
+                {' '}{SECRET_AUDIT_LABELS[entry.action] || entry.action}
+                {entry.version ? ` (v${entry.version})` : ''}
+                {entry.metadata?.rolled_back_to ? `, restored from v${entry.metadata.rolled_back_to}` : ''}
+                {entry.source === 'deploy' ? ' by a deployment' : entry.actor_email ? ` by ${entry.actor_email}` : ''}
+                {entry.source === 'chat' ? ' from chat' : ''}
+                <span className="ml-1.5 text-gray-400">{new Date(entry.created_at).toLocaleString()}</span>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+    </div>
+  );
+}
+
+// ---------- Uptime Panel -------------------------------------------------------
+
+const UPTIME_RANGES = [
+  { days: 1, label: '24h' },
+  { days: 7, label: '7d' },
+  { days: 30, label: '30d' },
+];
+
+function formatUptime(percent) {
+  return percent == null ? '--' : `${percent.toFixed(percent === 100 ? 0 : 2)}%`;
+}
+
+function ResponseTimeChart({ series, days }) {
+  const points = series.filter((s) => s.avg_latency_ms != null);
+  if (points.length < 2) {
+    return <p className="py-6 text-center text-xs text-gray-400">Not enough data for a chart yet</p>;
+  }
+
+  const width = 300;
+  const height = 80;
+  const max = Math.max(...points.map((p) => p.avg_latency_ms), 1);
+  const path = points.map((p, i) => {
+    const x = (i / (points.length - 1)) * width;
+    const y = height - (p.avg_latency_ms / max) * (height - 4);
+    return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+  const label = (bucket) => new Date(bucket).toLocaleString(undefined, days <= 1
+    ? { hour: 'numeric' }
+    : { month: 'short', day: 'numeric' });
+
+  return (
+    <div>
+      <div className="mb-1 flex justify-between text-[10px] text-gray-400">
+        <span>Response time</span>
+        <span>max {max}ms</span>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="h-20 w-full">
+        <path d={`${path} L${width},${height} L0,${height} Z`} className="fill-indigo-50" />
+        <path d={path} fill="none" className="stroke-indigo-500" strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="mt-1 flex justify-between text-[10px] text-gray-400">
+        <span>{label(points[0].bucket)}</span>
+        <span>{label(points[points.length - 1].bucket)}</span>
+      </div>
+    </div>
+  );
+}
+
+function UptimePanel({ project }) {
+  const [days, setDays] = useState(7);
+  const [uptime, setUptime] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [healthPath, setHealthPath] = useState(project?.health_check_path || '/');
+  const [savingPath, setSavingPath] = useState(false);
+  const [pathError, setPathError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    getUptime(project.id, days)
+      .then((data) => {
+        if (cancelled) return;
+        setUptime(data);
+        setHealthPath(data.health_check_path || '/');
+      })
+      .catch(() => { if (!cancelled) setUptime(null); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [project.id, days]);
+
+  async function handleSavePath(e) {
+    e.preventDefault();
+    setSavingPath(true);
+    setPathError('');
+    try {
+      const data = await updateHealthCheckPath(project.id, healthPath.trim());
+      setUptime((prev) => prev && { ...prev, health_check_path: data.health_check_path });
+    } catch (err) {
+      setPathError(err.response?.data?.error || err.message || 'Failed to save health check path');
+    } finally {
+      setSavingPath(false);
+    }
+  }
+
+  const status = uptime?.status;
+
+  return (
+    <div>
+      <div className="mb-4 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <svg className="h-5 w-5 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M3 12h4l3-9 4 18 3-9h4" />
+          </svg>
+          <h3 className="text-sm font-semibold text-gray-900">Uptime</h3>
+          {status && (
+            <span className={`rounded-full px-2 py-0.5 text-[10px] font-medium ${status === 'up' ? 'bg-emerald-100 text-emerald-700' : 'bg-red-100 text-red-700'}`}>
+              {status === 'up' ? 'Up' : 'Down'}
+            </span>
+          )}
+        </div>
+        <div className="flex rounded-lg border border-gray-200 p-0.5">
+          {UPTIME_RANGES.map((r) => (
+            <button
+              key={r.days}
+              onClick={() => setDays(r.days)}
+              className={`rounded-md px-2 py-0.5 text-[10px] font-medium transition-colors ${days === r.days ? 'bg-indigo-600 text-white' : 'text-gray-500 hover:bg-gray-100'}`}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading && !uptime ? (
+        <p className="py-6 text-center text-xs text-gray-400">Loading uptime...</p>
+      ) : !uptime || uptime.checks === 0 ? (
+        <div className="mb-4 rounded-lg border border-dashed border-gray-200 p-6 text-center">
+          <p className="text-xs text-gray-400">No health checks yet. Your app is checked every few minutes once deployed.</p>
+        </div>
+      ) : (
+        <div className="mb-4 space-y-4">
+          <div className="grid grid-cols-3 gap-2">
+            <div className="rounded-lg border border-gray-200 bg-white px-3 py-2">
+              <p className="text-[10px] text-gray-400">Uptime</p>
+              <p className="text-sm font-semibold text-gray-900">{formatUptime(uptime.uptime_percent)}</p>
+            </div>
+            <div className="rounded-lg border border-gray-200 bg-white px-3 py-2">
+              <p className="text-[10px] text-gray-400">Avg response</p>
+              <p className="text-sm font-semibold text-gray-900">{uptime.avg_latency_ms != null ? `${uptime.avg_latency_ms}ms` : '--'}</p>
+            </div>
+            <div className="rounded-lg border border-gray-200 bg-white px-3 py-2">
+              <p className="text-[10px] text-gray-400">p95 response</p>
+              <p className="text-sm font-semibold text-gray-900">{uptime.p95_latency_ms != null ? `${uptime.p95_latency_ms}ms` : '--'}</p>
+            </div>
+          </div>
+
+          {/* One bar per hour (24h) or day, colored by its uptime */}
+          <div className="flex h-6 gap-px">
+            {uptime.series.map((s) => (
+              <div
+                key={s.bucket}
+                title={`${new Date(s.bucket).toLocaleString()}: ${formatUptime(s.uptime_percent)}`}
+                className={`flex-1 rounded-sm ${s.uptime_percent === 100 ? 'bg-emerald-400' : s.uptime_percent >= 95 ? 'bg-amber-400' : 'bg-red-400'}`}
+              />
+            ))}
+          </div>
+
+          <ResponseTimeChart series={uptime.series} days={days} />
+
+          {uptime.recent?.[0] && !uptime.recent[0].is_up && (
+            <div className="rounded-lg bg-red-50 px-3 py-2 text-xs text-red-600">
+              Last check failed: {uptime.recent[0].error_message || 'unknown error'}
+            </div>
+          )}
+        </div>
+      )}
+
+      <form onSubmit={handleSavePath} className="rounded-xl border border-gray-200 bg-gray-50 p-4">
+        <h4 className="mb-1 text-xs font-semibold text-gray-700">Health check path</h4>
+        <p className="mb-2.5 truncate text-[10px] text-gray-400">{uptime?.health_url || project.deployment_url}</p>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={healthPath}
+            onChange={(e) => setHealthPath(e.target.value)}
+            placeholder="/health"
+            className="flex-1 rounded-lg border border-gray-200 bg-white px-3 py-2 font-mono text-sm placeholder-gray-400 transition-colors focus:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-100"
+          />
+          <button
+            type="submit"
+            disabled={savingPath || !healthPath.trim().startsWith('/') || healthPath.trim() === uptime?.health_check_path}
+            className="rounded-lg bg-indigo-600 px-4 py-2 text-sm font-medium text-white shadow-sm transition-all hover:bg-indigo-700 hover:shadow-md disabled:cursor-not-allowed disabled:opacity-40"
+          >
+            {savingPath ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+        {pathError && <p className="mt-2 text-xs text-red-600">{pathError}</p>}
+      </form>
     </div>
   );
 }
@@ -2632,6 +4117,14 @@ function SettingsTab({ project, onUpdateProject, onDelete, domains, onAddDomain,
 
       <hr className="border-gray-200" />
 
+      {/* ---- Uptime ---- */}
+      {project?.deployment_url && (
+        <>
+          <UptimePanel project={project} />
+          <hr className="border-gray-200" />
+        </>
+      )}
+
       {/* ---- Danger Zone ---- */}
       <div>
         <div className="mb-4 flex items-center gap-2">
@@ -76,6 +76,27 @@ export function getProjectFiles(projectId) {
   return api.get(`/projects/${projectId}/files`).then((r) => r.data);
 }
 
+export function getProjectFileContent(projectId, filePath) {
+  return api.get(`/projects/${projectId}/files/content`, { params: { path: filePath } }).then((r) => r.data);
+}
+
+// ----- Project Versions -----
+export function getProjectVersions(projectId) {
+  return api.get(`/projects/${projectId}/versions`).then((r) => r.data);
+}
+
+export function getVersionDiff(projectId, fromVersion, toVersion) {
+  return api.get(`/projects/${projectId}/versions/${fromVersion}/diff/${toVersion}`).then((r) => r.data);
+}
+
+export function getVisualDiff(projectId, versionNumber) {
+  return api.get(`/projects/${projectId}/versions/${versionNumber}/visual-diff`).then((r) => r.data);
+}
+
+export function restoreVersion(projectId, versionNumber) {
+  return api.post(`/projects/${projectId}/versions/${versionNumber}/restore`).then((r) => r.data);
+}
+
 // ----- Conversations -----
 export function getConversations(projectId) {
   return api.get('/conversations', { params: { project_id: projectId } }).then((r) => r.data);
@@ -111,6 +132,18 @@ export function detectSecrets(projectId) {
   return api.post(`/secrets/${projectId}/detect`).then((r) => r.data);
 }
 
+export function getSecretVersions(projectId, secretId) {
+  return api.get(`/secrets/${projectId}/${secretId}/versions`).then((r) => r.data);
+}
+
+export function rollbackSecret(projectId, secretId, data) {
+  return api.post(`/secrets/${projectId}/${secretId}/rollback`, data).then((r) => r.data);
+}
+
+export function getSecretAudit(projectId, params) {
+  return api.get(`/secrets/${projectId}/audit`, { params }).then((r) => r.data);
+}
+
 // ----- Uploads -----
 export function uploadFiles(projectId, files) {
   const formData = new FormData();
@@ -149,6 +182,26 @@ export function getDeploymentHistory(projectId) {
   return api.get(`/deployments/${projectId}/history`).then((r) => r.data);
 }
 
+export function rollbackDeployment(projectId, deploymentId) {
+  return api.post(`/deployments/${projectId}/rollback/${deploymentId}`).then((r) => r.data);
+}
+
+export function getPreviews(projectId) {
+  return api.get(`/deployments/${projectId}/previews`).then((r) => r.data);
+}
+
+export function createPreview(projectId, conversationId) {
+  return api.post(`/deployments/${projectId}/previews`, { conversation_id: conversationId || null }).then((r) => r.data);
+}
+
+export function promotePreview(projectId, previewId) {
+  return api.post(`/deployments/${projectId}/previews/${previewId}/promote`).then((r) => r.data);
+}
+
+export function deletePreview(projectId, previewId) {
+  return api.delete(`/deployments/${projectId}/previews/${previewId}`).then((r) => r.data);
+}
+
 export function getDeploymentLogs(projectId) {
   return api.get(`/deployments/${projectId}/logs`).then((r) => r.data);
 }
@@ -157,6 +210,14 @@ export function setCustomDomain(projectId, domain) {
   return api.patch(`/deployments/${projectId}/domain`, { domain }).then((r) => r.data);
 }
 
+export function getUptime(projectId, days = 7) {
+  return api.get(`/deployments/${projectId}/uptime`, { params: { days } }).then((r) => r.data);
+}
+
+export function updateHealthCheckPath(projectId, healthCheckPath) {
+  return api.put(`/deployments/${projectId}/uptime`, { health_check_path: healthCheckPath }).then((r) => r.data);
+}
+
 export function getDeploymentCosts(projectId) {
   return api.get(`/deployments/${projectId}/costs`).then((r) => r.data);
 }
@@ -191,8 +252,24 @@ export function githubPush(projectId, commitMessage) {
   return api.post(`/github/projects/${projectId}/push`, { commit_message: commitMessage }).then((r) => r.data);
 }
 
-export function githubPull(projectId) {
-  return api.post(`/github/projects/${projectId}/pull`).then((r) => r.data);
+export function githubPull(projectId, resolutions) {
+  return api.post(`/github/projects/${projectId}/pull`, { resolutions }).then((r) => r.data);
+}
+
+export function githubGetMerge(projectId) {
+  return api.get(`/github/projects/${projectId}/merge`).then((r) => r.data);
+}
+
+export function githubAbortMerge(projectId) {
+  return api.delete(`/github/projects/${projectId}/merge`).then((r) => r.data);
+}
+
+export function githubUpdateConnection(projectId, settings) {
+  return api.patch(`/github/projects/${projectId}/connection`, settings).then((r) => r.data);
+}
+
+export function githubGetPullRequest(projectId) {
+  return api.get(`/github/projects/${projectId}/pull-request`).then((r) => r.data);
 }
 
 export function githubCreateRepo(projectId, data) {